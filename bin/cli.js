@@ -32,12 +32,18 @@ COMMANDS:
   accounts remove       Remove accounts interactively
   accounts verify       Verify account tokens are valid
   accounts clear        Remove all accounts
+  keys list             List client API keys
+  keys create           Create a client API key (--name=, --models=, --rpm=, ...)
+  keys revoke <name>    Revoke a client API key
+  keys delete <name>    Delete a client API key
 
 OPTIONS:
   --help, -h            Show this help message
   --version, -v         Show version number
   --strategy=<type>     Account selection strategy (sticky|round-robin|hybrid)
   --fallback            Enable model fallback when quota exhausted
+  --record=<name>       Record upstream traffic to a cassette
+  --replay=<name>       Replay upstream traffic from a cassette (offline)
   --debug               Enable debug logging
   --no-browser          Use manual code input for OAuth (headless servers)
 
@@ -66,6 +72,10 @@ EXAMPLES:
   # Start with model fallback enabled
   commons-proxy start --fallback --debug
   
+  # Record upstream traffic, then replay it offline
+  commons-proxy start --record=thinking-bug
+  commons-proxy start --replay=thinking-bug
+  
   # Add accounts from different providers
   commons-proxy accounts add              # Interactive (prompts for provider)
   commons-proxy accounts add --no-browser # Manual OAuth code input
@@ -74,6 +84,9 @@ EXAMPLES:
   commons-proxy accounts list
   commons-proxy accounts verify
 
+  # Give a teammate their own key, limited to Sonnet
+  commons-proxy keys create --name=alice --models=claude-sonnet-* --rpm=30
+
 CONFIGURATION:
   Claude Code CLI (~/.claude/settings.json):
     {
@@ -125,6 +138,13 @@ async function main() {
       break;
     }
 
+    case 'keys': {
+      // Pass remaining args to keys CLI
+      process.argv = ['node', 'keys-cli.js', ...args.slice(1)];
+      await import('../src/cli/keys.js');
+      break;
+    }
+
     case 'help':
       showHelp();
       break;
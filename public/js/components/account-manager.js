@@ -50,7 +50,8 @@ window.Components.accountManager = () => ({
             github: 'GitHub',
             copilot: 'Copilot',
             openrouter: 'OpenRouter',
-            codex: 'Codex'
+            codex: 'Codex',
+            custom: 'Local'
         };
         return names[provider] || provider.toUpperCase();
     },
@@ -64,7 +65,8 @@ window.Components.accountManager = () => ({
             github: '#6366f1',
             copilot: '#f97316',
             openrouter: '#6d28d9',
-            codex: '#10b981'
+            codex: '#10b981',
+            custom: '#64748b'
         };
         return colors[provider] || '#4285f4';
     },
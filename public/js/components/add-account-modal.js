@@ -1,7 +1,8 @@
 /**
  * Add Account Modal Component
  * Registers itself to window.Components for Alpine.js to consume
- * Supports multi-provider account addition (Google OAuth, API keys, PAT, Device Auth)
+ * Supports multi-provider account addition (Google OAuth, API keys, PAT, Device Auth,
+ * local OpenAI-compatible servers)
  */
 window.Components = window.Components || {};
 
@@ -14,6 +15,12 @@ window.Components.addAccountModal = () => ({
     email: '',
     apiKey: '',
     customEndpoint: '',
+
+    // Azure OpenAI (OpenAI provider with an Azure resource endpoint)
+    azureEnabled: false,
+    azureDeployment: '',
+    azureDeployments: '',
+    azureApiVersion: '',
     
     // OAuth state (Google)
     manualMode: false,
@@ -36,6 +43,10 @@ window.Components.addAccountModal = () => ({
     codexPolling: false,
     codexPollTimer: null,
 
+    // Custom (local OpenAI-compatible server) state
+    customModels: [], // [{ id, tools, vision, reasoning }]
+    customDiscovering: false,
+
     async init() {
         // Fetch available providers on modal init
         await this.loadProviders();
@@ -70,7 +81,8 @@ window.Components.addAccountModal = () => ({
                 { id: 'github', name: 'GitHub Models', authType: 'api-key', color: '#6366f1' },
                 { id: 'copilot', name: 'GitHub Copilot', authType: 'device-auth', color: '#f97316' },
                 { id: 'openrouter', name: 'OpenRouter', authType: 'api-key', color: '#6d28d9' },
-                { id: 'codex', name: 'ChatGPT Plus/Pro (Codex)', authType: 'device-auth', color: '#10b981' }
+                { id: 'codex', name: 'ChatGPT Plus/Pro (Codex)', authType: 'device-auth', color: '#10b981' },
+                { id: 'custom', name: 'OpenAI-Compatible (Local)', authType: 'endpoint', color: '#64748b' }
             ];
         }
     },
@@ -122,11 +134,33 @@ window.Components.addAccountModal = () => ({
         return this.currentProvider?.id === 'codex';
     },
 
+    get isCustomProvider() {
+        return this.currentProvider?.authType === 'endpoint';
+    },
+
+    get isOpenAIProvider() {
+        return this.currentProvider?.id === 'openai';
+    },
+
+    /**
+     * Azure settings for the request payload (undefined unless Azure is enabled)
+     */
+    get azureConfig() {
+        if (!this.isOpenAIProvider || !this.azureEnabled) return undefined;
+        return {
+            deployment: this.azureDeployment.trim() || undefined,
+            deployments: this.azureDeployments.trim() || undefined,
+            apiVersion: this.azureApiVersion.trim() || undefined
+        };
+    },
+
     onProviderChange() {
         // Reset form fields when provider changes
         this.email = '';
         this.apiKey = '';
         this.customEndpoint = '';
+        this.resetAzureFields();
+        this.customModels = [];
         this.authUrl = '';
         this.callbackInput = '';
         this.manualMode = false;
@@ -461,6 +495,12 @@ window.Components.addAccountModal = () => ({
             if (this.customEndpoint && this.customEndpoint.trim()) {
                 payload.customApiEndpoint = this.customEndpoint.trim();
             }
+            if (this.azureConfig) {
+                if (!payload.customApiEndpoint) {
+                    throw new Error('Azure OpenAI requires the resource endpoint');
+                }
+                payload.azure = this.azureConfig;
+            }
 
             const { response, newPassword } = await window.utils.request(
                 '/api/accounts/add',
@@ -495,8 +535,10 @@ window.Components.addAccountModal = () => ({
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({
+                        email: this.email,
                         apiKey: this.apiKey,
-                        customApiEndpoint: this.customEndpoint || undefined
+                        customApiEndpoint: this.customEndpoint || undefined,
+                        azure: this.azureConfig
                     })
                 },
                 store.webuiPassword
@@ -510,6 +552,97 @@ window.Components.addAccountModal = () => ({
         }
     },
 
+    // ==================== Custom Server Methods (Ollama, vLLM, LM Studio) ==
+
+    /**
+     * List the server's models with their inferred capabilities
+     */
+    async discoverCustomModels() {
+        return await window.ErrorHandler.withLoading(async () => {
+            const store = Alpine.store('global');
+            if (!this.customEndpoint.trim()) {
+                throw new Error('Base URL is required');
+            }
+
+            const { response, newPassword } = await window.utils.request(
+                '/api/providers/custom/models',
+                {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        apiKey: this.apiKey || undefined,
+                        customApiEndpoint: this.customEndpoint.trim()
+                    })
+                },
+                store.webuiPassword
+            );
+            if (newPassword) store.webuiPassword = newPassword;
+
+            const data = await response.json();
+            if (data.status !== 'ok') {
+                throw new Error(data.error || 'Failed to list models');
+            }
+            if (data.models.length === 0) {
+                throw new Error('No models found - check the base URL and that the server is running');
+            }
+            this.customModels = data.models.map(model => ({ id: model.id, ...model.capabilities }));
+            store.showToast(`Found ${this.customModels.length} model(s)`, 'success');
+        }, this, 'customDiscovering', { errorMessage: 'Failed to discover models' });
+    },
+
+    async addCustomAccount() {
+        return await window.ErrorHandler.withLoading(async () => {
+            const store = Alpine.store('global');
+            const endpoint = this.customEndpoint.trim();
+            if (!endpoint) {
+                throw new Error('Base URL is required');
+            }
+
+            const payload = {
+                provider: 'custom',
+                email: this.email.trim() || `custom@${new URL(endpoint).host}`,
+                apiKey: this.apiKey || undefined,
+                customApiEndpoint: endpoint
+            };
+            if (this.customModels.length > 0) {
+                payload.modelCapabilities = Object.fromEntries(this.customModels.map(
+                    ({ id, tools, vision, reasoning }) => [id, { tools, vision, reasoning }]
+                ));
+            }
+
+            const { response, newPassword } = await window.utils.request(
+                '/api/accounts/add',
+                {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload)
+                },
+                store.webuiPassword
+            );
+            if (newPassword) store.webuiPassword = newPassword;
+
+            const data = await response.json();
+            if (data.status === 'ok') {
+                store.showToast(store.t('accountAdded', { email: payload.email }), 'success');
+                Alpine.store('data').fetchData();
+                document.getElementById('add_account_modal').close();
+                this.resetState();
+            } else {
+                throw new Error(data.error || store.t('addAccountFailed'));
+            }
+        }, this, 'submitting', { errorMessage: 'Failed to add account' });
+    },
+
+    /**
+     * Reset Azure OpenAI fields
+     */
+    resetAzureFields() {
+        this.azureEnabled = false;
+        this.azureDeployment = '';
+        this.azureDeployments = '';
+        this.azureApiVersion = '';
+    },
+
     /**
      * Reset all state to initial values
      */
@@ -518,6 +651,9 @@ window.Components.addAccountModal = () => ({
         this.email = '';
         this.apiKey = '';
         this.customEndpoint = '';
+        this.resetAzureFields();
+        this.customModels = [];
+        this.customDiscovering = false;
         this.manualMode = false;
         this.authUrl = '';
         this.authState = '';
@@ -0,0 +1,119 @@
+/**
+ * Audit Log Component
+ * Registers itself to window.Components for Alpine.js to consume
+ */
+window.Components = window.Components || {};
+
+// Records fetched per page
+const AUDIT_PAGE_SIZE = 50;
+
+window.Components.auditLog = () => ({
+    records: [],
+    enabled: false,
+    includeBodies: false,
+    files: [],
+    bytes: 0,
+    nextBefore: null,
+    loading: false,
+    filters: { search: '', client: '', model: '', status: '' },
+    selected: null, // Full record shown in the detail modal
+
+    init() {
+        if (this.$store.global.activeTab === 'audit') {
+            this.fetchRecords();
+        }
+
+        // Refresh when the page becomes active (skip initial trigger)
+        this.$watch('$store.global.activeTab', (tab, oldTab) => {
+            if (tab === 'audit' && oldTab !== undefined) {
+                this.fetchRecords();
+            }
+        });
+    },
+
+    // Fetch the first page, or the next one with more = true
+    async fetchRecords(more = false) {
+        const store = Alpine.store('global');
+        const params = new URLSearchParams({ limit: AUDIT_PAGE_SIZE });
+        for (const [name, value] of Object.entries(this.filters)) {
+            if (value.trim()) params.set(name, value.trim());
+        }
+        if (more && this.nextBefore) params.set('before', this.nextBefore);
+
+        this.loading = true;
+        try {
+            const { response, newPassword } = await window.utils.request(`/api/audit?${params}`, {}, store.webuiPassword);
+            if (newPassword) store.webuiPassword = newPassword;
+
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            this.records = more ? [...this.records, ...data.records] : data.records;
+            this.nextBefore = data.nextBefore;
+            this.enabled = data.enabled;
+            this.includeBodies = data.includeBodies;
+            this.files = data.files || [];
+            this.bytes = data.bytes || 0;
+        } catch (e) {
+            store.showToast(store.t('failedToLoadAudit') + ': ' + e.message, 'error');
+        } finally {
+            this.loading = false;
+        }
+    },
+
+    clearFilters() {
+        this.filters = { search: '', client: '', model: '', status: '' };
+        this.fetchRecords();
+    },
+
+    async openRecord(record) {
+        const store = Alpine.store('global');
+        try {
+            const { response, newPassword } = await window.utils.request(
+                `/api/audit/${encodeURIComponent(record.requestId)}`, {}, store.webuiPassword
+            );
+            if (newPassword) store.webuiPassword = newPassword;
+
+            const data = await response.json();
+            if (data.status !== 'ok') throw new Error(data.error || `HTTP ${response.status}`);
+            this.selected = data.record;
+            document.getElementById('audit_record_modal').showModal();
+        } catch (e) {
+            store.showToast(store.t('failedToLoadAudit') + ': ' + e.message, 'error');
+        }
+    },
+
+    // "in / out" token counts of a record
+    formatUsage(usage) {
+        if (!usage) return '-';
+        const input = (usage.input_tokens || 0) + (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0);
+        return `${input.toLocaleString()} / ${(usage.output_tokens || 0).toLocaleString()}`;
+    },
+
+    formatLatency(ms) {
+        return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+    },
+
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${bytes} B`;
+    },
+
+    statusClass(status) {
+        if (status >= 500) return 'text-red-500';
+        if (status >= 400) return 'text-yellow-400';
+        return 'text-neon-green';
+    },
+
+    // Requested model, plus the served model when a fallback answered
+    describeModel(record) {
+        if (!record.servedModel || record.servedModel === record.requestedModel) return record.requestedModel || '-';
+        return `${record.requestedModel} → ${record.servedModel}`;
+    },
+
+    // Account that answered, or where the answer came from instead
+    describeAnswer(record) {
+        if (record.source !== 'upstream') return Alpine.store('global').t('auditSource_' + record.source);
+        return record.account ? `${record.account} (${record.provider})` : '-';
+    }
+});
@@ -0,0 +1,128 @@
+/**
+ * Client Keys Component
+ * Registers itself to window.Components for Alpine.js to consume
+ */
+window.Components = window.Components || {};
+
+// Blank create-key form (comma-separated lists, limits as text)
+const emptyClientKeyForm = () => ({ name: '', expiresAt: '', allowedModels: '', allowedProviders: '', requestsPerMinute: '', tokensPerMinute: '', dailyTokens: '', monthlyTokens: '', dailyCostUsd: '', monthlyCostUsd: '' });
+
+window.Components.clientKeys = () => ({
+    keys: [],
+    createdKey: null, // { name, key } shown once after creation
+    newKey: emptyClientKeyForm(),
+
+    init() {
+        if (this.activeTab === 'server') {
+            this.fetchKeys();
+        }
+
+        // Watch local activeTab (from parent settings scope, skip initial trigger)
+        this.$watch('activeTab', (tab, oldTab) => {
+            if (tab === 'server' && oldTab !== undefined) {
+                this.fetchKeys();
+            }
+        });
+    },
+
+    async fetchKeys() {
+        const store = Alpine.store('global');
+        try {
+            const { response, newPassword } = await window.utils.request('/api/keys', {}, store.webuiPassword);
+            if (newPassword) store.webuiPassword = newPassword;
+
+            if (!response.ok) throw new Error('Failed to fetch client keys');
+            const data = await response.json();
+            this.keys = data.keys || [];
+        } catch (e) {
+            console.error('Failed to fetch client keys:', e);
+        }
+    },
+
+    // Build the POST /api/keys body from the form (empty fields are left out)
+    buildKeyInput() {
+        const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+        const limits = {};
+        for (const field of ['requestsPerMinute', 'tokensPerMinute', 'dailyTokens', 'monthlyTokens', 'dailyCostUsd', 'monthlyCostUsd']) {
+            const value = String(this.newKey[field]).trim();
+            if (value) limits[field] = Number(value);
+        }
+        return {
+            name: this.newKey.name.trim(),
+            expiresAt: this.newKey.expiresAt ? new Date(this.newKey.expiresAt).toISOString() : null,
+            allowedModels: list(this.newKey.allowedModels),
+            allowedProviders: list(this.newKey.allowedProviders),
+            limits
+        };
+    },
+
+    async createKey() {
+        const store = Alpine.store('global');
+        try {
+            const data = await this.keyRequest('/api/keys', 'POST', this.buildKeyInput());
+            this.createdKey = { name: data.record.name, key: data.key };
+            this.newKey = emptyClientKeyForm();
+            store.showToast(store.t('clientKeyCreated'), 'success');
+            await this.fetchKeys();
+        } catch (e) {
+            store.showToast(store.t('failedToSaveClientKey') + ': ' + e.message, 'error');
+        }
+    },
+
+    async revokeKey(key) {
+        const store = Alpine.store('global');
+        if (!confirm(store.t('confirmRevokeClientKey', { name: key.name }))) return;
+        try {
+            await this.keyRequest(`/api/keys/${encodeURIComponent(key.id)}/revoke`, 'POST');
+            store.showToast(store.t('clientKeyRevoked'), 'success');
+            await this.fetchKeys();
+        } catch (e) {
+            store.showToast(store.t('failedToSaveClientKey') + ': ' + e.message, 'error');
+        }
+    },
+
+    async deleteKey(key) {
+        const store = Alpine.store('global');
+        if (!confirm(store.t('confirmDeleteClientKey', { name: key.name }))) return;
+        try {
+            await this.keyRequest(`/api/keys/${encodeURIComponent(key.id)}`, 'DELETE');
+            store.showToast(store.t('clientKeyDeleted'), 'success');
+            await this.fetchKeys();
+        } catch (e) {
+            store.showToast(store.t('failedToSaveClientKey') + ': ' + e.message, 'error');
+        }
+    },
+
+    async copyCreatedKey() {
+        const store = Alpine.store('global');
+        await navigator.clipboard.writeText(this.createdKey.key);
+        store.showToast(store.t('clientKeyCopied'), 'success');
+    },
+
+    // Send a key management request, throwing the server's error message on failure
+    async keyRequest(url, method, body) {
+        const store = Alpine.store('global');
+        const options = { method };
+        if (body) {
+            options.headers = { 'Content-Type': 'application/json' };
+            options.body = JSON.stringify(body);
+        }
+        const { response, newPassword } = await window.utils.request(url, options, store.webuiPassword);
+        if (newPassword) store.webuiPassword = newPassword;
+
+        const data = await response.json();
+        if (data.status !== 'ok') throw new Error(data.error || `HTTP ${response.status}`);
+        return data;
+    },
+
+    // One-line summary of a key's policy for the list
+    describePolicy(key) {
+        const store = Alpine.store('global');
+        const parts = [];
+        if (key.allowedModels?.length) parts.push(key.allowedModels.join(', '));
+        if (key.allowedProviders?.length) parts.push('@' + key.allowedProviders.join('|'));
+        const limits = Object.entries(key.limits || {}).map(([name, value]) => `${name}=${value}`);
+        if (limits.length) parts.push(limits.join(' '));
+        return parts.length ? parts.join(' · ') : store.t('clientKeyUnrestricted');
+    }
+});
@@ -10,8 +10,10 @@ window.Components.dashboard = () => ({
     stats: { total: 0, active: 0, limited: 0, overallHealth: 0, hasTrendData: false },
     hasFilteredTrendData: true,
     charts: { quotaDistribution: null, usageTrend: null },
-    usageStats: { total: 0, today: 0, thisHour: 0 },
+    usageStats: { total: 0, today: 0, thisHour: 0, cacheHitRate: null },
+    costSummary: null,
     historyData: {},
+    tokenHistory: {},
     modelTree: {},
     families: [],
 
@@ -66,6 +68,8 @@ window.Components.dashboard = () => ({
                 this.historyData = newHistory;
                 this.processHistory(newHistory);
                 this.stats.hasTrendData = true;
+                this.loadCostSummary();
+                if (this.trendMetric === 'tokens') this.loadTokenUsage();
             }
         });
 
@@ -85,6 +89,8 @@ window.Components.dashboard = () => ({
                         this.historyData = history;
                         this.processHistory(history);
                         this.stats.hasTrendData = true;
+                        this.loadCostSummary();
+                        if (this.trendMetric === 'tokens') this.loadTokenUsage();
                     }
                 }
             });
@@ -95,6 +101,7 @@ window.Components.dashboard = () => ({
         // Build model tree from hierarchical data
         const tree = {};
         let total = 0, today = 0, thisHour = 0;
+        let cacheHits = 0, cacheLookups = 0;
 
         const now = new Date();
         const todayStart = new Date(now);
@@ -125,6 +132,8 @@ window.Components.dashboard = () => ({
             // Calculate totals
             const hourTotal = hourData._total || hourData.total || 0;
             total += hourTotal;
+            cacheHits += hourData._cacheHits || 0;
+            cacheLookups += (hourData._cacheHits || 0) + (hourData._cacheMisses || 0);
 
             if (timestamp >= todayStart) {
                 today += hourTotal;
@@ -134,7 +143,9 @@ window.Components.dashboard = () => ({
             }
         });
 
-        this.usageStats = { total, today, thisHour };
+        // Response cache hit rate over the loaded history (null while the cache saw no lookups)
+        const cacheHitRate = cacheLookups > 0 ? Math.round((cacheHits / cacheLookups) * 100) : null;
+        this.usageStats = { total, today, thisHour, cacheHitRate };
 
         // Convert Sets to sorted arrays
         this.modelTree = {};
@@ -154,11 +165,19 @@ window.Components.dashboard = () => ({
         window.DashboardStats.updateStats(this);
     },
 
+    loadCostSummary() {
+        return window.DashboardStats.loadCostSummary(this);
+    },
+
     // Delegation methods for charts
     updateCharts() {
         window.DashboardCharts.updateCharts(this);
     },
 
+    loadTokenUsage() {
+        return window.DashboardCharts.loadTokenUsage(this);
+    },
+
     updateTrendChart() {
         // Use debounced version to prevent rapid successive updates
         if (this._debouncedUpdateTrendChart) {
@@ -182,6 +201,10 @@ window.Components.dashboard = () => ({
         window.DashboardFilters.setDisplayMode(this, mode);
     },
 
+    setTrendMetric(metric) {
+        window.DashboardFilters.setTrendMetric(this, metric);
+    },
+
     setTimeRange(range) {
         window.DashboardFilters.setTimeRange(this, range);
     },
@@ -48,7 +48,9 @@ const PROVIDER_COLORS = {
   openai: '#10b981',
   github: '#6366f1',
   copilot: '#f97316',
-  openrouter: '#6d28d9'
+  openrouter: '#6d28d9',
+  codex: '#10b981',
+  custom: '#64748b'
 };
 
 const MODEL_COLORS = Array.from({ length: 16 }, (_, i) =>
@@ -327,6 +329,57 @@ window.DashboardCharts.updateCharts = function (component) {
   }
 };
 
+/**
+ * Reshape /api/stats/usage rows (grouped by hour, family and model) into the
+ * usage history format, with token totals in place of request counts
+ * @param {Array} rows - Usage rows
+ * @returns {object} { "<hour>": { "<family>": { "<model>": tokens, "_subtotal": tokens }, "_total": tokens } }
+ */
+window.DashboardCharts.tokenUsageToHistory = function (rows) {
+  const history = {};
+  rows.forEach((row) => {
+    const tokens = row.input_tokens + row.output_tokens +
+      row.cache_read_input_tokens + row.cache_creation_input_tokens;
+    // Same short names as the request history (usage-stats getShortName)
+    const model = row.family === "other" || row.family === "o1"
+      ? row.model
+      : row.model.replace(new RegExp(`^${row.family}-`, "i"), "");
+
+    const hourData = (history[row.hour] ||= { _total: 0 });
+    const familyData = (hourData[row.family] ||= { _subtotal: 0 });
+    familyData[model] = (familyData[model] || 0) + tokens;
+    familyData._subtotal += tokens;
+    hourData._total += tokens;
+  });
+  return history;
+};
+
+/**
+ * Load hourly token usage for the trend chart's token metric
+ * @param {object} component - Dashboard component instance
+ */
+window.DashboardCharts.loadTokenUsage = async function (component) {
+  try {
+    const password = Alpine.store("global").webuiPassword;
+    // Same 30-day window as the request history; the time range filter applies client-side
+    const from = Date.now() - 30 * 24 * 60 * 60 * 1000;
+    const { response, newPassword } = await window.utils.request(
+      `/api/stats/usage?groupBy=hour,family,model&from=${from}`,
+      {},
+      password
+    );
+    if (newPassword) Alpine.store("global").webuiPassword = newPassword;
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const data = await response.json();
+    component.tokenHistory = window.DashboardCharts.tokenUsageToHistory(data.rows || []);
+  } catch (e) {
+    if (window.UILogger) window.UILogger.debug("[loadTokenUsage] Failed to load token usage:", e.message);
+    component.tokenHistory = {};
+  }
+  component.updateTrendChart();
+};
+
 /**
  * Update usage trend line chart
  * @param {object} component - Dashboard component instance
@@ -27,6 +27,7 @@ window.DashboardFilters.getInitialState = function() {
     return {
         timeRange: '24h',  // '1h', '6h', '24h', '7d', 'all'
         displayMode: 'model',
+        trendMetric: 'requests',  // 'requests' or 'tokens'
         selectedFamilies: [],
         selectedModels: {},
         showModelFilter: false,
@@ -46,6 +47,7 @@ window.DashboardFilters.loadPreferences = function(component) {
             const prefs = JSON.parse(saved);
             component.timeRange = prefs.timeRange || '24h';
             component.displayMode = prefs.displayMode || 'model';
+            component.trendMetric = prefs.trendMetric || 'requests';
             component.selectedFamilies = prefs.selectedFamilies || [];
             component.selectedModels = prefs.selectedModels || {};
         }
@@ -63,6 +65,7 @@ window.DashboardFilters.savePreferences = function(component) {
         localStorage.setItem('dashboard_chart_prefs', JSON.stringify({
             timeRange: component.timeRange,
             displayMode: component.displayMode,
+            trendMetric: component.trendMetric,
             selectedFamilies: component.selectedFamilies,
             selectedModels: component.selectedModels
         }));
@@ -84,6 +87,22 @@ window.DashboardFilters.setDisplayMode = function(component, mode) {
     component.updateTrendChart();
 };
 
+/**
+ * Set trend chart metric (request counts or token totals)
+ * @param {object} component - Dashboard component instance
+ * @param {string} metric - 'requests' or 'tokens'
+ */
+window.DashboardFilters.setTrendMetric = function(component, metric) {
+    component.trendMetric = metric;
+    component.showDisplayModeDropdown = false;
+    window.DashboardFilters.savePreferences(component);
+    if (metric === 'tokens') {
+        component.loadTokenUsage();
+    } else {
+        component.updateTrendChart();
+    }
+};
+
 /**
  * Set time range filter
  * @param {object} component - Dashboard component instance
@@ -118,7 +137,7 @@ window.DashboardFilters.getTimeRangeCutoff = function(range) {
  * @returns {object} Filtered history data
  */
 window.DashboardFilters.getFilteredHistoryData = function(component) {
-    const history = component.historyData;
+    const history = component.trendMetric === 'tokens' ? component.tokenHistory : component.historyData;
     if (!history || Object.keys(history).length === 0) return {};
 
     const cutoff = window.DashboardFilters.getTimeRangeCutoff(component.timeRange);
@@ -108,3 +108,30 @@ window.DashboardStats.updateStats = function(component) {
     });
     component.stats.subscription = subscription;
 };
+
+/**
+ * 加载本月费用估算（/api/stats/cost）
+ *
+ * 结果写入 component.costSummary：
+ *   - actualUsd: 估算实际花费（按量计费 + 订阅月费）
+ *   - listPriceUsd: 同等流量按 Anthropic 官方价格的花费
+ *   - savingsUsd: 两者差额
+ * 请求失败或本月无流量时为 null（隐藏费用标签）
+ *
+ * @param {object} component - Dashboard 组件实例
+ * @returns {Promise<void>}
+ */
+window.DashboardStats.loadCostSummary = async function(component) {
+    try {
+        const password = Alpine.store('global').webuiPassword;
+        const { response, newPassword } = await window.utils.request('/api/stats/cost', {}, password);
+        if (newPassword) Alpine.store('global').webuiPassword = newPassword;
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const { totals } = await response.json();
+        component.costSummary = totals.requests > 0 ? totals : null;
+    } catch (e) {
+        if (window.UILogger) window.UILogger.debug('[loadCostSummary] Failed to load cost report:', e.message);
+        component.costSummary = null;
+    }
+};
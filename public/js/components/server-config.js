@@ -6,6 +6,7 @@ window.Components = window.Components || {};
 
 window.Components.serverConfig = () => ({
     serverConfig: {},
+    fallbackChains: [], // Editable rows: { model, fallbacks: 'a, b@provider', triggers: [] }
     loading: false,
     advancedExpanded: false,
     debounceTimers: {}, // Store debounce timers for each config field
@@ -33,6 +34,11 @@ window.Components.serverConfig = () => ({
             if (!response.ok) throw new Error('Failed to fetch config');
             const data = await response.json();
             this.serverConfig = data.config || {};
+            this.fallbackChains = Object.entries(this.serverConfig.modelFallback?.chains || {}).map(([model, chain]) => ({
+                model,
+                fallbacks: (chain.fallbacks || []).join(', '),
+                triggers: chain.triggers || ['quota', 'capacity']
+            }));
         } catch (e) {
             console.error('Failed to fetch server config:', e);
         }
@@ -324,6 +330,61 @@ window.Components.serverConfig = () => ({
         }
     },
 
+    // Toggle the built-in one-hop model fallbacks
+    async toggleBuiltinFallback(enabled) {
+        await this.saveModelFallback({ ...(this.serverConfig.modelFallback || {}), enabled });
+    },
+
+    addFallbackChain() {
+        this.fallbackChains.push({ model: '', fallbacks: '', triggers: ['quota', 'capacity'] });
+    },
+
+    removeFallbackChain(index) {
+        this.fallbackChains.splice(index, 1);
+    },
+
+    toggleFallbackTrigger(chain, trigger) {
+        chain.triggers = chain.triggers.includes(trigger)
+            ? chain.triggers.filter(t => t !== trigger)
+            : [...chain.triggers, trigger];
+    },
+
+    // Save the edited fallback chains (rows without a model or fallbacks are dropped)
+    async saveFallbackChains() {
+        const chains = {};
+        for (const row of this.fallbackChains) {
+            const model = row.model.trim();
+            const fallbacks = row.fallbacks.split(/[,→]/).map(hop => hop.trim()).filter(Boolean);
+            if (model && fallbacks.length > 0) {
+                chains[model] = { fallbacks, triggers: row.triggers };
+            }
+        }
+        await this.saveModelFallback({ ...(this.serverConfig.modelFallback || {}), chains });
+    },
+
+    async saveModelFallback(modelFallback) {
+        const store = Alpine.store('global');
+        try {
+            const { response, newPassword } = await window.utils.request('/api/config', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ modelFallback })
+            }, store.webuiPassword);
+
+            if (newPassword) store.webuiPassword = newPassword;
+
+            const data = await response.json();
+            if (data.status === 'ok') {
+                store.showToast(store.t('fallbackSaved'), 'success');
+                await this.fetchServerConfig(); // Confirm server state
+            } else {
+                throw new Error(data.error || store.t('failedToSaveFallback'));
+            }
+        } catch (e) {
+            store.showToast(store.t('failedToSaveFallback') + ': ' + e.message, 'error');
+        }
+    },
+
     // Get display label for a strategy
     getStrategyLabel(strategy) {
         const store = Alpine.store('global');
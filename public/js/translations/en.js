@@ -210,6 +210,8 @@ window.translations.en = {
     familyGpt: "GPT",
     familyO1: "O-series",
     familyOther: "Other",
+    metricRequests: "Requests",
+    metricTokens: "Tokens",
     enabledStatus: "enabled",
     disabledStatus: "disabled",
     logLevelInfo: "INFO",
@@ -219,6 +221,9 @@ window.translations.en = {
     totalColon: "Total:",
     todayColon: "Today:",
     hour1Colon: "1H:",
+    cacheHitRateColon: "Cache:",
+    costMonthColon: "Cost (month):",
+    costListPriceHint: "At Anthropic list prices: {list} (saved {saved})",
     frequentModels: "Frequent",
     smartTitle: "Auto-select top 5 most used models (24h)",
     activeCount: "{count} Active",
@@ -364,6 +369,73 @@ window.translations.en = {
     strategyUpdated: "Strategy updated to: {strategy}",
     failedToUpdateStrategy: "Failed to update strategy",
     invalidStrategy: "Invalid strategy selected",
+    // Model Fallback
+    modelFallback: "Model Fallback",
+    builtinFallback: "Built-in Fallbacks",
+    builtinFallbackDesc: "One-hop defaults for models without a chain (same as --fallback).",
+    fallbackChains: "Fallback Chains",
+    fallbackChainsDesc: "Models tried in order when a request fails. Pin a hop to a provider with model@provider.",
+    addFallbackChain: "Add Chain",
+    noFallbackChains: "No chains configured",
+    saveFallbackChains: "Save Chains",
+    fallbackTrigger_quota: "Quota exhausted",
+    fallbackTrigger_capacity: "Capacity",
+    fallbackTrigger_context: "Context too long",
+    fallbackTrigger_auth: "Auth failure",
+    fallbackSaved: "Model fallback saved",
+    failedToSaveFallback: "Failed to save model fallback",
+    // Client API Keys
+    clientKeys: "Client API Keys",
+    clientKeysTitle: "Named Keys",
+    clientKeysDesc: "Once a key exists, /v1 requests must present one. Usage is attributed to the key's name.",
+    noClientKeys: "No keys created",
+    createClientKey: "Create Key",
+    clientKeyShownOnce: "Key for \"{name}\": copy it now, it will not be shown again.",
+    clientKeyCopy: "Copy",
+    clientKeyCopied: "Key copied to clipboard",
+    clientKeyRevoke: "Revoke",
+    clientKeyRpm: "Requests/min",
+    clientKeyTpm: "Tokens/min",
+    clientKeyDailyTokens: "Daily tokens",
+    clientKeyMonthlyTokens: "Monthly tokens",
+    clientKeyDailyCost: "Daily budget $",
+    clientKeyMonthlyCost: "Monthly budget $",
+    clientKeyExpires: "Expires {date}",
+    clientKeyUnrestricted: "All models and providers, no limits",
+    clientKeyStatus_active: "Active",
+    clientKeyStatus_expired: "Expired",
+    clientKeyStatus_revoked: "Revoked",
+    clientKeyCreated: "Client key created",
+    clientKeyRevoked: "Client key revoked",
+    clientKeyDeleted: "Client key deleted",
+    failedToSaveClientKey: "Failed to update client keys",
+    confirmRevokeClientKey: "Revoke key \"{name}\"? Clients using it will be rejected.",
+    confirmDeleteClientKey: "Delete key \"{name}\"? This cannot be undone.",
+    // Audit Log
+    audit: "Audit",
+    auditPageDesc: "Requests, routing and responses",
+    auditDisabled: "Audit logging is off. Set auditLog.enabled in config.json to start recording requests.",
+    auditFiles: "{count} files · {size}",
+    auditSearch: "Search request ID, account, bodies...",
+    auditClient: "Client",
+    auditModel: "Model",
+    auditStatus: "Status",
+    auditApply: "Apply",
+    auditClear: "Clear",
+    auditTime: "Time",
+    auditAnsweredBy: "Answered By",
+    auditAttempts: "Attempts",
+    auditStopReason: "Stop Reason",
+    auditTokens: "Tokens In / Out",
+    auditLatency: "Latency",
+    auditLoadMore: "Load more",
+    noAuditRecords: "No audit records",
+    auditRecord: "Audit Record",
+    auditBodiesOff: "Request and response bodies are not recorded (auditLog.includeBodies is off).",
+    auditSource_cache: "Response cache",
+    auditSource_replay: "Idempotent replay",
+    auditSource_coalesced: "Coalesced duplicate",
+    failedToLoadAudit: "Failed to load audit log",
     // Validation Messages
     mustBeValidNumber: "{fieldName} must be a valid number",
     mustBeAtLeast: "{fieldName} must be at least {min}",
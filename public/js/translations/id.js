@@ -242,6 +242,8 @@ window.translations.id = {
     familyGpt: "GPT",
     familyO1: "Seri O",
     familyOther: "Lainnya",
+    metricRequests: "Permintaan",
+    metricTokens: "Token",
     enabledStatus: "diaktifkan",
     disabledStatus: "dinonaktifkan",
     logLevelInfo: "INFO",
@@ -251,6 +253,9 @@ window.translations.id = {
     totalColon: "Total:",
     todayColon: "Hari Ini:",
     hour1Colon: "1j:",
+    cacheHitRateColon: "Cache:",
+    costMonthColon: "Biaya (bulan):",
+    costListPriceHint: "Dengan harga resmi Anthropic: {list} (hemat {saved})",
     frequentModels: "Sering Dipakai",
     smartTitle: "Otomatis pilih 5 model paling sering dipakai (24 jam)",
     activeCount: "{count} Aktif",
@@ -413,4 +418,71 @@ window.translations.id = {
     strategyUpdated: "Strategi diubah ke: {strategy}",
     failedToUpdateStrategy: "Gagal memperbarui strategi",
     invalidStrategy: "Strategi tidak valid dipilih",
+    // Model Fallback
+    modelFallback: "Fallback Model",
+    builtinFallback: "Fallback Bawaan",
+    builtinFallbackDesc: "Fallback satu langkah bawaan untuk model tanpa rantai (sama dengan --fallback).",
+    fallbackChains: "Rantai Fallback",
+    fallbackChainsDesc: "Model yang dicoba berurutan saat permintaan gagal. Kunci langkah ke penyedia dengan model@provider.",
+    addFallbackChain: "Tambah Rantai",
+    noFallbackChains: "Belum ada rantai",
+    saveFallbackChains: "Simpan Rantai",
+    fallbackTrigger_quota: "Kuota habis",
+    fallbackTrigger_capacity: "Kapasitas",
+    fallbackTrigger_context: "Konteks terlalu panjang",
+    fallbackTrigger_auth: "Gagal autentikasi",
+    fallbackSaved: "Fallback model disimpan",
+    failedToSaveFallback: "Gagal menyimpan fallback model",
+    // Client API Keys
+    clientKeys: "Kunci API Klien",
+    clientKeysTitle: "Kunci Bernama",
+    clientKeysDesc: "Setelah ada kunci, permintaan /v1 wajib menyertakan kunci. Penggunaan dicatat atas nama kunci.",
+    noClientKeys: "Belum ada kunci",
+    createClientKey: "Buat Kunci",
+    clientKeyShownOnce: "Kunci untuk \"{name}\": salin sekarang, kunci tidak akan ditampilkan lagi.",
+    clientKeyCopy: "Salin",
+    clientKeyCopied: "Kunci disalin ke clipboard",
+    clientKeyRevoke: "Cabut",
+    clientKeyRpm: "Permintaan/menit",
+    clientKeyTpm: "Token/menit",
+    clientKeyDailyTokens: "Token harian",
+    clientKeyMonthlyTokens: "Token bulanan",
+    clientKeyDailyCost: "Anggaran harian $",
+    clientKeyMonthlyCost: "Anggaran bulanan $",
+    clientKeyExpires: "Kedaluwarsa {date}",
+    clientKeyUnrestricted: "Semua model dan provider, tanpa batas",
+    clientKeyStatus_active: "Aktif",
+    clientKeyStatus_expired: "Kedaluwarsa",
+    clientKeyStatus_revoked: "Dicabut",
+    clientKeyCreated: "Kunci klien dibuat",
+    clientKeyRevoked: "Kunci klien dicabut",
+    clientKeyDeleted: "Kunci klien dihapus",
+    failedToSaveClientKey: "Gagal memperbarui kunci klien",
+    confirmRevokeClientKey: "Cabut kunci \"{name}\"? Klien yang memakainya akan ditolak.",
+    confirmDeleteClientKey: "Hapus kunci \"{name}\"? Tindakan ini tidak dapat dibatalkan.",
+    // Audit Log
+    audit: "Audit",
+    auditPageDesc: "Permintaan, perutean, dan respons",
+    auditDisabled: "Log audit nonaktif. Atur auditLog.enabled di config.json untuk mulai mencatat permintaan.",
+    auditFiles: "{count} file · {size}",
+    auditSearch: "Cari ID permintaan, akun, isi...",
+    auditClient: "Klien",
+    auditModel: "Model",
+    auditStatus: "Status",
+    auditApply: "Terapkan",
+    auditClear: "Bersihkan",
+    auditTime: "Waktu",
+    auditAnsweredBy: "Dijawab Oleh",
+    auditAttempts: "Percobaan",
+    auditStopReason: "Alasan Berhenti",
+    auditTokens: "Token Masuk / Keluar",
+    auditLatency: "Latensi",
+    auditLoadMore: "Muat lebih banyak",
+    noAuditRecords: "Tidak ada catatan audit",
+    auditRecord: "Catatan Audit",
+    auditBodiesOff: "Isi permintaan dan respons tidak dicatat (auditLog.includeBodies nonaktif).",
+    auditSource_cache: "Cache respons",
+    auditSource_replay: "Replay idempoten",
+    auditSource_coalesced: "Duplikat digabung",
+    failedToLoadAudit: "Gagal memuat log audit",
 };
@@ -189,6 +189,8 @@ window.translations.pt = {
     familyGpt: "GPT",
     familyO1: "Série O",
     familyOther: "Outro",
+    metricRequests: "Requisições",
+    metricTokens: "Tokens",
     enabledStatus: "habilitado",
     disabledStatus: "desabilitado",
     logLevelInfo: "INFO",
@@ -198,6 +200,9 @@ window.translations.pt = {
     totalColon: "Total:",
     todayColon: "Hoje:",
     hour1Colon: "1H:",
+    cacheHitRateColon: "Cache:",
+    costMonthColon: "Custo (mês):",
+    costListPriceHint: "A preços de tabela da Anthropic: {list} (economia de {saved})",
     frequentModels: "Frequentes",
     smartTitle: "Auto-selecionar os 5 modelos mais usados (24h)",
     activeCount: "{count} Ativos",
@@ -311,4 +316,71 @@ window.translations.pt = {
     strategyUpdated: "Estratégia atualizada para: {strategy}",
     failedToUpdateStrategy: "Falha ao atualizar estratégia",
     invalidStrategy: "Estratégia inválida selecionada",
+    // Model Fallback
+    modelFallback: "Fallback de Modelo",
+    builtinFallback: "Fallbacks Padrão",
+    builtinFallbackDesc: "Fallback de um salto para modelos sem cadeia (igual a --fallback).",
+    fallbackChains: "Cadeias de Fallback",
+    fallbackChainsDesc: "Modelos tentados em ordem quando uma requisição falha. Fixe um salto em um provedor com model@provider.",
+    addFallbackChain: "Adicionar Cadeia",
+    noFallbackChains: "Nenhuma cadeia configurada",
+    saveFallbackChains: "Salvar Cadeias",
+    fallbackTrigger_quota: "Cota esgotada",
+    fallbackTrigger_capacity: "Capacidade",
+    fallbackTrigger_context: "Contexto muito longo",
+    fallbackTrigger_auth: "Falha de autenticação",
+    fallbackSaved: "Fallback de modelo salvo",
+    failedToSaveFallback: "Falha ao salvar fallback de modelo",
+    // Client API Keys
+    clientKeys: "Chaves de API de Cliente",
+    clientKeysTitle: "Chaves Nomeadas",
+    clientKeysDesc: "Quando existe uma chave, as requisições /v1 precisam apresentar uma. O uso é atribuído ao nome da chave.",
+    noClientKeys: "Nenhuma chave criada",
+    createClientKey: "Criar Chave",
+    clientKeyShownOnce: "Chave para \"{name}\": copie agora, ela não será exibida novamente.",
+    clientKeyCopy: "Copiar",
+    clientKeyCopied: "Chave copiada para a área de transferência",
+    clientKeyRevoke: "Revogar",
+    clientKeyRpm: "Requisições/min",
+    clientKeyTpm: "Tokens/min",
+    clientKeyDailyTokens: "Tokens diários",
+    clientKeyMonthlyTokens: "Tokens mensais",
+    clientKeyDailyCost: "Orçamento diário $",
+    clientKeyMonthlyCost: "Orçamento mensal $",
+    clientKeyExpires: "Expira em {date}",
+    clientKeyUnrestricted: "Todos os modelos e provedores, sem limites",
+    clientKeyStatus_active: "Ativa",
+    clientKeyStatus_expired: "Expirada",
+    clientKeyStatus_revoked: "Revogada",
+    clientKeyCreated: "Chave de cliente criada",
+    clientKeyRevoked: "Chave de cliente revogada",
+    clientKeyDeleted: "Chave de cliente excluída",
+    failedToSaveClientKey: "Falha ao atualizar chaves de cliente",
+    confirmRevokeClientKey: "Revogar a chave \"{name}\"? Clientes que a usam serão rejeitados.",
+    confirmDeleteClientKey: "Excluir a chave \"{name}\"? Esta ação não pode ser desfeita.",
+    // Audit Log
+    audit: "Auditoria",
+    auditPageDesc: "Requisições, roteamento e respostas",
+    auditDisabled: "O log de auditoria está desativado. Defina auditLog.enabled no config.json para começar a registrar requisições.",
+    auditFiles: "{count} arquivos · {size}",
+    auditSearch: "Buscar ID da requisição, conta, corpos...",
+    auditClient: "Cliente",
+    auditModel: "Modelo",
+    auditStatus: "Status",
+    auditApply: "Aplicar",
+    auditClear: "Limpar",
+    auditTime: "Hora",
+    auditAnsweredBy: "Respondido Por",
+    auditAttempts: "Tentativas",
+    auditStopReason: "Motivo da Parada",
+    auditTokens: "Tokens Entrada / Saída",
+    auditLatency: "Latência",
+    auditLoadMore: "Carregar mais",
+    noAuditRecords: "Nenhum registro de auditoria",
+    auditRecord: "Registro de Auditoria",
+    auditBodiesOff: "Os corpos de requisição e resposta não são registrados (auditLog.includeBodies desativado).",
+    auditSource_cache: "Cache de respostas",
+    auditSource_replay: "Replay idempotente",
+    auditSource_coalesced: "Duplicata agrupada",
+    failedToLoadAudit: "Falha ao carregar o log de auditoria",
 };
@@ -192,6 +192,8 @@ window.translations.tr = {
     familyGpt: "GPT",
     familyO1: "O-serisi",
     familyOther: "Diğer",
+    metricRequests: "İstekler",
+    metricTokens: "Token",
     enabledStatus: "etkin",
     disabledStatus: "devre dışı",
     logLevelInfo: "BİLGİ",
@@ -201,6 +203,9 @@ window.translations.tr = {
     totalColon: "Toplam:",
     todayColon: "Bugün:",
     hour1Colon: "1S:",
+    cacheHitRateColon: "Önbellek:",
+    costMonthColon: "Maliyet (ay):",
+    costListPriceHint: "Anthropic liste fiyatlarıyla: {list} ({saved} tasarruf)",
     frequentModels: "Sık Kullanılan",
     smartTitle: "En çok kullanılan 5 modeli otomatik seç (24s)",
     activeCount: "{count} Aktif",
@@ -360,4 +365,71 @@ window.translations.tr = {
     strategyUpdated: "Strateji şu şekilde güncellendi: {strategy}",
     failedToUpdateStrategy: "Strateji güncellenemedi",
     invalidStrategy: "Geçersiz strateji seçildi",
+    // Model Fallback
+    modelFallback: "Model Yedekleme",
+    builtinFallback: "Yerleşik Yedekler",
+    builtinFallbackDesc: "Zinciri olmayan modeller için tek adımlı varsayılan yedekler (--fallback ile aynı).",
+    fallbackChains: "Yedek Zincirleri",
+    fallbackChainsDesc: "Bir istek başarısız olduğunda sırayla denenen modeller. Bir adımı model@provider ile sağlayıcıya sabitleyin.",
+    addFallbackChain: "Zincir Ekle",
+    noFallbackChains: "Yapılandırılmış zincir yok",
+    saveFallbackChains: "Zincirleri Kaydet",
+    fallbackTrigger_quota: "Kota tükendi",
+    fallbackTrigger_capacity: "Kapasite",
+    fallbackTrigger_context: "Bağlam çok uzun",
+    fallbackTrigger_auth: "Kimlik doğrulama hatası",
+    fallbackSaved: "Model yedekleme kaydedildi",
+    failedToSaveFallback: "Model yedekleme kaydedilemedi",
+    // Client API Keys
+    clientKeys: "İstemci API Anahtarları",
+    clientKeysTitle: "Adlandırılmış Anahtarlar",
+    clientKeysDesc: "Bir anahtar oluşturulduktan sonra /v1 istekleri anahtar sunmalıdır. Kullanım anahtarın adına kaydedilir.",
+    noClientKeys: "Henüz anahtar yok",
+    createClientKey: "Anahtar Oluştur",
+    clientKeyShownOnce: "\"{name}\" anahtarı: şimdi kopyalayın, tekrar gösterilmeyecek.",
+    clientKeyCopy: "Kopyala",
+    clientKeyCopied: "Anahtar panoya kopyalandı",
+    clientKeyRevoke: "İptal Et",
+    clientKeyRpm: "İstek/dk",
+    clientKeyTpm: "Token/dk",
+    clientKeyDailyTokens: "Günlük token",
+    clientKeyMonthlyTokens: "Aylık token",
+    clientKeyDailyCost: "Günlük bütçe $",
+    clientKeyMonthlyCost: "Aylık bütçe $",
+    clientKeyExpires: "Bitiş {date}",
+    clientKeyUnrestricted: "Tüm modeller ve sağlayıcılar, sınırsız",
+    clientKeyStatus_active: "Aktif",
+    clientKeyStatus_expired: "Süresi doldu",
+    clientKeyStatus_revoked: "İptal edildi",
+    clientKeyCreated: "İstemci anahtarı oluşturuldu",
+    clientKeyRevoked: "İstemci anahtarı iptal edildi",
+    clientKeyDeleted: "İstemci anahtarı silindi",
+    failedToSaveClientKey: "İstemci anahtarları güncellenemedi",
+    confirmRevokeClientKey: "\"{name}\" anahtarı iptal edilsin mi? Bu anahtarı kullanan istemciler reddedilecek.",
+    confirmDeleteClientKey: "\"{name}\" anahtarı silinsin mi? Bu işlem geri alınamaz.",
+    // Audit Log
+    audit: "Denetim",
+    auditPageDesc: "İstekler, yönlendirme ve yanıtlar",
+    auditDisabled: "Denetim kaydı kapalı. İstekleri kaydetmeye başlamak için config.json içinde auditLog.enabled ayarlayın.",
+    auditFiles: "{count} dosya · {size}",
+    auditSearch: "İstek kimliği, hesap, gövde ara...",
+    auditClient: "İstemci",
+    auditModel: "Model",
+    auditStatus: "Durum",
+    auditApply: "Uygula",
+    auditClear: "Temizle",
+    auditTime: "Zaman",
+    auditAnsweredBy: "Yanıtlayan",
+    auditAttempts: "Denemeler",
+    auditStopReason: "Durma Nedeni",
+    auditTokens: "Token Giriş / Çıkış",
+    auditLatency: "Gecikme",
+    auditLoadMore: "Daha fazla yükle",
+    noAuditRecords: "Denetim kaydı yok",
+    auditRecord: "Denetim Kaydı",
+    auditBodiesOff: "İstek ve yanıt gövdeleri kaydedilmiyor (auditLog.includeBodies kapalı).",
+    auditSource_cache: "Yanıt önbelleği",
+    auditSource_replay: "Idempotent tekrar",
+    auditSource_coalesced: "Birleştirilmiş kopya",
+    failedToLoadAudit: "Denetim kaydı yüklenemedi",
 };
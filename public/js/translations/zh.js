@@ -210,6 +210,8 @@ window.translations.zh = {
     familyGpt: "GPT 系列",
     familyO1: "O 系列",
     familyOther: "其他系列",
+    metricRequests: "请求数",
+    metricTokens: "Token 数",
     enabledStatus: "已启用",
     disabledStatus: "已禁用",
     logLevelInfo: "信息",
@@ -219,6 +221,9 @@ window.translations.zh = {
     totalColon: "总计:",
     todayColon: "今日:",
     hour1Colon: "1小时:",
+    cacheHitRateColon: "缓存:",
+    costMonthColon: "本月费用:",
+    costListPriceHint: "按 Anthropic 官方价格: {list}（节省 {saved}）",
     frequentModels: "常用推荐",
     smartTitle: "自动选出过去 24 小时最常用的 5 个模型",
     activeCount: "{count} 活跃",
@@ -375,4 +380,71 @@ window.translations.zh = {
     strategyUpdated: "策略已更新为: {strategy}",
     failedToUpdateStrategy: "更新策略失败",
     invalidStrategy: "选择了无效的策略",
+    // Model Fallback
+    modelFallback: "模型回退",
+    builtinFallback: "内置回退",
+    builtinFallbackDesc: "未配置链的模型使用默认单跳回退（等同于 --fallback）。",
+    fallbackChains: "回退链",
+    fallbackChainsDesc: "请求失败时按顺序尝试的模型。使用 model@provider 将某一跳固定到提供商。",
+    addFallbackChain: "添加链",
+    noFallbackChains: "未配置回退链",
+    saveFallbackChains: "保存回退链",
+    fallbackTrigger_quota: "配额耗尽",
+    fallbackTrigger_capacity: "容量不足",
+    fallbackTrigger_context: "上下文过长",
+    fallbackTrigger_auth: "认证失败",
+    fallbackSaved: "模型回退已保存",
+    failedToSaveFallback: "保存模型回退失败",
+    // Client API Keys
+    clientKeys: "客户端 API 密钥",
+    clientKeysTitle: "命名密钥",
+    clientKeysDesc: "存在密钥后，/v1 请求必须携带密钥。用量按密钥名称统计。",
+    noClientKeys: "尚未创建密钥",
+    createClientKey: "创建密钥",
+    clientKeyShownOnce: "\"{name}\" 的密钥：请立即复制，之后不会再次显示。",
+    clientKeyCopy: "复制",
+    clientKeyCopied: "密钥已复制到剪贴板",
+    clientKeyRevoke: "吊销",
+    clientKeyRpm: "每分钟请求数",
+    clientKeyTpm: "每分钟 Token",
+    clientKeyDailyTokens: "每日 Token",
+    clientKeyMonthlyTokens: "每月 Token",
+    clientKeyDailyCost: "每日预算 $",
+    clientKeyMonthlyCost: "每月预算 $",
+    clientKeyExpires: "过期时间 {date}",
+    clientKeyUnrestricted: "所有模型和提供商，无限制",
+    clientKeyStatus_active: "有效",
+    clientKeyStatus_expired: "已过期",
+    clientKeyStatus_revoked: "已吊销",
+    clientKeyCreated: "客户端密钥已创建",
+    clientKeyRevoked: "客户端密钥已吊销",
+    clientKeyDeleted: "客户端密钥已删除",
+    failedToSaveClientKey: "更新客户端密钥失败",
+    confirmRevokeClientKey: "吊销密钥 \"{name}\"？使用该密钥的客户端将被拒绝。",
+    confirmDeleteClientKey: "删除密钥 \"{name}\"？此操作无法撤销。",
+    // Audit Log
+    audit: "审计",
+    auditPageDesc: "请求、路由与响应",
+    auditDisabled: "审计日志已关闭。在 config.json 中设置 auditLog.enabled 以开始记录请求。",
+    auditFiles: "{count} 个文件 · {size}",
+    auditSearch: "搜索请求 ID、账号、内容...",
+    auditClient: "客户端",
+    auditModel: "模型",
+    auditStatus: "状态",
+    auditApply: "应用",
+    auditClear: "清除",
+    auditTime: "时间",
+    auditAnsweredBy: "应答方",
+    auditAttempts: "尝试次数",
+    auditStopReason: "停止原因",
+    auditTokens: "输入 / 输出 Token",
+    auditLatency: "延迟",
+    auditLoadMore: "加载更多",
+    noAuditRecords: "暂无审计记录",
+    auditRecord: "审计记录",
+    auditBodiesOff: "未记录请求和响应内容（auditLog.includeBodies 已关闭）。",
+    auditSource_cache: "响应缓存",
+    auditSource_replay: "幂等重放",
+    auditSource_coalesced: "合并的重复请求",
+    failedToLoadAudit: "加载审计日志失败",
 };
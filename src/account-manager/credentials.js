@@ -77,8 +77,14 @@ export async function getTokenForAccount(account, tokenCache, onInvalid, onSave)
     try {
         // Use provider system to get access token
         const provider = getProviderForAccount(account);
+        const previousKey = account.apiKey;
         token = await provider.getAccessToken(account);
 
+        // Persist credentials the provider rotated (e.g. refreshed Codex tokens)
+        if (account.apiKey !== previousKey && onSave) {
+            await onSave();
+        }
+
         // Clear invalid flag on success
         if (account.isInvalid) {
             account.isInvalid = false;
@@ -31,6 +31,7 @@ import {
     clearProjectCache as clearProject,
     clearTokenCache as clearToken
 } from './credentials.js';
+import { isModelSupportedByAccount } from './model-compatibility.js';
 import { createStrategy, getStrategyLabel, DEFAULT_STRATEGY } from './strategies/index.js';
 import { logger } from '../utils/logger.js';
 import { config } from '../config.js';
@@ -88,7 +89,10 @@ export class AccountManager {
         this.#strategyName = strategyOverride || envStrategy || configStrategy || this.#strategyName;
 
         // Create the strategy instance
-        const strategyConfig = config?.accountSelection || {};
+        const strategyConfig = {
+            ...(config?.accountSelection || {}),
+            isModelSupported: isModelSupportedByAccount
+        };
         this.#strategy = createStrategy(this.#strategyName, strategyConfig);
         logger.info(`[AccountManager] Using ${getStrategyLabel(this.#strategyName)} selection strategy`);
 
@@ -116,22 +120,56 @@ export class AccountManager {
         return this.#accounts.length;
     }
 
+    /**
+     * Get accounts whose provider can serve a model
+     * @param {string|null} modelId - Model ID (null returns all accounts)
+     * @param {string|string[]|null} [provider] - Only accounts of this provider (or these providers)
+     * @returns {Array<Object>} Compatible accounts
+     */
+    #getCompatibleAccounts(modelId, provider = null) {
+        if (!modelId && !provider) return this.#accounts;
+        return this.#accounts.filter(account =>
+            (!provider || [].concat(provider).includes(account.provider || 'google')) &&
+            (!modelId || isModelSupportedByAccount(account, modelId))
+        );
+    }
+
+    /**
+     * Check if any enabled account's provider can serve a model.
+     * Returns true when no accounts are configured, so the usual
+     * "no accounts" handling applies instead.
+     * @param {string} modelId - Model ID
+     * @param {string|string[]|null} [provider] - Only accounts of this provider (or these providers)
+     * @returns {boolean} True if the model can be served
+     */
+    hasProviderForModel(modelId, provider = null) {
+        const enabled = this.#accounts.filter(account => account.enabled !== false);
+        if (enabled.length === 0) return true;
+        return this.#getCompatibleAccounts(modelId, provider).some(account => account.enabled !== false);
+    }
+
     /**
      * Check if all accounts are rate-limited
      * @param {string} [modelId] - Optional model ID
-     * @returns {boolean} True if all accounts are rate-limited
+     * @param {string|string[]|null} [provider] - Only accounts of this provider (or these providers)
+     * @returns {boolean} True if all accounts are rate-limited (false when no account serves the model)
      */
-    isAllRateLimited(modelId = null) {
-        return checkAllRateLimited(this.#accounts, modelId);
+    isAllRateLimited(modelId = null, provider = null) {
+        const accounts = this.#getCompatibleAccounts(modelId, provider);
+        // A model no account serves is unsupported, not rate-limited: it must not
+        // trigger the optimistic reset of every account's limits
+        if (accounts.length === 0 && this.#accounts.length > 0) return false;
+        return checkAllRateLimited(accounts, modelId);
     }
 
     /**
      * Get list of available (non-rate-limited, non-invalid) accounts
      * @param {string} [modelId] - Optional model ID
+     * @param {string|string[]|null} [provider] - Only accounts of this provider (or these providers)
      * @returns {Array<Object>} Array of available account objects
      */
-    getAvailableAccounts(modelId = null) {
-        return getAvailable(this.#accounts, modelId);
+    getAvailableAccounts(modelId = null, provider = null) {
+        return getAvailable(this.#getCompatibleAccounts(modelId, provider), modelId);
     }
 
     /**
@@ -169,6 +207,7 @@ export class AccountManager {
      * @param {string} [modelId] - Model ID for the request
      * @param {Object} [options] - Additional options
      * @param {string} [options.sessionId] - Session ID for cache continuity
+     * @param {string|string[]|null} [options.provider] - Only select accounts of this provider (or these providers)
      * @returns {{account: Object|null, waitMs: number}} Account to use and optional wait time
      */
     selectAccount(modelId = null, options = {}) {
@@ -176,16 +215,44 @@ export class AccountManager {
             throw new Error('AccountManager not initialized. Call initialize() first.');
         }
 
+        const { provider = null, ...strategyOptions } = options;
+        if (provider) {
+            return this.#selectProviderAccount(modelId, provider, strategyOptions);
+        }
+
         const result = this.#strategy.selectAccount(this.#accounts, modelId, {
             currentIndex: this.#currentIndex,
             onSave: () => this.saveToDisk(),
-            ...options
+            ...strategyOptions
         });
 
         this.#currentIndex = result.index;
         return { account: result.account, waitMs: result.waitMs || 0 };
     }
 
+    /**
+     * Select among one provider's accounts (fallback hops pinned to a provider).
+     * The strategy sees only that provider's accounts; indices are mapped back.
+     * @param {string|null} modelId - Model ID for the request
+     * @param {string} provider - Provider id
+     * @param {Object} options - Strategy options
+     * @returns {{account: Object|null, waitMs: number}} Account to use and optional wait time
+     */
+    #selectProviderAccount(modelId, provider, options) {
+        const accounts = this.#getCompatibleAccounts(null, provider);
+        const current = this.#accounts[this.#currentIndex];
+        const result = this.#strategy.selectAccount(accounts, modelId, {
+            currentIndex: Math.max(0, accounts.indexOf(current)),
+            onSave: () => this.saveToDisk(),
+            ...options
+        });
+
+        if (result.account) {
+            this.#currentIndex = this.#accounts.indexOf(result.account);
+        }
+        return { account: result.account, waitMs: result.waitMs || 0 };
+    }
+
     /**
      * Notify the strategy of a successful request
      * @param {Object} account - The account that was used
@@ -272,6 +339,18 @@ export class AccountManager {
         return null;
     }
 
+    /**
+     * Get the token bucket tracker from the current strategy (if available)
+     * Only available when using hybrid strategy
+     * @returns {Object|null} Token bucket tracker instance or null if not available
+     */
+    getTokenBucketTracker() {
+        if (this.#strategy && typeof this.#strategy.getTokenBucketTracker === 'function') {
+            return this.#strategy.getTokenBucketTracker();
+        }
+        return null;
+    }
+
     /**
      * Mark an account as rate-limited
      * @param {string} email - Email of the account to mark
@@ -296,10 +375,11 @@ export class AccountManager {
     /**
      * Get the minimum wait time until any account becomes available
      * @param {string} [modelId] - Optional model ID
+     * @param {string|string[]|null} [provider] - Only accounts of this provider (or these providers)
      * @returns {number} Wait time in milliseconds
      */
-    getMinWaitTimeMs(modelId = null) {
-        return getMinWait(this.#accounts, modelId);
+    getMinWaitTimeMs(modelId = null, provider = null) {
+        return getMinWait(this.#getCompatibleAccounts(modelId, provider), modelId);
     }
 
     /**
@@ -0,0 +1,168 @@
+/**
+ * Model Compatibility
+ *
+ * Decides whether an account's provider can serve a requested model, so
+ * selection never lands a request on a provider that would reject it
+ * (e.g. gpt-5 on a Google Cloud Code account).
+ *
+ * A provider supports a model if either:
+ * - the model (after the provider's name translation) is in the provider's
+ *   model list, as last reported by getAvailableModels(), or
+ * - the provider's static rule accepts it (used before any list is known).
+ * Providers without a rule (custom providers) are assumed to support everything.
+ *
+ * OpenAI accounts on their own endpoint are judged per account: Azure accounts
+ * serve the models their deployments map, self-hosted endpoints serve anything.
+ * Custom (local server) accounts serve the models their own server lists, or
+ * the models configured on the account; with neither known they accept anything.
+ *
+ * The lists are filled by the model catalog, which the server seeds at startup.
+ * A model is only rejected once any load in flight has finished, so a request
+ * that arrives before the first load is not judged by the static rules alone.
+ */
+
+import { getModelFamily } from '../constants.js';
+import { resolveModelName, isKnownProviderModel } from '../providers/model-translation.js';
+import { isAzureAccount, resolveAzureDeployment } from '../providers/openai-provider.js';
+
+/**
+ * OpenAI chat model ids (gpt-*, o-series, chatgpt-*)
+ *
+ * @param {string} model - Model id
+ * @returns {boolean} True if the id looks like an OpenAI chat model
+ */
+function isOpenAIModel(model) {
+    return /^(gpt-|o\d|chatgpt-)/i.test(model);
+}
+
+/**
+ * Static per-provider rules, keyed by provider id
+ * @type {Object<string, function(string): boolean>}
+ */
+const PROVIDER_RULES = {
+    // Cloud Code serves Claude and Gemini under their bare names
+    google: (model) => !model.includes('/') && ['claude', 'gemini'].includes(getModelFamily(model)),
+    anthropic: (model) => !model.includes('/') && getModelFamily(model) === 'claude',
+    copilot: (model) => isKnownProviderModel('copilot', model),
+    openai: (model) => isOpenAIModel(model),
+    github: (model) => isOpenAIModel(model),
+    codex: (model) => /^(gpt-5|codex)/i.test(model),
+    // OpenRouter ids are vendor-prefixed (e.g. anthropic/claude-sonnet-4.5)
+    openrouter: (model) => model.includes('/')
+};
+
+// Model ids reported by each provider's getAvailableModels(), keyed by provider id
+const providerModels = new Map();
+
+// Model ids reported per custom account, keyed by account email
+const accountModels = new Map();
+
+// Load of the lists in flight, if any (see waitForModelLists)
+let pendingLoad = null;
+
+/**
+ * Record the models a provider reported, so they are accepted even when the
+ * static rule does not know them (new releases, custom ids).
+ *
+ * @param {string} providerId - Provider id
+ * @param {Iterable<string>} modelIds - Model ids served by the provider
+ */
+export function setProviderModels(providerId, modelIds) {
+    providerModels.set(providerId, new Set(modelIds));
+}
+
+/**
+ * Record the models one account's server reported. Only used for custom
+ * accounts, whose servers each serve a different set of models.
+ *
+ * @param {Object} account - Account object
+ * @param {Iterable<string>} modelIds - Model ids served by the account
+ */
+export function setAccountModels(account, modelIds) {
+    accountModels.set(account.email, new Set(modelIds));
+}
+
+/**
+ * Note a load of the model lists in flight, so a model that no list knows
+ * yet is only rejected once it finished
+ *
+ * @param {Promise} load - Settles once setProviderModels/setAccountModels ran
+ */
+export function trackModelListLoad(load) {
+    const settled = Promise.resolve(load).then(() => {}, () => {});
+    pendingLoad = settled;
+    settled.then(() => {
+        if (pendingLoad === settled) pendingLoad = null;
+    });
+}
+
+/**
+ * Wait for the load of the model lists in flight, if any. Never rejects.
+ *
+ * @returns {Promise<void>}
+ */
+export function waitForModelLists() {
+    return pendingLoad || Promise.resolve();
+}
+
+/**
+ * Forget all recorded provider and account model lists
+ */
+export function clearProviderModels() {
+    providerModels.clear();
+    accountModels.clear();
+}
+
+/**
+ * Check whether a provider can serve a model
+ *
+ * @param {string} providerId - Provider id
+ * @param {string} model - Requested model id
+ * @returns {boolean} True if the provider supports the model
+ */
+export function isModelSupportedByProvider(providerId, model) {
+    if (!model) return true;
+
+    // Lists and rules are matched against the name the provider will actually receive
+    const translated = resolveModelName(providerId, model).model;
+
+    const known = providerModels.get(providerId);
+    if (known && (known.has(model) || known.has(translated))) {
+        return true;
+    }
+
+    const rule = PROVIDER_RULES[providerId];
+    return rule ? rule(model) || rule(translated) : true;
+}
+
+/**
+ * Check whether an account's provider can serve a model
+ *
+ * @param {Object} account - Account object
+ * @param {string} model - Requested model id
+ * @returns {boolean} True if the account can serve the model
+ */
+export function isModelSupportedByAccount(account, model) {
+    if (model && account?.provider === 'custom') {
+        const reported = accountModels.get(account.email);
+        const configured = Object.keys(account.modelCapabilities || {});
+        if (!reported && configured.length === 0) return true;
+        return Boolean(reported?.has(model)) || configured.includes(model);
+    }
+    if (model && account?.provider === 'openai') {
+        // Deployments are looked up by the translated name, as dispatch does
+        if (isAzureAccount(account)) return resolveAzureDeployment(account, resolveModelName('openai', model).model) !== null;
+        if (account.customApiEndpoint) return true;
+    }
+    return isModelSupportedByProvider(account?.provider || 'google', model);
+}
+
+export default {
+    setProviderModels,
+    setAccountModels,
+    clearProviderModels,
+    trackModelListLoad,
+    waitForModelLists,
+    isModelSupportedByProvider,
+    isModelSupportedByAccount
+};
@@ -156,7 +156,9 @@ export async function saveAccounts(configPath, accounts, settings, activeIndex)
                     quota: acc.quota || { models: {}, lastChecked: null },
                     // Multi-provider support
                     provider: acc.provider || detectProviderFromSource(acc.source),
-                    customApiEndpoint: acc.customApiEndpoint || undefined
+                    customApiEndpoint: acc.customApiEndpoint || undefined,
+                    azure: acc.azure || undefined,
+                    modelCapabilities: acc.modelCapabilities || undefined
                 })),
                 settings: settings,
                 activeIndex: activeIndex
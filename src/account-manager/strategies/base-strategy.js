@@ -18,6 +18,8 @@ export class BaseStrategy {
     /**
      * Create a new BaseStrategy
      * @param {Object} config - Strategy configuration
+     * @param {Function} [config.isModelSupported] - (account, modelId) => boolean, filters out
+     *   accounts whose provider cannot serve the model
      */
     constructor(config = {}) {
         if (new.target === BaseStrategy) {
@@ -82,6 +84,11 @@ export class BaseStrategy {
         // Check if account is cooling down (matches opencode-cloudcode-auth)
         if (isAccountCoolingDown(account)) return false;
 
+        // Skip accounts whose provider cannot serve this model
+        if (modelId && this.config.isModelSupported && !this.config.isModelSupported(account, modelId)) {
+            return false;
+        }
+
         // Check model-specific rate limit
         if (modelId && account.modelRateLimits && account.modelRateLimits[modelId]) {
             const limit = account.modelRateLimits[modelId];
@@ -10,6 +10,8 @@
  *   node src/cli/accounts.js          # Interactive mode
  *   node src/cli/accounts.js add      # Add new account(s)
  *   node src/cli/accounts.js add --provider=copilot  # Add Copilot account
+ *   node src/cli/accounts.js add --provider=openai   # Add OpenAI / Azure OpenAI account
+ *   node src/cli/accounts.js add --provider=custom   # Add a local OpenAI-compatible server
  *   node src/cli/accounts.js list     # List all accounts
  *   node src/cli/accounts.js clear    # Remove all accounts
  */
@@ -22,6 +24,8 @@ import { spawn } from 'child_process';
 import net from 'net';
 import { ACCOUNT_CONFIG_PATH, DEFAULT_PORT, MAX_ACCOUNTS } from '../constants.js';
 import { COPILOT_CONFIG } from '../providers/copilot.js';
+import { normalizeAzureConfig, isAzureAccount } from '../providers/openai-provider.js';
+import { CustomProvider, resolveModelCapabilities, parseCapabilityOverrides } from '../providers/custom-provider.js';
 import {
     getAuthorizationUrl,
     startCallbackServer,
@@ -145,6 +149,9 @@ function saveAccounts(accounts, settings = {}) {
                 apiKey: acc.apiKey || undefined,
                 projectId: acc.projectId || undefined,
                 provider: acc.provider || 'google',
+                customApiEndpoint: acc.customApiEndpoint || undefined,
+                azure: acc.azure || undefined,
+                modelCapabilities: acc.modelCapabilities || undefined,
                 addedAt: acc.addedAt || new Date().toISOString(),
                 lastUsed: acc.lastUsed || null,
                 modelRateLimits: acc.modelRateLimits || {}
@@ -179,7 +186,8 @@ function displayAccounts(accounts) {
         openai: '🟢 OpenAI',
         github: '🟣 GitHub',
         copilot: '🟧 Copilot',
-        openrouter: '🟪 OpenRouter'
+        openrouter: '🟪 OpenRouter',
+        custom: '⚪ Local'
     };
 
     console.log(`\n${accounts.length} account(s) saved:`);
@@ -580,6 +588,156 @@ async function addCopilotAccount(rl) {
     }
 }
 
+/**
+ * Add an OpenAI account by API key, optionally on a custom endpoint or Azure OpenAI resource.
+ * Values passed as flags skip the matching prompt.
+ *
+ * @param {Object} rl - readline interface
+ * @param {Object} options - Parsed flags
+ * @param {string} [options.endpoint] - Custom API endpoint
+ * @param {boolean} [options.azure] - Force Azure OpenAI mode
+ * @param {string} [options.deployment] - Default Azure deployment
+ * @param {string} [options.deployments] - Azure "model=deployment,..." mappings
+ * @param {string} [options.apiVersion] - Azure api-version
+ */
+async function addOpenAIAccount(rl, options = {}) {
+    console.log('\n=== Add OpenAI Account ===\n');
+
+    const accounts = loadAccounts();
+
+    if (accounts.length >= MAX_ACCOUNTS) {
+        console.log(`\nMaximum of ${MAX_ACCOUNTS} accounts reached.`);
+        return;
+    }
+
+    const email = (await rl.question('Account label (e.g. you@example.com): ')).trim();
+    const apiKey = (await rl.question('API key: ')).trim();
+    if (!email || !apiKey) {
+        console.log('\n✗ Label and API key are required.');
+        return;
+    }
+
+    const endpoint = options.endpoint ??
+        (await rl.question('Custom API endpoint (blank for api.openai.com): ')).trim();
+
+    const account = {
+        email,
+        source: 'manual',
+        provider: 'openai',
+        apiKey,
+        customApiEndpoint: endpoint || undefined,
+        addedAt: new Date().toISOString(),
+        modelRateLimits: {}
+    };
+
+    let azure = options.azure || isAzureAccount(account);
+    if (!azure && endpoint) {
+        azure = /^y/i.test(await rl.question('Is this an Azure OpenAI resource? [y/N]: '));
+    }
+    if (azure) {
+        if (!endpoint) {
+            console.log('\n✗ Azure OpenAI needs the resource endpoint (https://<resource>.openai.azure.com).');
+            return;
+        }
+        account.azure = normalizeAzureConfig({
+            deployment: options.deployment ?? await rl.question('Default deployment (blank to use model names): '),
+            deployments: options.deployments ?? await rl.question('Model mappings, e.g. gpt-4o=my-gpt4o (optional): '),
+            apiVersion: options.apiVersion ?? await rl.question('API version (blank for default): ')
+        });
+    }
+
+    const existing = accounts.findIndex(a => a.email === email && a.provider === 'openai');
+    if (existing !== -1) {
+        console.log(`\n⚠ Account ${email} already exists. Updating it.`);
+        accounts[existing] = { ...accounts[existing], ...account };
+    } else {
+        accounts.push(account);
+    }
+    console.log(`\n✓ Added: ${email} [OpenAI${azure ? ' / Azure' : ''}]`);
+
+    saveAccounts(accounts);
+    displayAccounts(accounts);
+}
+
+/**
+ * Add a local OpenAI-compatible server (Ollama, vLLM, LM Studio, llama.cpp).
+ * Discovers its models and records per-model tools / vision / reasoning flags.
+ *
+ * @param {Object} rl - readline interface
+ * @param {Object} options - Parsed flags
+ * @param {string} [options.endpoint] - Server base URL
+ */
+async function addCustomAccount(rl, options = {}) {
+    console.log('\n=== Add OpenAI-Compatible Server ===\n');
+
+    const accounts = loadAccounts();
+
+    if (accounts.length >= MAX_ACCOUNTS) {
+        console.log(`\nMaximum of ${MAX_ACCOUNTS} accounts reached.`);
+        return;
+    }
+
+    const endpoint = (options.endpoint ??
+        await rl.question('Base URL (e.g. http://localhost:11434 for Ollama): ')).trim();
+    if (!endpoint) {
+        console.log('\n✗ Base URL is required.');
+        return;
+    }
+    const apiKey = (await rl.question('API key (blank if none): ')).trim();
+
+    const account = {
+        email: '',
+        source: 'manual',
+        provider: 'custom',
+        apiKey: apiKey || undefined,
+        customApiEndpoint: endpoint,
+        addedAt: new Date().toISOString(),
+        modelRateLimits: {}
+    };
+
+    let modelIds;
+    try {
+        modelIds = (await new CustomProvider().fetchModels(account, apiKey)).map(model => model.id).filter(Boolean);
+    } catch (error) {
+        console.log(`\n✗ Could not list models at ${endpoint}: ${error.message}`);
+        return;
+    }
+    if (modelIds.length === 0) {
+        console.log('\n✗ The server reported no models.');
+        return;
+    }
+
+    console.log(`\nFound ${modelIds.length} model(s) (inferred capabilities):`);
+    for (const id of modelIds) {
+        const caps = resolveModelCapabilities(account, id);
+        const flags = Object.entries(caps).filter(([, on]) => on).map(([flag]) => flag);
+        console.log(`  - ${id} [${flags.join(', ') || 'text only'}]`);
+    }
+
+    const overrides = parseCapabilityOverrides(await rl.question(
+        '\nCapability overrides, e.g. "llava:7b=vision,-tools; qwen3:8b=-reasoning" (blank to accept): '
+    ));
+    account.modelCapabilities = Object.fromEntries(modelIds.map(id => [
+        id,
+        { ...resolveModelCapabilities(account, id), ...overrides[id] }
+    ]));
+
+    const defaultLabel = `custom@${new URL(endpoint).host}`;
+    account.email = (await rl.question(`Label [${defaultLabel}]: `)).trim() || defaultLabel;
+
+    const existing = accounts.findIndex(a => a.email === account.email && a.provider === 'custom');
+    if (existing !== -1) {
+        console.log(`\n⚠ Account ${account.email} already exists. Updating it.`);
+        accounts[existing] = { ...accounts[existing], ...account };
+    } else {
+        accounts.push(account);
+    }
+    console.log(`\n✓ Added: ${account.email} [Local, ${modelIds.length} model(s)]`);
+
+    saveAccounts(accounts);
+    displayAccounts(accounts);
+}
+
 /**
  * Main CLI
  */
@@ -600,12 +758,29 @@ async function main() {
     const providerArg = args.find(a => a.startsWith('--provider='));
     const provider = providerArg ? providerArg.split('=')[1] : null;
 
+    // Parse OpenAI / Azure flags (--endpoint=, --azure, --deployment=, --deployments=, --api-version=)
+    const flagValue = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+    const openaiOptions = {
+        endpoint: flagValue('endpoint'),
+        azure: args.includes('--azure'),
+        deployment: flagValue('deployment'),
+        deployments: flagValue('deployments'),
+        apiVersion: flagValue('api-version')
+    };
+
     try {
         switch (command) {
             case 'add':
                 await ensureServerStopped();
                 if (provider === 'copilot') {
                     await addCopilotAccount(rl);
+                } else if (provider === 'openai') {
+                    await addOpenAIAccount(rl, openaiOptions);
+                } else if (provider === 'custom') {
+                    await addCustomAccount(rl, openaiOptions);
                 } else {
                     await interactiveAdd(rl, noBrowser);
                 }
@@ -629,6 +804,13 @@ async function main() {
                 console.log('  node src/cli/accounts.js help    Show this help');
                 console.log('\nOptions:');
                 console.log('  --provider=copilot  Add a GitHub Copilot account via device auth');
+                console.log('  --provider=openai   Add an OpenAI API key account');
+                console.log('  --provider=custom   Add a local OpenAI-compatible server (Ollama, vLLM, LM Studio)');
+                console.log('  --endpoint=URL      Custom OpenAI-compatible or Azure OpenAI endpoint');
+                console.log('  --azure             Treat the endpoint as an Azure OpenAI resource');
+                console.log('  --deployment=NAME   Default Azure deployment');
+                console.log('  --deployments=MAP   Azure model mappings, e.g. gpt-4o=prod-4o,gpt-5=prod-5');
+                console.log('  --api-version=VER   Azure api-version');
                 console.log('  --no-browser        Manual authorization code input (for headless servers)');
                 break;
             case 'remove':
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * Client Key Management CLI
+ *
+ * Create, list, revoke and delete the named API keys clients use for the
+ * /v1 endpoints. A running server picks up changes without a restart.
+ *
+ * Usage:
+ *   node src/cli/keys.js list                       # List keys
+ *   node src/cli/keys.js create --name=alice        # Create a key (printed once)
+ *   node src/cli/keys.js create --name=ci --models=claude-sonnet-* --providers=google --rpm=30 --expires=30d
+ *   node src/cli/keys.js create --name=bot --tpm=100000 --daily-cost=5 --monthly-cost=50
+ *   node src/cli/keys.js revoke <id|name>           # Revoke a key
+ *   node src/cli/keys.js delete <id|name>           # Delete a key
+ */
+
+import { CLIENT_KEYS_PATH } from '../constants.js';
+import { clientKeys } from '../modules/client-keys.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a --name=value flag
+ *
+ * @param {string[]} args - Command-line arguments
+ * @param {string} name - Flag name
+ * @returns {string|undefined} Flag value
+ */
+function flagValue(args, name) {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+/**
+ * Parse --expires: an ISO date or a number of days ("30d")
+ *
+ * @param {string|undefined} value - Flag value
+ * @returns {string|null|undefined} ISO date, or the value unchanged for validation to reject
+ */
+function parseExpires(value) {
+    if (value === undefined) return undefined;
+    const days = /^(\d+)d$/.exec(value);
+    return days ? new Date(Date.now() + Number(days[1]) * DAY_MS).toISOString() : value;
+}
+
+/**
+ * Parse a numeric limit flag (validation rejects values out of range)
+ *
+ * @param {string|undefined} value - Flag value
+ * @returns {number|string|undefined} Number, or the raw value if it is not numeric
+ */
+function parseLimit(value) {
+    if (value === undefined) return undefined;
+    return /^\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Build create-key input from flags
+ *
+ * @param {string[]} args - Command-line arguments
+ * @returns {Object} Key input for clientKeys.create
+ */
+function keyInputFromFlags(args) {
+    const list = (value) => value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+    const limits = {
+        requestsPerMinute: parseLimit(flagValue(args, 'rpm')),
+        tokensPerMinute: parseLimit(flagValue(args, 'tpm')),
+        dailyTokens: parseLimit(flagValue(args, 'daily-tokens')),
+        monthlyTokens: parseLimit(flagValue(args, 'monthly-tokens')),
+        dailyCostUsd: parseLimit(flagValue(args, 'daily-cost')),
+        monthlyCostUsd: parseLimit(flagValue(args, 'monthly-cost'))
+    };
+    return {
+        name: flagValue(args, 'name'),
+        expiresAt: parseExpires(flagValue(args, 'expires')),
+        allowedModels: list(flagValue(args, 'models')),
+        allowedProviders: list(flagValue(args, 'providers')),
+        limits: Object.fromEntries(Object.entries(limits).filter(([, value]) => value !== undefined))
+    };
+}
+
+/**
+ * Print the key list
+ */
+function listKeys() {
+    const keys = clientKeys.list();
+    if (keys.length === 0) {
+        console.log('No client keys. Create one with: commons-proxy keys create --name=<name>');
+        return;
+    }
+
+    console.log(`${keys.length} client key(s):`);
+    for (const key of keys) {
+        const status = key.status === 'active' ? '' : ` (${key.status})`;
+        console.log(`  ${key.id}  ${key.name}  ${key.prefix}...${status}`);
+        if (key.expiresAt) console.log(`      expires:   ${key.expiresAt}`);
+        if (key.allowedModels.length) console.log(`      models:    ${key.allowedModels.join(', ')}`);
+        if (key.allowedProviders.length) console.log(`      providers: ${key.allowedProviders.join(', ')}`);
+        const limits = Object.entries(key.limits).map(([name, value]) => `${name}=${value}`);
+        if (limits.length) console.log(`      limits:    ${limits.join(' ')}`);
+    }
+    console.log(`\nKey file: ${CLIENT_KEYS_PATH}`);
+}
+
+/**
+ * Print usage
+ */
+function showHelp() {
+    console.log('Usage:');
+    console.log('  commons-proxy keys list                 List client keys');
+    console.log('  commons-proxy keys create --name=NAME   Create a key (shown once)');
+    console.log('  commons-proxy keys revoke <id|name>     Revoke a key (kept for usage attribution)');
+    console.log('  commons-proxy keys delete <id|name>     Delete a key');
+    console.log('\nCreate options:');
+    console.log('  --expires=DATE|30d        Expiry as an ISO date or a number of days');
+    console.log('  --models=a,b*             Allowed models (a trailing * matches a prefix)');
+    console.log('  --providers=google,...    Allowed providers');
+    console.log('  --rpm=N --tpm=N           Requests / tokens per minute');
+    console.log('  --daily-tokens=N          Tokens per day');
+    console.log('  --monthly-tokens=N        Tokens per month');
+    console.log('  --daily-cost=USD          Estimated cost per day');
+    console.log('  --monthly-cost=USD        Estimated cost per month');
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const command = args[0] || 'list';
+    const target = args[1];
+
+    try {
+        switch (command) {
+            case 'list':
+                listKeys();
+                break;
+            case 'create': {
+                const { key, record } = clientKeys.create(keyInputFromFlags(args));
+                console.log(`Created key "${record.name}" (${record.id}):\n\n  ${key}\n`);
+                console.log('Store it now: it is not shown again. Clients send it as x-api-key or Authorization: Bearer.');
+                break;
+            }
+            case 'revoke': {
+                const record = target && clientKeys.revoke(target);
+                if (!record) throw new Error(`Key "${target || ''}" not found`);
+                console.log(`Revoked key "${record.name}"`);
+                break;
+            }
+            case 'delete':
+                if (!target || !clientKeys.remove(target)) throw new Error(`Key "${target || ''}" not found`);
+                console.log(`Deleted key "${target}"`);
+                break;
+            case 'help':
+                showHelp();
+                break;
+            default:
+                console.log(`Unknown command: ${command}`);
+                showHelp();
+                process.exit(1);
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+main();
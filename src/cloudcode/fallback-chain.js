@@ -0,0 +1,194 @@
+/**
+ * Fallback Chain Runner
+ *
+ * Runs a request against its model and, when the attempt fails with one of the
+ * chain's trigger conditions, against each fallback model in turn
+ * (see fallback-config.js). Each hop gets the full account retry loop.
+ *
+ * Streams only fall back before their first event: once output has reached
+ * the client, errors are passed through. Hops a client key may not use are
+ * dropped from the chain.
+ */
+
+import { getFallbackChain } from '../fallback-config.js';
+import { isRateLimitError, isAuthError, isCapacityExhaustedError, isRequestCancelledError, MaxRetriesError } from '../errors.js';
+import { isModelAllowed } from '../modules/client-keys.js';
+import { logger } from '../utils/logger.js';
+
+// Upstream messages for prompts that exceed the model's context window
+const CONTEXT_ERROR_PATTERN = /prompt is too long|context[_ ]length|context window|maximum context|input is too long|token count .*exceeds|exceeds the maximum number of tokens/i;
+
+/**
+ * Classify an error into a fallback trigger
+ *
+ * @param {Error} error - Error from a model attempt
+ * @returns {'quota'|'capacity'|'context'|'auth'|'unsupported'|null} Trigger, or null if the error should not fall back
+ */
+export function classifyFallbackTrigger(error) {
+    if (!error || isRequestCancelledError(error)) return null;
+    const message = error.message || '';
+
+    if (error.name === 'UnsupportedModelError') return 'unsupported';
+    if (isCapacityExhaustedError(error) || /overloaded|\b529\b/i.test(message)) return 'capacity';
+    if (isRateLimitError(error)) return 'quota';
+    if (CONTEXT_ERROR_PATTERN.test(message)) return 'context';
+    // The retry loop gives up after every account was rate-limited or failing
+    if (error instanceof MaxRetriesError || message.includes('Max retries exceeded')) return 'quota';
+    if (isAuthError(error) || /\b40[13]\b|UNAUTHENTICATED|PERMISSION_DENIED/.test(message)) return 'auth';
+    // Accounts are unavailable when they are invalid (failed auth) or disabled
+    if (message.includes('No accounts available')) return 'auth';
+    return null;
+}
+
+/**
+ * Build the attempt list for a request: its own model, then the chain's hops
+ * the client may use
+ *
+ * @param {Object} request - Anthropic-format request
+ * @param {boolean} fallbackEnabled - --fallback flag / FALLBACK env value
+ * @param {Object} [client] - Client key record (its allowedModels restrict the hops)
+ * @returns {{attempts: Array<{model: string, provider: string|null}>, triggers: string[]}}
+ */
+function buildAttempts(request, fallbackEnabled, client) {
+    const primary = { model: request.model, provider: request._provider || null };
+    const chain = getFallbackChain(request.model, fallbackEnabled);
+    if (!chain) return { attempts: [primary], triggers: [] };
+
+    const attempts = [primary];
+    for (const hop of chain.hops) {
+        if (client && !isModelAllowed(client, hop.model)) {
+            logger.debug(`[CloudCode] Skipping fallback ${describe(hop)}: not allowed for client key "${client.name}"`);
+            continue;
+        }
+        if (!attempts.some(a => a.model === hop.model && a.provider === hop.provider)) {
+            attempts.push(hop);
+        }
+    }
+    return { attempts, triggers: chain.triggers };
+}
+
+/**
+ * Build the request for one attempt
+ *
+ * @param {Object} request - Original request
+ * @param {{model: string, provider: string|null}} attempt - Attempt target
+ * @returns {Object} Request for the attempt
+ */
+function requestFor(request, attempt) {
+    const hopRequest = { ...request, model: attempt.model };
+    if (attempt.provider) {
+        hopRequest._provider = attempt.provider;
+    } else {
+        delete hopRequest._provider;
+    }
+    return hopRequest;
+}
+
+/**
+ * Label an attempt target for logs
+ *
+ * @param {{model: string, provider: string|null}} attempt - Attempt target
+ * @returns {string} "model" or "model via provider"
+ */
+function describe(attempt) {
+    return attempt.provider ? `${attempt.model} via ${attempt.provider}` : attempt.model;
+}
+
+/**
+ * Decide whether a failed attempt moves on to the next one
+ *
+ * @param {Error} error - Attempt error
+ * @param {string[]} triggers - Chain triggers
+ * @param {boolean} hasNext - Whether another attempt remains
+ * @returns {boolean} True to try the next attempt
+ */
+function shouldFallBack(error, triggers, hasNext) {
+    if (!hasNext) return false;
+    const trigger = classifyFallbackTrigger(error);
+    // A hop no account can serve is skipped regardless of triggers
+    return trigger === 'unsupported' ? triggers.length > 0 : triggers.includes(trigger);
+}
+
+/**
+ * Pick the error to report once every attempt failed: the last one a model
+ * actually produced, rather than "unsupported model" for a skipped hop
+ *
+ * @param {Error|null} reported - Error kept so far
+ * @param {Error} error - Latest error
+ * @returns {Error} Error to keep
+ */
+function keepError(reported, error) {
+    if (reported && error.name === 'UnsupportedModelError') return reported;
+    return error;
+}
+
+/**
+ * Run a non-streaming request through its fallback chain
+ *
+ * @param {Object} request - Anthropic-format request
+ * @param {boolean} fallbackEnabled - --fallback flag / FALLBACK env value
+ * @param {function(Object): Promise<Object>} send - Sends one attempt's request
+ * @param {function(string): void} [onServedModel] - Called with the model that answered
+ * @param {Object} [client] - Client key record; hops outside its allowedModels are skipped
+ * @returns {Promise<Object>} Anthropic-format response
+ * @throws {Error} The last attempt's error when no attempt succeeds
+ */
+export async function runWithFallback(request, fallbackEnabled, send, onServedModel, client) {
+    const { attempts, triggers } = buildAttempts(request, fallbackEnabled, client);
+    let reported = null;
+
+    for (let i = 0; i < attempts.length; i++) {
+        try {
+            const response = await send(requestFor(request, attempts[i]));
+            onServedModel?.(attempts[i].model);
+            return response;
+        } catch (error) {
+            reported = keepError(reported, error);
+            if (!shouldFallBack(error, triggers, i + 1 < attempts.length)) throw reported;
+            logger.warn(`[CloudCode] ${describe(attempts[i])} failed (${classifyFallbackTrigger(error)}). Falling back to ${describe(attempts[i + 1])}`);
+        }
+    }
+    throw reported;
+}
+
+/**
+ * Run a streaming request through its fallback chain
+ *
+ * @param {Object} request - Anthropic-format request
+ * @param {boolean} fallbackEnabled - --fallback flag / FALLBACK env value
+ * @param {function(Object): AsyncGenerator<Object>} stream - Streams one attempt's request
+ * @param {function(string): void} [onServedModel] - Called with the model that answered, before its first event
+ * @param {Object} [client] - Client key record; hops outside its allowedModels are skipped
+ * @yields {Object} Anthropic-format SSE events
+ * @throws {Error} The last attempt's error when no attempt succeeds, or any error after output started
+ */
+export async function* streamWithFallback(request, fallbackEnabled, stream, onServedModel, client) {
+    const { attempts, triggers } = buildAttempts(request, fallbackEnabled, client);
+    let reported = null;
+
+    for (let i = 0; i < attempts.length; i++) {
+        let started = false;
+        try {
+            for await (const event of stream(requestFor(request, attempts[i]))) {
+                if (!started) {
+                    started = true;
+                    onServedModel?.(attempts[i].model);
+                }
+                yield event;
+            }
+            return;
+        } catch (error) {
+            if (started) throw error;
+            reported = keepError(reported, error);
+            if (!shouldFallBack(error, triggers, i + 1 < attempts.length)) throw reported;
+            logger.warn(`[CloudCode] ${describe(attempts[i])} failed (${classifyFallbackTrigger(error)}). Falling back to ${describe(attempts[i + 1])} (streaming)`);
+        }
+    }
+    throw reported;
+}
+
+export default {
+    classifyFallbackTrigger,
+    runWithFallback,
+    streamWithFallback
+};
@@ -0,0 +1,179 @@
+/**
+ * Hedged Streaming Requests
+ *
+ * When a stream produces no first event within the model's time-to-first-token
+ * (TTFT) deadline, a second "hedge" request is started on another account.
+ * Whichever leg yields its first event first is streamed; the other is aborted.
+ *
+ * Hedging can double quota spend, so it is opt-in per model through
+ * config.hedging:
+ *   "hedging": {
+ *       "defaultTtftMs": 20000,
+ *       "models": {
+ *           "claude-opus-4-6": { "ttftMs": 15000 },
+ *           "gemini-3-pro-high": {}
+ *       }
+ *   }
+ * A model entry without ttftMs uses defaultTtftMs; "enabled": false turns it off.
+ */
+
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { linkAbortSignal } from '../utils/helpers.js';
+
+// Deadline used when neither the model entry nor config.hedging sets one
+export const DEFAULT_HEDGE_TTFT_MS = 20000;
+
+// Resolved by the TTFT timer (distinct from any stream result)
+const DEADLINE = Symbol('deadline');
+
+/**
+ * Get the TTFT deadline for a model
+ *
+ * @param {string} model - Model id
+ * @returns {number|null} Deadline in ms, or null if hedging is off for the model
+ */
+export function getHedgeDeadlineMs(model) {
+    const entry = config.hedging?.models?.[model];
+    if (!entry || entry.enabled === false) return null;
+    return entry.ttftMs ?? config.hedging.defaultTtftMs ?? DEFAULT_HEDGE_TTFT_MS;
+}
+
+/**
+ * Validate a config.hedging value before it is saved
+ *
+ * @param {Object} hedging - Candidate config.hedging
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateHedgingConfig(hedging) {
+    if (!hedging || typeof hedging !== 'object' || Array.isArray(hedging)) {
+        return 'hedging must be an object';
+    }
+    const isDeadline = (value) => Number.isInteger(value) && value > 0;
+    if (hedging.defaultTtftMs !== undefined && !isDeadline(hedging.defaultTtftMs)) {
+        return 'hedging.defaultTtftMs must be a positive integer (ms)';
+    }
+
+    const models = hedging.models ?? {};
+    if (typeof models !== 'object' || Array.isArray(models)) {
+        return 'hedging.models must be an object keyed by model id';
+    }
+    for (const [model, entry] of Object.entries(models)) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return `${model}: must be an object`;
+        if (entry.ttftMs !== undefined && !isDeadline(entry.ttftMs)) {
+            return `${model}.ttftMs: must be a positive integer (ms)`;
+        }
+        if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+            return `${model}.enabled: must be a boolean`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Start a leg and request its first event
+ *
+ * @param {{label: string, start: function(AbortSignal): AsyncGenerator<Object>}} leg - Leg definition
+ * @param {AbortSignal} [signal] - Request-wide signal; aborts the leg too
+ * @returns {Object} Running leg
+ */
+function launch(leg, signal) {
+    const controller = new AbortController();
+    const unlink = linkAbortSignal(controller, signal);
+    const running = { ...leg, controller, unlink, stream: leg.start(controller.signal) };
+    running.first = running.stream.next().then(
+        (result) => ({ leg: running, result }),
+        (error) => ({ leg: running, error })
+    );
+    return running;
+}
+
+/**
+ * Abort a leg that lost the race (or was abandoned) and let it clean up
+ *
+ * @param {Object} running - Running leg
+ */
+function cancel(running) {
+    running.unlink();
+    running.controller.abort();
+    running.stream.return().catch(() => {});
+}
+
+/**
+ * Stream from a primary leg, hedging on a second leg if the primary misses its
+ * TTFT deadline. Failures before the first event are discarded while another
+ * leg is still running; if every leg fails, the primary's error is thrown.
+ *
+ * @param {Object} primary - Primary leg
+ * @param {string} primary.label - Label for logs
+ * @param {function(AbortSignal): AsyncGenerator<Object>} primary.start - Starts the leg's stream
+ * @param {function(Error): void} [primary.onDiscardedError] - Called with the leg's error when another leg won
+ * @param {function(): Object|null} getHedge - Returns the hedge leg (same shape), or null if none is available
+ * @param {number} ttftMs - Time-to-first-token deadline
+ * @param {AbortSignal} [signal] - Request-wide signal; aborts every leg
+ * @yields {Object} Events of the winning leg
+ * @throws {Error} The primary's error when no leg produced a first event
+ */
+export async function* streamWithHedge(primary, getHedge, ttftMs, signal) {
+    let running = [launch(primary, signal)];
+    let winner = null;
+    let timer = null;
+
+    try {
+        const deadline = new Promise(resolve => { timer = setTimeout(() => resolve(DEADLINE), ttftMs); });
+        let settled = await Promise.race([running[0].first, deadline]);
+        clearTimeout(timer);
+
+        if (settled === DEADLINE) {
+            const hedge = getHedge();
+            if (hedge) {
+                logger.warn(`[CloudCode] No first event from ${primary.label} after ${ttftMs}ms, hedging on ${hedge.label}`);
+                running.push(launch(hedge, signal));
+            } else {
+                logger.debug(`[CloudCode] No first event from ${primary.label} after ${ttftMs}ms and no account to hedge on`);
+            }
+            settled = await Promise.race(running.map(leg => leg.first));
+        }
+
+        // A leg that fails before its first event drops out while another is still running
+        let primaryError = null;
+        while (settled.error && running.length > 1) {
+            if (settled.leg === running[0]) primaryError = settled.error;
+            else settled.leg.onDiscardedError?.(settled.error);
+            settled.leg.unlink();
+            running = running.filter(leg => leg !== settled.leg);
+            settled = await running[0].first;
+        }
+        if (settled.error) {
+            if (primaryError) {
+                settled.leg.onDiscardedError?.(settled.error);
+                throw primaryError;
+            }
+            throw settled.error;
+        }
+
+        winner = settled.leg;
+        if (primaryError) primary.onDiscardedError?.(primaryError);
+        if (running.length > 1) {
+            logger.info(`[CloudCode] ${winner.label} answered first, aborting ${running.filter(leg => leg !== winner).map(leg => leg.label).join(', ')}`);
+        }
+        for (const leg of running) {
+            if (leg !== winner) cancel(leg);
+        }
+
+        if (settled.result.done) return;
+        yield settled.result.value;
+        yield* winner.stream;
+    } finally {
+        clearTimeout(timer);
+        if (winner) winner.unlink();
+        else running.forEach(cancel);
+    }
+}
+
+export default {
+    DEFAULT_HEDGE_TTFT_MS,
+    getHedgeDeadlineMs,
+    validateHedgingConfig,
+    streamWithHedge
+};
@@ -15,20 +15,26 @@ import {
 import { convertGoogleToAnthropic } from '../format/index.js';
 import { isRateLimitError, MaxRetriesError } from '../errors.js';
 import { logger } from '../utils/logger.js';
+import { linkAbortSignal } from '../utils/helpers.js';
 import { buildCloudCodeRequest, buildHeaders } from './request-builder.js';
 import { parseThinkingSSEResponse } from './sse-parser.js';
-import { getFallbackModel } from '../fallback-config.js';
 import {
     clearRateLimitState,
     handleHttpError,
     classifyRetryError,
-    selectAccountForAttempt
+    selectAccountForAttempt,
+    getProviderFilter
 } from './retry-utils.js';
+import { runWithFallback } from './fallback-chain.js';
 import { isNonGoogleProvider, dispatchMessageToProvider } from './provider-dispatch.js';
+import { meterResponse } from '../modules/token-usage.js';
+import { metrics } from '../modules/metrics.js';
+import { tracer, accountAttributes, SpanKind } from '../modules/tracing.js';
 
 /**
  * Send a non-streaming request to Cloud Code with multi-account support
  * Uses SSE endpoint for thinking models (non-streaming doesn't return thinking blocks)
+ * Falls back along the model's fallback chain (see fallback-chain.js)
  *
  * @param {Object} anthropicRequest - The Anthropic-format request
  * @param {Object} anthropicRequest.model - Model name to use
@@ -36,34 +42,62 @@ import { isNonGoogleProvider, dispatchMessageToProvider } from './provider-dispa
  * @param {number} [anthropicRequest.max_tokens] - Maximum tokens to generate
  * @param {Object} [anthropicRequest.thinking] - Thinking configuration
  * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
- * @param {boolean} [fallbackEnabled=false] - Whether model fallback is enabled
+ * @param {boolean} [fallbackEnabled=false] - Whether the built-in model fallbacks are enabled
+ * @param {Object} [options] - Additional options
+ * @param {function(string): void} [options.onServedModel] - Called with the model that answered
+ * @param {function(Object): void} [options.onUsage] - Called with the answer's usage entry (see token-usage.js)
+ * @param {function(Object): void} [options.onAttempt] - Called with each account the request is sent to ({ account, provider, model })
+ * @param {AbortSignal} [options.signal] - Cancels upstream requests and retries (client disconnected)
+ * @param {Object} [options.client] - Client key record; fallbacks stay within its allowedModels
  * @returns {Promise<Object>} Anthropic-format response object
  * @throws {Error} If max retries exceeded or no accounts available
+ * @throws {RequestCancelledError} If the signal aborted
  */
-export async function sendMessage(anthropicRequest, accountManager, fallbackEnabled = false) {
+export async function sendMessage(anthropicRequest, accountManager, fallbackEnabled = false, options = {}) {
+    return runWithFallback(
+        anthropicRequest,
+        fallbackEnabled,
+        (request) => sendMessageToModel(request, accountManager, options.signal, options.onUsage, options.onAttempt),
+        options.onServedModel,
+        options.client
+    );
+}
+
+/**
+ * Send a non-streaming request for one model (one hop of its fallback chain)
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request
+ * @param {string} [anthropicRequest._provider] - Only use accounts of this provider
+ * @param {string[]} [anthropicRequest._allowedProviders] - Only use accounts of these providers (client key policy)
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {AbortSignal} [signal] - Cancels upstream requests and retries
+ * @param {function(Object): void} [onUsage] - Called with the answer's usage entry
+ * @param {function(Object): void} [onAttempt] - Called with each account the request is sent to
+ * @returns {Promise<Object>} Anthropic-format response object
+ * @throws {Error} If max retries exceeded or no accounts available
+ */
+async function sendMessageToModel(anthropicRequest, accountManager, signal, onUsage, onAttempt) {
     const model = anthropicRequest.model;
-    const isThinking = isThinkingModel(model);
+    const provider = getProviderFilter(anthropicRequest);
 
     // Retry loop with account failover
     const maxAttempts = Math.max(MAX_RETRIES, accountManager.getAccountCount() + 1);
     const retryStartTime = Date.now();
+    let lastAccount = null;
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        signal?.throwIfAborted();
+
         // Wall-clock safety: abort if total retry time exceeds cap
         if (Date.now() - retryStartTime > MAX_TOTAL_RETRY_TIME_MS) {
             throw new MaxRetriesError(`Total retry time exceeded ${MAX_TOTAL_RETRY_TIME_MS}ms`, attempt);
         }
 
-        // Select account (handles rate-limit waits, fallback detection)
+        // Select account (handles rate-limit waits)
         const selection = await selectAccountForAttempt({
-            model, accountManager, attempt, maxAttempts, fallbackEnabled
+            model, provider, accountManager, attempt, maxAttempts, signal
         });
 
-        if (selection.exhaustedAction === 'fallback') {
-            const fallbackRequest = { ...anthropicRequest, model: selection.fallbackModel };
-            return await sendMessage(fallbackRequest, accountManager, false);
-        }
-
         if (selection.decrementAttempt) {
             attempt--;
             continue;
@@ -72,133 +106,165 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
         const { account } = selection;
         if (!account) continue;
 
+        // Every attempt after the first is a retry, counted for /metrics
+        if (lastAccount) metrics.recordRetry(model, account.email !== lastAccount.email);
+        lastAccount = account;
+        onAttempt?.({ account: account.email, provider: account.provider || 'google', model });
+
         try {
-            // Get token and project for this account
-            const token = await accountManager.getTokenForAccount(account);
-
-            // --- Provider-aware dispatch ---
-            // Non-Google providers (Copilot, OpenAI, etc.) use their own API endpoints
-            if (isNonGoogleProvider(account)) {
-                try {
-                    const result = await dispatchMessageToProvider(anthropicRequest, account, token, accountManager);
-                    clearRateLimitState(account.email, model);
-                    accountManager.notifySuccess(account, model);
-                    return result;
-                } catch (providerError) {
-                    logger.warn(`[CloudCode] Provider dispatch failed for ${account.provider}:`, providerError.message);
-                    throw providerError;
-                }
+            return await tracer.withSpan('attempt', {
+                ...accountAttributes(account), 'gen_ai.request.model': model, 'commons.attempt': attempt
+            }, () => sendMessageToAccount(anthropicRequest, account, accountManager, signal, onUsage));
+        } catch (error) {
+            // A disconnected client ends the request: no account switching
+            signal?.throwIfAborted();
+            const action = await classifyRetryError(error, account, model, accountManager, '', signal);
+            if (action === 'continue') continue;
+            throw error;
+        }
+    }
+
+    throw new MaxRetriesError('Max retries exceeded', maxAttempts);
+}
+
+/**
+ * Send a request on one account: provider dispatch for non-Google accounts,
+ * Cloud Code endpoints (with failover) otherwise
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request
+ * @param {Object} account - Account to send on
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {AbortSignal} [signal] - Cancels upstream requests and backoff waits
+ * @param {function(Object): void} [onUsage] - Called with the answer's usage entry
+ * @returns {Promise<Object>} Anthropic-format response
+ * @throws {Error} If the account's request fails
+ */
+async function sendMessageToAccount(anthropicRequest, account, accountManager, signal, onUsage) {
+    const model = anthropicRequest.model;
+    const isThinking = isThinkingModel(model);
+
+    // Get token and project for this account
+    const token = await tracer.withSpan('account.token', accountAttributes(account),
+        () => accountManager.getTokenForAccount(account));
+
+    // --- Provider-aware dispatch ---
+    // Non-Google providers (Copilot, OpenAI, etc.) use their own API endpoints
+    if (isNonGoogleProvider(account)) {
+        try {
+            const result = await dispatchMessageToProvider(anthropicRequest, account, token, accountManager, { signal });
+            clearRateLimitState(account.email, model);
+            accountManager.notifySuccess(account, model);
+            return meterResponse(anthropicRequest, account, result, onUsage);
+        } catch (providerError) {
+            if (!signal?.aborted) {
+                logger.warn(`[CloudCode] Provider dispatch failed for ${account.provider}:`, providerError.message);
             }
+            throw providerError;
+        }
+    }
 
-            // --- Google Cloud Code path (default) ---
-            const project = await accountManager.getProjectForAccount(account, token);
-            const payload = buildCloudCodeRequest(anthropicRequest, project, account.email);
-
-            logger.debug(`[CloudCode] Sending request for model: ${model}`);
-
-            // Try each endpoint with index-based loop for capacity retry support
-            let lastError = null;
-            const retryState = { capacityRetryCount: 0 };
-            let endpointIndex = 0;
-
-            while (endpointIndex < CLOUDCODE_ENDPOINT_FALLBACKS.length) {
-                const endpoint = CLOUDCODE_ENDPOINT_FALLBACKS[endpointIndex];
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), UPSTREAM_REQUEST_TIMEOUT_MS);
-
-                try {
-                    const url = isThinking
-                        ? `${endpoint}/v1internal:streamGenerateContent?alt=sse`
-                        : `${endpoint}/v1internal:generateContent`;
-
-                    let response;
-                    try {
-                        response = await fetch(url, {
-                            method: 'POST',
-                            headers: buildHeaders(token, model, isThinking ? 'text/event-stream' : 'application/json'),
-                            body: JSON.stringify(payload),
-                            signal: controller.signal
-                        });
-                    } catch (fetchError) {
-                        clearTimeout(timeoutId);
-                        throw fetchError;
-                    }
-
-                    if (!response.ok) {
-                        const errorText = await response.text();
-                        logger.warn(`[CloudCode] Error at ${endpoint}: ${response.status} - ${errorText}`);
-
-                        const result = await handleHttpError({
-                            response, errorText, endpoint, account, model,
-                            accountManager, retryState
-                        });
-
-                        switch (result.action) {
-                            case 'retryEndpoint':
-                                continue;
-                            case 'nextEndpoint':
-                                if (result.error) lastError = result.error;
-                                endpointIndex++;
-                                continue;
-                            case 'throw':
-                                throw result.error;
-                        }
-                    }
-
-                    // For thinking models, parse SSE and accumulate all parts
-                    if (isThinking) {
-                        const result = await parseThinkingSSEResponse(response, anthropicRequest.model);
-                        clearTimeout(timeoutId);
-                        clearRateLimitState(account.email, model);
-                        accountManager.notifySuccess(account, model);
-                        return result;
-                    }
-
-                    // Non-thinking models use regular JSON
-                    const data = await response.json();
-                    clearTimeout(timeoutId);
-                    logger.debug('[CloudCode] Response received');
-                    clearRateLimitState(account.email, model);
-                    accountManager.notifySuccess(account, model);
-                    return convertGoogleToAnthropic(data, anthropicRequest.model);
-
-                } catch (endpointError) {
-                    clearTimeout(timeoutId);
-                    if (isRateLimitError(endpointError)) {
-                        throw endpointError; // Re-throw to trigger account switch
-                    }
-                    logger.warn(`[CloudCode] Error at ${endpoint}:`, endpointError.message);
-                    lastError = endpointError;
-                    endpointIndex++;
-                }
+    // --- Google Cloud Code path (default) ---
+    const project = await tracer.withSpan('account.project', accountAttributes(account),
+        () => accountManager.getProjectForAccount(account, token));
+    const payload = buildCloudCodeRequest(anthropicRequest, project, account.email);
+
+    logger.debug(`[CloudCode] Sending request for model: ${model}`);
+
+    // Try each endpoint with index-based loop for capacity retry support
+    let lastError = null;
+    const retryState = { capacityRetryCount: 0 };
+    let endpointIndex = 0;
+
+    while (endpointIndex < CLOUDCODE_ENDPOINT_FALLBACKS.length) {
+        const endpoint = CLOUDCODE_ENDPOINT_FALLBACKS[endpointIndex];
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), UPSTREAM_REQUEST_TIMEOUT_MS);
+        const unlinkSignal = linkAbortSignal(controller, signal);
+        const span = tracer.startSpan('cloudcode.request', { kind: SpanKind.CLIENT, attributes: { 'commons.endpoint': endpoint } });
+
+        try {
+            const url = isThinking
+                ? `${endpoint}/v1internal:streamGenerateContent?alt=sse`
+                : `${endpoint}/v1internal:generateContent`;
+
+            let response;
+            try {
+                response = await fetch(url, {
+                    method: 'POST',
+                    headers: buildHeaders(token, model, isThinking ? 'text/event-stream' : 'application/json'),
+                    body: JSON.stringify(payload),
+                    signal: controller.signal
+                });
+            } catch (fetchError) {
+                clearTimeout(timeoutId);
+                throw fetchError;
             }
+            span.setAttribute('http.response.status_code', response.status);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                logger.warn(`[CloudCode] Error at ${endpoint}: ${response.status} - ${errorText}`);
+                span.setError(`HTTP ${response.status}`);
 
-            // If all endpoints failed for this account
-            if (lastError) {
-                if (lastError.is429) {
-                    logger.warn(`[CloudCode] All endpoints rate-limited for ${account.email}`);
-                    accountManager.markRateLimited(account.email, lastError.resetMs, model);
-                    throw new Error(`Rate limited: ${lastError.errorText}`);
+                const result = await handleHttpError({
+                    response, errorText, endpoint, account, model,
+                    accountManager, retryState, signal, span
+                });
+
+                switch (result.action) {
+                    case 'retryEndpoint':
+                        continue;
+                    case 'nextEndpoint':
+                        if (result.error) lastError = result.error;
+                        endpointIndex++;
+                        continue;
+                    case 'throw':
+                        throw result.error;
                 }
-                throw lastError;
             }
 
-        } catch (error) {
-            const action = await classifyRetryError(error, account, model, accountManager);
-            if (action === 'continue') continue;
-            throw error;
+            // For thinking models, parse SSE and accumulate all parts
+            if (isThinking) {
+                const result = await parseThinkingSSEResponse(response, anthropicRequest.model);
+                clearTimeout(timeoutId);
+                clearRateLimitState(account.email, model);
+                accountManager.notifySuccess(account, model);
+                return meterResponse(anthropicRequest, account, result, onUsage);
+            }
+
+            // Non-thinking models use regular JSON
+            const data = await response.json();
+            clearTimeout(timeoutId);
+            logger.debug('[CloudCode] Response received');
+            clearRateLimitState(account.email, model);
+            accountManager.notifySuccess(account, model);
+            return meterResponse(anthropicRequest, account, convertGoogleToAnthropic(data, anthropicRequest.model), onUsage);
+
+        } catch (endpointError) {
+            clearTimeout(timeoutId);
+            span.recordException(endpointError);
+            if (signal?.aborted) {
+                throw endpointError; // Cancelled by the client: no endpoint failover
+            }
+            if (isRateLimitError(endpointError)) {
+                throw endpointError; // Re-throw to trigger account switch
+            }
+            logger.warn(`[CloudCode] Error at ${endpoint}:`, endpointError.message);
+            lastError = endpointError;
+            endpointIndex++;
+        } finally {
+            unlinkSignal();
+            span.end();
         }
     }
 
-    // All retries exhausted - try fallback model if enabled
-    if (fallbackEnabled) {
-        const fallbackModel = getFallbackModel(model);
-        if (fallbackModel) {
-            logger.warn(`[CloudCode] All retries exhausted for ${model}. Attempting fallback to ${fallbackModel}`);
-            const fallbackRequest = { ...anthropicRequest, model: fallbackModel };
-            return await sendMessage(fallbackRequest, accountManager, false);
+    // If all endpoints failed for this account
+    if (lastError) {
+        if (lastError.is429) {
+            logger.warn(`[CloudCode] All endpoints rate-limited for ${account.email}`);
+            accountManager.markRateLimited(account.email, lastError.resetMs, model);
+            throw new Error(`Rate limited: ${lastError.errorText}`);
         }
+        throw lastError;
     }
-
-    throw new MaxRetriesError('Max retries exceeded', maxAttempts);
 }
@@ -3,95 +3,22 @@
  *
  * Routes requests to the correct API endpoint based on the account's provider.
  * Google accounts use the Cloud Code API (default path in streaming-handler/message-handler).
- * Non-Google accounts (Copilot, OpenAI, Anthropic, etc.) are dispatched here
+ * Anthropic accounts are forwarded natively to the Messages API.
+ * Codex (ChatGPT Plus/Pro) accounts use the Codex Responses backend.
+ * Other non-Google accounts (Copilot, OpenAI, etc.) are dispatched here
  * using the OpenAI-compatible infrastructure.
  */
 
 import { createOpenAICompatibleProvider } from '../providers/openai-compatible.js';
+import { getAuthProvider } from '../providers/index.js';
 import { CopilotProvider, COPILOT_CONFIG } from '../providers/copilot.js';
+import { applyModelCapabilities, resolveModelCapabilities } from '../providers/custom-provider.js';
+import { resolveModelName, translateModelName, isKnownProviderModel } from '../providers/model-translation.js';
 import { logger } from '../utils/logger.js';
+import { tracer, accountAttributes } from '../modules/tracing.js';
 import crypto from 'crypto';
 
-// --- Copilot Model Name Mapping ---
-
-/**
- * Authoritative set of Copilot model IDs from models.dev/api.json.
- * Updated 2026-02-15 from https://models.dev/api.json → "github-copilot" → "models".
- *
- * These are the EXACT model IDs the Copilot API accepts at api.githubcopilot.com.
- * Any model name not in this set after translation will still be passed through
- * (the API may add new models), but a warning will be logged.
- *
- * @type {Set<string>}
- */
-const KNOWN_COPILOT_MODELS = new Set([
-    // --- Claude (Anthropic) ---
-    'claude-sonnet-4',
-    'claude-sonnet-4.5',
-    'claude-haiku-4.5',
-    'claude-opus-41',           // NOTE: no dot — "41" not "4.1"
-    'claude-opus-4.5',
-    'claude-opus-4.6',
-    // --- GPT (OpenAI) ---
-    'gpt-4o',
-    'gpt-4.1',
-    'gpt-5',
-    'gpt-5-mini',
-    'gpt-5.1',
-    'gpt-5.1-codex',
-    'gpt-5.1-codex-mini',
-    'gpt-5.1-codex-max',
-    'gpt-5.2',
-    'gpt-5.2-codex',
-    'gpt-5.3-codex',
-    // --- Gemini (Google) ---
-    'gemini-2.5-pro',
-    'gemini-3-flash-preview',
-    'gemini-3-pro-preview',
-    // --- Grok (xAI) ---
-    'grok-code-fast-1'
-]);
-
-/**
- * Explicit overrides for model names that don't follow regex rules.
- * Maps incoming model ID (lowercased) → exact Copilot model ID.
- *
- * We use a Map so lookup is O(1) and the entries are self-documenting.
- * @type {Map<string, string>}
- */
-const COPILOT_MODEL_OVERRIDES = new Map([
-    // --- Claude opus 4.1 → "opus-41" (concatenated, no dot) ---
-    ['claude-opus-4-1', 'claude-opus-41'],
-    ['claude-opus-4-1-thinking', 'claude-opus-41'],
-    ['claude-opus-4.1', 'claude-opus-41'],
-    ['claude-opus-4.1-thinking', 'claude-opus-41'],
-
-    // --- Legacy / deprecated Anthropic model names → best current equivalent ---
-    ['claude-3-5-sonnet', 'claude-sonnet-4'],
-    ['claude-3.5-sonnet', 'claude-sonnet-4'],
-    ['claude-3-5-sonnet-latest', 'claude-sonnet-4'],
-    ['claude-3-7-sonnet', 'claude-sonnet-4'],
-    ['claude-3.7-sonnet', 'claude-sonnet-4'],
-    ['claude-3-7-sonnet-latest', 'claude-sonnet-4'],
-    ['claude-3-5-haiku', 'claude-haiku-4.5'],
-    ['claude-3.5-haiku', 'claude-haiku-4.5'],
-    ['claude-3-opus', 'claude-opus-41'],
-    ['claude-3.0-opus', 'claude-opus-41'],
-
-    // --- GPT legacy names ---
-    ['gpt-4o-mini', 'gpt-4o'],
-    ['gpt-4', 'gpt-4o'],
-    ['gpt-4-turbo', 'gpt-4o'],
-
-    // --- o-series → GPT-5 mini (retired per GitHub docs, 2025-10-23) ---
-    ['o1', 'gpt-5-mini'],
-    ['o1-mini', 'gpt-5-mini'],
-    ['o1-preview', 'gpt-5-mini'],
-    ['o3', 'gpt-5-mini'],
-    ['o3-mini', 'gpt-5-mini'],
-    ['o3-pro', 'gpt-5.1'],
-    ['o4-mini', 'gpt-5-mini']
-]);
+// --- Model Name Mapping ---
 
 /**
  * Copilot models that support reasoning (reasoning: true from models.dev).
@@ -113,107 +40,36 @@ export const COPILOT_REASONING_MODELS = new Set([
 ]);
 
 /**
- * Translate an Anthropic/generic model name to a Copilot-compatible model ID.
+ * Resolve an Anthropic/generic model name to a Copilot-compatible model ID without logging.
+ * Claude Code sends names like "claude-opus-4-6-thinking"; Copilot expects "claude-opus-4.6".
+ * The rules live in the model translation registry (providers/model-translation.js).
  *
- * The Copilot API at api.githubcopilot.com uses specific model IDs that differ
- * from Anthropic's naming conventions. Claude Code sends Anthropic-style names
- * like "claude-opus-4-6-thinking" which must be translated to "claude-opus-4.6".
- *
- * Translation pipeline (applied in order):
- *   1. Exact match against known set (already valid) → return as-is
- *   2. Explicit override lookup (handles special cases like opus-41)
- *   3. Strip date suffixes (e.g. -20250514)
- *   4. Strip "-latest" and "-0" suffixes
- *   5. Strip "-thinking" suffix (Copilot uses reasoning_effort param instead)
- *   6. Re-check explicit overrides after stripping
- *   7. Convert Claude version hyphens to dots: "claude-sonnet-4-5" → "claude-sonnet-4.5"
- *   8. Convert GPT version hyphens to dots: "gpt-5-1" → "gpt-5.1"
- *   9. Validate against known set; pass through unknown with warning
+ * @param {string} model - Incoming model name (e.g. from Claude Code or Anthropic API)
+ * @returns {{ model: string, isThinking: boolean, source: 'known'|'override'|'translated'|'unknown' }}
+ *   Copilot model ID, whether -thinking was stripped, and which rule produced it
+ */
+export function resolveCopilotModel(model) {
+    return resolveModelName('copilot', model);
+}
+
+/**
+ * Translate an Anthropic/generic model name to a Copilot-compatible model ID, logging the result.
  *
  * @param {string} model - Incoming model name (e.g. from Claude Code or Anthropic API)
  * @returns {{ model: string, isThinking: boolean }} Copilot model ID and whether -thinking was stripped
  */
 export function translateModelForCopilot(model) {
-    if (!model) return { model, isThinking: false };
-
-    // Track whether the original name had -thinking suffix
-    let isThinking = false;
-
-    // 1. Already a known Copilot model? Return as-is.
-    if (KNOWN_COPILOT_MODELS.has(model)) {
-        return { model, isThinking };
-    }
-
-    // 2. Explicit override (before any stripping)
-    const lowerModel = model.toLowerCase();
-    if (COPILOT_MODEL_OVERRIDES.has(lowerModel)) {
-        const mapped = COPILOT_MODEL_OVERRIDES.get(lowerModel);
-        isThinking = /-thinking$/i.test(model);
-        logger.debug(`[ProviderDispatch] Model override: ${model} → ${mapped}`);
-        return { model: mapped, isThinking };
-    }
-
-    let translated = model;
-
-    // 3. Strip date suffixes (e.g. -20250514, -20250601, -20260101)
-    translated = translated.replace(/-\d{8}$/, '');
-
-    // 4. Strip "-latest" and trailing "-0" suffixes
-    translated = translated.replace(/-latest$/, '');
-    translated = translated.replace(/-0$/, '');
-
-    // 5. Strip "-thinking" suffix — record that it was present
-    if (/-thinking$/i.test(translated)) {
-        isThinking = true;
-        translated = translated.replace(/-thinking$/i, '');
-    }
-
-    // 6. Re-check overrides after stripping
-    //    e.g. "claude-opus-4-1-20250514" → stripped to "claude-opus-4-1" → override to "claude-opus-41"
-    const lowerTranslated = translated.toLowerCase();
-    if (COPILOT_MODEL_OVERRIDES.has(lowerTranslated)) {
-        const mapped = COPILOT_MODEL_OVERRIDES.get(lowerTranslated);
-        logger.debug(`[ProviderDispatch] Model override (post-strip): ${model} → ${mapped}`);
-        return { model: mapped, isThinking };
-    }
-
-    // 7. Convert Claude version hyphens to dots:
-    //    "claude-sonnet-4-5" → "claude-sonnet-4.5"
-    //    "claude-opus-4-6"  → "claude-opus-4.6"
-    //    "claude-haiku-4-5" → "claude-haiku-4.5"
-    translated = translated.replace(
-        /^(claude-(?:sonnet|opus|haiku)-)(\d+)-(\d+)$/,
-        '$1$2.$3'
-    );
-
-    // 8. Convert GPT version hyphens to dots (for compound versions):
-    //    "gpt-5-1" → "gpt-5.1"  but NOT "gpt-5-mini" or "gpt-5-codex"
-    //    Match: gpt-X-Y where Y is a digit
-    translated = translated.replace(
-        /^(gpt-)(\d+)-(\d+)$/,
-        '$1$2.$3'
-    );
-    // Also handle "gpt-5-1-codex" → "gpt-5.1-codex", "gpt-5-2-codex" → "gpt-5.2-codex"
-    translated = translated.replace(
-        /^(gpt-)(\d+)-(\d+)(-codex(?:-\w+)?)$/,
-        '$1$2.$3$4'
-    );
-
-    // 9. Already a known model after translation?
-    if (KNOWN_COPILOT_MODELS.has(translated)) {
-        if (translated !== model) {
-            logger.info(`[ProviderDispatch] Model translated: ${model} → ${translated}`);
-        }
-        return { model: translated, isThinking };
-    }
+    return translateModelName('copilot', model);
+}
 
-    // 10. Unknown model — pass through but warn
-    if (translated !== model) {
-        logger.warn(`[ProviderDispatch] Model translated: ${model} → ${translated} (not in known Copilot set, passing through)`);
-    } else {
-        logger.warn(`[ProviderDispatch] Unknown model passed through unchanged: ${model}`);
-    }
-    return { model: translated, isThinking };
+/**
+ * Check whether a model name resolves to a known Copilot model ID.
+ *
+ * @param {string} model - Incoming model name
+ * @returns {boolean} True if Copilot serves the model
+ */
+export function isKnownCopilotModel(model) {
+    return isKnownProviderModel('copilot', model);
 }
 
 // --- Provider API Configuration ---
@@ -223,9 +79,10 @@ export function translateModelForCopilot(model) {
  *
  * @param {Object} account - Account object with provider field
  * @param {string} token - Access token for the account
- * @returns {{ baseUrl: string, headers: Object }|null} API config or null if unknown provider
+ * @param {string} model - Requested model (selects the Azure deployment)
+ * @returns {{ baseUrl: string, headers: Object, query?: Object }|null} API config or null if unknown provider
  */
-function getProviderApiConfig(account, token) {
+function getProviderApiConfig(account, token, model) {
     const providerId = account.provider || 'google';
 
     switch (providerId) {
@@ -236,23 +93,12 @@ function getProviderApiConfig(account, token) {
             };
 
         case 'openai':
-            return {
-                baseUrl: 'https://api.openai.com/v1',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            };
+            // Honors customApiEndpoint (self-hosted) and Azure OpenAI deployments
+            return getAuthProvider('openai').getApiConfig(account, token, model);
 
-        case 'anthropic':
-            return {
-                baseUrl: 'https://api.anthropic.com/v1',
-                headers: {
-                    'x-api-key': token,
-                    'anthropic-version': '2023-06-01',
-                    'Content-Type': 'application/json'
-                }
-            };
+        case 'custom':
+            // Local OpenAI-compatible server at the account's base URL
+            return getAuthProvider('custom').getApiConfig(account, token);
 
         case 'openrouter':
             return {
@@ -288,6 +134,53 @@ export function isNonGoogleProvider(account) {
     return providerId !== 'google';
 }
 
+/**
+ * Persist refreshed Codex tokens and drop the stale cached token
+ *
+ * @param {import('../account-manager/index.js').default} accountManager - Account manager
+ * @returns {Function} onTokenRefresh callback for CodexProvider
+ */
+function onCodexTokenRefresh(accountManager) {
+    return async (account) => {
+        accountManager.clearTokenCache(account.email);
+        await accountManager.saveToDisk();
+    };
+}
+
+/**
+ * Translate the request's model name for the provider (see providers/model-translation.js)
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request
+ * @param {string} providerId - Provider id
+ * @returns {Object} Request with the provider's model id (the input is not modified)
+ */
+function translateRequestModel(anthropicRequest, providerId) {
+    const originalModel = anthropicRequest.model;
+    const { model, isThinking } = translateModelName(providerId, originalModel);
+    const translated = { ...anthropicRequest, model };
+
+    // Attach metadata so the format converter knows this is a reasoning model
+    // and whether the original request had -thinking suffix
+    if (providerId === 'copilot' && (isThinking || translated.thinking)) {
+        translated._copilotReasoning = true;
+    }
+    if (model !== originalModel) {
+        logger.info(`[ProviderDispatch] Model mapped: ${originalModel} → ${model} for ${providerId}`);
+    }
+    return translated;
+}
+
+/**
+ * Attributes of a provider.request span
+ *
+ * @param {Object} account - Account the request is sent on
+ * @param {boolean} stream - Whether the request streams
+ * @returns {Object} Span attributes
+ */
+function providerSpanAttributes(account, stream) {
+    return { ...accountAttributes(account), 'commons.stream': stream };
+}
+
 // --- Streaming Dispatch ---
 
 /**
@@ -299,47 +192,95 @@ export function isNonGoogleProvider(account) {
  * @param {Object} account - Account object with provider field
  * @param {string} token - Access token
  * @param {import('../account-manager/index.js').default} accountManager - Account manager
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request
  * @yields {Object} Anthropic-format SSE events
  * @throws {Error} If the provider is unknown or the request fails
  */
-export async function* dispatchStreamToProvider(anthropicRequest, account, token, accountManager) {
+export function dispatchStreamToProvider(anthropicRequest, account, token, accountManager, options = {}) {
+    return tracer.traceStream('provider.request', providerSpanAttributes(account, true),
+        (span) => streamFromProvider(anthropicRequest, account, token, accountManager, options, span));
+}
+
+/**
+ * dispatchStreamToProvider within its span
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request
+ * @param {Object} account - Account object with provider field
+ * @param {string} token - Access token
+ * @param {import('../account-manager/index.js').default} accountManager - Account manager
+ * @param {Object} options - { signal }
+ * @param {import('../modules/tracing.js').Span} span - provider.request span
+ * @yields {Object} Anthropic-format SSE events
+ */
+async function* streamFromProvider(anthropicRequest, account, token, accountManager, { signal }, span) {
     const providerId = account.provider || 'google';
-    const apiConfig = getProviderApiConfig(account, token);
+    anthropicRequest = translateRequestModel(anthropicRequest, providerId);
+    span.setAttribute('gen_ai.request.model', anthropicRequest.model);
+
+    if (providerId === 'anthropic') {
+        const provider = getAuthProvider('anthropic');
+        logger.info(`[ProviderDispatch] Forwarding stream request to anthropic (${provider.getApiEndpoint(account)}), model: ${anthropicRequest.model}`);
+        span.setAttribute('commons.endpoint', provider.getApiEndpoint(account));
+        try {
+            yield* provider.sendMessageStream(anthropicRequest, account, token, { signal });
+        } catch (error) {
+            if (!signal?.aborted) {
+                logger.error('[ProviderDispatch] Stream error for anthropic:', error.message);
+            }
+            throw error;
+        }
+        return;
+    }
+
+    if (providerId === 'codex') {
+        const provider = getAuthProvider('codex');
+        logger.info(`[ProviderDispatch] Routing stream request to codex (${provider.config.apiEndpoint}), model: ${anthropicRequest.model}`);
+        span.setAttribute('commons.endpoint', provider.config.apiEndpoint);
+        try {
+            yield* provider.sendMessageStream(anthropicRequest, account, token, {
+                onTokenRefresh: onCodexTokenRefresh(accountManager),
+                signal
+            });
+        } catch (error) {
+            if (!signal?.aborted) {
+                logger.error('[ProviderDispatch] Stream error for codex:', error.message);
+            }
+            throw error;
+        }
+        return;
+    }
+
+    const apiConfig = getProviderApiConfig(account, token, anthropicRequest.model);
 
     if (!apiConfig) {
         throw new Error(`No API configuration for provider: ${providerId}`);
     }
 
-    // Translate model name for provider (e.g. Copilot uses different IDs)
-    const originalModel = anthropicRequest.model;
-    if (providerId === 'copilot') {
-        const { model: copilotModel, isThinking } = translateModelForCopilot(anthropicRequest.model);
-        anthropicRequest = { ...anthropicRequest, model: copilotModel };
-        // Attach metadata so the format converter knows this is a reasoning model
-        // and whether the original request had -thinking suffix
-        if (isThinking || anthropicRequest.thinking) {
-            anthropicRequest._copilotReasoning = true;
-        }
-    }
-    if (anthropicRequest.model !== originalModel) {
-        logger.info(`[ProviderDispatch] Model mapped: ${originalModel} → ${anthropicRequest.model} for ${providerId}`);
+    if (providerId === 'custom') {
+        // Drop what the local model can't handle (tools, images, thinking)
+        anthropicRequest = applyModelCapabilities(anthropicRequest, resolveModelCapabilities(account, anthropicRequest.model));
     }
 
     logger.info(`[ProviderDispatch] Routing stream request to ${providerId} (${apiConfig.baseUrl}), model: ${anthropicRequest.model}`);
+    span.setAttribute('commons.endpoint', apiConfig.baseUrl);
 
     const provider = createOpenAICompatibleProvider({
         id: providerId,
         name: providerId,
         baseUrl: apiConfig.baseUrl,
-        headers: apiConfig.headers
+        headers: apiConfig.headers,
+        query: apiConfig.query
     });
 
     try {
         // The openai-compatible provider's sendMessageStream already handles
         // Anthropic->OpenAI conversion and OpenAI SSE->Anthropic SSE conversion
-        yield* provider.sendMessageStream(anthropicRequest, { apiKey: null }, {});
+        yield* provider.sendMessageStream(anthropicRequest, { apiKey: null }, { signal });
     } catch (error) {
-        logger.error(`[ProviderDispatch] Stream error for ${providerId}:`, error.message);
+        if (!signal?.aborted) {
+            logger.error(`[ProviderDispatch] Stream error for ${providerId}:`, error.message);
+        }
         throw error;
     }
 }
@@ -355,52 +296,102 @@ export async function* dispatchStreamToProvider(anthropicRequest, account, token
  * @param {Object} account - Account object with provider field
  * @param {string} token - Access token
  * @param {import('../account-manager/index.js').default} accountManager - Account manager
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request
  * @returns {Promise<Object>} Anthropic-format response
  * @throws {Error} If the provider is unknown or the request fails
  */
-export async function dispatchMessageToProvider(anthropicRequest, account, token, accountManager) {
+export function dispatchMessageToProvider(anthropicRequest, account, token, accountManager, options = {}) {
+    return tracer.withSpan('provider.request', providerSpanAttributes(account, false),
+        (span) => sendToProvider(anthropicRequest, account, token, accountManager, options, span));
+}
+
+/**
+ * dispatchMessageToProvider within its span
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request
+ * @param {Object} account - Account object with provider field
+ * @param {string} token - Access token
+ * @param {import('../account-manager/index.js').default} accountManager - Account manager
+ * @param {Object} options - { signal }
+ * @param {import('../modules/tracing.js').Span} span - provider.request span
+ * @returns {Promise<Object>} Anthropic-format response
+ */
+async function sendToProvider(anthropicRequest, account, token, accountManager, { signal }, span) {
     const providerId = account.provider || 'google';
-    const apiConfig = getProviderApiConfig(account, token);
+    anthropicRequest = translateRequestModel(anthropicRequest, providerId);
+    span.setAttribute('gen_ai.request.model', anthropicRequest.model);
+
+    if (providerId === 'anthropic') {
+        const provider = getAuthProvider('anthropic');
+        logger.info(`[ProviderDispatch] Forwarding message request to anthropic (${provider.getApiEndpoint(account)}), model: ${anthropicRequest.model}`);
+        span.setAttribute('commons.endpoint', provider.getApiEndpoint(account));
+        try {
+            return await provider.sendMessage(anthropicRequest, account, token, { signal });
+        } catch (error) {
+            if (!signal?.aborted) {
+                logger.error('[ProviderDispatch] Message error for anthropic:', error.message);
+            }
+            throw error;
+        }
+    }
+
+    if (providerId === 'codex') {
+        const provider = getAuthProvider('codex');
+        logger.info(`[ProviderDispatch] Routing message request to codex (${provider.config.apiEndpoint}), model: ${anthropicRequest.model}`);
+        span.setAttribute('commons.endpoint', provider.config.apiEndpoint);
+        try {
+            return await provider.sendMessage(anthropicRequest, account, token, {
+                onTokenRefresh: onCodexTokenRefresh(accountManager),
+                signal
+            });
+        } catch (error) {
+            if (!signal?.aborted) {
+                logger.error('[ProviderDispatch] Message error for codex:', error.message);
+            }
+            throw error;
+        }
+    }
+
+    const apiConfig = getProviderApiConfig(account, token, anthropicRequest.model);
 
     if (!apiConfig) {
         throw new Error(`No API configuration for provider: ${providerId}`);
     }
 
-    // Translate model name for provider (e.g. Copilot uses different IDs)
-    const originalModel = anthropicRequest.model;
-    if (providerId === 'copilot') {
-        const { model: copilotModel, isThinking } = translateModelForCopilot(anthropicRequest.model);
-        anthropicRequest = { ...anthropicRequest, model: copilotModel };
-        if (isThinking || anthropicRequest.thinking) {
-            anthropicRequest._copilotReasoning = true;
-        }
-    }
-    if (anthropicRequest.model !== originalModel) {
-        logger.info(`[ProviderDispatch] Model mapped: ${originalModel} → ${anthropicRequest.model} for ${providerId}`);
+    if (providerId === 'custom') {
+        // Drop what the local model can't handle (tools, images, thinking)
+        anthropicRequest = applyModelCapabilities(anthropicRequest, resolveModelCapabilities(account, anthropicRequest.model));
     }
 
     logger.info(`[ProviderDispatch] Routing message request to ${providerId} (${apiConfig.baseUrl}), model: ${anthropicRequest.model}`);
+    span.setAttribute('commons.endpoint', apiConfig.baseUrl);
 
     const provider = createOpenAICompatibleProvider({
         id: providerId,
         name: providerId,
         baseUrl: apiConfig.baseUrl,
-        headers: apiConfig.headers
+        headers: apiConfig.headers,
+        query: apiConfig.query
     });
 
     try {
         // The openai-compatible provider's sendMessage already handles
         // Anthropic->OpenAI conversion and OpenAI->Anthropic response conversion
-        return await provider.sendMessage(anthropicRequest, { apiKey: null }, {});
+        return await provider.sendMessage(anthropicRequest, { apiKey: null }, { signal });
     } catch (error) {
-        logger.error(`[ProviderDispatch] Message error for ${providerId}:`, error.message);
+        if (!signal?.aborted) {
+            logger.error(`[ProviderDispatch] Message error for ${providerId}:`, error.message);
+        }
         throw error;
     }
 }
 
 export default {
     isNonGoogleProvider,
+    resolveCopilotModel,
     translateModelForCopilot,
+    isKnownCopilotModel,
     dispatchStreamToProvider,
     dispatchMessageToProvider
 };
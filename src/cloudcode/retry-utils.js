@@ -19,10 +19,12 @@ import {
     MAX_CAPACITY_RETRIES,
     CAPACITY_BACKOFF_TIERS_MS
 } from '../constants.js';
-import { isRateLimitError, isAuthError } from '../errors.js';
+import { isRateLimitError, isAuthError, UnsupportedModelError } from '../errors.js';
 import { formatDuration, sleep, isNetworkError } from '../utils/helpers.js';
 import { logger } from '../utils/logger.js';
+import { tracer, accountAttributes } from '../modules/tracing.js';
 import { parseResetTime, parseRateLimitReason } from './rate-limit-parser.js';
+import { waitForModelLists } from '../account-manager/model-compatibility.js';
 
 // ─── Rate Limit State Tracking ──────────────────────────────────────────────
 
@@ -162,6 +164,20 @@ export function calculateSmartBackoff(errorText, serverResetMs, consecutiveFailu
 
 // ─── HTTP Response Error Handling ───────────────────────────────────────────
 
+/**
+ * Sleep, recording the wait as an event on a trace span (see modules/tracing.js)
+ *
+ * @param {import('../modules/tracing.js').Span} [span] - Span the wait belongs to
+ * @param {string} reason - Why the request waits
+ * @param {number} waitMs - Wait in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>}
+ */
+async function traceWait(span, reason, waitMs, signal) {
+    span?.addEvent('wait', { 'commons.wait_reason': reason, 'commons.wait_ms': waitMs });
+    await sleep(waitMs, signal);
+}
+
 /**
  * Handle a non-OK HTTP response within the endpoint loop.
  * Processes 401, 429, 503 capacity, and other error status codes.
@@ -175,10 +191,12 @@ export function calculateSmartBackoff(errorText, serverResetMs, consecutiveFailu
  * @param {Object} params.accountManager - AccountManager instance
  * @param {Object} params.retryState - Mutable state: { capacityRetryCount }
  * @param {string} params.logPrefix - Log prefix ("" or "Stream ")
+ * @param {AbortSignal} [params.signal] - Cancels backoff waits when the client disconnects
+ * @param {import('../modules/tracing.js').Span} [params.span] - Endpoint request span (backoff waits are recorded on it)
  * @returns {{action: string, waitMs?: number, error?: Error}}
  *   action: 'retryEndpoint' | 'nextEndpoint' | 'switchAccount' | 'throw'
  */
-export async function handleHttpError({ response, errorText, endpoint, account, model, accountManager, retryState, logPrefix = '' }) {
+export async function handleHttpError({ response, errorText, endpoint, account, model, accountManager, retryState, logPrefix = '', signal, span }) {
     const status = response.status;
 
     // ── 401 Auth ─────────────────────────────────────────────────────────
@@ -208,7 +226,7 @@ export async function handleHttpError({ response, errorText, endpoint, account,
                 retryState.capacityRetryCount++;
                 accountManager.incrementConsecutiveFailures(account.email);
                 logger.info(`[CloudCode] ${logPrefix}Model capacity exhausted, retry ${retryState.capacityRetryCount}/${MAX_CAPACITY_RETRIES} after ${formatDuration(waitMs)}...`);
-                await sleep(waitMs);
+                await traceWait(span, 'capacity', waitMs, signal);
                 return { action: 'retryEndpoint' };
             }
             logger.warn(`[CloudCode] ${logPrefix}Max capacity retries (${MAX_CAPACITY_RETRIES}) exceeded, switching account`);
@@ -220,7 +238,7 @@ export async function handleHttpError({ response, errorText, endpoint, account,
         // Very short rate limits (< 1 second) — always wait and retry
         if (resetMs !== null && resetMs < 1000) {
             logger.info(`[CloudCode] ${logPrefix}Short rate limit on ${account.email} (${resetMs}ms), waiting and retrying...`);
-            await sleep(resetMs);
+            await traceWait(span, 'rate_limit', resetMs, signal);
             return { action: 'retryEndpoint' };
         }
 
@@ -239,14 +257,14 @@ export async function handleHttpError({ response, errorText, endpoint, account,
             const waitMs = backoff.delayMs;
             accountManager.markRateLimited(account.email, waitMs, model);
             logger.info(`[CloudCode] ${logPrefix}First rate limit on ${account.email}, quick retry after ${formatDuration(waitMs)}...`);
-            await sleep(waitMs);
+            await traceWait(span, 'rate_limit', waitMs, signal);
             return { action: 'retryEndpoint' };
         }
 
         // Long-term quota exhaustion → switch account
         if (smartBackoffMs > DEFAULT_COOLDOWN_MS) {
             logger.info(`[CloudCode] ${logPrefix}Quota exhausted for ${account.email} (${formatDuration(smartBackoffMs)}), switching account after ${formatDuration(SWITCH_ACCOUNT_DELAY_MS)} delay...`);
-            await sleep(SWITCH_ACCOUNT_DELAY_MS);
+            await traceWait(span, 'switch_account', SWITCH_ACCOUNT_DELAY_MS, signal);
             accountManager.markRateLimited(account.email, smartBackoffMs, model);
             return { action: 'throw', error: new Error(`QUOTA_EXHAUSTED: ${errorText}`) };
         }
@@ -255,7 +273,7 @@ export async function handleHttpError({ response, errorText, endpoint, account,
         const waitMs = backoff.delayMs;
         accountManager.markRateLimited(account.email, waitMs, model);
         logger.info(`[CloudCode] ${logPrefix}Rate limit on ${account.email} (attempt ${backoff.attempt}), waiting ${formatDuration(waitMs)}...`);
-        await sleep(waitMs);
+        await traceWait(span, 'rate_limit', waitMs, signal);
         return { action: 'retryEndpoint' };
     }
 
@@ -267,7 +285,7 @@ export async function handleHttpError({ response, errorText, endpoint, account,
             retryState.capacityRetryCount++;
             accountManager.incrementConsecutiveFailures(account.email);
             logger.info(`[CloudCode] ${logPrefix}503 Model capacity exhausted, retry ${retryState.capacityRetryCount}/${MAX_CAPACITY_RETRIES} after ${formatDuration(waitMs)}...`);
-            await sleep(waitMs);
+            await traceWait(span, 'capacity', waitMs, signal);
             return { action: 'retryEndpoint' };
         }
         logger.warn(`[CloudCode] ${logPrefix}Max capacity retries (${MAX_CAPACITY_RETRIES}) exceeded on 503, switching account`);
@@ -281,7 +299,7 @@ export async function handleHttpError({ response, errorText, endpoint, account,
             logger.warn(`[CloudCode] ${logPrefix}${status} at ${endpoint}...`);
         } else if (status >= 500) {
             logger.warn(`[CloudCode] ${logPrefix}${status} error, waiting 1s before retry...`);
-            await sleep(1000);
+            await traceWait(span, 'server_error', 1000, signal);
         }
         return { action: 'nextEndpoint', error: new Error(`API error ${status}: ${errorText}`) };
     }
@@ -301,9 +319,10 @@ export async function handleHttpError({ response, errorText, endpoint, account,
  * @param {string} model - Model ID
  * @param {Object} accountManager - AccountManager instance
  * @param {string} logPrefix - Log prefix ("" or " stream")
+ * @param {AbortSignal} [signal] - Cancels the network-error pause when the client disconnects
  * @returns {Promise<'continue'|'throw'>} Action to take
  */
-export async function classifyRetryError(error, account, model, accountManager, logPrefix = '') {
+export async function classifyRetryError(error, account, model, accountManager, logPrefix = '', signal) {
     if (isRateLimitError(error)) {
         accountManager.notifyRateLimit(account, model);
         logger.info(`[CloudCode] Account ${account.email} rate-limited, trying next...`);
@@ -339,7 +358,7 @@ export async function classifyRetryError(error, account, model, accountManager,
             accountManager.incrementConsecutiveFailures(account.email);
             logger.warn(`[CloudCode] Network error for ${account.email}${logPrefix} (${currentFailures + 1}/${MAX_CONSECUTIVE_FAILURES}), trying next account... (${error.message})`);
         }
-        await sleep(1000);
+        await sleep(1000, signal);
         return 'continue';
     }
 
@@ -349,41 +368,89 @@ export async function classifyRetryError(error, account, model, accountManager,
 // ─── Account Selection ──────────────────────────────────────────────────────
 
 /**
- * Select an account for the current retry attempt, handling rate-limit waits and fallback.
+ * Providers a request may be served by: its pinned provider (fallback hops),
+ * narrowed to the client key's allowed providers when the key restricts them
+ *
+ * @param {Object} anthropicRequest - Request with optional _provider / _allowedProviders
+ * @returns {string|string[]|null} Provider filter for the account manager (null = any)
+ */
+export function getProviderFilter(anthropicRequest) {
+    const pinned = anthropicRequest._provider || null;
+    const allowed = anthropicRequest._allowedProviders;
+    if (!allowed?.length) return pinned;
+    if (pinned) return allowed.includes(pinned) ? [pinned] : [];
+    return allowed;
+}
+
+/**
+ * Label a provider filter for errors and logs
+ *
+ * @param {string|string[]} provider - Provider filter
+ * @returns {string} Provider label
+ */
+function providerLabel(provider) {
+    if (!Array.isArray(provider)) return provider;
+    return provider.length > 0 ? provider.join('|') : 'none';
+}
+
+/**
+ * Select an account for the current retry attempt, handling rate-limit waits.
+ * When every account is exhausted for longer than the wait cap, the thrown
+ * RESOURCE_EXHAUSTED error lets the caller's fallback chain take over.
  *
  * @param {Object} params
  * @param {string} params.model - Model ID
+ * @param {string|string[]|null} [params.provider] - Only use accounts of this provider (or these providers)
  * @param {Object} params.accountManager - AccountManager instance
  * @param {number} params.attempt - Current attempt number
  * @param {number} params.maxAttempts - Max attempts
- * @param {boolean} params.fallbackEnabled - Whether model fallback is enabled
  * @param {string} params.logPrefix - Log prefix
- * @returns {Promise<{account: Object|null, decrementAttempt: boolean, exhaustedAction: 'fallback'|'throw'|null, fallbackModel: string|null}>}
+ * @param {AbortSignal} [params.signal] - Cancels rate-limit waits when the client disconnects
+ * @returns {Promise<{account: Object|null, decrementAttempt: boolean}>}
  */
-export async function selectAccountForAttempt({ model, accountManager, attempt, maxAttempts, fallbackEnabled, logPrefix = '' }) {
+export function selectAccountForAttempt(params) {
+    return tracer.withSpan('select_account', {
+        'gen_ai.request.model': params.model,
+        'commons.attempt': params.attempt
+    }, async (span) => {
+        const selection = await pickAccountForAttempt(params, span);
+        if (selection.account) span.setAttributes(accountAttributes(selection.account));
+        return selection;
+    });
+}
+
+/**
+ * selectAccountForAttempt within its span (waits are recorded as span events)
+ *
+ * @param {Object} params - See selectAccountForAttempt
+ * @param {import('../modules/tracing.js').Span} span - select_account span
+ * @returns {Promise<{account: Object|null, decrementAttempt: boolean}>}
+ */
+async function pickAccountForAttempt({ model, provider = null, accountManager, attempt, maxAttempts, logPrefix = '', signal }, span) {
+    // Fail fast when no configured provider can serve the model at all. Provider model
+    // lists still loading (e.g. right after startup) may know it, so wait for them first.
+    if (model && !accountManager.hasProviderForModel(model, provider)) {
+        await waitForModelLists();
+        if (!accountManager.hasProviderForModel(model, provider)) {
+            throw new UnsupportedModelError(provider ? `${model}@${providerLabel(provider)}` : model);
+        }
+    }
+
     // Clear any expired rate limits before picking
     accountManager.clearExpiredLimits();
 
     // Get available accounts for this model
-    const availableAccounts = accountManager.getAvailableAccounts(model);
+    const availableAccounts = accountManager.getAvailableAccounts(model, provider);
 
     // If no accounts available, check if we should wait or throw error
     if (availableAccounts.length === 0) {
-        if (accountManager.isAllRateLimited(model)) {
-            const minWaitMs = accountManager.getMinWaitTimeMs(model);
+        if (accountManager.isAllRateLimited(model, provider)) {
+            const minWaitMs = accountManager.getMinWaitTimeMs(model, provider);
             const resetTime = new Date(Date.now() + minWaitMs).toISOString();
 
-            // If wait time is too long (> 2 minutes), try fallback or throw
+            // If wait time is too long (> 2 minutes), throw
             const { MAX_WAIT_BEFORE_ERROR_MS } = await import('../constants.js');
             if (minWaitMs > MAX_WAIT_BEFORE_ERROR_MS) {
-                if (fallbackEnabled) {
-                    const { getFallbackModel } = await import('../fallback-config.js');
-                    const fallbackModel = getFallbackModel(model);
-                    if (fallbackModel) {
-                        logger.warn(`[CloudCode] ${logPrefix}All accounts exhausted for ${model} (${formatDuration(minWaitMs)} wait). Attempting fallback to ${fallbackModel}`);
-                        return { account: null, decrementAttempt: false, exhaustedAction: 'fallback', fallbackModel };
-                    }
-                }
                 throw new Error(
                     `RESOURCE_EXHAUSTED: Rate limited on ${model}. Quota will reset after ${formatDuration(minWaitMs)}. Next available: ${resetTime}`
                 );
@@ -392,34 +459,34 @@ export async function selectAccountForAttempt({ model, accountManager, attempt,
             // Wait for shortest reset time
             const accountCount = accountManager.getAccountCount();
             logger.warn(`[CloudCode] ${logPrefix}All ${accountCount} account(s) rate-limited. Waiting ${formatDuration(minWaitMs)}...`);
-            await sleep(minWaitMs + 500);
+            await traceWait(span, 'all_rate_limited', minWaitMs + 500, signal);
             accountManager.clearExpiredLimits();
 
-            return { account: null, decrementAttempt: true, exhaustedAction: null, fallbackModel: null };
+            return { account: null, decrementAttempt: true };
         }
 
         throw new Error('No accounts available');
     }
 
     // Select account using configured strategy
-    const { account, waitMs } = accountManager.selectAccount(model);
+    const { account, waitMs } = accountManager.selectAccount(model, { provider });
 
     // If strategy returns a wait time without an account, sleep and retry
     if (!account && waitMs > 0) {
         logger.info(`[CloudCode] ${logPrefix}Waiting ${formatDuration(waitMs)} for account...`);
-        await sleep(waitMs + 500);
-        return { account: null, decrementAttempt: true, exhaustedAction: null, fallbackModel: null };
+        await traceWait(span, 'strategy', waitMs + 500, signal);
+        return { account: null, decrementAttempt: true };
     }
 
     // If strategy returns an account with throttle wait (fallback mode), apply delay
     if (account && waitMs > 0) {
         logger.debug(`[CloudCode] ${logPrefix}Throttling request (${waitMs}ms) - fallback mode active`);
-        await sleep(waitMs);
+        await traceWait(span, 'throttle', waitMs, signal);
     }
 
     if (!account) {
         logger.warn(`[CloudCode] ${logPrefix}Strategy returned no account for ${model} (attempt ${attempt + 1}/${maxAttempts})`);
     }
 
-    return { account, decrementAttempt: false, exhaustedAction: null, fallbackModel: null };
+    return { account, decrementAttempt: false };
 }
@@ -10,15 +10,29 @@ import { MIN_SIGNATURE_LENGTH, getModelFamily } from '../constants.js';
 import { EmptyResponseError } from '../errors.js';
 import { cacheSignature, cacheThinkingSignature } from '../format/signature-cache.js';
 import { logger } from '../utils/logger.js';
+import { withEstimatedUsage } from '../utils/token-counter.js';
 
 /**
  * Stream SSE response and yield Anthropic-format events
+ * Usage the upstream leaves out is estimated locally from the request and streamed output.
  *
  * @param {Response} response - The HTTP response with SSE body
  * @param {string} originalModel - The original model name
+ * @param {Object} [anthropicRequest] - The originating request, used to estimate missing input tokens
  * @yields {Object} Anthropic-format SSE events
  */
-export async function* streamSSEResponse(response, originalModel) {
+export async function* streamSSEResponse(response, originalModel, anthropicRequest = null) {
+    yield* withEstimatedUsage(parseSSEResponse(response, originalModel), anthropicRequest || { model: originalModel });
+}
+
+/**
+ * Parse the Google SSE body into Anthropic-format events
+ *
+ * @param {Response} response - The HTTP response with SSE body
+ * @param {string} originalModel - The original model name
+ * @yields {Object} Anthropic-format SSE events
+ */
+async function* parseSSEResponse(response, originalModel) {
     const messageId = `msg_${crypto.randomBytes(16).toString('hex')}`;
     let hasEmittedStart = false;
     let blockIndex = 0;
@@ -2,7 +2,7 @@
  * Streaming Handler for Cloud Code
  *
  * Handles streaming message requests with multi-account support,
- * retry logic, and endpoint failover.
+ * retry logic, endpoint failover and (opt-in) hedging of slow streams.
  */
 
 import {
@@ -13,25 +13,32 @@ import {
     UPSTREAM_REQUEST_TIMEOUT_MS
 } from '../constants.js';
 import { isRateLimitError, isEmptyResponseError, MaxRetriesError } from '../errors.js';
-import { sleep } from '../utils/helpers.js';
+import { sleep, linkAbortSignal } from '../utils/helpers.js';
 import { logger } from '../utils/logger.js';
 import { parseResetTime } from './rate-limit-parser.js';
 import { buildCloudCodeRequest, buildHeaders } from './request-builder.js';
 import { streamSSEResponse } from './sse-streamer.js';
-import { getFallbackModel } from '../fallback-config.js';
 import crypto from 'crypto';
 import {
     clearRateLimitState,
     isPermanentAuthFailure,
     handleHttpError,
     classifyRetryError,
-    selectAccountForAttempt
+    selectAccountForAttempt,
+    getProviderFilter
 } from './retry-utils.js';
+import { streamWithFallback } from './fallback-chain.js';
+import { getHedgeDeadlineMs, streamWithHedge } from './hedging.js';
 import { isNonGoogleProvider, dispatchStreamToProvider } from './provider-dispatch.js';
+import { meterStream } from '../modules/token-usage.js';
+import { metrics } from '../modules/metrics.js';
+import { tracer, accountAttributes, SpanKind } from '../modules/tracing.js';
 
 /**
  * Send a streaming request to Cloud Code with multi-account support
  * Streams events in real-time as they arrive from the server
+ * Falls back along the model's fallback chain until the first event (see fallback-chain.js)
+ * Slow streams of opted-in models are hedged on a second account (see hedging.js)
  *
  * @param {Object} anthropicRequest - The Anthropic-format request
  * @param {string} anthropicRequest.model - Model name to use
@@ -39,35 +46,63 @@ import { isNonGoogleProvider, dispatchStreamToProvider } from './provider-dispat
  * @param {number} [anthropicRequest.max_tokens] - Maximum tokens to generate
  * @param {Object} [anthropicRequest.thinking] - Thinking configuration
  * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
- * @param {boolean} [fallbackEnabled=false] - Whether model fallback is enabled
+ * @param {boolean} [fallbackEnabled=false] - Whether the built-in model fallbacks are enabled
+ * @param {Object} [options] - Additional options
+ * @param {function(string): void} [options.onServedModel] - Called with the model that answered, before its first event
+ * @param {function(Object): void} [options.onUsage] - Called with the stream's usage entry once it ends, partial if cancelled or failed (see token-usage.js)
+ * @param {function(Object): void} [options.onAttempt] - Called with each account the request is sent to ({ account, provider, model, hedge? })
+ * @param {AbortSignal} [options.signal] - Cancels upstream requests and retries (client disconnected)
+ * @param {Object} [options.client] - Client key record; fallbacks stay within its allowedModels
  * @yields {Object} Anthropic-format SSE events (message_start, content_block_start, content_block_delta, etc.)
  * @throws {Error} If max retries exceeded or no accounts available
+ * @throws {RequestCancelledError} If the signal aborted
  */
-export async function* sendMessageStream(anthropicRequest, accountManager, fallbackEnabled = false) {
+export async function* sendMessageStream(anthropicRequest, accountManager, fallbackEnabled = false, options = {}) {
+    yield* streamWithFallback(
+        anthropicRequest,
+        fallbackEnabled,
+        (request) => streamMessageFromModel(request, accountManager, options.signal, options.onUsage, options.onAttempt),
+        options.onServedModel,
+        options.client
+    );
+}
+
+/**
+ * Stream a request for one model (one hop of its fallback chain)
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request
+ * @param {string} [anthropicRequest._provider] - Only use accounts of this provider
+ * @param {string[]} [anthropicRequest._allowedProviders] - Only use accounts of these providers (client key policy)
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {AbortSignal} [signal] - Cancels upstream requests and retries
+ * @param {function(Object): void} [onUsage] - Called with the stream's usage entry
+ * @param {function(Object): void} [onAttempt] - Called with each account the request is sent to (hedge legs included)
+ * @yields {Object} Anthropic-format SSE events
+ * @throws {Error} If max retries exceeded or no accounts available
+ */
+async function* streamMessageFromModel(anthropicRequest, accountManager, signal, onUsage, onAttempt) {
     const model = anthropicRequest.model;
+    const provider = getProviderFilter(anthropicRequest);
 
     // Retry loop with account failover
     const maxAttempts = Math.max(MAX_RETRIES, accountManager.getAccountCount() + 1);
     const retryStartTime = Date.now();
+    let lastAccount = null;
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        signal?.throwIfAborted();
+
         // Wall-clock safety: abort if total retry time exceeds cap
         if (Date.now() - retryStartTime > MAX_TOTAL_RETRY_TIME_MS) {
             throw new MaxRetriesError(`Total retry time exceeded ${MAX_TOTAL_RETRY_TIME_MS}ms`, attempt);
         }
 
-        // Select account (handles rate-limit waits, fallback detection)
+        // Select account (handles rate-limit waits)
         const selection = await selectAccountForAttempt({
-            model, accountManager, attempt, maxAttempts, fallbackEnabled,
-            logPrefix: 'Stream '
+            model, provider, accountManager, attempt, maxAttempts,
+            logPrefix: 'Stream ', signal
         });
 
-        if (selection.exhaustedAction === 'fallback') {
-            const fallbackRequest = { ...anthropicRequest, model: selection.fallbackModel };
-            yield* sendMessageStream(fallbackRequest, accountManager, false);
-            return;
-        }
-
         if (selection.decrementAttempt) {
             attempt--;
             continue;
@@ -76,196 +111,282 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
         const { account } = selection;
         if (!account) continue;
 
+        // Every attempt after the first is a retry, counted for /metrics
+        if (lastAccount) metrics.recordRetry(model, account.email !== lastAccount.email);
+        lastAccount = account;
+        onAttempt?.({ account: account.email, provider: account.provider || 'google', model });
+
         try {
-            // Get token and project for this account
-            const token = await accountManager.getTokenForAccount(account);
+            const ttftMs = getHedgeDeadlineMs(model);
+            yield* tracer.traceStream('attempt', {
+                ...accountAttributes(account), 'gen_ai.request.model': model, 'commons.attempt': attempt, 'commons.hedged': Boolean(ttftMs)
+            }, () => ttftMs
+                ? streamWithHedge(
+                    accountLeg(anthropicRequest, account, accountManager, signal, onUsage),
+                    () => {
+                        const alternate = selectHedgeAccount(accountManager, model, provider, account);
+                        if (!alternate) return null;
+                        onAttempt?.({ account: alternate.email, provider: alternate.provider || 'google', model, hedge: true });
+                        return accountLeg(anthropicRequest, alternate, accountManager, signal, onUsage);
+                    },
+                    ttftMs,
+                    signal
+                )
+                : meterStream(streamFromAccount(anthropicRequest, account, accountManager, signal), anthropicRequest, account, onUsage));
+            return;
+        } catch (error) {
+            // A disconnected client ends the request: no account switching
+            signal?.throwIfAborted();
+            const action = await classifyRetryError(error, account, model, accountManager, ' stream', signal);
+            if (action === 'continue') continue;
+            throw error;
+        }
+    }
 
-            // --- Provider-aware dispatch ---
-            // Non-Google providers (Copilot, OpenAI, etc.) use their own API endpoints
-            if (isNonGoogleProvider(account)) {
-                try {
-                    yield* dispatchStreamToProvider(anthropicRequest, account, token, accountManager);
-                    clearRateLimitState(account.email, model);
-                    accountManager.notifySuccess(account, model);
-                    return;
-                } catch (providerError) {
-                    logger.warn(`[CloudCode] Provider dispatch failed for ${account.provider}:`, providerError.message);
-                    throw providerError;
-                }
+    throw new MaxRetriesError('Max retries exceeded', maxAttempts);
+}
+
+/**
+ * Pick an account to hedge a slow stream on: any other available account
+ * that can serve the model (and matches the pinned provider, if any)
+ *
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {string} model - Model id
+ * @param {string|string[]|null} provider - Provider filter, or null
+ * @param {Object} primary - Account the primary leg is using
+ * @returns {Object|null} Hedge account, or null if none is available
+ */
+function selectHedgeAccount(accountManager, model, provider, primary) {
+    return accountManager.getAvailableAccounts(model, provider).find(candidate =>
+        candidate.email !== primary.email && !accountManager.isAccountCoolingDown(candidate.email)
+    ) || null;
+}
+
+/**
+ * Describe a stream attempt on one account as a hedging leg (see hedging.js)
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request
+ * @param {Object} account - Account to stream from
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {AbortSignal} [signal] - Request-wide cancellation signal
+ * @param {function(Object): void} [onUsage] - Called with the leg's usage entry once it ends
+ * @returns {Object} Hedging leg
+ */
+function accountLeg(anthropicRequest, account, accountManager, signal, onUsage) {
+    return {
+        label: account.email,
+        start: (legSignal) => tracer.traceStream('hedge.leg', accountAttributes(account),
+            () => meterStream(streamFromAccount(anthropicRequest, account, accountManager, legSignal), anthropicRequest, account, onUsage)),
+        // Keep rate-limit / failure bookkeeping for a leg whose error was not rethrown
+        onDiscardedError: (error) => {
+            if (signal?.aborted) return;
+            classifyRetryError(error, account, anthropicRequest.model, accountManager, ' hedge').catch(() => {});
+        }
+    };
+}
+
+/**
+ * Stream a request from one account: provider dispatch for non-Google
+ * accounts, Cloud Code endpoints (with failover and empty-response retries)
+ * otherwise
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request
+ * @param {Object} account - Account to stream from
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {AbortSignal} [signal] - Aborts the upstream request
+ * @yields {Object} Anthropic-format SSE events
+ * @throws {Error} If the account's request fails
+ */
+async function* streamFromAccount(anthropicRequest, account, accountManager, signal) {
+    const model = anthropicRequest.model;
+
+    // Get token and project for this account
+    const token = await tracer.withSpan('account.token', accountAttributes(account),
+        () => accountManager.getTokenForAccount(account));
+
+    // --- Provider-aware dispatch ---
+    // Non-Google providers (Copilot, OpenAI, etc.) use their own API endpoints
+    if (isNonGoogleProvider(account)) {
+        try {
+            yield* dispatchStreamToProvider(anthropicRequest, account, token, accountManager, { signal });
+            clearRateLimitState(account.email, model);
+            accountManager.notifySuccess(account, model);
+            return;
+        } catch (providerError) {
+            if (!signal?.aborted) {
+                logger.warn(`[CloudCode] Provider dispatch failed for ${account.provider}:`, providerError.message);
             }
+            throw providerError;
+        }
+    }
 
-            // --- Google Cloud Code path (default) ---
-            const project = await accountManager.getProjectForAccount(account, token);
-            const payload = buildCloudCodeRequest(anthropicRequest, project, account.email);
+    // --- Google Cloud Code path (default) ---
+    const project = await tracer.withSpan('account.project', accountAttributes(account),
+        () => accountManager.getProjectForAccount(account, token));
+    const payload = buildCloudCodeRequest(anthropicRequest, project, account.email);
 
-            logger.debug(`[CloudCode] Starting stream for model: ${model}`);
+    logger.debug(`[CloudCode] Starting stream for model: ${model}`);
 
-            // Try each endpoint with index-based loop for capacity retry support
-            let lastError = null;
-            const retryState = { capacityRetryCount: 0 };
-            let endpointIndex = 0;
+    // Try each endpoint with index-based loop for capacity retry support
+    let lastError = null;
+    const retryState = { capacityRetryCount: 0 };
+    let endpointIndex = 0;
 
-            while (endpointIndex < CLOUDCODE_ENDPOINT_FALLBACKS.length) {
-                const endpoint = CLOUDCODE_ENDPOINT_FALLBACKS[endpointIndex];
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), UPSTREAM_REQUEST_TIMEOUT_MS);
+    while (endpointIndex < CLOUDCODE_ENDPOINT_FALLBACKS.length) {
+        const endpoint = CLOUDCODE_ENDPOINT_FALLBACKS[endpointIndex];
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), UPSTREAM_REQUEST_TIMEOUT_MS);
+        const unlinkSignal = linkAbortSignal(controller, signal);
+        const span = tracer.startSpan('cloudcode.request', { kind: SpanKind.CLIENT, attributes: { 'commons.endpoint': endpoint } });
 
-                try {
-                    const url = `${endpoint}/v1internal:streamGenerateContent?alt=sse`;
-
-                    let response;
-                    try {
-                        response = await fetch(url, {
-                            method: 'POST',
-                            headers: buildHeaders(token, model, 'text/event-stream'),
-                            body: JSON.stringify(payload),
-                            signal: controller.signal
-                        });
-                    } catch (fetchError) {
-                        clearTimeout(timeoutId);
-                        throw fetchError;
-                    }
+        try {
+            const url = `${endpoint}/v1internal:streamGenerateContent?alt=sse`;
+
+            let response;
+            try {
+                response = await fetch(url, {
+                    method: 'POST',
+                    headers: buildHeaders(token, model, 'text/event-stream'),
+                    body: JSON.stringify(payload),
+                    signal: controller.signal
+                });
+            } catch (fetchError) {
+                clearTimeout(timeoutId);
+                throw fetchError;
+            }
+            span.setAttribute('http.response.status_code', response.status);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                logger.warn(`[CloudCode] Stream error at ${endpoint}: ${response.status} - ${errorText}`);
+                span.setError(`HTTP ${response.status}`);
+
+                const result = await handleHttpError({
+                    response, errorText, endpoint, account, model,
+                    accountManager, retryState, logPrefix: 'Stream ', signal, span
+                });
+
+                switch (result.action) {
+                    case 'retryEndpoint':
+                        continue;
+                    case 'nextEndpoint':
+                        if (result.error) lastError = result.error;
+                        endpointIndex++;
+                        continue;
+                    case 'throw':
+                        throw result.error;
+                }
+            }
 
-                    if (!response.ok) {
-                        const errorText = await response.text();
-                        logger.warn(`[CloudCode] Stream error at ${endpoint}: ${response.status} - ${errorText}`);
+            // Stream the response with retry logic for empty responses
+            let currentResponse = response;
 
-                        const result = await handleHttpError({
-                            response, errorText, endpoint, account, model,
-                            accountManager, retryState, logPrefix: 'Stream '
-                        });
+            for (let emptyRetries = 0; emptyRetries <= MAX_EMPTY_RESPONSE_RETRIES; emptyRetries++) {
+                try {
+                    yield* streamSSEResponse(currentResponse, anthropicRequest.model, anthropicRequest);
+                    clearTimeout(timeoutId);
+                    logger.debug('[CloudCode] Stream completed');
+                    clearRateLimitState(account.email, model);
+                    accountManager.notifySuccess(account, model);
+                    return;
+                } catch (streamError) {
+                    // Only retry on EmptyResponseError
+                    if (!isEmptyResponseError(streamError)) {
+                        throw streamError;
+                    }
 
-                        switch (result.action) {
-                            case 'retryEndpoint':
-                                continue;
-                            case 'nextEndpoint':
-                                if (result.error) lastError = result.error;
-                                endpointIndex++;
-                                continue;
-                            case 'throw':
-                                throw result.error;
-                        }
+                    // Check if we have retries left
+                    if (emptyRetries >= MAX_EMPTY_RESPONSE_RETRIES) {
+                        logger.error(`[CloudCode] Empty response after ${MAX_EMPTY_RESPONSE_RETRIES} retries`);
+                        yield* emitEmptyResponseFallback(anthropicRequest.model);
+                        return;
                     }
 
-                    // Stream the response with retry logic for empty responses
-                    let currentResponse = response;
-
-                    for (let emptyRetries = 0; emptyRetries <= MAX_EMPTY_RESPONSE_RETRIES; emptyRetries++) {
-                        try {
-                            yield* streamSSEResponse(currentResponse, anthropicRequest.model);
-                            clearTimeout(timeoutId);
-                            logger.debug('[CloudCode] Stream completed');
-                            clearRateLimitState(account.email, model);
-                            accountManager.notifySuccess(account, model);
-                            return;
-                        } catch (streamError) {
-                            // Only retry on EmptyResponseError
-                            if (!isEmptyResponseError(streamError)) {
-                                throw streamError;
-                            }
+                    // Exponential backoff: 500ms, 1000ms, 2000ms
+                    const backoffMs = 500 * Math.pow(2, emptyRetries);
+                    logger.warn(`[CloudCode] Empty response, retry ${emptyRetries + 1}/${MAX_EMPTY_RESPONSE_RETRIES} after ${backoffMs}ms...`);
+                    span.addEvent('empty_response_retry', { 'commons.wait_ms': backoffMs });
+                    await sleep(backoffMs, signal);
+
+                    // Refetch the response
+                    currentResponse = await fetch(url, {
+                        method: 'POST',
+                        headers: buildHeaders(token, model, 'text/event-stream'),
+                        body: JSON.stringify(payload),
+                        signal
+                    });
+
+                    // Handle specific error codes on retry
+                    if (!currentResponse.ok) {
+                        const retryErrorText = await currentResponse.text();
+
+                        if (currentResponse.status === 429) {
+                            const resetMs = parseResetTime(currentResponse, retryErrorText);
+                            accountManager.markRateLimited(account.email, resetMs, model);
+                            throw new Error(`429 RESOURCE_EXHAUSTED during retry: ${retryErrorText}`);
+                        }
 
-                            // Check if we have retries left
-                            if (emptyRetries >= MAX_EMPTY_RESPONSE_RETRIES) {
-                                logger.error(`[CloudCode] Empty response after ${MAX_EMPTY_RESPONSE_RETRIES} retries`);
-                                yield* emitEmptyResponseFallback(anthropicRequest.model);
-                                return;
+                        if (currentResponse.status === 401) {
+                            if (isPermanentAuthFailure(retryErrorText)) {
+                                logger.error(`[CloudCode] Permanent auth failure during retry for ${account.email}`);
+                                accountManager.markInvalid(account.email, 'Token revoked - re-authentication required');
+                                throw new Error(`AUTH_INVALID_PERMANENT: ${retryErrorText}`);
                             }
+                            accountManager.clearTokenCache(account.email);
+                            accountManager.clearProjectCache(account.email);
+                            throw new Error(`401 AUTH_INVALID during retry: ${retryErrorText}`);
+                        }
 
-                            // Exponential backoff: 500ms, 1000ms, 2000ms
-                            const backoffMs = 500 * Math.pow(2, emptyRetries);
-                            logger.warn(`[CloudCode] Empty response, retry ${emptyRetries + 1}/${MAX_EMPTY_RESPONSE_RETRIES} after ${backoffMs}ms...`);
-                            await sleep(backoffMs);
-
-                            // Refetch the response
+                        // For 5xx errors, continue retrying
+                        if (currentResponse.status >= 500) {
+                            logger.warn(`[CloudCode] Retry got ${currentResponse.status}, will retry...`);
+                            await sleep(1000, signal);
                             currentResponse = await fetch(url, {
                                 method: 'POST',
                                 headers: buildHeaders(token, model, 'text/event-stream'),
-                                body: JSON.stringify(payload)
+                                body: JSON.stringify(payload),
+                                signal
                             });
-
-                            // Handle specific error codes on retry
-                            if (!currentResponse.ok) {
-                                const retryErrorText = await currentResponse.text();
-
-                                if (currentResponse.status === 429) {
-                                    const resetMs = parseResetTime(currentResponse, retryErrorText);
-                                    accountManager.markRateLimited(account.email, resetMs, model);
-                                    throw new Error(`429 RESOURCE_EXHAUSTED during retry: ${retryErrorText}`);
-                                }
-
-                                if (currentResponse.status === 401) {
-                                    if (isPermanentAuthFailure(retryErrorText)) {
-                                        logger.error(`[CloudCode] Permanent auth failure during retry for ${account.email}`);
-                                        accountManager.markInvalid(account.email, 'Token revoked - re-authentication required');
-                                        throw new Error(`AUTH_INVALID_PERMANENT: ${retryErrorText}`);
-                                    }
-                                    accountManager.clearTokenCache(account.email);
-                                    accountManager.clearProjectCache(account.email);
-                                    throw new Error(`401 AUTH_INVALID during retry: ${retryErrorText}`);
-                                }
-
-                                // For 5xx errors, continue retrying
-                                if (currentResponse.status >= 500) {
-                                    logger.warn(`[CloudCode] Retry got ${currentResponse.status}, will retry...`);
-                                    await sleep(1000);
-                                    currentResponse = await fetch(url, {
-                                        method: 'POST',
-                                        headers: buildHeaders(token, model, 'text/event-stream'),
-                                        body: JSON.stringify(payload)
-                                    });
-                                    if (currentResponse.ok) {
-                                        continue;
-                                    }
-                                }
-
-                                throw new Error(`Empty response retry failed: ${currentResponse.status} - ${retryErrorText}`);
+                            if (currentResponse.ok) {
+                                continue;
                             }
                         }
-                    }
 
-                } catch (endpointError) {
-                    clearTimeout(timeoutId);
-                    if (isRateLimitError(endpointError)) {
-                        throw endpointError; // Re-throw to trigger account switch
+                        throw new Error(`Empty response retry failed: ${currentResponse.status} - ${retryErrorText}`);
                     }
-                    if (isEmptyResponseError(endpointError)) {
-                        throw endpointError;
-                    }
-                    logger.warn(`[CloudCode] Stream error at ${endpoint}:`, endpointError.message);
-                    lastError = endpointError;
-                    endpointIndex++;
                 }
             }
 
-            // If all endpoints failed for this account
-            if (lastError) {
-                if (lastError.is429) {
-                    logger.warn(`[CloudCode] All endpoints rate-limited for ${account.email}`);
-                    accountManager.markRateLimited(account.email, lastError.resetMs, model);
-                    throw new Error(`Rate limited: ${lastError.errorText}`);
-                }
-                throw lastError;
+        } catch (endpointError) {
+            clearTimeout(timeoutId);
+            span.recordException(endpointError);
+            if (signal?.aborted) {
+                throw endpointError; // Cancelled (client gone or hedge lost): no endpoint failover
             }
-
-        } catch (error) {
-            const action = await classifyRetryError(error, account, model, accountManager, ' stream');
-            if (action === 'continue') continue;
-            throw error;
+            if (isRateLimitError(endpointError)) {
+                throw endpointError; // Re-throw to trigger account switch
+            }
+            if (isEmptyResponseError(endpointError)) {
+                throw endpointError;
+            }
+            logger.warn(`[CloudCode] Stream error at ${endpoint}:`, endpointError.message);
+            lastError = endpointError;
+            endpointIndex++;
+        } finally {
+            unlinkSignal();
+            span.end();
         }
     }
 
-    // All retries exhausted - try fallback model if enabled
-    if (fallbackEnabled) {
-        const fallbackModel = getFallbackModel(model);
-        if (fallbackModel) {
-            logger.warn(`[CloudCode] All retries exhausted for ${model}. Attempting fallback to ${fallbackModel} (streaming)`);
-            const fallbackRequest = { ...anthropicRequest, model: fallbackModel };
-            yield* sendMessageStream(fallbackRequest, accountManager, false);
-            return;
+    // If all endpoints failed for this account
+    if (lastError) {
+        if (lastError.is429) {
+            logger.warn(`[CloudCode] All endpoints rate-limited for ${account.email}`);
+            accountManager.markRateLimited(account.email, lastError.resetMs, model);
+            throw new Error(`Rate limited: ${lastError.errorText}`);
         }
+        throw lastError;
     }
-
-    throw new MaxRetriesError('Max retries exceeded', maxAttempts);
 }
 
 /**
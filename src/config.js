@@ -22,6 +22,73 @@ const DEFAULT_CONFIG = {
     extendedCooldownMs: 60000,     // 1 minute extended cooldown
     maxCapacityRetries: 5,         // Max retries for capacity exhaustion
     modelMapping: {},
+    // Per-provider model-name translation, merged over the built-ins (see providers/model-translation.js)
+    modelTranslation: {},
+    // Ordered fallback chains per model (see fallback-config.js)
+    modelFallback: {
+        enabled: false,               // Built-in one-hop fallbacks (also --fallback / FALLBACK=true)
+        chains: {}
+    },
+    // Hedged streams: per-model time-to-first-token deadlines (see cloudcode/hedging.js)
+    hedging: {
+        defaultTtftMs: 20000,         // Used by model entries without their own ttftMs
+        models: {}                    // { [modelId]: { ttftMs?, enabled? } } - opt-in per model
+    },
+    // Exact-match response cache (see modules/response-cache.js)
+    responseCache: {
+        enabled: false,
+        ttlMs: 86400000,              // 24 hours
+        maxEntries: 1000,
+        maxBytes: 104857600,          // 100 MB on disk
+        deterministicOnly: true       // Only cache requests with temperature 0
+    },
+    // Non-streaming request dedup (see modules/request-dedup.js)
+    requestDedup: {
+        coalesce: true,               // Identical concurrent requests share one upstream call
+        idempotencyTtlMs: 600000      // Idempotency-Key results are replayed for 10 minutes
+    },
+    // Cost estimation price table, merged over the built-ins (see modules/cost-estimator.js)
+    pricing: {
+        models: {},                   // { [modelPrefix]: { input, output, cacheRead?, cacheWrite? } } USD per million tokens
+        providers: {},                // { [provider]: { [modelPrefix]: rates } } - provider-specific prices
+        flatRate: {                   // Subscription providers: monthly fee per account, no per-token cost
+            copilot: { monthlyUsd: 10 },
+            codex: { monthlyUsd: 20 }
+        },
+        listPriceModel: 'claude-sonnet-4-5'  // Anthropic model pricing non-Claude traffic in reports
+    },
+    // Per-client request/token limits and budgets, under client key limits (see modules/ingress-limits.js)
+    ingressLimits: {
+        default: {},                  // { requestsPerMinute?, tokensPerMinute?, dailyTokens?, monthlyTokens?, dailyCostUsd?, monthlyCostUsd? }
+        clients: {}                   // { [clientName]: limits } - e.g. "default" (API_KEY) or "anonymous"
+    },
+    // OpenTelemetry tracing, exported as OTLP/HTTP JSON (see modules/tracing.js)
+    tracing: {
+        enabled: false,
+        endpoint: 'http://localhost:4318/v1/traces',
+        headers: {},                  // Extra export headers, e.g. collector auth
+        serviceName: 'commons-proxy',
+        sampleRatio: 1                // Share of traces without an incoming traceparent to keep
+    },
+    // Per-request JSONL audit log with redaction and rotation (see modules/audit-log.js)
+    auditLog: {
+        enabled: false,
+        includeBodies: false,         // Also record full request and response bodies
+        redactPatterns: [],           // Extra regular expressions replaced with [REDACTED]
+        maxFileBytes: 10485760,       // Rotate at 10 MB
+        maxFileAgeMs: 86400000,       // ... or after 24 hours
+        retentionMs: 2592000000,      // Delete rotated files after 30 days
+        maxFiles: 100                 // ... and beyond the newest 100
+    },
+    // Record/replay of upstream HTTP exchanges to cassette files (see modules/cassettes.js)
+    cassettes: {
+        mode: 'off',                  // 'off' | 'record' | 'replay' (or --record=<name> / --replay=<name>)
+        name: 'default',              // ~/.config/commons-proxy/cassettes/<name>.json, or a .json path
+        matchOn: ['method', 'url', 'query', 'body'],
+        ignoreQueryParams: [],        // Query parameters left out of matching
+        ignoreBodyFields: ['requestId', 'request.sessionId'], // Dotted body fields left out of matching
+        redact: true                  // Replace credentials with [REDACTED] in cassettes
+    },
     // Account selection strategy configuration
     accountSelection: {
         strategy: 'hybrid',           // 'sticky' | 'round-robin' | 'hybrid'
@@ -89,6 +156,12 @@ function loadConfig() {
         if (process.env.WEBUI_PASSWORD) config.webuiPassword = process.env.WEBUI_PASSWORD;
         if (process.env.DEBUG === 'true') config.debug = true;
 
+        // Standard OpenTelemetry exporter variables turn tracing on
+        const otlpEndpoint = process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+            (process.env.OTEL_EXPORTER_OTLP_ENDPOINT && `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/+$/, '')}/v1/traces`);
+        if (otlpEndpoint) config.tracing = { ...config.tracing, enabled: true, endpoint: otlpEndpoint };
+        if (process.env.OTEL_SERVICE_NAME) config.tracing = { ...config.tracing, serviceName: process.env.OTEL_SERVICE_NAME };
+
     } catch (error) {
         logger.error('[Config] Error loading config:', error);
     }
@@ -104,6 +177,9 @@ export function getPublicConfig() {
     // Redact sensitive values
     if (publicConfig.webuiPassword) publicConfig.webuiPassword = '********';
     if (publicConfig.apiKey) publicConfig.apiKey = '********';
+    for (const name of Object.keys(publicConfig.tracing?.headers || {})) {
+        publicConfig.tracing.headers[name] = '********';
+    }
 
     return publicConfig;
 }
@@ -170,6 +170,53 @@ export const USAGE_HISTORY_PATH = join(
     '.config/commons-proxy/usage-history.json'
 );
 
+// Token usage rollups per account, provider, model and client
+export const TOKEN_USAGE_PATH = join(
+    homedir(),
+    '.config/commons-proxy/token-usage.json'
+);
+
+// Managed client API keys (stored as SHA-256 hashes)
+export const CLIENT_KEYS_PATH = join(
+    homedir(),
+    '.config/commons-proxy/client-keys.json'
+);
+
+// Message Batches API emulation
+export const BATCH_STORE_PATH = join(
+    homedir(),
+    '.config/commons-proxy/batches'
+);
+export const BATCH_CONCURRENCY = config?.batchConcurrency || 2; // Batch requests in flight at once
+export const BATCH_EXPIRY_MS = 24 * 60 * 60 * 1000; // Unprocessed requests expire after 24 hours (matches Anthropic)
+
+// Exact-match response cache (entries are <sha256>.json files)
+export const RESPONSE_CACHE_PATH = join(
+    homedir(),
+    '.config/commons-proxy/response-cache'
+);
+
+// Request audit log (audit.jsonl plus rotated audit-<timestamp>.jsonl files)
+export const AUDIT_LOG_PATH = join(
+    homedir(),
+    '.config/commons-proxy/audit'
+);
+
+// Recorded upstream exchanges for record/replay mode (<name>.json cassettes)
+export const CASSETTES_PATH = join(
+    homedir(),
+    '.config/commons-proxy/cassettes'
+);
+
+// Aggregated /v1/models catalog
+export const MODEL_CATALOG_TTL_MS = config?.modelCatalogTtlMs || (5 * 60 * 1000); // From config or 5 minutes
+
+// Native Anthropic Messages upstream (any Anthropic-compatible server, e.g. another CommonsProxy)
+export const ANTHROPIC_API_BASE_URL = config?.anthropicBaseUrl || 'https://api.anthropic.com';
+
+// Azure OpenAI data-plane API version used when an account doesn't set one
+export const AZURE_OPENAI_API_VERSION = '2024-10-21';
+
 // Cloud Code IDE database paths
 // Primary: Antigravity app database (preferred for token extraction)
 // Fallback: Windsurf/Cloud Code IDE database (legacy)
@@ -410,6 +457,15 @@ export const PROVIDER_CONFIG = {
         color: '#10b981', // Green (OpenAI family)
         icon: 'openai',
         requiresProjectId: false
+    },
+    custom: {
+        id: 'custom',
+        name: 'OpenAI-Compatible (Local)',
+        authType: 'endpoint', // Base URL with optional API key
+        apiEndpoint: null, // Per account (customApiEndpoint)
+        color: '#64748b', // Slate
+        icon: 'custom',
+        requiresProjectId: false
     }
 };
 
@@ -421,7 +477,8 @@ export const PROVIDER_NAMES = {
     github: 'GitHub Models',
     copilot: 'GitHub Copilot',
     openrouter: 'OpenRouter',
-    codex: 'ChatGPT Plus/Pro (Codex)'
+    codex: 'ChatGPT Plus/Pro (Codex)',
+    custom: 'OpenAI-Compatible (Local)'
 };
 
 // Provider colors for UI visualization
@@ -432,7 +489,8 @@ export const PROVIDER_COLORS = {
     github: '#6366f1',
     copilot: '#f97316',
     openrouter: '#6d28d9',
-    codex: '#10b981'
+    codex: '#10b981',
+    custom: '#64748b'
 };
 
 export default {
@@ -118,6 +118,26 @@ export class ApiError extends CommonsProxyError {
     }
 }
 
+/**
+ * Unsupported model error - no configured provider can serve the requested model
+ * Not retryable: waiting or switching accounts will not help
+ */
+export class UnsupportedModelError extends CommonsProxyError {
+    /**
+     * @param {string} model - Requested model ID
+     */
+    constructor(model) {
+        super(
+            `Model "${model}" is not offered by any configured provider. Add an account for a provider that serves it, or pick another model.`,
+            'UNSUPPORTED_MODEL',
+            false,
+            { model }
+        );
+        this.name = 'UnsupportedModelError';
+        this.model = model;
+    }
+}
+
 /**
  * Native module error (version mismatch, rebuild required)
  */
@@ -166,6 +186,60 @@ export class CapacityExhaustedError extends CommonsProxyError {
     }
 }
 
+/**
+ * Request cancelled error - the client disconnected before the response finished
+ * Not retryable: nobody is waiting for the result
+ */
+export class RequestCancelledError extends CommonsProxyError {
+    /**
+     * @param {string} message - Error message
+     */
+    constructor(message = 'Request cancelled: client disconnected') {
+        super(message, 'REQUEST_CANCELLED', false, {});
+        this.name = 'RequestCancelledError';
+    }
+}
+
+/**
+ * Idempotency key reused error - an Idempotency-Key was sent again with a different request
+ * Not retryable: the client must pick a new key
+ */
+export class IdempotencyKeyReusedError extends CommonsProxyError {
+    /**
+     * @param {string} idempotencyKey - The reused key
+     */
+    constructor(idempotencyKey) {
+        super(
+            `Idempotency-Key "${idempotencyKey}" was already used with a different request. Use a new key for a new request.`,
+            'IDEMPOTENCY_KEY_REUSED',
+            false,
+            { idempotencyKey }
+        );
+        this.name = 'IdempotencyKeyReusedError';
+    }
+}
+
+/**
+ * Cassette miss error - replay mode has no recorded exchange for an upstream request
+ * Not retryable: replaying the same cassette cannot produce a different answer
+ */
+export class CassetteMissError extends CommonsProxyError {
+    /**
+     * @param {string} method - HTTP method of the upstream request
+     * @param {string} url - Upstream URL (redacted)
+     * @param {string} cassette - Cassette file being replayed
+     */
+    constructor(method, url, cassette) {
+        super(
+            `No recorded exchange for ${method} ${url} in cassette ${cassette}`,
+            'CASSETTE_MISS',
+            false,
+            { method, url, cassette }
+        );
+        this.name = 'CassetteMissError';
+    }
+}
+
 /**
  * Check if an error is a rate limit error
  * Works with both custom error classes and legacy string-based errors
@@ -221,6 +295,16 @@ export function isCapacityExhaustedError(error) {
         msg.includes('service temporarily unavailable');
 }
 
+/**
+ * Check if an error is a request cancellation (client disconnected)
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+export function isRequestCancelledError(error) {
+    return error instanceof RequestCancelledError ||
+        error?.name === 'RequestCancelledError';
+}
+
 // Legacy alias for backward compatibility
 export const AntigravityError = CommonsProxyError;
 
@@ -232,11 +316,16 @@ export default {
     NoAccountsError,
     MaxRetriesError,
     ApiError,
+    UnsupportedModelError,
     NativeModuleError,
     EmptyResponseError,
     CapacityExhaustedError,
+    RequestCancelledError,
+    IdempotencyKeyReusedError,
+    CassetteMissError,
     isRateLimitError,
     isAuthError,
     isEmptyResponseError,
-    isCapacityExhaustedError
+    isCapacityExhaustedError,
+    isRequestCancelledError
 };
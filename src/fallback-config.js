@@ -1,29 +1,152 @@
 /**
  * Model Fallback Configuration
  *
- * Defines fallback mappings for when a model's quota is exhausted across all accounts.
- * Enables graceful degradation to alternative models with similar capabilities.
+ * Resolves the ordered fallback chain for a model: the models (optionally
+ * pinned to a provider) tried in turn when a request fails with one of the
+ * chain's trigger conditions.
+ *
+ * Chains come from config.modelFallback.chains and are always active:
+ *   "claude-opus-4-6": {
+ *       "fallbacks": ["gpt-5.2@copilot", "gemini-3-pro-high"],
+ *       "triggers": ["quota", "capacity", "context", "auth"]
+ *   }
+ * A hop is "model" or "model@provider". Models without a configured chain use
+ * the built-in one-hop MODEL_FALLBACK_MAP, only when fallback is enabled
+ * (--fallback, FALLBACK=true or config.modelFallback.enabled).
  */
 
 import { MODEL_FALLBACK_MAP } from './constants.js';
+import { config } from './config.js';
 
 // Re-export for convenience
 export { MODEL_FALLBACK_MAP };
 
 /**
- * Get fallback model for a given model ID
+ * Conditions that can move a request to the next model in its chain:
+ *   quota    - every account is rate-limited / out of quota for the model
+ *   capacity - the model is overloaded or keeps failing upstream
+ *   context  - the prompt is too long for the model's context window
+ *   auth     - no account holds valid credentials for the model
+ */
+export const FALLBACK_TRIGGERS = ['quota', 'capacity', 'context', 'auth'];
+
+// Triggers used when a chain does not list its own (the pre-chain behavior)
+export const DEFAULT_FALLBACK_TRIGGERS = ['quota', 'capacity'];
+
+/**
+ * Parse a chain hop: "model", "model@provider" or { model, provider }
+ *
+ * @param {string|Object} hop - Hop definition
+ * @returns {{model: string, provider: string|null}|null} Parsed hop, or null if malformed
+ */
+export function parseFallbackHop(hop) {
+    if (hop && typeof hop === 'object') {
+        return typeof hop.model === 'string' && hop.model
+            ? { model: hop.model, provider: hop.provider || null }
+            : null;
+    }
+    if (typeof hop !== 'string' || !hop.trim()) return null;
+
+    const separator = hop.lastIndexOf('@');
+    if (separator > 0) {
+        return { model: hop.slice(0, separator).trim(), provider: hop.slice(separator + 1).trim() || null };
+    }
+    return { model: hop.trim(), provider: null };
+}
+
+/**
+ * Check whether the built-in fallback map is enabled
+ *
+ * @param {boolean} [flagEnabled=false] - --fallback flag / FALLBACK env value
+ * @returns {boolean} True if built-in fallbacks apply
+ */
+export function isBuiltinFallbackEnabled(flagEnabled = false) {
+    return flagEnabled || config.modelFallback?.enabled === true;
+}
+
+/**
+ * Get the fallback chain for a model
+ *
+ * @param {string} model - Requested model id
+ * @param {boolean} [flagEnabled=false] - --fallback flag / FALLBACK env value
+ * @returns {{hops: Array<{model: string, provider: string|null}>, triggers: string[]}|null}
+ *   Fallback hops (excluding the model itself) and their triggers, or null if none apply
+ */
+export function getFallbackChain(model, flagEnabled = false) {
+    const configured = config.modelFallback?.chains?.[model];
+    if (configured && configured.enabled !== false) {
+        const hops = (configured.fallbacks || []).map(parseFallbackHop).filter(Boolean);
+        if (hops.length > 0) {
+            const triggers = Array.isArray(configured.triggers)
+                ? configured.triggers.filter(trigger => FALLBACK_TRIGGERS.includes(trigger))
+                : DEFAULT_FALLBACK_TRIGGERS;
+            return { hops, triggers };
+        }
+    }
+
+    if (isBuiltinFallbackEnabled(flagEnabled) && MODEL_FALLBACK_MAP[model]) {
+        return {
+            hops: [{ model: MODEL_FALLBACK_MAP[model], provider: null }],
+            triggers: DEFAULT_FALLBACK_TRIGGERS
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Get the first fallback model for a model
  * @param {string} model - Primary model ID
+ * @param {boolean} [flagEnabled=true] - Whether built-in fallbacks apply
  * @returns {string|null} Fallback model ID or null if no fallback exists
  */
-export function getFallbackModel(model) {
-    return MODEL_FALLBACK_MAP[model] || null;
+export function getFallbackModel(model, flagEnabled = true) {
+    return getFallbackChain(model, flagEnabled)?.hops[0].model || null;
 }
 
 /**
  * Check if a model has a fallback configured
  * @param {string} model - Model ID to check
+ * @param {boolean} [flagEnabled=true] - Whether built-in fallbacks apply
  * @returns {boolean} True if fallback exists
  */
-export function hasFallback(model) {
-    return model in MODEL_FALLBACK_MAP;
+export function hasFallback(model, flagEnabled = true) {
+    return getFallbackChain(model, flagEnabled) !== null;
+}
+
+/**
+ * Validate a config.modelFallback value before it is saved
+ *
+ * @param {Object} modelFallback - Candidate config.modelFallback
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateFallbackConfig(modelFallback) {
+    if (!modelFallback || typeof modelFallback !== 'object' || Array.isArray(modelFallback)) {
+        return 'modelFallback must be an object';
+    }
+    if (modelFallback.enabled !== undefined && typeof modelFallback.enabled !== 'boolean') {
+        return 'modelFallback.enabled must be a boolean';
+    }
+
+    const chains = modelFallback.chains ?? {};
+    if (typeof chains !== 'object' || Array.isArray(chains)) {
+        return 'modelFallback.chains must be an object keyed by model id';
+    }
+    for (const [model, chain] of Object.entries(chains)) {
+        if (!chain || typeof chain !== 'object') return `${model}: must be an object`;
+        if (!Array.isArray(chain.fallbacks) || chain.fallbacks.length === 0) {
+            return `${model}.fallbacks: must be a non-empty array`;
+        }
+        for (const hop of chain.fallbacks) {
+            const parsed = parseFallbackHop(hop);
+            if (!parsed) return `${model}.fallbacks: invalid hop ${JSON.stringify(hop)}`;
+            if (parsed.model === model && !parsed.provider) return `${model}.fallbacks: a chain cannot fall back to itself`;
+        }
+        if (chain.triggers !== undefined) {
+            if (!Array.isArray(chain.triggers)) return `${model}.triggers: must be an array`;
+            const unknown = chain.triggers.find(trigger => !FALLBACK_TRIGGERS.includes(trigger));
+            if (unknown) return `${model}.triggers: unknown trigger "${unknown}" (expected ${FALLBACK_TRIGGERS.join(', ')})`;
+        }
+    }
+    return null;
 }
@@ -0,0 +1,401 @@
+/**
+ * Codex Responses Converter
+ *
+ * Converts internal Anthropic Messages requests to the Responses API body
+ * accepted by the ChatGPT Codex backend (chatgpt.com/backend-api/codex/responses),
+ * and converts its semantic SSE events back into Anthropic SSE events.
+ *
+ *   - system prompt → instructions
+ *   - text / image blocks → message items (input_text, output_text, input_image)
+ *   - tool_use / tool_result blocks ↔ function_call / function_call_output items
+ *   - thinking config ↔ reasoning effort / reasoning summaries (as thinking blocks)
+ *
+ * The backend only streams and never stores responses, so non-streaming
+ * requests are served by collecting the converted stream.
+ */
+
+import crypto from 'crypto';
+
+// --- Anthropic → Codex Request Conversion ---
+
+/**
+ * Flatten Anthropic system / tool_result content to plain text.
+ *
+ * @param {string|Array} content - Anthropic content
+ * @returns {string} Text content
+ */
+function contentToText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .filter(block => block?.type === 'text' && block.text)
+        .map(block => block.text)
+        .join('\n');
+}
+
+/**
+ * Convert an Anthropic image block to an input_image part.
+ *
+ * @param {Object} block - Anthropic image block
+ * @returns {Object|null} Responses input_image part
+ */
+function convertImageBlock(block) {
+    const source = block.source || {};
+    if (source.type === 'base64' && source.data) {
+        return { type: 'input_image', image_url: `data:${source.media_type || 'image/png'};base64,${source.data}` };
+    }
+    if (source.type === 'url' && source.url) {
+        return { type: 'input_image', image_url: source.url };
+    }
+    return null;
+}
+
+/**
+ * Convert Anthropic messages to Responses input items.
+ * Thinking blocks are dropped: their signatures are not valid Codex reasoning items.
+ *
+ * @param {Array<Object>} messages - Anthropic messages
+ * @returns {Array<Object>} Responses input items
+ */
+function convertMessages(messages) {
+    const items = [];
+
+    for (const message of messages || []) {
+        const role = message.role === 'assistant' ? 'assistant' : 'user';
+        const textType = role === 'assistant' ? 'output_text' : 'input_text';
+        const blocks = typeof message.content === 'string'
+            ? [{ type: 'text', text: message.content }]
+            : (message.content || []);
+
+        // Consecutive text / image parts share one message item
+        let parts = [];
+        const flush = () => {
+            if (parts.length > 0) {
+                items.push({ type: 'message', role, content: parts });
+                parts = [];
+            }
+        };
+
+        for (const block of blocks) {
+            if (block.type === 'text') {
+                if (block.text) parts.push({ type: textType, text: block.text });
+            } else if (block.type === 'image') {
+                const image = convertImageBlock(block);
+                if (image) parts.push(image);
+            } else if (block.type === 'tool_use') {
+                flush();
+                items.push({
+                    type: 'function_call',
+                    call_id: block.id,
+                    name: block.name,
+                    arguments: JSON.stringify(block.input || {})
+                });
+            } else if (block.type === 'tool_result') {
+                flush();
+                const output = contentToText(block.content);
+                items.push({
+                    type: 'function_call_output',
+                    call_id: block.tool_use_id,
+                    output: block.is_error ? `Error: ${output}` : output
+                });
+            }
+        }
+        flush();
+    }
+
+    return items;
+}
+
+/**
+ * Convert Anthropic tool_choice to Responses tool_choice.
+ *
+ * @param {Object} toolChoice - Anthropic tool_choice
+ * @returns {string|Object|undefined} Responses tool_choice
+ */
+function convertToolChoice(toolChoice) {
+    switch (toolChoice?.type) {
+        case 'auto': return 'auto';
+        case 'any': return 'required';
+        case 'none': return 'none';
+        case 'tool': return { type: 'function', name: toolChoice.name };
+        default: return undefined;
+    }
+}
+
+/**
+ * Map an Anthropic thinking budget to a reasoning effort.
+ * Same thresholds as the OpenAI-compatible path: <4k=low, 4k-16k=medium, >16k=high.
+ *
+ * @param {Object} thinking - Anthropic thinking config
+ * @returns {string|null} Reasoning effort, or null when thinking is off
+ */
+function thinkingToEffort(thinking) {
+    if (thinking?.type !== 'enabled') return null;
+    const budget = thinking.budget_tokens || 0;
+    if (budget && budget < 4000) return 'low';
+    if (budget >= 16000) return 'high';
+    return 'medium';
+}
+
+/**
+ * Convert an Anthropic Messages request to a Codex Responses request body.
+ *
+ * @param {Object} request - Anthropic-format request
+ * @returns {Object} Responses API request body
+ */
+export function convertAnthropicToCodexRequest(request) {
+    const body = {
+        model: request.model,
+        instructions: contentToText(request.system),
+        input: convertMessages(request.messages),
+        store: false,
+        stream: true
+    };
+
+    if (Array.isArray(request.tools) && request.tools.length > 0) {
+        body.tools = request.tools.map(tool => ({
+            type: 'function',
+            name: tool.name,
+            description: tool.description || '',
+            parameters: tool.input_schema || { type: 'object', properties: {} },
+            strict: false
+        }));
+        const toolChoice = convertToolChoice(request.tool_choice);
+        if (toolChoice) body.tool_choice = toolChoice;
+        body.parallel_tool_calls = !request.tool_choice?.disable_parallel_tool_use;
+    }
+
+    const effort = thinkingToEffort(request.thinking);
+    if (effort) {
+        body.reasoning = { effort, summary: 'auto' };
+    }
+
+    return body;
+}
+
+// --- Codex Stream → Anthropic Conversion ---
+
+/**
+ * Convert Responses usage to Anthropic usage (cached tokens are reported separately).
+ *
+ * @param {Object} usage - Responses usage
+ * @returns {Object} Anthropic usage
+ */
+function convertUsage(usage = {}) {
+    const cached = usage.input_tokens_details?.cached_tokens || 0;
+    return {
+        input_tokens: Math.max(0, (usage.input_tokens || 0) - cached),
+        output_tokens: usage.output_tokens || 0,
+        cache_read_input_tokens: cached,
+        cache_creation_input_tokens: 0
+    };
+}
+
+/**
+ * Build an Error in the "API error: ..." shape the retry logic classifies.
+ *
+ * @param {Object} error - Responses error object
+ * @returns {Error} Error
+ */
+function toApiError(error = {}) {
+    return new Error(`API error: ${error.code || error.type || 'api_error'}: ${error.message || 'Codex request failed'}`);
+}
+
+/**
+ * Convert Codex Responses SSE events to Anthropic SSE events.
+ *
+ * @param {AsyncIterable<Object>} events - Parsed Responses stream events
+ * @param {string} model - Model name reported to the client
+ * @yields {Object} Anthropic-format SSE events
+ * @throws {Error} On error / response.failed events
+ */
+export async function* streamCodexToAnthropic(events, model) {
+    let started = false;
+    let nextIndex = 0;
+    let sawToolCall = false;
+    // output_index → { index, type, open, hasArgs }
+    const blocks = new Map();
+
+    const start = (id) => {
+        started = true;
+        return {
+            type: 'message_start',
+            message: {
+                id: id ? `msg_${id.replace(/^resp_/, '')}` : `msg_${crypto.randomBytes(12).toString('hex')}`,
+                type: 'message',
+                role: 'assistant',
+                content: [],
+                model,
+                stop_reason: null,
+                stop_sequence: null,
+                usage: { input_tokens: 0, output_tokens: 0 }
+            }
+        };
+    };
+
+    // Open a content block for an output item on first use
+    function* open(outputIndex, type, contentBlock) {
+        let block = blocks.get(outputIndex);
+        if (!block) {
+            block = { index: nextIndex++, type, open: true, hasArgs: false };
+            blocks.set(outputIndex, block);
+            yield { type: 'content_block_start', index: block.index, content_block: contentBlock };
+        }
+        return block;
+    }
+
+    for await (const event of events) {
+        if (event.type === 'error' || event.type === 'response.failed') {
+            throw toApiError(event.error || event.response?.error);
+        }
+        if (!started) {
+            yield start(event.response?.id);
+        }
+
+        switch (event.type) {
+            case 'response.output_item.added': {
+                if (event.item?.type === 'function_call') {
+                    sawToolCall = true;
+                    yield* open(event.output_index, 'tool_use', {
+                        type: 'tool_use',
+                        id: event.item.call_id,
+                        name: event.item.name,
+                        input: {}
+                    });
+                }
+                break;
+            }
+
+            case 'response.reasoning_summary_part.added': {
+                const existing = blocks.get(event.output_index);
+                if (existing && event.summary_index > 0) {
+                    yield { type: 'content_block_delta', index: existing.index, delta: { type: 'thinking_delta', thinking: '\n\n' } };
+                }
+                break;
+            }
+
+            case 'response.reasoning_summary_text.delta': {
+                const block = yield* open(event.output_index, 'thinking', { type: 'thinking', thinking: '' });
+                yield { type: 'content_block_delta', index: block.index, delta: { type: 'thinking_delta', thinking: event.delta } };
+                break;
+            }
+
+            case 'response.output_text.delta': {
+                const block = yield* open(event.output_index, 'text', { type: 'text', text: '' });
+                yield { type: 'content_block_delta', index: block.index, delta: { type: 'text_delta', text: event.delta } };
+                break;
+            }
+
+            case 'response.function_call_arguments.delta': {
+                const block = blocks.get(event.output_index);
+                if (block && event.delta) {
+                    block.hasArgs = true;
+                    yield { type: 'content_block_delta', index: block.index, delta: { type: 'input_json_delta', partial_json: event.delta } };
+                }
+                break;
+            }
+
+            case 'response.output_item.done': {
+                const block = blocks.get(event.output_index);
+                if (!block?.open) break;
+                // Some backends only send the full arguments when the item completes
+                if (block.type === 'tool_use' && !block.hasArgs && event.item?.arguments) {
+                    yield { type: 'content_block_delta', index: block.index, delta: { type: 'input_json_delta', partial_json: event.item.arguments } };
+                }
+                if (block.type === 'thinking') {
+                    yield { type: 'content_block_delta', index: block.index, delta: { type: 'signature_delta', signature: '' } };
+                }
+                block.open = false;
+                yield { type: 'content_block_stop', index: block.index };
+                break;
+            }
+
+            case 'response.completed':
+            case 'response.incomplete': {
+                for (const block of blocks.values()) {
+                    if (block.open) {
+                        block.open = false;
+                        yield { type: 'content_block_stop', index: block.index };
+                    }
+                }
+
+                const response = event.response || {};
+                let stopReason = 'end_turn';
+                if (sawToolCall) {
+                    stopReason = 'tool_use';
+                } else if (response.incomplete_details?.reason === 'max_output_tokens') {
+                    stopReason = 'max_tokens';
+                }
+
+                yield {
+                    type: 'message_delta',
+                    delta: { stop_reason: stopReason, stop_sequence: null },
+                    usage: convertUsage(response.usage)
+                };
+                yield { type: 'message_stop' };
+                return;
+            }
+        }
+    }
+
+    if (!started) {
+        throw new Error('API error: Codex stream ended without a response');
+    }
+}
+
+/**
+ * Assemble a non-streaming Anthropic message from Anthropic SSE events.
+ *
+ * @param {AsyncIterable<Object>} events - Anthropic-format SSE events
+ * @returns {Promise<Object>} Anthropic-format message
+ */
+export async function collectAnthropicMessage(events) {
+    let message = null;
+    const content = [];
+    const partialJson = new Map();
+
+    for await (const event of events) {
+        switch (event.type) {
+            case 'message_start':
+                message = { ...event.message, content };
+                break;
+            case 'content_block_start':
+                content[event.index] = { ...event.content_block };
+                break;
+            case 'content_block_delta': {
+                const block = content[event.index];
+                if (!block) break;
+                if (event.delta.type === 'text_delta') block.text += event.delta.text;
+                else if (event.delta.type === 'thinking_delta') block.thinking += event.delta.thinking;
+                else if (event.delta.type === 'signature_delta') block.signature = event.delta.signature;
+                else if (event.delta.type === 'input_json_delta') {
+                    partialJson.set(event.index, (partialJson.get(event.index) || '') + event.delta.partial_json);
+                }
+                break;
+            }
+            case 'content_block_stop':
+                if (partialJson.has(event.index)) {
+                    try {
+                        content[event.index].input = JSON.parse(partialJson.get(event.index));
+                    } catch {
+                        content[event.index].input = {};
+                    }
+                }
+                break;
+            case 'message_delta':
+                message.stop_reason = event.delta.stop_reason;
+                message.stop_sequence = event.delta.stop_sequence ?? null;
+                message.usage = { ...message.usage, ...event.usage };
+                break;
+        }
+    }
+
+    message.content = content.filter(Boolean);
+    return message;
+}
+
+export default {
+    convertAnthropicToCodexRequest,
+    streamCodexToAnthropic,
+    collectAnthropicMessage
+};
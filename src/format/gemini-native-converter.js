@@ -0,0 +1,522 @@
+/**
+ * Gemini Native API Converter
+ *
+ * Converts inbound Gemini generateContent requests (as sent by the Google GenAI
+ * SDKs) to the internal Anthropic Messages format, and converts Anthropic
+ * responses / SSE events back into GenerateContentResponse objects. This is the
+ * inverse of request-converter.js / response-converter.js, which translate
+ * outbound calls to Cloud Code.
+ *
+ *   - systemInstruction → Anthropic system prompt
+ *   - contents (user / model roles) → user / assistant messages
+ *   - text, inlineData, fileData parts → text / image / document blocks
+ *   - functionCall ↔ tool_use, functionResponse → tool_result
+ *   - thought parts / thinkingConfig ↔ thinking blocks / thinking config
+ *
+ * Both camelCase and snake_case field names are accepted, like the REST API.
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import {
+    DEFAULT_MAX_TOKENS,
+    appendMessage,
+    applyReasoningEffort
+} from './openai-chat-converter.js';
+
+/**
+ * Smallest thinking budget accepted by Anthropic models.
+ */
+const MIN_THINKING_BUDGET = 1024;
+
+// --- Gemini → Anthropic Request Conversion ---
+
+/**
+ * Read a field from a Gemini request object by its camelCase name,
+ * falling back to the snake_case spelling.
+ *
+ * @param {Object} obj - Source object
+ * @param {string} name - camelCase field name
+ * @returns {*} Field value
+ */
+export function getField(obj, name) {
+    if (!obj || typeof obj !== 'object') return undefined;
+    if (obj[name] !== undefined) return obj[name];
+    return obj[name.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`)];
+}
+
+/**
+ * Generate an Anthropic-style tool use id for function calls that have none.
+ *
+ * @returns {string} Tool use id
+ */
+function generateToolUseId() {
+    return `toolu_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Convert a Gemini OpenAPI-subset schema to JSON Schema.
+ * Gemini uses upper-case type enums (OBJECT, STRING, ...); JSON Schema needs lower-case.
+ *
+ * @param {*} schema - Gemini schema
+ * @returns {*} JSON Schema
+ */
+export function normalizeSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(normalizeSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === 'type' && typeof value === 'string') {
+            result.type = value.toLowerCase();
+        } else if (key === 'properties' && value && typeof value === 'object') {
+            result.properties = Object.fromEntries(
+                Object.entries(value).map(([name, prop]) => [name, normalizeSchema(prop)])
+            );
+        } else {
+            result[key] = normalizeSchema(value);
+        }
+    }
+    return result;
+}
+
+/**
+ * Convert a Gemini functionResponse.response payload to tool_result content.
+ * A lone `output` / `result` string is passed through, anything else is sent as JSON.
+ *
+ * @param {*} response - functionResponse.response
+ * @returns {string} Tool result content
+ */
+function convertFunctionResponse(response) {
+    if (typeof response === 'string') return response;
+    if (response && typeof response === 'object') {
+        const keys = Object.keys(response);
+        if (keys.length === 1 && typeof response[keys[0]] === 'string' && ['output', 'result', 'content'].includes(keys[0])) {
+            return response[keys[0]];
+        }
+    }
+    return JSON.stringify(response ?? {});
+}
+
+/**
+ * Convert a Gemini inlineData / fileData part to an Anthropic block.
+ *
+ * @param {Object} data - { mimeType, data } or { mimeType, fileUri }
+ * @param {boolean} inline - Whether the data is inline base64
+ * @returns {Object|null} Anthropic image / document block
+ */
+function convertMediaPart(data, inline) {
+    const mimeType = getField(data, 'mimeType') || '';
+    const fileUri = getField(data, 'fileUri');
+
+    if (!inline && !/^https?:\/\//.test(fileUri || '')) {
+        logger.warn(`[Gemini] Skipping fileData part with unsupported URI: ${fileUri}`);
+        return null;
+    }
+
+    const source = inline
+        ? { type: 'base64', media_type: mimeType, data: data.data }
+        : { type: 'url', url: fileUri };
+
+    if (mimeType.startsWith('image/')) {
+        return { type: 'image', source };
+    }
+    if (mimeType === 'application/pdf') {
+        return { type: 'document', source };
+    }
+    if (inline && mimeType.startsWith('text/')) {
+        return {
+            type: 'document',
+            source: { type: 'text', media_type: 'text/plain', data: Buffer.from(data.data || '', 'base64').toString('utf8') }
+        };
+    }
+
+    logger.warn(`[Gemini] Skipping unsupported ${inline ? 'inlineData' : 'fileData'} part: ${mimeType}`);
+    return null;
+}
+
+/**
+ * Convert the parts of one Gemini content entry to Anthropic content blocks.
+ * Function calls without ids get generated ids, queued per function name so
+ * the matching functionResponse parts can refer back to them.
+ *
+ * @param {Array} parts - Gemini parts
+ * @param {Map<string, Array<string>>} pendingCalls - Tool use ids awaiting a response, by name
+ * @returns {Array<Object>} Anthropic content blocks
+ */
+function convertParts(parts, pendingCalls) {
+    const blocks = [];
+
+    for (const part of parts || []) {
+        if (!part || typeof part !== 'object') continue;
+
+        const thoughtSignature = getField(part, 'thoughtSignature');
+        const functionCall = getField(part, 'functionCall');
+        const functionResponse = getField(part, 'functionResponse');
+        const inlineData = getField(part, 'inlineData');
+        const fileData = getField(part, 'fileData');
+
+        if (part.text !== undefined) {
+            if (part.thought === true) {
+                // Thoughts can only be replayed with their signature
+                if (thoughtSignature) {
+                    blocks.push({ type: 'thinking', thinking: part.text, signature: thoughtSignature });
+                }
+            } else if (part.text) {
+                blocks.push({ type: 'text', text: part.text });
+            }
+        } else if (functionCall) {
+            const id = functionCall.id || generateToolUseId();
+            if (!pendingCalls.has(functionCall.name)) pendingCalls.set(functionCall.name, []);
+            pendingCalls.get(functionCall.name).push(id);
+
+            const block = { type: 'tool_use', id, name: functionCall.name, input: functionCall.args || {} };
+            if (thoughtSignature) block.thoughtSignature = thoughtSignature;
+            blocks.push(block);
+        } else if (functionResponse) {
+            const queue = pendingCalls.get(functionResponse.name) || [];
+            let id = functionResponse.id;
+            if (id) {
+                const index = queue.indexOf(id);
+                if (index !== -1) queue.splice(index, 1);
+            } else {
+                id = queue.shift() || generateToolUseId();
+            }
+
+            const block = {
+                type: 'tool_result',
+                tool_use_id: id,
+                content: convertFunctionResponse(functionResponse.response)
+            };
+            const response = functionResponse.response;
+            if (response && typeof response === 'object' && response.error !== undefined && response.output === undefined) {
+                block.is_error = true;
+            }
+            blocks.push(block);
+        } else if (inlineData || fileData) {
+            const block = convertMediaPart(inlineData || fileData, !!inlineData);
+            if (block) blocks.push(block);
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Convert Gemini tool declarations to Anthropic tools.
+ * Only functionDeclarations are supported; built-in tools are skipped.
+ *
+ * @param {Array} tools - Gemini tools
+ * @returns {Array|undefined} Anthropic tool definitions
+ */
+function convertTools(tools) {
+    if (!Array.isArray(tools)) return undefined;
+
+    const result = [];
+    for (const tool of tools) {
+        const declarations = getField(tool, 'functionDeclarations');
+        if (!Array.isArray(declarations)) {
+            logger.warn(`[Gemini] Skipping unsupported tool: ${Object.keys(tool || {}).join(', ')}`);
+            continue;
+        }
+        for (const fn of declarations) {
+            const jsonSchema = getField(fn, 'parametersJsonSchema');
+            result.push({
+                name: fn.name,
+                description: fn.description || '',
+                input_schema: jsonSchema || normalizeSchema(fn.parameters) || { type: 'object', properties: {} }
+            });
+        }
+    }
+    return result.length > 0 ? result : undefined;
+}
+
+/**
+ * Convert a Gemini toolConfig to an Anthropic tool_choice.
+ *
+ * @param {Object} toolConfig - Gemini toolConfig
+ * @returns {Object|string|undefined} Anthropic tool_choice, or 'none'
+ */
+function convertToolConfig(toolConfig) {
+    const config = getField(toolConfig, 'functionCallingConfig');
+    if (!config) return undefined;
+
+    const mode = String(config.mode || '').toUpperCase();
+    const allowed = getField(config, 'allowedFunctionNames');
+    if (mode === 'NONE') return 'none';
+    if (mode === 'ANY') {
+        if (Array.isArray(allowed) && allowed.length === 1) {
+            return { type: 'tool', name: allowed[0] };
+        }
+        return { type: 'any' };
+    }
+    if (mode === 'AUTO') return { type: 'auto' };
+    return undefined;
+}
+
+/**
+ * Apply a Gemini thinkingConfig to an Anthropic request as a thinking config.
+ * A thinkingBudget of -1 (dynamic) maps to the medium effort budget, 0 disables thinking.
+ *
+ * @param {Object} request - Anthropic request (mutated)
+ * @param {Object} thinkingConfig - Gemini thinkingConfig
+ */
+function applyThinkingConfig(request, thinkingConfig) {
+    if (!thinkingConfig) return;
+
+    const level = getField(thinkingConfig, 'thinkingLevel');
+    const budget = getField(thinkingConfig, 'thinkingBudget');
+
+    if (typeof level === 'string') {
+        applyReasoningEffort(request, level.toLowerCase());
+    } else if (budget === -1) {
+        applyReasoningEffort(request, 'medium');
+    } else if (typeof budget === 'number' && budget > 0) {
+        const budgetTokens = Math.max(budget, MIN_THINKING_BUDGET);
+        request.thinking = { type: 'enabled', budget_tokens: budgetTokens };
+        if (request.max_tokens <= budgetTokens) {
+            request.max_tokens = budgetTokens + DEFAULT_MAX_TOKENS;
+        }
+    }
+}
+
+/**
+ * Whether the client asked for thought parts in the response
+ * (generationConfig.thinkingConfig.includeThoughts).
+ *
+ * @param {Object} body - Gemini generateContent request body
+ * @returns {boolean} True if thoughts should be returned
+ */
+export function wantsThoughts(body) {
+    const generationConfig = getField(body, 'generationConfig');
+    return getField(getField(generationConfig, 'thinkingConfig'), 'includeThoughts') === true;
+}
+
+/**
+ * Convert a Gemini generateContent request to an Anthropic Messages request.
+ *
+ * @param {Object} body - Gemini generateContent request body
+ * @returns {Object} Anthropic Messages request (without model / stream)
+ */
+export function convertGeminiToAnthropic(body) {
+    const generationConfig = getField(body, 'generationConfig') || {};
+    const request = {
+        messages: [],
+        max_tokens: getField(generationConfig, 'maxOutputTokens') || DEFAULT_MAX_TOKENS
+    };
+
+    // System instruction: a Content object, or a bare string
+    const systemInstruction = getField(body, 'systemInstruction');
+    if (systemInstruction) {
+        const text = typeof systemInstruction === 'string'
+            ? systemInstruction
+            : (systemInstruction.parts || []).map(part => part.text || '').filter(Boolean).join('\n');
+        if (text) request.system = text;
+    }
+
+    const pendingCalls = new Map();
+    for (const content of body.contents || []) {
+        const role = content.role === 'model' ? 'assistant' : 'user';
+        appendMessage(request.messages, role, convertParts(content.parts, pendingCalls));
+    }
+
+    const tools = convertTools(body.tools);
+    const toolChoice = convertToolConfig(getField(body, 'toolConfig'));
+    if (tools && toolChoice !== 'none') {
+        request.tools = tools;
+        if (toolChoice) request.tool_choice = toolChoice;
+    }
+
+    const temperature = getField(generationConfig, 'temperature');
+    const topP = getField(generationConfig, 'topP');
+    const topK = getField(generationConfig, 'topK');
+    const stopSequences = getField(generationConfig, 'stopSequences');
+    if (temperature !== undefined) request.temperature = temperature;
+    if (topP !== undefined) request.top_p = topP;
+    if (topK !== undefined) request.top_k = topK;
+    if (Array.isArray(stopSequences) && stopSequences.length > 0) request.stop_sequences = stopSequences;
+
+    applyThinkingConfig(request, getField(generationConfig, 'thinkingConfig'));
+
+    return request;
+}
+
+// --- Anthropic → Gemini Response Conversion ---
+
+/**
+ * Map an Anthropic stop_reason to a Gemini finishReason.
+ *
+ * @param {string} stopReason - Anthropic stop reason
+ * @returns {string} Gemini finish reason
+ */
+export function mapStopReason(stopReason) {
+    switch (stopReason) {
+        case 'max_tokens':
+            return 'MAX_TOKENS';
+        case 'refusal':
+            return 'SAFETY';
+        default:
+            return 'STOP';
+    }
+}
+
+/**
+ * Convert Anthropic usage to Gemini usageMetadata.
+ * Gemini's promptTokenCount includes cached tokens; Anthropic's input_tokens does not.
+ *
+ * @param {Object} usage - Anthropic usage
+ * @returns {Object} Gemini usageMetadata
+ */
+export function convertUsageToGemini(usage = {}) {
+    const cached = usage.cache_read_input_tokens || 0;
+    const promptTokens = (usage.input_tokens || 0) + cached + (usage.cache_creation_input_tokens || 0);
+    const candidatesTokens = usage.output_tokens || 0;
+
+    const metadata = {
+        promptTokenCount: promptTokens,
+        candidatesTokenCount: candidatesTokens,
+        totalTokenCount: promptTokens + candidatesTokens
+    };
+    if (cached > 0) metadata.cachedContentTokenCount = cached;
+    return metadata;
+}
+
+/**
+ * Generate a Gemini response id.
+ *
+ * @returns {string} Response id
+ */
+function generateResponseId() {
+    return crypto.randomBytes(12).toString('base64url');
+}
+
+/**
+ * Convert an Anthropic message response to a Gemini GenerateContentResponse.
+ *
+ * @param {Object} response - Anthropic message response
+ * @param {string} model - Model name to report to the client
+ * @param {Object} [options]
+ * @param {boolean} [options.includeThoughts=false] - Return thinking blocks as thought parts
+ * @returns {Object} Gemini GenerateContentResponse
+ */
+export function convertAnthropicToGemini(response, model, { includeThoughts = false } = {}) {
+    const parts = [];
+
+    for (const block of response.content || []) {
+        if (block.type === 'text') {
+            parts.push({ text: block.text || '' });
+        } else if (block.type === 'thinking' && includeThoughts) {
+            const part = { text: block.thinking || '', thought: true };
+            if (block.signature) part.thoughtSignature = block.signature;
+            parts.push(part);
+        } else if (block.type === 'tool_use') {
+            const part = { functionCall: { id: block.id, name: block.name, args: block.input || {} } };
+            if (block.thoughtSignature) part.thoughtSignature = block.thoughtSignature;
+            parts.push(part);
+        } else if (block.type === 'image' && block.source?.type === 'base64') {
+            parts.push({ inlineData: { mimeType: block.source.media_type, data: block.source.data } });
+        }
+    }
+
+    return {
+        candidates: [{
+            content: { role: 'model', parts: parts.length > 0 ? parts : [{ text: '' }] },
+            finishReason: mapStopReason(response.stop_reason),
+            index: 0
+        }],
+        usageMetadata: convertUsageToGemini(response.usage),
+        modelVersion: model || response.model,
+        responseId: generateResponseId()
+    };
+}
+
+/**
+ * Convert a stream of Anthropic SSE events into Gemini GenerateContentResponse chunks.
+ * Text and thoughts are streamed as they arrive; function calls are emitted whole
+ * once their arguments are complete, like Gemini does.
+ *
+ * @param {AsyncIterable<Object>} events - Anthropic-format SSE events
+ * @param {string} model - Model name to report to the client
+ * @param {Object} [options]
+ * @param {boolean} [options.includeThoughts=false] - Stream thinking as thought parts
+ * @yields {Object} Gemini GenerateContentResponse chunks
+ */
+export async function* streamAnthropicToGemini(events, model, { includeThoughts = false } = {}) {
+    const responseId = generateResponseId();
+    const chunk = (parts, extra = {}) => ({
+        candidates: [{ content: { role: 'model', parts }, ...extra, index: 0 }],
+        modelVersion: model,
+        responseId
+    });
+
+    const blocks = new Map();
+    let usage = {};
+    let stopReason = null;
+
+    for await (const event of events) {
+        switch (event.type) {
+            case 'message_start':
+                usage = { ...(event.message?.usage || {}) };
+                break;
+
+            case 'content_block_start': {
+                const block = event.content_block || {};
+                blocks.set(event.index, { ...block, json: '' });
+                if (block.type === 'text' && block.text) {
+                    yield chunk([{ text: block.text }]);
+                }
+                break;
+            }
+
+            case 'content_block_delta': {
+                const state = blocks.get(event.index);
+                const delta = event.delta || {};
+                if (delta.type === 'text_delta' && delta.text) {
+                    yield chunk([{ text: delta.text }]);
+                } else if (delta.type === 'thinking_delta' && includeThoughts && delta.thinking) {
+                    yield chunk([{ text: delta.thinking, thought: true }]);
+                } else if (delta.type === 'signature_delta' && state) {
+                    state.signature = (state.signature || '') + delta.signature;
+                } else if (delta.type === 'input_json_delta' && state) {
+                    state.json += delta.partial_json || '';
+                }
+                break;
+            }
+
+            case 'content_block_stop': {
+                const state = blocks.get(event.index);
+                if (!state) break;
+                if (state.type === 'tool_use') {
+                    let args = state.input || {};
+                    if (state.json) {
+                        try {
+                            args = JSON.parse(state.json);
+                        } catch {
+                            logger.warn(`[Gemini] Could not parse streamed arguments for ${state.name}`);
+                        }
+                    }
+                    const part = { functionCall: { id: state.id, name: state.name, args } };
+                    if (state.thoughtSignature) part.thoughtSignature = state.thoughtSignature;
+                    yield chunk([part]);
+                } else if (state.type === 'thinking' && includeThoughts && state.signature) {
+                    yield chunk([{ text: '', thought: true, thoughtSignature: state.signature }]);
+                }
+                blocks.delete(event.index);
+                break;
+            }
+
+            case 'message_delta':
+                if (event.delta?.stop_reason) stopReason = event.delta.stop_reason;
+                if (event.usage) usage = { ...usage, ...event.usage };
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    yield {
+        ...chunk([{ text: '' }], { finishReason: mapStopReason(stopReason) }),
+        usageMetadata: convertUsageToGemini(usage)
+    };
+}
@@ -0,0 +1,456 @@
+/**
+ * OpenAI Chat Completions Converter
+ *
+ * Converts inbound OpenAI Chat Completions requests to the internal Anthropic
+ * Messages format, and converts Anthropic responses / SSE events back into
+ * OpenAI-shaped completions and chunks. This is the inverse of the conversion
+ * done by providers/openai-compatible.js for outbound upstream calls.
+ *
+ *   - system / developer messages → Anthropic system prompt
+ *   - user content parts (text, image_url) → text / image blocks
+ *   - assistant tool_calls ↔ tool_use blocks
+ *   - tool role messages → tool_result blocks
+ *   - reasoning_effort ↔ thinking config / thinking blocks
+ *
+ * Effort, tool and stop-reason tables live in openai-mapping.js, shared with
+ * the provider.
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { effortToBudget, fromOpenAIFunction, mapFinishReason } from './openai-mapping.js';
+
+export const DEFAULT_MAX_TOKENS = 4096;
+
+// --- OpenAI → Anthropic Request Conversion ---
+
+/**
+ * Extract plain text from OpenAI message content (string or content parts).
+ *
+ * @param {string|Array|null} content - OpenAI message content
+ * @returns {string} Joined text
+ */
+export function extractText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .filter(part => part && ['text', 'input_text', 'output_text'].includes(part.type))
+        .map(part => part.text || '')
+        .join('\n');
+}
+
+/**
+ * Convert an OpenAI image_url part to an Anthropic image block.
+ * Data URLs become base64 sources, everything else a url source.
+ *
+ * @param {Object} part - OpenAI image_url content part
+ * @returns {Object|null} Anthropic image block
+ */
+export function convertImagePart(part) {
+    const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+    if (!url) return null;
+
+    const dataMatch = url.match(/^data:([^;]+);base64,(.*)$/s);
+    if (dataMatch) {
+        return {
+            type: 'image',
+            source: { type: 'base64', media_type: dataMatch[1], data: dataMatch[2] }
+        };
+    }
+    return { type: 'image', source: { type: 'url', url } };
+}
+
+/**
+ * Convert OpenAI user message content to Anthropic content blocks.
+ *
+ * @param {string|Array} content - OpenAI user content
+ * @returns {Array<Object>} Anthropic content blocks
+ */
+function convertUserContent(content) {
+    if (typeof content === 'string') {
+        return content ? [{ type: 'text', text: content }] : [];
+    }
+    if (!Array.isArray(content)) return [];
+
+    const blocks = [];
+    for (const part of content) {
+        if (!part) continue;
+        if (part.type === 'text' || part.type === 'input_text') {
+            if (part.text) blocks.push({ type: 'text', text: part.text });
+        } else if (part.type === 'image_url') {
+            const image = convertImagePart(part);
+            if (image) blocks.push(image);
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Parse OpenAI function call arguments into a tool_use input object.
+ *
+ * @param {string|Object} args - JSON-encoded arguments
+ * @returns {Object} Parsed input
+ */
+export function parseToolArguments(args) {
+    if (args && typeof args === 'object') return args;
+    if (!args) return {};
+    try {
+        return JSON.parse(args);
+    } catch (e) {
+        logger.debug(`[OpenAIChat] Failed to parse tool call arguments: ${e.message}`);
+        return { _raw: args };
+    }
+}
+
+/**
+ * Append content blocks to the conversation, merging with the previous
+ * message when the role repeats (Anthropic requires alternating roles,
+ * OpenAI sends one `tool` message per tool call).
+ *
+ * @param {Array} messages - Anthropic messages being built
+ * @param {string} role - 'user' or 'assistant'
+ * @param {Array} blocks - Content blocks to append
+ */
+export function appendMessage(messages, role, blocks) {
+    if (blocks.length === 0) return;
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) {
+        last.content.push(...blocks);
+    } else {
+        messages.push({ role, content: blocks });
+    }
+}
+
+/**
+ * Convert OpenAI tool definitions (and legacy `functions`) to Anthropic tools.
+ *
+ * @param {Array} tools - OpenAI tools
+ * @param {Array} functions - Legacy OpenAI functions
+ * @returns {Array|undefined} Anthropic tool definitions
+ */
+function convertTools(tools, functions) {
+    const defs = [];
+    for (const tool of tools || []) {
+        if (tool?.type === 'function' && tool.function) defs.push(tool.function);
+    }
+    for (const fn of functions || []) {
+        if (fn) defs.push(fn);
+    }
+    if (defs.length === 0) return undefined;
+
+    return defs.map(fromOpenAIFunction);
+}
+
+/**
+ * Convert OpenAI tool_choice to Anthropic tool_choice.
+ *
+ * OpenAI: 'auto' | 'none' | 'required' | { type: 'function', function: { name } }
+ * Anthropic: { type: 'auto' | 'any' | 'tool' | 'none', name?: string }
+ *
+ * @param {string|Object} toolChoice - OpenAI tool_choice
+ * @returns {Object|undefined} Anthropic tool_choice
+ */
+function convertToolChoice(toolChoice) {
+    if (!toolChoice) return undefined;
+
+    if (typeof toolChoice === 'string') {
+        switch (toolChoice) {
+            case 'required': return { type: 'any' };
+            case 'none': return { type: 'none' };
+            default: return { type: 'auto' };
+        }
+    }
+
+    const name = toolChoice.function?.name || toolChoice.name;
+    if (name) return { type: 'tool', name };
+    return { type: 'auto' };
+}
+
+/**
+ * Apply an OpenAI reasoning effort to an Anthropic request as a thinking config.
+ * Anthropic requires max_tokens to exceed the thinking budget, so it is raised if needed.
+ *
+ * @param {Object} request - Anthropic request (mutated)
+ * @param {string} effort - 'minimal' | 'low' | 'medium' | 'high' | 'none'
+ */
+export function applyReasoningEffort(request, effort) {
+    const budget = effortToBudget(effort);
+    if (!budget) return;
+
+    request.thinking = { type: 'enabled', budget_tokens: budget };
+    if (!request.max_tokens || request.max_tokens <= budget) {
+        request.max_tokens = budget + DEFAULT_MAX_TOKENS;
+    }
+}
+
+/**
+ * Convert an OpenAI Chat Completions request to an Anthropic Messages request.
+ *
+ * @param {Object} body - OpenAI Chat Completions request body
+ * @returns {Object} Anthropic-format request
+ */
+export function convertOpenAIChatToAnthropic(body) {
+    const systemParts = [];
+    const messages = [];
+
+    for (const msg of body.messages || []) {
+        if (!msg) continue;
+
+        switch (msg.role) {
+            case 'system':
+            case 'developer': {
+                const text = extractText(msg.content);
+                if (text) systemParts.push(text);
+                break;
+            }
+            case 'user':
+                appendMessage(messages, 'user', convertUserContent(msg.content));
+                break;
+            case 'assistant': {
+                const blocks = [];
+                const text = extractText(msg.content);
+                if (text) blocks.push({ type: 'text', text });
+                for (const call of msg.tool_calls || []) {
+                    if (call?.type && call.type !== 'function') continue;
+                    blocks.push({
+                        type: 'tool_use',
+                        id: call.id,
+                        name: call.function?.name,
+                        input: parseToolArguments(call.function?.arguments)
+                    });
+                }
+                // Legacy single function_call
+                if (msg.function_call) {
+                    blocks.push({
+                        type: 'tool_use',
+                        id: `call_${crypto.randomBytes(12).toString('hex')}`,
+                        name: msg.function_call.name,
+                        input: parseToolArguments(msg.function_call.arguments)
+                    });
+                }
+                appendMessage(messages, 'assistant', blocks);
+                break;
+            }
+            case 'tool':
+                appendMessage(messages, 'user', [{
+                    type: 'tool_result',
+                    tool_use_id: msg.tool_call_id,
+                    content: extractText(msg.content)
+                }]);
+                break;
+            default:
+                logger.debug(`[OpenAIChat] Skipping message with unsupported role: ${msg.role}`);
+        }
+    }
+
+    const request = {
+        model: body.model,
+        messages,
+        max_tokens: body.max_completion_tokens || body.max_tokens || DEFAULT_MAX_TOKENS,
+        stream: !!body.stream
+    };
+
+    if (systemParts.length > 0) {
+        request.system = systemParts.join('\n\n');
+    }
+
+    const toolChoice = convertToolChoice(body.tool_choice || body.function_call);
+    const tools = convertTools(body.tools, body.functions);
+    if (tools && toolChoice?.type !== 'none') {
+        request.tools = tools;
+        if (toolChoice) request.tool_choice = toolChoice;
+    }
+
+    applyReasoningEffort(request, body.reasoning_effort);
+
+    if (body.temperature !== undefined && body.temperature !== null) {
+        request.temperature = body.temperature;
+    }
+    if (body.top_p !== undefined && body.top_p !== null) {
+        request.top_p = body.top_p;
+    }
+    if (body.stop) {
+        request.stop_sequences = Array.isArray(body.stop) ? body.stop : [body.stop];
+    }
+
+    return request;
+}
+
+// --- Anthropic → OpenAI Response Conversion ---
+
+/**
+ * Convert Anthropic usage to OpenAI usage.
+ * Anthropic input_tokens excludes cached tokens, OpenAI prompt_tokens includes them.
+ *
+ * @param {Object} usage - Anthropic usage
+ * @returns {Object} OpenAI usage
+ */
+export function convertUsageToOpenAI(usage = {}) {
+    const cached = usage.cache_read_input_tokens || 0;
+    const promptTokens = (usage.input_tokens || 0) + cached + (usage.cache_creation_input_tokens || 0);
+    const completionTokens = usage.output_tokens || 0;
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        prompt_tokens_details: { cached_tokens: cached }
+    };
+}
+
+/**
+ * Generate an OpenAI-style completion id.
+ *
+ * @returns {string} Completion id
+ */
+export function generateChatCompletionId() {
+    return `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Convert an Anthropic message response to an OpenAI Chat Completion.
+ *
+ * @param {Object} response - Anthropic message response
+ * @param {string} model - Model name to report to the client
+ * @returns {Object} OpenAI Chat Completion
+ */
+export function convertAnthropicToOpenAIChat(response, model) {
+    let text = '';
+    let reasoning = '';
+    const toolCalls = [];
+
+    for (const block of response.content || []) {
+        if (block.type === 'text') {
+            text += block.text || '';
+        } else if (block.type === 'thinking') {
+            reasoning += block.thinking || '';
+        } else if (block.type === 'tool_use') {
+            toolCalls.push({
+                id: block.id,
+                type: 'function',
+                function: {
+                    name: block.name,
+                    arguments: JSON.stringify(block.input || {})
+                }
+            });
+        }
+    }
+
+    const message = {
+        role: 'assistant',
+        content: text || (toolCalls.length > 0 ? null : '')
+    };
+    if (reasoning) message.reasoning_content = reasoning;
+    if (toolCalls.length > 0) message.tool_calls = toolCalls;
+
+    return {
+        id: generateChatCompletionId(),
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: model || response.model,
+        choices: [{
+            index: 0,
+            message,
+            finish_reason: mapFinishReason(response.stop_reason)
+        }],
+        usage: convertUsageToOpenAI(response.usage)
+    };
+}
+
+/**
+ * Convert a stream of Anthropic SSE events into OpenAI chat.completion.chunk objects.
+ *
+ * @param {AsyncIterable<Object>} events - Anthropic-format SSE events
+ * @param {string} model - Model name to report to the client
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUsage=false] - Emit a final usage chunk (stream_options.include_usage)
+ * @yields {Object} OpenAI chat.completion.chunk objects
+ */
+export async function* streamAnthropicToOpenAIChat(events, model, { includeUsage = false } = {}) {
+    const id = generateChatCompletionId();
+    const created = Math.floor(Date.now() / 1000);
+    const chunk = (delta, finishReason = null) => ({
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }]
+    });
+
+    const usage = {};
+    const toolIndexByBlock = new Map();
+    let stopReason = null;
+    let finished = false;
+
+    for await (const event of events) {
+        switch (event.type) {
+            case 'message_start':
+                Object.assign(usage, event.message?.usage || {});
+                yield chunk({ role: 'assistant', content: '' });
+                break;
+
+            case 'content_block_start': {
+                const block = event.content_block || {};
+                if (block.type === 'tool_use') {
+                    const toolIndex = toolIndexByBlock.size;
+                    toolIndexByBlock.set(event.index, toolIndex);
+                    yield chunk({
+                        tool_calls: [{
+                            index: toolIndex,
+                            id: block.id,
+                            type: 'function',
+                            function: { name: block.name, arguments: '' }
+                        }]
+                    });
+                } else if (block.type === 'text' && block.text) {
+                    yield chunk({ content: block.text });
+                }
+                break;
+            }
+
+            case 'content_block_delta': {
+                const delta = event.delta || {};
+                if (delta.type === 'text_delta' && delta.text) {
+                    yield chunk({ content: delta.text });
+                } else if (delta.type === 'thinking_delta' && delta.thinking) {
+                    yield chunk({ reasoning_content: delta.thinking });
+                } else if (delta.type === 'input_json_delta' && toolIndexByBlock.has(event.index)) {
+                    yield chunk({
+                        tool_calls: [{
+                            index: toolIndexByBlock.get(event.index),
+                            function: { arguments: delta.partial_json || '' }
+                        }]
+                    });
+                }
+                break;
+            }
+
+            case 'message_delta':
+                if (event.delta?.stop_reason) stopReason = event.delta.stop_reason;
+                Object.assign(usage, event.usage || {});
+                break;
+
+            case 'message_stop':
+                finished = true;
+                yield chunk({}, mapFinishReason(stopReason));
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    if (!finished) {
+        yield chunk({}, mapFinishReason(stopReason));
+    }
+
+    if (includeUsage) {
+        yield {
+            id,
+            object: 'chat.completion.chunk',
+            created,
+            model,
+            choices: [],
+            usage: convertUsageToOpenAI(usage)
+        };
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * OpenAI ↔ Anthropic Mappings
+ *
+ * Tables and helpers shared by the outbound OpenAI-compatible provider
+ * (providers/openai-compatible.js) and the inbound OpenAI converters
+ * (openai-chat-converter.js, openai-responses-converter.js), so both
+ * directions agree on:
+ *
+ *   - reasoning_effort ↔ thinking budget_tokens
+ *   - function tool definitions ↔ Anthropic tool definitions
+ *   - finish_reason ↔ stop_reason
+ */
+
+// --- Reasoning Effort ---
+
+/**
+ * Thinking budgets used when an OpenAI client sends reasoning_effort.
+ * Each budget falls inside the band budgetToEffort maps back to the same
+ * effort (<4k = low, 4k-16k = medium, >=16k = high).
+ */
+export const REASONING_EFFORT_BUDGETS = {
+    minimal: 1024,
+    low: 2048,
+    medium: 8192,
+    high: 24576
+};
+
+/**
+ * Map an OpenAI reasoning effort to a thinking budget.
+ *
+ * @param {string} effort - 'minimal' | 'low' | 'medium' | 'high' | 'none'
+ * @returns {number|null} Anthropic thinking budget_tokens, or null for none/unknown
+ */
+export function effortToBudget(effort) {
+    return (effort && REASONING_EFFORT_BUDGETS[effort]) || null;
+}
+
+/**
+ * Map a thinking budget to a reasoning effort.
+ * Rough mapping: <4k=low, 4k-16k=medium, >=16k=high (no budget = medium)
+ *
+ * @param {number} budgetTokens - Anthropic thinking budget_tokens
+ * @returns {string} 'low' | 'medium' | 'high'
+ */
+export function budgetToEffort(budgetTokens) {
+    if (budgetTokens && budgetTokens < 4000) return 'low';
+    if (budgetTokens >= 16000) return 'high';
+    return 'medium';
+}
+
+// --- Tool Definitions ---
+
+/**
+ * Convert an Anthropic tool definition to an OpenAI function tool.
+ *
+ * Anthropic format:
+ *   { name, description, input_schema: { type: 'object', properties, required } }
+ *
+ * OpenAI format:
+ *   { type: 'function', function: { name, description, parameters } }
+ *
+ * @param {Object} tool - Anthropic tool definition
+ * @returns {Object} OpenAI tool definition
+ */
+export function toOpenAITool(tool) {
+    return {
+        type: 'function',
+        function: {
+            name: tool.name,
+            description: tool.description || '',
+            parameters: tool.input_schema || { type: 'object', properties: {} }
+        }
+    };
+}
+
+/**
+ * Convert an OpenAI function definition ({ name, description, parameters },
+ * as found in Chat `tools[].function`, legacy `functions` and Responses
+ * function tools) to an Anthropic tool definition.
+ *
+ * @param {Object} fn - OpenAI function definition
+ * @returns {Object} Anthropic tool definition
+ */
+export function fromOpenAIFunction(fn) {
+    return {
+        name: fn.name,
+        description: fn.description || '',
+        input_schema: fn.parameters || { type: 'object', properties: {} }
+    };
+}
+
+// --- Stop Reasons ---
+
+const STOP_REASON_BY_FINISH_REASON = {
+    stop: 'end_turn',
+    length: 'max_tokens',
+    tool_calls: 'tool_use',
+    content_filter: 'end_turn'
+};
+
+const FINISH_REASON_BY_STOP_REASON = {
+    max_tokens: 'length',
+    tool_use: 'tool_calls',
+    refusal: 'content_filter'
+};
+
+/**
+ * Map OpenAI finish_reason to Anthropic stop_reason.
+ * Unknown reasons are passed through.
+ *
+ * @param {string} finishReason - OpenAI finish reason
+ * @returns {string} Anthropic stop reason
+ */
+export function mapStopReason(finishReason) {
+    return STOP_REASON_BY_FINISH_REASON[finishReason] || finishReason || 'end_turn';
+}
+
+/**
+ * Map Anthropic stop_reason to OpenAI finish_reason.
+ * end_turn, stop_sequence and unknown reasons become 'stop'.
+ *
+ * @param {string} stopReason - Anthropic stop reason
+ * @returns {string} OpenAI finish reason
+ */
+export function mapFinishReason(stopReason) {
+    return FINISH_REASON_BY_STOP_REASON[stopReason] || 'stop';
+}
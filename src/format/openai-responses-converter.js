@@ -0,0 +1,485 @@
+/**
+ * OpenAI Responses API Converter
+ *
+ * Converts inbound OpenAI Responses API requests (used by the Codex CLI and the
+ * Agents SDK) to the internal Anthropic Messages format, and converts Anthropic
+ * responses / SSE events back into Responses objects and semantic stream events.
+ *
+ *   - instructions / system / developer items → Anthropic system prompt
+ *   - message items (input_text, output_text, input_image) → text / image blocks
+ *   - function_call items ↔ tool_use blocks
+ *   - function_call_output items → tool_result blocks
+ *   - reasoning config ↔ thinking config / reasoning output items
+ *
+ * Shares the part-level helpers with the Chat Completions converter.
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import {
+    DEFAULT_MAX_TOKENS,
+    extractText,
+    convertImagePart,
+    parseToolArguments,
+    appendMessage,
+    applyReasoningEffort
+} from './openai-chat-converter.js';
+import { fromOpenAIFunction } from './openai-mapping.js';
+
+// --- OpenAI Responses → Anthropic Request Conversion ---
+
+/**
+ * Generate a Responses API object id with the given prefix.
+ *
+ * @param {string} prefix - Id prefix (resp, msg, fc, rs)
+ * @returns {string} Generated id
+ */
+function generateId(prefix) {
+    return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Convert Responses message content to Anthropic content blocks.
+ *
+ * @param {string|Array} content - Responses message content
+ * @returns {Array<Object>} Anthropic content blocks
+ */
+function convertInputContent(content) {
+    if (typeof content === 'string') {
+        return content ? [{ type: 'text', text: content }] : [];
+    }
+    if (!Array.isArray(content)) return [];
+
+    const blocks = [];
+    for (const part of content) {
+        if (!part) continue;
+        if (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text') {
+            if (part.text) blocks.push({ type: 'text', text: part.text });
+        } else if (part.type === 'input_image') {
+            const image = convertImagePart(part);
+            if (image) blocks.push(image);
+        } else {
+            logger.debug(`[OpenAIResponses] Skipping unsupported content part: ${part.type}`);
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Convert Responses function tools to Anthropic tools.
+ * Built-in tools (web_search, file_search, ...) have no upstream equivalent and are skipped.
+ *
+ * @param {Array} tools - Responses tool definitions
+ * @returns {Array|undefined} Anthropic tool definitions
+ */
+function convertTools(tools) {
+    const functions = (tools || []).filter(tool => tool?.type === 'function');
+    const skipped = (tools || []).length - functions.length;
+    if (skipped > 0) {
+        logger.debug(`[OpenAIResponses] Skipping ${skipped} non-function tool(s)`);
+    }
+    if (functions.length === 0) return undefined;
+
+    return functions.map(fromOpenAIFunction);
+}
+
+/**
+ * Convert Responses tool_choice to Anthropic tool_choice.
+ *
+ * Responses: 'auto' | 'none' | 'required' | { type: 'function', name }
+ *
+ * @param {string|Object} toolChoice - Responses tool_choice
+ * @returns {Object|undefined} Anthropic tool_choice
+ */
+function convertToolChoice(toolChoice) {
+    if (!toolChoice) return undefined;
+
+    if (typeof toolChoice === 'string') {
+        switch (toolChoice) {
+            case 'required': return { type: 'any' };
+            case 'none': return { type: 'none' };
+            default: return { type: 'auto' };
+        }
+    }
+
+    if (toolChoice.type === 'function' && toolChoice.name) {
+        return { type: 'tool', name: toolChoice.name };
+    }
+    return { type: 'auto' };
+}
+
+/**
+ * Stringify a function_call_output value for an Anthropic tool_result.
+ *
+ * @param {string|Array|Object} output - Tool output
+ * @returns {string} Tool result text
+ */
+function convertToolOutput(output) {
+    if (typeof output === 'string') return output;
+    if (Array.isArray(output)) return extractText(output);
+    return output === undefined || output === null ? '' : JSON.stringify(output);
+}
+
+/**
+ * Convert an OpenAI Responses API request to an Anthropic Messages request.
+ *
+ * @param {Object} body - Responses API request body
+ * @returns {Object} Anthropic-format request
+ */
+export function convertOpenAIResponsesToAnthropic(body) {
+    const systemParts = [];
+    const messages = [];
+
+    if (body.instructions) {
+        systemParts.push(body.instructions);
+    }
+
+    const items = typeof body.input === 'string'
+        ? [{ type: 'message', role: 'user', content: body.input }]
+        : (body.input || []);
+
+    for (const item of items) {
+        if (!item) continue;
+        // Items without a type are shorthand messages ({ role, content })
+        const type = item.type || (item.role ? 'message' : null);
+
+        switch (type) {
+            case 'message':
+                if (item.role === 'system' || item.role === 'developer') {
+                    const text = extractText(item.content);
+                    if (text) systemParts.push(text);
+                } else if (item.role === 'assistant') {
+                    appendMessage(messages, 'assistant', convertInputContent(item.content));
+                } else {
+                    appendMessage(messages, 'user', convertInputContent(item.content));
+                }
+                break;
+            case 'function_call':
+                appendMessage(messages, 'assistant', [{
+                    type: 'tool_use',
+                    id: item.call_id || item.id,
+                    name: item.name,
+                    input: parseToolArguments(item.arguments)
+                }]);
+                break;
+            case 'function_call_output':
+                appendMessage(messages, 'user', [{
+                    type: 'tool_result',
+                    tool_use_id: item.call_id,
+                    content: convertToolOutput(item.output)
+                }]);
+                break;
+            case 'reasoning':
+                // Reasoning items carry OpenAI-encrypted content that cannot be replayed upstream
+                break;
+            default:
+                logger.debug(`[OpenAIResponses] Skipping unsupported input item: ${type}`);
+        }
+    }
+
+    const request = {
+        model: body.model,
+        messages,
+        max_tokens: body.max_output_tokens || DEFAULT_MAX_TOKENS,
+        stream: !!body.stream
+    };
+
+    if (systemParts.length > 0) {
+        request.system = systemParts.join('\n\n');
+    }
+
+    const toolChoice = convertToolChoice(body.tool_choice);
+    const tools = convertTools(body.tools);
+    if (tools && toolChoice?.type !== 'none') {
+        request.tools = tools;
+        if (toolChoice) request.tool_choice = toolChoice;
+    }
+
+    applyReasoningEffort(request, body.reasoning?.effort);
+
+    if (body.temperature !== undefined && body.temperature !== null) {
+        request.temperature = body.temperature;
+    }
+    if (body.top_p !== undefined && body.top_p !== null) {
+        request.top_p = body.top_p;
+    }
+
+    return request;
+}
+
+// --- Anthropic → OpenAI Responses Conversion ---
+
+/**
+ * Convert Anthropic usage to Responses API usage.
+ * Anthropic input_tokens excludes cached tokens, Responses input_tokens includes them.
+ *
+ * @param {Object} usage - Anthropic usage
+ * @returns {Object} Responses usage
+ */
+export function convertUsageToResponses(usage = {}) {
+    const cached = usage.cache_read_input_tokens || 0;
+    const inputTokens = (usage.input_tokens || 0) + cached + (usage.cache_creation_input_tokens || 0);
+    const outputTokens = usage.output_tokens || 0;
+    return {
+        input_tokens: inputTokens,
+        input_tokens_details: { cached_tokens: cached },
+        output_tokens: outputTokens,
+        output_tokens_details: { reasoning_tokens: 0 },
+        total_tokens: inputTokens + outputTokens
+    };
+}
+
+/**
+ * Build the Responses object envelope, echoing the request settings.
+ *
+ * @param {Object} body - Responses API request body
+ * @param {string} model - Model name to report to the client
+ * @returns {Object} Response object with status 'in_progress' and empty output
+ */
+export function createResponseEnvelope(body, model) {
+    return {
+        id: generateId('resp'),
+        object: 'response',
+        created_at: Math.floor(Date.now() / 1000),
+        status: 'in_progress',
+        error: null,
+        incomplete_details: null,
+        instructions: body.instructions || null,
+        max_output_tokens: body.max_output_tokens || null,
+        model,
+        output: [],
+        parallel_tool_calls: body.parallel_tool_calls !== false,
+        previous_response_id: null,
+        reasoning: body.reasoning || null,
+        store: false,
+        temperature: body.temperature ?? null,
+        tool_choice: body.tool_choice || 'auto',
+        tools: body.tools || [],
+        top_p: body.top_p ?? null,
+        usage: null,
+        metadata: body.metadata || {}
+    };
+}
+
+/**
+ * Mark a response envelope as finished based on the Anthropic stop reason.
+ *
+ * @param {Object} envelope - Response envelope (mutated)
+ * @param {string} stopReason - Anthropic stop reason
+ * @param {Object} usage - Anthropic usage
+ */
+function finalizeEnvelope(envelope, stopReason, usage) {
+    if (stopReason === 'max_tokens') {
+        envelope.status = 'incomplete';
+        envelope.incomplete_details = { reason: 'max_output_tokens' };
+    } else {
+        envelope.status = 'completed';
+    }
+    envelope.usage = convertUsageToResponses(usage);
+}
+
+/**
+ * Convert an Anthropic message response to a Responses API object.
+ *
+ * @param {Object} response - Anthropic message response
+ * @param {Object} envelope - Envelope from createResponseEnvelope()
+ * @returns {Object} Completed Responses API object
+ */
+export function convertAnthropicToOpenAIResponse(response, envelope) {
+    const output = [];
+
+    for (const block of response.content || []) {
+        if (block.type === 'thinking' && block.thinking) {
+            output.push({
+                type: 'reasoning',
+                id: generateId('rs'),
+                summary: [{ type: 'summary_text', text: block.thinking }]
+            });
+        } else if (block.type === 'text') {
+            output.push({
+                type: 'message',
+                id: generateId('msg'),
+                status: 'completed',
+                role: 'assistant',
+                content: [{ type: 'output_text', text: block.text || '', annotations: [] }]
+            });
+        } else if (block.type === 'tool_use') {
+            output.push({
+                type: 'function_call',
+                id: generateId('fc'),
+                call_id: block.id,
+                name: block.name,
+                arguments: JSON.stringify(block.input || {}),
+                status: 'completed'
+            });
+        }
+    }
+
+    const result = { ...envelope, output };
+    finalizeEnvelope(result, response.stop_reason, response.usage);
+    return result;
+}
+
+/**
+ * Convert a stream of Anthropic SSE events into Responses API semantic events.
+ *
+ * Each Anthropic content block becomes one output item:
+ *   text → message item (response.output_text.*)
+ *   thinking → reasoning item (response.reasoning_summary_text.*)
+ *   tool_use → function_call item (response.function_call_arguments.*)
+ *
+ * @param {AsyncIterable<Object>} events - Anthropic-format SSE events
+ * @param {Object} envelope - Envelope from createResponseEnvelope()
+ * @yields {Object} Responses API stream events (each has a `type` and `sequence_number`)
+ */
+export async function* streamAnthropicToOpenAIResponses(events, envelope) {
+    const response = { ...envelope, output: [] };
+    const blocks = new Map();
+    const usage = {};
+    let stopReason = null;
+    let sequence = 0;
+
+    const event = (type, data) => ({ type, sequence_number: sequence++, ...data });
+
+    yield event('response.created', { response: { ...response, output: [] } });
+    yield event('response.in_progress', { response: { ...response, output: [] } });
+
+    for await (const upstream of events) {
+        switch (upstream.type) {
+            case 'message_start':
+                Object.assign(usage, upstream.message?.usage || {});
+                break;
+
+            case 'content_block_start': {
+                const block = upstream.content_block || {};
+                const outputIndex = response.output.length;
+                let item;
+
+                if (block.type === 'thinking') {
+                    item = { type: 'reasoning', id: generateId('rs'), summary: [] };
+                } else if (block.type === 'tool_use') {
+                    item = {
+                        type: 'function_call',
+                        id: generateId('fc'),
+                        call_id: block.id,
+                        name: block.name,
+                        arguments: '',
+                        status: 'in_progress'
+                    };
+                } else if (block.type === 'text') {
+                    item = { type: 'message', id: generateId('msg'), status: 'in_progress', role: 'assistant', content: [] };
+                } else {
+                    break;
+                }
+
+                response.output.push(item);
+                blocks.set(upstream.index, { item, outputIndex, text: '' });
+                yield event('response.output_item.added', { output_index: outputIndex, item: { ...item } });
+
+                if (item.type === 'message') {
+                    yield event('response.content_part.added', {
+                        item_id: item.id,
+                        output_index: outputIndex,
+                        content_index: 0,
+                        part: { type: 'output_text', text: '', annotations: [] }
+                    });
+                } else if (item.type === 'reasoning') {
+                    yield event('response.reasoning_summary_part.added', {
+                        item_id: item.id,
+                        output_index: outputIndex,
+                        summary_index: 0,
+                        part: { type: 'summary_text', text: '' }
+                    });
+                }
+
+                if (block.type === 'text' && block.text) {
+                    blocks.get(upstream.index).text += block.text;
+                    yield event('response.output_text.delta', {
+                        item_id: item.id, output_index: outputIndex, content_index: 0, delta: block.text
+                    });
+                }
+                break;
+            }
+
+            case 'content_block_delta': {
+                const state = blocks.get(upstream.index);
+                const delta = upstream.delta || {};
+                if (!state) break;
+                const { item, outputIndex } = state;
+
+                if (delta.type === 'text_delta' && delta.text) {
+                    state.text += delta.text;
+                    yield event('response.output_text.delta', {
+                        item_id: item.id, output_index: outputIndex, content_index: 0, delta: delta.text
+                    });
+                } else if (delta.type === 'thinking_delta' && delta.thinking) {
+                    state.text += delta.thinking;
+                    yield event('response.reasoning_summary_text.delta', {
+                        item_id: item.id, output_index: outputIndex, summary_index: 0, delta: delta.thinking
+                    });
+                } else if (delta.type === 'input_json_delta' && delta.partial_json) {
+                    state.text += delta.partial_json;
+                    yield event('response.function_call_arguments.delta', {
+                        item_id: item.id, output_index: outputIndex, delta: delta.partial_json
+                    });
+                }
+                break;
+            }
+
+            case 'content_block_stop': {
+                const state = blocks.get(upstream.index);
+                if (!state) break;
+                blocks.delete(upstream.index);
+                yield* closeItem(state, event);
+                break;
+            }
+
+            case 'message_delta':
+                if (upstream.delta?.stop_reason) stopReason = upstream.delta.stop_reason;
+                Object.assign(usage, upstream.usage || {});
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    // Close any blocks the upstream stream left open
+    for (const state of blocks.values()) {
+        yield* closeItem(state, event);
+    }
+
+    finalizeEnvelope(response, stopReason, usage);
+    const finalType = response.status === 'incomplete' ? 'response.incomplete' : 'response.completed';
+    yield event(finalType, { response });
+}
+
+/**
+ * Emit the `.done` events for a finished output item and fill in its final content.
+ *
+ * @param {Object} state - Block state ({ item, outputIndex, text })
+ * @param {Function} event - Event factory that assigns sequence numbers
+ * @yields {Object} Responses API stream events
+ */
+function* closeItem(state, event) {
+    const { item, outputIndex, text } = state;
+
+    if (item.type === 'message') {
+        const part = { type: 'output_text', text, annotations: [] };
+        item.content = [part];
+        item.status = 'completed';
+        yield event('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text });
+        yield event('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part });
+    } else if (item.type === 'reasoning') {
+        const part = { type: 'summary_text', text };
+        item.summary = [part];
+        yield event('response.reasoning_summary_text.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, text });
+        yield event('response.reasoning_summary_part.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, part });
+    } else if (item.type === 'function_call') {
+        item.arguments = text || '{}';
+        item.status = 'completed';
+        yield event('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+    }
+
+    yield event('response.output_item.done', { output_index: outputIndex, item: { ...item } });
+}
@@ -107,3 +107,12 @@ export function getCachedSignatureFamily(signature) {
 export function clearThinkingSignatureCache() {
     thinkingSignatureCache.clear();
 }
+
+/**
+ * Number of entries in each cache (expired entries count until evicted).
+ * Used by the /metrics endpoint.
+ * @returns {{toolUse: number, thinking: number}} Entry counts
+ */
+export function getSignatureCacheSizes() {
+    return { toolUse: signatureCache.size, thinking: thinkingSignatureCache.size };
+}
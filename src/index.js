@@ -4,11 +4,12 @@
  * Universal proxy for Claude Code CLI with multi-provider support
  */
 
-import app, { accountManager } from './server.js';
+import app, { accountManager, batchManager } from './server.js';
 import { DEFAULT_PORT } from './constants.js';
 import { logger } from './utils/logger.js';
 import { config } from './config.js';
 import { getStrategyLabel, STRATEGY_NAMES, DEFAULT_STRATEGY } from './account-manager/strategies/index.js';
+import { cassettes } from './modules/cassettes.js';
 import path from 'path';
 import os from 'os';
 
@@ -32,9 +33,23 @@ if (strategyOverride && !STRATEGY_NAMES.includes(strategyOverride.toLowerCase())
     strategyOverride = null;
 }
 
+// Parse --record / --replay flags (format: --record=name or --record name)
+for (let i = 0; i < args.length; i++) {
+    for (const mode of ['record', 'replay']) {
+        if (args[i].startsWith(`--${mode}=`)) {
+            cassettes.configure({ mode, name: args[i].slice(mode.length + 3) });
+        } else if (args[i] === `--${mode}` && args[i + 1]) {
+            cassettes.configure({ mode, name: args[i + 1] });
+        }
+    }
+}
+
 // Initialize logger
 logger.setDebug(isDebug);
 
+// Upstream requests go through the recorder (a pass-through unless recording or replaying)
+cassettes.install();
+
 if (isDebug) {
     logger.debug('Debug mode enabled');
 }
@@ -88,6 +103,11 @@ const server = app.listen(PORT, () => {
     if (isFallbackEnabled) {
         statusSection += '║    ✓ Model fallback enabled                                  ║\n';
     }
+    const cassetteMode = cassettes.getMode();
+    if (cassetteMode !== 'off') {
+        const cassetteName = path.basename(cassettes.cassettePath());
+        statusSection += `${border}    ${align4(`✓ ${cassetteMode === 'record' ? 'Recording to' : 'Replaying'} cassette ${cassetteName}`)}${border}\n`;
+    }
 
     logger.log(`
 ╔══════════════════════════════════════════════════════════════╗
@@ -100,6 +120,10 @@ ${controlSection}
 ║                                                              ║
 ║  Endpoints:                                                  ║
 ║    POST /v1/messages         - Anthropic Messages API        ║
+║    POST /v1/chat/completions - OpenAI Chat Completions API   ║
+║    POST /v1/responses        - OpenAI Responses API          ║
+║    POST /v1/messages/batches - Message Batches API           ║
+║    POST /v1beta/models/*     - Gemini generateContent API    ║
 ║    GET  /v1/models           - List available models         ║
 ║    GET  /health              - Health check                  ║
 ║    GET  /account-limits      - Account status & quotas       ║
@@ -124,6 +148,9 @@ ${border}    ${align4(`export ANTHROPIC_API_KEY=${config.apiKey || 'dummy'}`)}${
   `);
     
     logger.success(`Server started successfully on port ${PORT}`);
+
+    // Resume any message batches left unfinished by a previous run
+    batchManager.initialize();
     if (isDebug) {
         logger.warn('Running in DEBUG mode - verbose logs enabled');
     }
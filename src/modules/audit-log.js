@@ -0,0 +1,641 @@
+/**
+ * Audit Log
+ *
+ * Opt-in compliance trail of what was sent where: one JSONL record per
+ * inference request, appended to ~/.config/commons-proxy/audit/audit.jsonl
+ * when its response closes:
+ *
+ *   { timestamp, requestId, client, clientKeyId, route, stream,
+ *     requestedModel, servedModel, source, provider, account, attempts,
+ *     status, stopReason, usage, latencyMs, timeToFirstTokenMs,
+ *     request?, response? }
+ *
+ * source is "upstream", or "cache", "replay" or "coalesced" when no account
+ * was called for the request (no attempts or usage). attempts lists every
+ * account a request was sent to (retries, fallback models and hedge legs).
+ * status is 499 when the client disconnected first. request/response hold
+ * the full bodies (the client's request and the Anthropic-format answer)
+ * with includeBodies.
+ *
+ * Credentials (API keys, OAuth and bearer tokens, passwords, ...) and matches
+ * of the configured redactPatterns are replaced with [REDACTED] before a
+ * record is written. The active file is rotated to audit-<timestamp>.jsonl
+ * once it reaches maxFileBytes or maxFileAgeMs; rotated files older than
+ * retentionMs, or beyond the newest maxFiles, are deleted.
+ *
+ * Configured through config.auditLog:
+ *   "auditLog": {
+ *       "enabled": true,
+ *       "includeBodies": false,
+ *       "redactPatterns": ["\\b\\d{3}-\\d{2}-\\d{4}\\b"],
+ *       "maxFileBytes": 10485760,
+ *       "maxFileAgeMs": 86400000,
+ *       "retentionMs": 2592000000,
+ *       "maxFiles": 100
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { AUDIT_LOG_PATH } from '../constants.js';
+import { logger } from '../utils/logger.js';
+import { collectAnthropicMessage } from '../format/codex-responses-converter.js';
+import { CLIENT_KEY_PREFIX } from './client-keys.js';
+
+export const DEFAULT_AUDIT_LOG_CONFIG = {
+    enabled: false,
+    includeBodies: false,               // Full request and response bodies
+    redactPatterns: [],                 // Extra regular expressions to redact
+    maxFileBytes: 10 * 1024 * 1024,     // Rotate at 10 MB
+    maxFileAgeMs: 24 * 60 * 60 * 1000,  // ... or after a day
+    retentionMs: 30 * 24 * 60 * 60 * 1000, // Delete rotated files after 30 days
+    maxFiles: 100                       // ... and keep at most 100 of them
+};
+
+export const REDACTED = '[REDACTED]';
+
+// Status recorded for a request whose client disconnected first (as in /metrics)
+const CLIENT_CLOSED_STATUS = 499;
+
+const ACTIVE_FILE = 'audit.jsonl';
+const ROTATED_FILE_PATTERN = /^audit-.+\.jsonl$/;
+
+// Most records one /api/audit page returns
+const MAX_PAGE_SIZE = 500;
+
+// Object keys whose values are always secret
+const SECRET_KEY_PATTERN = /^(?:authorization|proxy-authorization|cookie|set-cookie|password|secret|client_secret|api[-_]?key|x-api-key|x-goog-api-key|(?:access|refresh|id|session)[-_]?token|token)$/i;
+
+// Credentials recognized inside any string
+const SECRET_VALUE_PATTERNS = [
+    /\bBearer\s+[A-Za-z0-9._~+/-]+=*/gi,
+    /\bsk-[A-Za-z0-9_-]{16,}/g,                                 // Anthropic / OpenAI API keys
+    new RegExp(`\\b${CLIENT_KEY_PREFIX}[A-Za-z0-9_-]{16,}`, 'g'), // Client keys
+    /\bAIza[0-9A-Za-z_-]{35}/g,                                 // Google API keys
+    /\bya29\.[0-9A-Za-z_-]+/g,                                  // Google OAuth access tokens
+    /\b1\/\/[0-9A-Za-z_-]{20,}/g,                               // Google OAuth refresh tokens
+    /\b(?:gh[oprsu]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g, // GitHub tokens (Copilot)
+    /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g  // JWTs
+];
+
+/**
+ * Validate a config.auditLog value before it is saved
+ *
+ * @param {Object} auditLog - Candidate config.auditLog
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateAuditLogConfig(auditLog) {
+    if (!auditLog || typeof auditLog !== 'object' || Array.isArray(auditLog)) {
+        return 'auditLog must be an object';
+    }
+    for (const field of ['enabled', 'includeBodies']) {
+        if (auditLog[field] !== undefined && typeof auditLog[field] !== 'boolean') {
+            return `auditLog.${field} must be a boolean`;
+        }
+    }
+    for (const field of ['maxFileBytes', 'maxFileAgeMs', 'retentionMs', 'maxFiles']) {
+        const value = auditLog[field];
+        if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+            return `auditLog.${field} must be a positive integer`;
+        }
+    }
+    if (auditLog.redactPatterns !== undefined) {
+        if (!Array.isArray(auditLog.redactPatterns) || auditLog.redactPatterns.some(p => typeof p !== 'string' || p === '')) {
+            return 'auditLog.redactPatterns must be an array of regular expressions';
+        }
+        for (const pattern of auditLog.redactPatterns) {
+            try {
+                new RegExp(pattern, 'g');
+            } catch (error) {
+                return `auditLog.redactPatterns: invalid pattern "${pattern}" (${error.message})`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Replace credentials and pattern matches in a value
+ *
+ * @param {*} value - Value to redact (not mutated)
+ * @param {RegExp[]} [patterns] - Extra global patterns to redact in strings
+ * @returns {*} Redacted copy
+ */
+export function redact(value, patterns = []) {
+    if (typeof value === 'string') {
+        let text = value;
+        for (const pattern of SECRET_VALUE_PATTERNS) text = text.replace(pattern, REDACTED);
+        for (const pattern of patterns) text = text.replace(pattern, REDACTED);
+        return text;
+    }
+    if (Array.isArray(value)) return value.map(item => redact(item, patterns));
+    if (value && typeof value === 'object') {
+        const redacted = {};
+        for (const [key, item] of Object.entries(value)) {
+            const secret = SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined && item !== '';
+            redacted[key] = secret ? REDACTED : redact(item, patterns);
+        }
+        return redacted;
+    }
+    return value;
+}
+
+/**
+ * Name for a rotated file, sortable by the time it was rotated
+ *
+ * @param {number} now - Rotation timestamp
+ * @returns {string} audit-<ISO timestamp>.jsonl
+ */
+function rotatedFileName(now) {
+    return `audit-${new Date(now).toISOString().replace(/[:.]/g, '-')}.jsonl`;
+}
+
+/**
+ * Whether a status matches a status filter: an exact status or a class like 4xx
+ *
+ * @param {number} status - Record status
+ * @param {string} filter - Filter value
+ * @returns {boolean} True if it matches
+ */
+function matchesStatus(status, filter) {
+    const statusClass = /^([1-5])xx$/i.exec(filter);
+    return statusClass ? Math.floor(status / 100) === Number(statusClass[1]) : String(status) === filter;
+}
+
+/**
+ * One inference request's audit record, filled in as the request runs and
+ * written when its response closes (see AuditLog#trackRequest)
+ */
+class AuditedRequest {
+    requestId = 'req_' + crypto.randomBytes(12).toString('hex');
+    start = Date.now();
+    source = 'upstream';
+    servedModel = null;
+    provider = null;
+    account = null;
+    attempts = [];
+    usage = null;
+    stopReason = null;
+    status = null;
+    firstTokenAt = null;
+    request;
+    response = null;
+    #events = null;
+
+    /**
+     * @param {Object} details
+     * @param {string} details.client - Client key name
+     * @param {string|null} details.clientKeyId - Managed key id (null for API_KEY or open access)
+     * @param {string} details.route - Method and path
+     * @param {boolean} details.stream - Whether the client asked for a stream
+     * @param {string} details.requestedModel - Requested model (after model mapping)
+     * @param {Object} [details.request] - Request body (with includeBodies)
+     */
+    constructor({ client, clientKeyId, route, stream, requestedModel, request }) {
+        this.client = client;
+        this.clientKeyId = clientKeyId;
+        this.route = route;
+        this.stream = stream;
+        this.requestedModel = requestedModel;
+        this.request = request;
+        if (request !== undefined && stream) this.#events = [];
+    }
+
+    /**
+     * Record an account a request was sent to
+     *
+     * @param {Object} attempt - { account, provider, model, hedge? }
+     */
+    attempted(attempt) {
+        this.attempts.push(attempt);
+    }
+
+    /**
+     * Record the account that answered and its usage
+     *
+     * @param {Object} entry - Token usage entry ({ account, provider, model, usage })
+     */
+    answeredBy(entry) {
+        this.account = entry.account;
+        this.provider = entry.provider;
+        this.servedModel = entry.model;
+        this.usage = entry.usage || null;
+    }
+
+    /**
+     * Record an answer that did not come from an account
+     *
+     * @param {string} source - "cache", "replay" or "coalesced"
+     * @param {string} servedModel - Model that produced the shared answer
+     */
+    servedFrom(source, servedModel) {
+        this.source = source;
+        this.servedModel = servedModel;
+    }
+
+    /**
+     * Record a non-streaming response
+     *
+     * @param {Object} response - Anthropic-format message
+     */
+    observeResponse(response) {
+        this.stopReason = response?.stop_reason || null;
+        if (this.request !== undefined) this.response = response;
+    }
+
+    /**
+     * Record the first token, the stop reason and (with bodies) the events of a stream
+     *
+     * @param {Object} event - Anthropic-format SSE event
+     */
+    observeEvent(event) {
+        if (event.type === 'content_block_delta' && this.firstTokenAt === null) {
+            this.firstTokenAt = Date.now();
+        } else if (event.type === 'message_delta' && event.delta?.stop_reason) {
+            this.stopReason = event.delta.stop_reason;
+        }
+        this.#events?.push(event);
+    }
+
+    /**
+     * Record the status of a stream that failed after its headers were sent
+     *
+     * @param {number} status - Error HTTP status
+     */
+    fail(status) {
+        this.status = status;
+    }
+
+    /**
+     * Build the record
+     *
+     * @param {number} status - HTTP status
+     * @param {number} now - When the response closed
+     * @returns {Promise<Object>} Audit record (not yet redacted)
+     */
+    async toRecord(status, now) {
+        const record = {
+            timestamp: new Date(now).toISOString(),
+            requestId: this.requestId,
+            client: this.client,
+            clientKeyId: this.clientKeyId,
+            route: this.route,
+            stream: this.stream,
+            requestedModel: this.requestedModel,
+            servedModel: this.servedModel,
+            source: this.source,
+            provider: this.provider,
+            account: this.account,
+            attempts: this.attempts,
+            status,
+            stopReason: this.stopReason,
+            usage: this.usage,
+            latencyMs: now - this.start,
+            timeToFirstTokenMs: this.firstTokenAt === null ? null : this.firstTokenAt - this.start
+        };
+        if (this.request !== undefined) {
+            record.request = this.request;
+            record.response = this.#events?.some(event => event.type === 'message_start')
+                ? await collectAnthropicMessage(this.#events)
+                : this.response;
+        }
+        return record;
+    }
+}
+
+/**
+ * Append-only JSONL audit log with size/age rotation and retention
+ */
+export class AuditLog {
+    #dir;
+    #overrides;
+    #queue = [];
+    #draining = null;
+    #fileBytes = null;
+    #fileStartedAt = 0;
+    #lastRotatedAt = 0;
+    #patternCache = { source: null, patterns: [] };
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dir] - Directory holding the log files
+     * @param {Object} [options.settings] - Settings overriding config.auditLog (for tests)
+     */
+    constructor({ dir = AUDIT_LOG_PATH, settings = {} } = {}) {
+        this.#dir = dir;
+        this.#overrides = settings;
+    }
+
+    /**
+     * Read a setting; config.auditLog is read live so WebUI changes apply
+     *
+     * @param {string} name - Setting name
+     * @returns {*} Setting value
+     */
+    #setting(name) {
+        return this.#overrides[name] ?? config.auditLog?.[name] ?? DEFAULT_AUDIT_LOG_CONFIG[name];
+    }
+
+    /**
+     * Whether audit logging is turned on
+     *
+     * @returns {boolean} True if config.auditLog.enabled
+     */
+    isEnabled() {
+        return this.#setting('enabled') === true;
+    }
+
+    /**
+     * Start an audit record for an inference request; it is written when the
+     * response closes
+     *
+     * @param {import('express').Request} req - Express request
+     * @param {import('express').Response} res - Express response (locals.client / locals.clientKey)
+     * @param {string} model - Requested model (after model mapping)
+     * @returns {AuditedRequest} Record to fill in
+     */
+    trackRequest(req, res, model) {
+        const urlPath = req.originalUrl.split('?')[0];
+        const request = new AuditedRequest({
+            client: res.locals.client || 'anonymous',
+            clientKeyId: res.locals.clientKey?.id || null,
+            route: `${req.method} ${urlPath}`,
+            stream: Boolean(req.body?.stream) || urlPath.includes(':streamGenerateContent'),
+            requestedModel: model || null,
+            request: this.#setting('includeBodies') ? req.body : undefined
+        });
+        res.once('close', async () => {
+            const status = res.writableFinished ? (request.status ?? res.statusCode) : CLIENT_CLOSED_STATUS;
+            try {
+                this.append(await request.toRecord(status, Date.now()));
+            } catch (error) {
+                logger.error(`[AuditLog] Failed to record request ${request.requestId}: ${error.message}`);
+            }
+        });
+        return request;
+    }
+
+    /**
+     * Redact a record and queue it for writing
+     *
+     * @param {Object} record - Audit record
+     */
+    append(record) {
+        this.#queue.push(JSON.stringify(redact(record, this.#redactPatterns())) + '\n');
+        this.#draining ||= this.#drain();
+    }
+
+    /**
+     * Wait until queued records are written
+     *
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        while (this.#draining) await this.#draining;
+    }
+
+    /**
+     * Write queued records now, without rotating (used on exit)
+     */
+    flushSync() {
+        if (this.#queue.length === 0) return;
+        const lines = this.#queue.splice(0).join('');
+        try {
+            fs.mkdirSync(this.#dir, { recursive: true, mode: 0o700 });
+            fs.appendFileSync(path.join(this.#dir, ACTIVE_FILE), lines, { mode: 0o600 });
+        } catch (error) {
+            logger.error(`[AuditLog] Failed to write ${ACTIVE_FILE}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Records, newest first
+     *
+     * @param {Object} [filter]
+     * @param {number} [filter.limit] - Page size (default 50, at most 500)
+     * @param {string} [filter.before] - Only records older than this request id (the previous page's last)
+     * @param {string} [filter.client] - Client key name
+     * @param {string} [filter.model] - Requested or served model
+     * @param {string} [filter.status] - Status (e.g. 429) or status class (e.g. 5xx)
+     * @param {string} [filter.search] - Case-insensitive text anywhere in the record
+     * @returns {Promise<{records: Object[], nextBefore: string|null}>} Records without their bodies
+     *   (hasBodies marks those that have them), and the cursor of the next page
+     */
+    async query({ limit = 50, before, client, model, status, search } = {}) {
+        const pageSize = Math.min(Math.max(1, Number(limit) || 50), MAX_PAGE_SIZE);
+        const needle = search ? String(search).toLowerCase() : null;
+        const records = [];
+        let skipping = Boolean(before);
+
+        for await (const lines of this.#readFiles()) {
+            for (let i = lines.length - 1; i >= 0; i--) {
+                const line = lines[i];
+                if (skipping) {
+                    if (line.includes(`"requestId":"${before}"`)) skipping = false;
+                    continue;
+                }
+                if (needle && !line.toLowerCase().includes(needle)) continue;
+
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch {
+                    continue;
+                }
+                if (client && record.client !== client) continue;
+                if (model && record.requestedModel !== model && record.servedModel !== model) continue;
+                if (status && !matchesStatus(record.status, String(status))) continue;
+
+                if (records.length === pageSize) {
+                    return { records, nextBefore: records[records.length - 1].requestId };
+                }
+                const { request, response, ...summary } = record;
+                records.push({ ...summary, hasBodies: request !== undefined });
+            }
+        }
+        return { records, nextBefore: null };
+    }
+
+    /**
+     * Find one record, with its bodies
+     *
+     * @param {string} requestId - Request id
+     * @returns {Promise<Object|null>} Record, or null if not found (or rotated out)
+     */
+    async get(requestId) {
+        for await (const lines of this.#readFiles()) {
+            const line = lines.findLast(candidate => candidate.includes(`"requestId":"${requestId}"`));
+            if (line) return JSON.parse(line);
+        }
+        return null;
+    }
+
+    /**
+     * Get the log files and settings
+     *
+     * @returns {Object} Stats ({ enabled, includeBodies, bytes, files: [{ name, bytes, modifiedAt }] })
+     */
+    getStats() {
+        const files = this.#fileNames().map(name => {
+            try {
+                const stat = fs.statSync(path.join(this.#dir, name));
+                return { name, bytes: stat.size, modifiedAt: stat.mtime.toISOString() };
+            } catch {
+                return null;
+            }
+        }).filter(Boolean);
+        return {
+            enabled: this.isEnabled(),
+            includeBodies: this.#setting('includeBodies'),
+            bytes: files.reduce((sum, file) => sum + file.bytes, 0),
+            files
+        };
+    }
+
+    /**
+     * Compiled config.auditLog.redactPatterns (recompiled when they change)
+     *
+     * @returns {RegExp[]} Global patterns
+     */
+    #redactPatterns() {
+        const sources = this.#setting('redactPatterns') || [];
+        const key = JSON.stringify(sources);
+        if (this.#patternCache.source !== key) {
+            const patterns = [];
+            for (const source of sources) {
+                try {
+                    patterns.push(new RegExp(source, 'g'));
+                } catch (error) {
+                    logger.warn(`[AuditLog] Ignoring invalid redact pattern "${source}": ${error.message}`);
+                }
+            }
+            this.#patternCache = { source: key, patterns };
+        }
+        return this.#patternCache.patterns;
+    }
+
+    /**
+     * Write queued lines one at a time, rotating before a line that would
+     * overflow the active file
+     */
+    async #drain() {
+        try {
+            while (this.#queue.length > 0) {
+                const line = this.#queue.shift();
+                try {
+                    await this.#rotateIfNeeded(Buffer.byteLength(line), Date.now());
+                    await fs.promises.appendFile(path.join(this.#dir, ACTIVE_FILE), line, { mode: 0o600 });
+                    this.#fileBytes += Buffer.byteLength(line);
+                } catch (error) {
+                    logger.error(`[AuditLog] Failed to write ${ACTIVE_FILE}: ${error.message}`);
+                    this.#fileBytes = null;
+                }
+            }
+        } finally {
+            this.#draining = null;
+        }
+    }
+
+    /**
+     * Rotate the active file if it is too big or too old for another line
+     *
+     * @param {number} lineBytes - Size of the next line
+     * @param {number} now - Timestamp
+     */
+    async #rotateIfNeeded(lineBytes, now) {
+        const activeFile = path.join(this.#dir, ACTIVE_FILE);
+        if (this.#fileBytes === null) {
+            await fs.promises.mkdir(this.#dir, { recursive: true, mode: 0o700 });
+            const stat = await fs.promises.stat(activeFile).catch(() => null);
+            this.#fileBytes = stat?.size || 0;
+            this.#fileStartedAt = stat ? (stat.birthtimeMs || stat.mtimeMs) : now;
+            await this.#prune(now);
+        }
+        if (this.#fileBytes === 0) {
+            this.#fileStartedAt = now;
+            return;
+        }
+
+        const tooBig = this.#fileBytes + lineBytes > this.#setting('maxFileBytes');
+        const tooOld = now - this.#fileStartedAt >= this.#setting('maxFileAgeMs');
+        if (!tooBig && !tooOld) return;
+
+        // Keep rotated names unique when two rotations land in the same millisecond
+        this.#lastRotatedAt = Math.max(now, this.#lastRotatedAt + 1);
+        await fs.promises.rename(activeFile, path.join(this.#dir, rotatedFileName(this.#lastRotatedAt)));
+        logger.debug(`[AuditLog] Rotated ${ACTIVE_FILE} (${this.#fileBytes} bytes)`);
+        this.#fileBytes = 0;
+        this.#fileStartedAt = now;
+        await this.#prune(now);
+    }
+
+    /**
+     * Delete rotated files past retentionMs or beyond maxFiles
+     *
+     * @param {number} now - Timestamp
+     */
+    async #prune(now) {
+        const rotated = this.#fileNames().filter(name => name !== ACTIVE_FILE);
+        const maxFiles = this.#setting('maxFiles');
+        const retentionMs = this.#setting('retentionMs');
+        for (const [index, name] of rotated.entries()) {
+            const file = path.join(this.#dir, name);
+            const stat = await fs.promises.stat(file).catch(() => null);
+            if (!stat) continue;
+            if (index >= maxFiles || now - stat.mtimeMs > retentionMs) {
+                await fs.promises.rm(file, { force: true });
+                logger.info(`[AuditLog] Deleted ${name} (retention)`);
+            }
+        }
+    }
+
+    /**
+     * Log file names, newest first (the active file, then rotated files)
+     *
+     * @returns {string[]} File names
+     */
+    #fileNames() {
+        let names;
+        try {
+            names = fs.readdirSync(this.#dir);
+        } catch {
+            return [];
+        }
+        const rotated = names.filter(name => ROTATED_FILE_PATTERN.test(name)).sort().reverse();
+        return names.includes(ACTIVE_FILE) ? [ACTIVE_FILE, ...rotated] : rotated;
+    }
+
+    /**
+     * Lines of each log file, newest file first
+     *
+     * @yields {string[]} Non-empty lines of one file, oldest first
+     */
+    async* #readFiles() {
+        await this.flush();
+        for (const name of this.#fileNames()) {
+            try {
+                const text = await fs.promises.readFile(path.join(this.#dir, name), 'utf8');
+                yield text.split('\n').filter(Boolean);
+            } catch (error) {
+                logger.warn(`[AuditLog] Failed to read ${name}: ${error.message}`);
+            }
+        }
+    }
+}
+
+/**
+ * Shared audit log used by the server
+ */
+export const auditLog = new AuditLog();
+process.on('exit', () => auditLog.flushSync());
+
+export default {
+    DEFAULT_AUDIT_LOG_CONFIG,
+    REDACTED,
+    validateAuditLogConfig,
+    redact,
+    AuditLog,
+    auditLog
+};
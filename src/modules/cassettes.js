@@ -0,0 +1,501 @@
+/**
+ * Cassettes (record/replay of upstream traffic)
+ *
+ * In record mode every upstream HTTP exchange (Cloud Code and provider
+ * requests, SSE streams, token refreshes, quota and model calls) is written
+ * to a cassette file. In replay mode those exchanges are served from the
+ * cassette with no network access, so bug reports can be reproduced exactly
+ * and the converter and streaming paths run deterministically offline.
+ *
+ * A cassette is ~/.config/commons-proxy/cassettes/<name>.json (or a .json
+ * path given as the name):
+ *
+ *   { version: 1, recordedAt, interactions: [
+ *       { request: { method, url, headers, body },
+ *         response: { status, statusText, headers, body | chunks } | undefined,
+ *         error: { name, message } | undefined } ] }
+ *
+ * Event-stream bodies are kept as the chunks they arrived in and replayed
+ * chunk by chunk. A request matches a recorded one when the matchOn parts are
+ * equal (ignoring ignoreQueryParams and ignoreBodyFields); identical requests
+ * are replayed in recorded order, and the last one repeats once they are used
+ * up. Credentials are redacted before anything is written, unless redact is
+ * false (needed for providers that decode their tokens, e.g. Codex JWTs).
+ *
+ * Configured through config.cassettes, or the --record=<name> and
+ * --replay=<name> startup flags:
+ *   "cassettes": {
+ *       "mode": "replay",
+ *       "name": "thinking-bug",
+ *       "matchOn": ["method", "url", "query", "body"],
+ *       "ignoreQueryParams": [],
+ *       "ignoreBodyFields": ["requestId", "request.sessionId"],
+ *       "redact": true
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { CASSETTES_PATH } from '../constants.js';
+import { CassetteMissError } from '../errors.js';
+import { logger } from '../utils/logger.js';
+import { redact } from './audit-log.js';
+
+export const CASSETTE_MODES = ['off', 'record', 'replay'];
+export const MATCH_FIELDS = ['method', 'url', 'query', 'body'];
+
+export const DEFAULT_CASSETTE_CONFIG = {
+    mode: 'off',                        // 'off' | 'record' | 'replay'
+    name: 'default',                    // Cassette name, or a path to a .json file
+    matchOn: ['method', 'url', 'query', 'body'],
+    ignoreQueryParams: [],              // Query parameters left out of matching
+    ignoreBodyFields: ['requestId', 'request.sessionId'], // Per-request ids in Cloud Code bodies
+    redact: true                        // Replace credentials with [REDACTED]
+};
+
+const CASSETTE_VERSION = 1;
+
+// Wait before saving a recording, so bursts of exchanges are written once
+const SAVE_DELAY_MS = 500;
+
+// Headers describing the wire encoding, which fetch has already undone
+const WIRE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+// Statuses whose responses cannot carry a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Validate a config.cassettes value before it is saved
+ *
+ * @param {Object} cassettes - Candidate config.cassettes
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateCassetteConfig(cassettes) {
+    if (!cassettes || typeof cassettes !== 'object' || Array.isArray(cassettes)) {
+        return 'cassettes must be an object';
+    }
+    if (cassettes.mode !== undefined && !CASSETTE_MODES.includes(cassettes.mode)) {
+        return `cassettes.mode must be one of: ${CASSETTE_MODES.join(', ')}`;
+    }
+    if (cassettes.name !== undefined && (typeof cassettes.name !== 'string' || cassettes.name.trim() === '')) {
+        return 'cassettes.name must be a non-empty string';
+    }
+    if (cassettes.matchOn !== undefined &&
+        (!Array.isArray(cassettes.matchOn) || cassettes.matchOn.some(field => !MATCH_FIELDS.includes(field)))) {
+        return `cassettes.matchOn must be an array of: ${MATCH_FIELDS.join(', ')}`;
+    }
+    for (const field of ['ignoreQueryParams', 'ignoreBodyFields']) {
+        const value = cassettes[field];
+        if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item === ''))) {
+            return `cassettes.${field} must be an array of strings`;
+        }
+    }
+    if (cassettes.redact !== undefined && typeof cassettes.redact !== 'boolean') {
+        return 'cassettes.redact must be a boolean';
+    }
+    return null;
+}
+
+/**
+ * Read a fetch body as recordable text (parsed when it is JSON)
+ *
+ * @param {*} body - fetch body (string, URLSearchParams, buffer or undefined)
+ * @returns {Object|string|null} Body
+ */
+function recordableBody(body) {
+    if (body === undefined || body === null) return null;
+    let text;
+    if (typeof body === 'string') text = body;
+    else if (body instanceof URLSearchParams) text = body.toString();
+    else if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) text = Buffer.from(body.buffer ?? body, body.byteOffset, body.byteLength).toString('utf8');
+    else return String(body);
+
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * Copy of a body without the given dotted field paths
+ *
+ * @param {*} body - Request body
+ * @param {string[]} fields - Paths like "request.sessionId"
+ * @returns {*} Body for matching
+ */
+function withoutFields(body, fields) {
+    if (!body || typeof body !== 'object' || fields.length === 0) return body;
+    const copy = structuredClone(body);
+    for (const field of fields) {
+        const keys = field.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), copy);
+        if (parent && typeof parent === 'object') delete parent[last];
+    }
+    return copy;
+}
+
+/**
+ * Replayable Response for a recorded one
+ *
+ * @param {Object} recorded - Recorded response ({ status, statusText, headers, body | chunks })
+ * @returns {Response} Response
+ */
+function toResponse(recorded) {
+    let body = null;
+    if (!NULL_BODY_STATUSES.includes(recorded.status)) {
+        if (recorded.chunks) {
+            const encoder = new TextEncoder();
+            const chunks = [...recorded.chunks];
+            body = new ReadableStream({
+                pull(controller) {
+                    if (chunks.length === 0) controller.close();
+                    else controller.enqueue(encoder.encode(chunks.shift()));
+                }
+            });
+        } else {
+            body = recorded.body ?? '';
+        }
+    }
+    return new Response(body, { status: recorded.status, statusText: recorded.statusText, headers: recorded.headers });
+}
+
+/**
+ * Records upstream fetch exchanges to a cassette, or replays them from one
+ */
+export class CassetteRecorder {
+    #dir;
+    #overrides;
+    #fetch;
+    #installed = false;
+    #recording = null;  // { file, interactions } being recorded
+    #replaying = null;  // { file, interactions, used } being replayed
+    #pending = new Set();
+    #saveTimer = null;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dir] - Directory holding named cassettes
+     * @param {Object} [options.settings] - Settings overriding config.cassettes (startup flags, tests)
+     * @param {Function} [options.fetch] - Network fetch (default: the global fetch)
+     */
+    constructor({ dir = CASSETTES_PATH, settings = {}, fetch = null } = {}) {
+        this.#dir = dir;
+        this.#overrides = { ...settings };
+        this.#fetch = fetch;
+    }
+
+    /**
+     * Read a setting; config.cassettes is read live so WebUI changes apply
+     *
+     * @param {string} name - Setting name
+     * @returns {*} Setting value
+     */
+    #setting(name) {
+        return this.#overrides[name] ?? config.cassettes?.[name] ?? DEFAULT_CASSETTE_CONFIG[name];
+    }
+
+    /**
+     * Override settings (used for the --record and --replay startup flags)
+     *
+     * @param {Object} settings - { mode?, name?, ... }
+     */
+    configure(settings) {
+        Object.assign(this.#overrides, settings);
+    }
+
+    /**
+     * Current mode
+     *
+     * @returns {string} "off", "record" or "replay"
+     */
+    getMode() {
+        return this.#setting('mode');
+    }
+
+    /**
+     * File of the current cassette
+     *
+     * @returns {string} Absolute path
+     */
+    cassettePath() {
+        const name = this.#setting('name');
+        return name.endsWith('.json') ? path.resolve(name) : path.join(this.#dir, `${name}.json`);
+    }
+
+    /**
+     * Route the global fetch through the recorder (a pass-through while mode is "off")
+     */
+    install() {
+        if (this.#installed) return;
+        this.#installed = true;
+        this.#fetch ||= globalThis.fetch;
+        globalThis.fetch = (input, init) => this.fetch(input, init);
+        process.on('exit', () => this.flushSync());
+    }
+
+    /**
+     * fetch, recorded or replayed depending on the mode
+     *
+     * @param {string|URL|Request} input - Resource
+     * @param {RequestInit} [init] - Options
+     * @returns {Promise<Response>} Response
+     */
+    async fetch(input, init = {}) {
+        const send = this.#fetch || globalThis.fetch;
+        const mode = this.getMode();
+        if (mode === 'off') return send(input, init);
+
+        const request = this.#describeRequest(input, init);
+        if (mode === 'replay') return this.#replay(request, init.signal ?? input?.signal);
+        return this.#record(request, send, input, init);
+    }
+
+    /**
+     * Wait for in-flight recordings and write the cassette
+     *
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        while (this.#pending.size > 0) await Promise.all(this.#pending);
+        if (!this.#saveTimer) return;
+        clearTimeout(this.#saveTimer);
+        this.#saveTimer = null;
+        await this.#save();
+    }
+
+    /**
+     * Write the cassette now, with the exchanges completed so far (used on exit)
+     */
+    flushSync() {
+        if (!this.#saveTimer) return;
+        clearTimeout(this.#saveTimer);
+        this.#saveTimer = null;
+        const { file, data } = this.#snapshot();
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, data, { mode: 0o600 });
+        } catch (error) {
+            logger.error(`[Cassettes] Failed to save ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Recordable description of an outgoing request
+     *
+     * @param {string|URL|Request} input - Resource
+     * @param {RequestInit} init - Options
+     * @returns {Object} { method, url, headers, body }
+     */
+    #describeRequest(input, init) {
+        const request = {
+            method: (init.method || input?.method || 'GET').toUpperCase(),
+            url: String(input?.url ?? input),
+            headers: Object.fromEntries(new Headers(init.headers || input?.headers)),
+            body: recordableBody(init.body)
+        };
+        return this.#setting('redact') ? redact(request) : request;
+    }
+
+    /**
+     * The parts of a request that decide which recorded exchange it matches
+     *
+     * @param {Object} request - Request description
+     * @returns {string} Match key
+     */
+    #matchKey(request) {
+        const url = new URL(request.url);
+        const ignoredParams = this.#setting('ignoreQueryParams');
+        const parts = {
+            method: request.method,
+            url: url.origin + url.pathname,
+            query: [...url.searchParams].filter(([name]) => !ignoredParams.includes(name)).sort(),
+            body: withoutFields(request.body, this.#setting('ignoreBodyFields'))
+        };
+        return JSON.stringify(this.#setting('matchOn').map(field => parts[field]));
+    }
+
+    /**
+     * Serve a request from the cassette
+     *
+     * @param {Object} request - Request description
+     * @param {AbortSignal} [signal] - Request's abort signal
+     * @returns {Promise<Response>} Recorded response
+     * @throws {CassetteMissError} If no recorded exchange matches
+     */
+    async #replay(request, signal) {
+        signal?.throwIfAborted();
+        const cassette = this.#loadReplay();
+        const key = this.#matchKey(request);
+
+        let lastMatch = -1;
+        let index = -1;
+        for (const [i, interaction] of cassette.interactions.entries()) {
+            if (this.#matchKey(interaction.request) !== key) continue;
+            lastMatch = i;
+            if (!cassette.used[i]) {
+                index = i;
+                break;
+            }
+        }
+        if (index === -1) index = lastMatch;
+        if (index === -1) throw new CassetteMissError(request.method, request.url, cassette.file);
+
+        cassette.used[index] = true;
+        const { response, error } = cassette.interactions[index];
+        logger.debug(`[Cassettes] Replaying ${request.method} ${request.url} (#${index})`);
+        if (error) throw Object.assign(new TypeError(error.message), { name: error.name });
+        return toResponse(response);
+    }
+
+    /**
+     * The cassette being replayed, (re)loaded when the configured one changes
+     *
+     * @returns {Object} { file, interactions, used }
+     */
+    #loadReplay() {
+        const file = this.cassettePath();
+        if (this.#replaying?.file === file) return this.#replaying;
+
+        let interactions = [];
+        try {
+            interactions = JSON.parse(fs.readFileSync(file, 'utf8')).interactions || [];
+            logger.info(`[Cassettes] Replaying ${interactions.length} exchanges from ${file}`);
+        } catch (error) {
+            logger.warn(`[Cassettes] Failed to load ${file}: ${error.message}`);
+        }
+        this.#replaying = { file, interactions, used: interactions.map(() => false) };
+        return this.#replaying;
+    }
+
+    /**
+     * Send a request to the network and record the exchange once its body is read
+     *
+     * @param {Object} request - Request description
+     * @param {Function} send - Network fetch
+     * @param {string|URL|Request} input - Resource
+     * @param {RequestInit} init - Options
+     * @returns {Promise<Response>} Live response
+     */
+    async #record(request, send, input, init) {
+        const cassette = this.#loadRecording();
+        // Reserve the slot now, so exchanges keep the order they were sent in
+        const index = cassette.interactions.push(null) - 1;
+
+        let response;
+        try {
+            response = await send(input, init);
+        } catch (error) {
+            if (!init.signal?.aborted) {
+                cassette.interactions[index] = { request, error: { name: error.name, message: error.message } };
+                this.#scheduleSave();
+            }
+            throw error;
+        }
+
+        const capture = this.#capture(response.clone())
+            .then(recorded => {
+                cassette.interactions[index] = { request, response: recorded };
+                this.#scheduleSave();
+            })
+            .catch(error => {
+                // Cancelled or broken mid-body: not a reproducible exchange
+                logger.debug(`[Cassettes] Not recording ${request.method} ${request.url}: ${error.message}`);
+            })
+            .finally(() => this.#pending.delete(capture));
+        this.#pending.add(capture);
+        return response;
+    }
+
+    /**
+     * The cassette being recorded; recording to a new file starts it empty
+     *
+     * @returns {Object} { file, interactions }
+     */
+    #loadRecording() {
+        const file = this.cassettePath();
+        if (this.#recording?.file !== file) {
+            this.flushSync();
+            this.#recording = { file, interactions: [] };
+            logger.info(`[Cassettes] Recording upstream traffic to ${file}`);
+        }
+        return this.#recording;
+    }
+
+    /**
+     * Read a response into its recorded form
+     *
+     * @param {Response} response - Response copy to read
+     * @returns {Promise<Object>} { status, statusText, headers, body | chunks }
+     */
+    async #capture(response) {
+        const headers = Object.fromEntries(
+            [...response.headers].filter(([name]) => !WIRE_HEADERS.includes(name))
+        );
+        const recorded = { status: response.status, statusText: response.statusText, headers };
+
+        if (response.body && (headers['content-type'] || '').includes('text/event-stream')) {
+            const decoder = new TextDecoder();
+            recorded.chunks = [];
+            for await (const chunk of response.body) {
+                const text = decoder.decode(chunk, { stream: true });
+                if (text) recorded.chunks.push(text);
+            }
+        } else {
+            recorded.body = await response.text();
+        }
+        return this.#setting('redact') ? redact(recorded) : recorded;
+    }
+
+    /**
+     * Save shortly after the first unsaved exchange
+     */
+    #scheduleSave() {
+        if (this.#saveTimer) return;
+        this.#saveTimer = setTimeout(() => {
+            this.#saveTimer = null;
+            this.#save();
+        }, SAVE_DELAY_MS);
+        this.#saveTimer.unref?.();
+    }
+
+    /**
+     * Write the cassette being recorded
+     */
+    async #save() {
+        const { file, data } = this.#snapshot();
+        try {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, data, { mode: 0o600 });
+        } catch (error) {
+            logger.error(`[Cassettes] Failed to save ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Serialized cassette, without exchanges still in flight
+     *
+     * @returns {{file: string, data: string}} File and its contents
+     */
+    #snapshot() {
+        const interactions = this.#recording.interactions.filter(Boolean);
+        const data = JSON.stringify({ version: CASSETTE_VERSION, recordedAt: new Date().toISOString(), interactions }, null, 2);
+        return { file: this.#recording.file, data };
+    }
+}
+
+/**
+ * Shared recorder installed by the server
+ */
+export const cassettes = new CassetteRecorder();
+
+export default {
+    CASSETTE_MODES,
+    MATCH_FIELDS,
+    DEFAULT_CASSETTE_CONFIG,
+    validateCassetteConfig,
+    CassetteRecorder,
+    cassettes
+};
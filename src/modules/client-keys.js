@@ -0,0 +1,430 @@
+/**
+ * Client API Keys
+ *
+ * Named keys for the /v1 endpoints, managed from the WebUI (/api/keys) and
+ * the CLI (commons-proxy keys). Keys are shown once when created and stored
+ * only as SHA-256 hashes in ~/.config/commons-proxy/client-keys.json:
+ *
+ *   {
+ *     "keys": [{
+ *       "id": "key_1a2b3c4d5e6f", "name": "alice", "hash": "<sha256>", "prefix": "cpk_AbCd1234",
+ *       "createdAt": "...", "expiresAt": null, "revokedAt": null,
+ *       "allowedModels": ["claude-sonnet-*"], "allowedProviders": ["google"],
+ *       "limits": { "requestsPerMinute": 60, "tokensPerMinute": 200000, "dailyTokens": 5000000, "monthlyTokens": 50000000 }
+ *     }]
+ *   }
+ *
+ * Empty allowedModels/allowedProviders allow everything. Limits (also
+ * dailyCostUsd/monthlyCostUsd budgets) are enforced by the ingress limits.
+ * A key's name attributes its requests and usage records (the "client"
+ * dimension).
+ *
+ * The file is re-read when it changes, so keys created or revoked from the
+ * CLI apply to a running server.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { CLIENT_KEYS_PATH, PROVIDER_NAMES } from '../constants.js';
+import { logger } from '../utils/logger.js';
+
+export const CLIENT_KEY_PREFIX = 'cpk_';
+export const KEY_LIMIT_FIELDS = [
+    'requestsPerMinute', 'tokensPerMinute', 'dailyTokens', 'monthlyTokens', 'dailyCostUsd', 'monthlyCostUsd'
+];
+// Budgets in USD may be fractional; the other limits are counts
+const USD_LIMIT_FIELDS = ['dailyCostUsd', 'monthlyCostUsd'];
+
+// Client names used for requests without a managed key
+const RESERVED_NAMES = ['default', 'anonymous'];
+// How often the key file is checked for outside changes
+const RELOAD_CHECK_MS = 1000;
+
+/**
+ * Hash a client key for storage and lookup
+ *
+ * @param {string} key - Plaintext key
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashClientKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Whether a model matches an allowedModels pattern (exact, or a prefix ending in *)
+ *
+ * @param {string} pattern - Pattern
+ * @param {string} model - Model id
+ * @returns {boolean} True if it matches
+ */
+export function matchesModelPattern(pattern, model) {
+    return pattern.endsWith('*') ? model.startsWith(pattern.slice(0, -1)) : model === pattern;
+}
+
+/**
+ * Whether a key may use a model
+ *
+ * @param {Object} record - Client key
+ * @param {string} model - Model id
+ * @returns {boolean} True if allowed
+ */
+export function isModelAllowed(record, model) {
+    if (!record.allowedModels?.length) return true;
+    return record.allowedModels.some(pattern => matchesModelPattern(pattern, model));
+}
+
+/**
+ * Validate a set of limits (a client key's, or config.ingressLimits entries)
+ *
+ * @param {Object} limits - { requestsPerMinute?, tokensPerMinute?, dailyTokens?, monthlyTokens?, dailyCostUsd?, monthlyCostUsd? }
+ * @param {string} [label='limits'] - Name used in error messages
+ * @returns {string|null} Error message, or null if valid (null values remove a limit)
+ */
+export function validateLimits(limits, label = 'limits') {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+        return `${label} must be an object`;
+    }
+    for (const [field, value] of Object.entries(limits)) {
+        if (!KEY_LIMIT_FIELDS.includes(field)) {
+            return `${label}: unknown limit "${field}" (use ${KEY_LIMIT_FIELDS.join(', ')})`;
+        }
+        if (value === null) continue;
+        if (USD_LIMIT_FIELDS.includes(field)) {
+            if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+                return `${label}.${field} must be a positive number or null`;
+            }
+        } else if (!(Number.isInteger(value) && value > 0)) {
+            return `${label}.${field} must be a positive integer or null`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validate client key fields from the WebUI or CLI
+ *
+ * @param {Object} input - { name, expiresAt, allowedModels, allowedProviders, limits }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Updates: only present fields are checked
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateClientKeyInput(input, { partial = false } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return 'key must be an object';
+    }
+    if (!partial || input.name !== undefined) {
+        if (typeof input.name !== 'string' || !/^[A-Za-z0-9._@-]{1,64}$/.test(input.name)) {
+            return 'name must be 1-64 letters, digits or . _ @ -';
+        }
+        if (RESERVED_NAMES.includes(input.name)) {
+            return `name "${input.name}" is reserved`;
+        }
+    }
+    if (input.expiresAt !== undefined && input.expiresAt !== null) {
+        if (typeof input.expiresAt !== 'string' || !Number.isFinite(Date.parse(input.expiresAt))) {
+            return 'expiresAt must be an ISO date or null';
+        }
+    }
+    for (const field of ['allowedModels', 'allowedProviders']) {
+        const list = input[field];
+        if (list === undefined) continue;
+        if (!Array.isArray(list) || list.some(item => typeof item !== 'string' || !item.trim())) {
+            return `${field} must be an array of non-empty strings`;
+        }
+    }
+    const unknownProvider = (input.allowedProviders || []).find(provider => !Object.hasOwn(PROVIDER_NAMES, provider));
+    if (unknownProvider) {
+        return `allowedProviders: unknown provider "${unknownProvider}" (use ${Object.keys(PROVIDER_NAMES).join(', ')})`;
+    }
+    if (input.limits !== undefined) {
+        return validateLimits(input.limits);
+    }
+    return null;
+}
+
+/**
+ * Key status at a point in time
+ *
+ * @param {Object} record - Client key
+ * @param {number} [now] - Timestamp
+ * @returns {'active'|'expired'|'revoked'} Status
+ */
+function keyStatus(record, now = Date.now()) {
+    if (record.revokedAt) return 'revoked';
+    if (record.expiresAt && Date.parse(record.expiresAt) <= now) return 'expired';
+    return 'active';
+}
+
+/**
+ * Client key without its hash, with its status (for listings)
+ *
+ * @param {Object} record - Client key
+ * @returns {Object} Public view
+ */
+export function toPublicKey(record) {
+    const { hash, ...rest } = record;
+    return { ...rest, status: keyStatus(record) };
+}
+
+/**
+ * Normalize validated key fields
+ *
+ * @param {Object} input - Validated input
+ * @returns {Object} Stored fields present in the input
+ */
+function normalizeFields(input) {
+    const fields = {};
+    if (input.name !== undefined) fields.name = input.name;
+    if (input.expiresAt !== undefined) {
+        fields.expiresAt = input.expiresAt === null ? null : new Date(input.expiresAt).toISOString();
+    }
+    for (const field of ['allowedModels', 'allowedProviders']) {
+        if (input[field] !== undefined) fields[field] = [...new Set(input[field].map(item => item.trim()))];
+    }
+    if (input.limits !== undefined) {
+        fields.limits = Object.fromEntries(Object.entries(input.limits).filter(([, value]) => value !== null));
+    }
+    return fields;
+}
+
+/**
+ * Client key store backed by a JSON file
+ */
+export class ClientKeyStore {
+    #storePath;
+    #keys = [];
+    #mtimeMs = null;
+    #checkedAt = 0;
+    #loadFailed = false;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storePath] - JSON file holding the keys
+     */
+    constructor({ storePath = CLIENT_KEYS_PATH } = {}) {
+        this.#storePath = storePath;
+    }
+
+    /**
+     * Whether the /v1 endpoints require a key: once any key was created (even
+     * if all are now revoked or expired), and while the key file cannot be
+     * read, so that losing the last key never opens the proxy
+     *
+     * @returns {boolean} True if requests must present a key
+     */
+    requiresAuth() {
+        this.#refresh();
+        return this.#loadFailed || this.#keys.length > 0;
+    }
+
+    /**
+     * Look up a presented key
+     *
+     * @param {string} key - Plaintext key from the request
+     * @returns {{record: Object|null, error: string|null}} The active key, or why it was refused
+     */
+    authenticate(key) {
+        this.#refresh();
+        const hash = hashClientKey(key);
+        const record = this.#keys.find(candidate => candidate.hash === hash);
+        if (!record) return { record: null, error: 'Invalid or missing API key' };
+
+        const status = keyStatus(record);
+        if (status === 'revoked') return { record: null, error: `API key "${record.name}" has been revoked` };
+        if (status === 'expired') return { record: null, error: `API key "${record.name}" expired at ${record.expiresAt}` };
+        return { record, error: null };
+    }
+
+    /**
+     * List keys (without hashes)
+     *
+     * @returns {Array<Object>} Public views, oldest first
+     */
+    list() {
+        this.#refresh();
+        return this.#keys.map(toPublicKey);
+    }
+
+    /**
+     * Find a key by id or name
+     *
+     * @param {string} idOrName - Key id or name
+     * @returns {Object|null} Public view, or null
+     */
+    find(idOrName) {
+        this.#refresh();
+        const record = this.#findRecord(idOrName);
+        return record ? toPublicKey(record) : null;
+    }
+
+    /**
+     * Create a key
+     *
+     * @param {Object} input - { name, expiresAt?, allowedModels?, allowedProviders?, limits? }
+     * @returns {{key: string, record: Object}} Plaintext key (only returned here) and its public view
+     * @throws {Error} If the input is invalid or the name is taken
+     */
+    create(input) {
+        const error = validateClientKeyInput(input);
+        if (error) throw new Error(error);
+        this.#refresh();
+        this.#assertNameFree(input.name);
+
+        const key = CLIENT_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const record = {
+            id: `key_${crypto.randomBytes(6).toString('hex')}`,
+            name: input.name,
+            hash: hashClientKey(key),
+            prefix: key.slice(0, CLIENT_KEY_PREFIX.length + 8),
+            createdAt: new Date().toISOString(),
+            expiresAt: null,
+            revokedAt: null,
+            allowedModels: [],
+            allowedProviders: [],
+            limits: {},
+            ...normalizeFields(input)
+        };
+        this.#keys.push(record);
+        this.#save();
+        logger.info(`[ClientKeys] Created key "${record.name}" (${record.prefix}...)`);
+        return { key, record: toPublicKey(record) };
+    }
+
+    /**
+     * Change a key's name, expiry or policy (limits are merged into the current ones)
+     *
+     * @param {string} idOrName - Key id or name
+     * @param {Object} changes - Fields to change
+     * @returns {Object|null} Updated public view, or null if not found
+     * @throws {Error} If the changes are invalid or the new name is taken
+     */
+    update(idOrName, changes) {
+        const error = validateClientKeyInput(changes, { partial: true });
+        if (error) throw new Error(error);
+        this.#refresh();
+        const record = this.#findRecord(idOrName);
+        if (!record) return null;
+        if (changes.name !== undefined && changes.name !== record.name) this.#assertNameFree(changes.name);
+
+        // Limits are merged: a null value removes that limit
+        const limits = changes.limits && { ...record.limits, ...changes.limits };
+        Object.assign(record, normalizeFields({ ...changes, limits }));
+        this.#save();
+        return toPublicKey(record);
+    }
+
+    /**
+     * Revoke a key; it stays listed so its usage remains attributed
+     *
+     * @param {string} idOrName - Key id or name
+     * @returns {Object|null} Revoked public view, or null if not found
+     */
+    revoke(idOrName) {
+        this.#refresh();
+        const record = this.#findRecord(idOrName);
+        if (!record) return null;
+        if (!record.revokedAt) {
+            record.revokedAt = new Date().toISOString();
+            this.#save();
+            logger.info(`[ClientKeys] Revoked key "${record.name}"`);
+        }
+        return toPublicKey(record);
+    }
+
+    /**
+     * Delete a key
+     *
+     * @param {string} idOrName - Key id or name
+     * @returns {boolean} True if a key was deleted
+     */
+    remove(idOrName) {
+        this.#refresh();
+        const record = this.#findRecord(idOrName);
+        if (!record) return false;
+        this.#keys.splice(this.#keys.indexOf(record), 1);
+        this.#save();
+        logger.info(`[ClientKeys] Deleted key "${record.name}"`);
+        return true;
+    }
+
+    /**
+     * @param {string} idOrName - Key id or name
+     * @returns {Object|undefined} Stored record
+     */
+    #findRecord(idOrName) {
+        return this.#keys.find(record => record.id === idOrName) ||
+            this.#keys.find(record => record.name === idOrName);
+    }
+
+    /**
+     * @param {string} name - Name for a new or renamed key
+     * @throws {Error} If another key has the name
+     */
+    #assertNameFree(name) {
+        if (this.#keys.some(record => record.name === name)) {
+            throw new Error(`A key named "${name}" already exists`);
+        }
+    }
+
+    /**
+     * Re-read the file when it changed on disk (e.g. from the CLI)
+     */
+    #refresh() {
+        const now = Date.now();
+        if (this.#mtimeMs !== null && now - this.#checkedAt < RELOAD_CHECK_MS) return;
+        this.#checkedAt = now;
+
+        let mtimeMs;
+        try {
+            mtimeMs = fs.statSync(this.#storePath).mtimeMs;
+        } catch {
+            this.#keys = [];
+            this.#mtimeMs = 0;
+            this.#loadFailed = false;
+            return;
+        }
+        if (mtimeMs === this.#mtimeMs) return;
+        // Recorded even if parsing fails, so a broken file is read again only once it changes
+        this.#mtimeMs = mtimeMs;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.#storePath, 'utf8'));
+            if (!Array.isArray(data.keys)) throw new Error('"keys" is not an array');
+            this.#keys = data.keys;
+            this.#loadFailed = false;
+        } catch (error) {
+            // Fail closed: keep any keys loaded before and require a key until the file is fixed
+            logger.error(`[ClientKeys] Failed to load ${this.#storePath}: ${error.message}`);
+            this.#loadFailed = true;
+        }
+    }
+
+    /**
+     * Write the keys (owner-only permissions)
+     */
+    #save() {
+        fs.mkdirSync(path.dirname(this.#storePath), { recursive: true });
+        fs.writeFileSync(this.#storePath, JSON.stringify({ keys: this.#keys }, null, 2), { mode: 0o600 });
+        this.#mtimeMs = fs.statSync(this.#storePath).mtimeMs;
+        this.#checkedAt = Date.now();
+    }
+}
+
+/**
+ * Shared store used by the /v1 middleware, the WebUI and the CLI
+ */
+export const clientKeys = new ClientKeyStore();
+
+export default {
+    CLIENT_KEY_PREFIX,
+    KEY_LIMIT_FIELDS,
+    hashClientKey,
+    validateLimits,
+    matchesModelPattern,
+    isModelAllowed,
+    validateClientKeyInput,
+    toPublicKey,
+    ClientKeyStore,
+    clientKeys
+};
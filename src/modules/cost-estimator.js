@@ -0,0 +1,394 @@
+/**
+ * Cost Estimation
+ *
+ * Estimates what requests cost from a price table (USD per million tokens,
+ * with separate input, output, cache read and cache write rates), and builds
+ * monthly spend reports from the token usage rollups (see token-usage.js).
+ *
+ * Prices are looked up per provider, then per model, by longest model-id
+ * prefix ("claude-sonnet-4-5" also prices "claude-sonnet-4-5-thinking").
+ * Subscription providers (Copilot, Codex) are flat-rate: their requests cost
+ * nothing extra, and each of their accounts that served traffic in a month
+ * adds its monthly fee to that month's spend.
+ *
+ * Configured through config.pricing, merged over the built-in table:
+ *   "pricing": {
+ *       "models": { "gemini-3-pro": { "input": 2, "output": 12, "cacheRead": 0.2 } },
+ *       "providers": { "openrouter": { "anthropic/claude-sonnet-4.5": { "input": 3, "output": 15 } } },
+ *       "flatRate": { "copilot": { "monthlyUsd": 10 }, "codex": { "monthlyUsd": 20 } },
+ *       "listPriceModel": "claude-sonnet-4-5"
+ *   }
+ *
+ * The report compares actual spend with Anthropic list prices: Claude models
+ * at their own list price, other models at listPriceModel's.
+ */
+
+import { config } from '../config.js';
+import { tokenUsage } from './token-usage.js';
+
+// USD per million tokens (list prices); cacheRead/cacheWrite default to the input rate
+export const DEFAULT_MODEL_PRICES = {
+    'claude-opus-4-6': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+    'claude-opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+    'claude-opus-4': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+    'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    'claude-3-7-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    'claude-haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+    'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+    'gemini-3-pro': { input: 2, output: 12, cacheRead: 0.2 },
+    'gemini-3-flash': { input: 0.5, output: 3, cacheRead: 0.05 },
+    'gemini-2.5-pro': { input: 1.25, output: 10, cacheRead: 0.125 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5, cacheRead: 0.03 },
+    'gemini-2.5-flash-lite': { input: 0.1, output: 0.4, cacheRead: 0.01 },
+    'gpt-5.2': { input: 1.75, output: 14, cacheRead: 0.175 },
+    'gpt-5': { input: 1.25, output: 10, cacheRead: 0.125 },
+    'gpt-5-mini': { input: 0.25, output: 2, cacheRead: 0.025 },
+    'gpt-5-nano': { input: 0.05, output: 0.4, cacheRead: 0.005 },
+    'gpt-4.1': { input: 2, output: 8, cacheRead: 0.5 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6, cacheRead: 0.1 },
+    'gpt-4o': { input: 2.5, output: 10, cacheRead: 1.25 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075 },
+    'o3': { input: 2, output: 8, cacheRead: 0.5 },
+    'o4-mini': { input: 1.1, output: 4.4, cacheRead: 0.275 }
+};
+
+export const DEFAULT_PRICING_CONFIG = {
+    models: {},
+    providers: {},
+    flatRate: {
+        copilot: { monthlyUsd: 10 },
+        codex: { monthlyUsd: 20 }
+    },
+    listPriceModel: 'claude-sonnet-4-5'
+};
+
+const PRICE_FIELDS = ['input', 'output', 'cacheRead', 'cacheWrite'];
+
+/**
+ * Validate a price table ({ [modelPrefix]: rates })
+ *
+ * @param {*} table - Candidate table
+ * @param {string} path - Config path for messages
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePriceTable(table, path) {
+    if (!table || typeof table !== 'object' || Array.isArray(table)) {
+        return `${path} must be an object`;
+    }
+    for (const [model, price] of Object.entries(table)) {
+        if (!price || typeof price !== 'object' || Array.isArray(price)) {
+            return `${path}.${model} must be an object`;
+        }
+        for (const field of PRICE_FIELDS) {
+            const rate = price[field];
+            if (rate === undefined && field.startsWith('cache')) continue;
+            if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0) {
+                return `${path}.${model}.${field} must be a non-negative number (USD per million tokens)`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Validate a config.pricing value before it is saved
+ *
+ * @param {Object} pricing - Candidate config.pricing
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validatePricingConfig(pricing) {
+    if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing)) {
+        return 'pricing must be an object';
+    }
+    if (pricing.models !== undefined) {
+        const error = validatePriceTable(pricing.models, 'pricing.models');
+        if (error) return error;
+    }
+    if (pricing.providers !== undefined) {
+        if (!pricing.providers || typeof pricing.providers !== 'object' || Array.isArray(pricing.providers)) {
+            return 'pricing.providers must be an object';
+        }
+        for (const [provider, table] of Object.entries(pricing.providers)) {
+            const error = validatePriceTable(table, `pricing.providers.${provider}`);
+            if (error) return error;
+        }
+    }
+    if (pricing.flatRate !== undefined) {
+        if (!pricing.flatRate || typeof pricing.flatRate !== 'object' || Array.isArray(pricing.flatRate)) {
+            return 'pricing.flatRate must be an object';
+        }
+        for (const [provider, plan] of Object.entries(pricing.flatRate)) {
+            const fee = plan?.monthlyUsd;
+            if (typeof fee !== 'number' || !Number.isFinite(fee) || fee < 0) {
+                return `pricing.flatRate.${provider}.monthlyUsd must be a non-negative number`;
+            }
+        }
+    }
+    if (pricing.listPriceModel !== undefined) {
+        if (typeof pricing.listPriceModel !== 'string' || !findPrice(anthropicListPrices(), pricing.listPriceModel)) {
+            return 'pricing.listPriceModel must be a Claude model with a list price';
+        }
+    }
+    return null;
+}
+
+/**
+ * Read a pricing setting; config.pricing is read live so WebUI changes apply
+ *
+ * @param {string} name - Setting name
+ * @returns {*} Setting value
+ */
+function setting(name) {
+    return config.pricing?.[name] ?? DEFAULT_PRICING_CONFIG[name];
+}
+
+/**
+ * Anthropic list prices: the built-in Claude entries
+ *
+ * @returns {Object} Price table
+ */
+function anthropicListPrices() {
+    return Object.fromEntries(Object.entries(DEFAULT_MODEL_PRICES).filter(([model]) => model.startsWith('claude-')));
+}
+
+/**
+ * Longest-prefix lookup of a model in a price table
+ *
+ * @param {Object} table - { [modelPrefix]: rates }
+ * @param {string} model - Model id
+ * @returns {Object|null} Rates, or null if no entry matches
+ */
+function findPrice(table, model) {
+    let best = null;
+    for (const prefix of Object.keys(table)) {
+        if (model.startsWith(prefix) && (!best || prefix.length > best.length)) best = prefix;
+    }
+    return best ? table[best] : null;
+}
+
+/**
+ * Rates for a model served by a provider: provider-specific entries first,
+ * then config.pricing.models merged over the built-in table
+ *
+ * @param {string} provider - Provider id
+ * @param {string} model - Model id
+ * @returns {Object|null} Rates, or null if the model has no price
+ */
+export function getModelPrice(provider, model) {
+    return findPrice(setting('providers')[provider] || {}, model) ||
+        findPrice({ ...DEFAULT_MODEL_PRICES, ...setting('models') }, model);
+}
+
+/**
+ * Whether a provider is billed by subscription rather than per token
+ *
+ * @param {string} provider - Provider id
+ * @returns {boolean} True for flat-rate providers
+ */
+export function isFlatRate(provider) {
+    return Object.hasOwn(setting('flatRate'), provider);
+}
+
+/**
+ * Price token counts at a set of rates
+ *
+ * @param {Object} price - Rates (USD per million tokens)
+ * @param {Object} usage - Anthropic-format usage (or usage counters)
+ * @returns {number} Cost in USD
+ */
+function priceTokens(price, usage) {
+    return (
+        (usage.input_tokens || 0) * price.input +
+        (usage.output_tokens || 0) * price.output +
+        (usage.cache_read_input_tokens || 0) * (price.cacheRead ?? price.input) +
+        (usage.cache_creation_input_tokens || 0) * (price.cacheWrite ?? price.input)
+    ) / 1e6;
+}
+
+/**
+ * Estimate what one response cost
+ *
+ * @param {Object} entry
+ * @param {string} entry.provider - Provider of the account that answered
+ * @param {string} entry.model - Model that answered
+ * @param {Object} entry.usage - Anthropic-format usage
+ * @returns {{costUsd: number, flatRate: boolean, priced: boolean}} Cost (0 for flat-rate providers and unpriced models)
+ */
+export function estimateCost({ provider, model, usage = {} }) {
+    if (isFlatRate(provider)) return { costUsd: 0, flatRate: true, priced: true };
+    const price = getModelPrice(provider, model);
+    return { costUsd: price ? priceTokens(price, usage) : 0, flatRate: false, priced: !!price };
+}
+
+/**
+ * What the same tokens would cost at Anthropic list prices
+ *
+ * @param {string} model - Model that answered
+ * @param {Object} usage - Anthropic-format usage (or usage counters)
+ * @returns {number} Cost in USD
+ */
+export function estimateListPrice(model, usage) {
+    const listPrices = anthropicListPrices();
+    const price = findPrice(listPrices, model) || findPrice(listPrices, setting('listPriceModel'));
+    return price ? priceTokens(price, usage) : 0;
+}
+
+/**
+ * Parse a report month
+ *
+ * @param {string} [value] - YYYY-MM (defaults to the current UTC month)
+ * @returns {{error: string|null, month: string|null}} Month or an error
+ */
+export function parseReportMonth(value) {
+    if (value === undefined || value === '') {
+        return { error: null, month: new Date().toISOString().slice(0, 7) };
+    }
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(value)) {
+        return { error: 'month must be YYYY-MM', month: null };
+    }
+    return { error: null, month: value };
+}
+
+/**
+ * Round a dollar amount for reports
+ *
+ * @param {number} usd - Amount
+ * @returns {number} Amount rounded to 1/10000 of a cent
+ */
+function roundUsd(usd) {
+    return Math.round(usd * 1e6) / 1e6;
+}
+
+/**
+ * Monthly spend report from the token usage rollups: estimated actual spend
+ * (metered usage plus flat-rate fees) against Anthropic list prices
+ *
+ * @param {string} month - YYYY-MM (see parseReportMonth)
+ * @param {import('./token-usage.js').TokenUsageTracker} [tracker] - Usage store
+ * @returns {Object} { month, from, to, totals, providers, models }
+ */
+export function buildCostReport(month, tracker = tokenUsage) {
+    const start = Date.parse(`${month}-01T00:00:00Z`);
+    const end = new Date(start);
+    end.setUTCMonth(end.getUTCMonth() + 1);
+    const { rows } = tracker.query({
+        from: start,
+        to: Math.min(end.getTime() - 1, Date.now()),
+        groupBy: ['provider', 'model', 'account']
+    });
+
+    const providers = new Map();
+    const models = new Map();
+    for (const row of rows) {
+        const { costUsd, flatRate, priced } = estimateCost({ provider: row.provider, model: row.model, usage: row });
+        const listPriceUsd = estimateListPrice(row.model, row);
+
+        if (!providers.has(row.provider)) {
+            providers.set(row.provider, { provider: row.provider, flatRate, accounts: new Set(), requests: 0, meteredUsd: 0, listPriceUsd: 0 });
+        }
+        const byProvider = providers.get(row.provider);
+        byProvider.accounts.add(row.account);
+        byProvider.requests += row.requests;
+        byProvider.meteredUsd += costUsd;
+        byProvider.listPriceUsd += listPriceUsd;
+
+        const modelKey = `${row.provider}\u0000${row.model}`;
+        if (!models.has(modelKey)) {
+            models.set(modelKey, {
+                provider: row.provider, model: row.model, flatRate, priced,
+                requests: 0, input_tokens: 0, output_tokens: 0, cache_read_input_tokens: 0, cache_creation_input_tokens: 0,
+                costUsd: 0, listPriceUsd: 0
+            });
+        }
+        const byModel = models.get(modelKey);
+        for (const counter of ['requests', 'input_tokens', 'output_tokens', 'cache_read_input_tokens', 'cache_creation_input_tokens']) {
+            byModel[counter] += row[counter];
+        }
+        byModel.costUsd += costUsd;
+        byModel.listPriceUsd += listPriceUsd;
+    }
+
+    const totals = { requests: 0, meteredUsd: 0, flatRateUsd: 0, actualUsd: 0, listPriceUsd: 0, savingsUsd: 0 };
+    const providerRows = [...providers.values()].map(({ accounts, ...byProvider }) => {
+        const flatRateUsd = byProvider.flatRate ? setting('flatRate')[byProvider.provider].monthlyUsd * accounts.size : 0;
+        const actualUsd = byProvider.meteredUsd + flatRateUsd;
+        totals.requests += byProvider.requests;
+        totals.meteredUsd += byProvider.meteredUsd;
+        totals.flatRateUsd += flatRateUsd;
+        totals.listPriceUsd += byProvider.listPriceUsd;
+        return {
+            ...byProvider,
+            accounts: accounts.size,
+            meteredUsd: roundUsd(byProvider.meteredUsd),
+            flatRateUsd: roundUsd(flatRateUsd),
+            actualUsd: roundUsd(actualUsd),
+            listPriceUsd: roundUsd(byProvider.listPriceUsd)
+        };
+    }).sort((a, b) => b.actualUsd - a.actualUsd);
+
+    totals.actualUsd = totals.meteredUsd + totals.flatRateUsd;
+    totals.savingsUsd = totals.listPriceUsd - totals.actualUsd;
+    for (const name of Object.keys(totals)) {
+        if (name !== 'requests') totals[name] = roundUsd(totals[name]);
+    }
+
+    return {
+        month,
+        from: new Date(start).toISOString(),
+        to: end.toISOString(),
+        totals,
+        providers: providerRows,
+        models: [...models.values()]
+            .map(byModel => ({ ...byModel, costUsd: roundUsd(byModel.costUsd), listPriceUsd: roundUsd(byModel.listPriceUsd) }))
+            .sort((a, b) => b.listPriceUsd - a.listPriceUsd)
+    };
+}
+
+/**
+ * Render a cost report as a plain-text table (?format=table)
+ *
+ * @param {Object} report - Report from buildCostReport
+ * @returns {string} Table text
+ */
+export function formatCostReport(report) {
+    const usd = (amount) => `$${amount.toFixed(2)}`;
+    const { totals } = report;
+    const lines = [
+        `Cost Report ${report.month} (estimated)`,
+        `Actual spend: ${usd(totals.actualUsd)} (metered ${usd(totals.meteredUsd)} + flat-rate ${usd(totals.flatRateUsd)})`,
+        `At Anthropic list prices: ${usd(totals.listPriceUsd)} (saved ${usd(totals.savingsUsd)})`,
+        ''
+    ];
+
+    const providerHeader = 'Provider'.padEnd(14) + 'Accounts'.padEnd(10) + 'Requests'.padEnd(10) + 'Actual'.padEnd(12) + 'List Price';
+    lines.push(providerHeader, '─'.repeat(providerHeader.length + 4));
+    for (const row of report.providers) {
+        const provider = row.flatRate ? `${row.provider}*` : row.provider;
+        lines.push(provider.padEnd(14) + String(row.accounts).padEnd(10) + String(row.requests).padEnd(10) +
+            usd(row.actualUsd).padEnd(12) + usd(row.listPriceUsd));
+    }
+    lines.push('');
+
+    const modelHeader = 'Model'.padEnd(32) + 'Requests'.padEnd(10) + 'Input'.padEnd(12) + 'Output'.padEnd(12) + 'Cost'.padEnd(12) + 'List Price';
+    lines.push(modelHeader, '─'.repeat(modelHeader.length + 4));
+    for (const row of report.models) {
+        const model = row.priced ? row.model : `${row.model}?`;
+        lines.push(model.slice(0, 31).padEnd(32) + String(row.requests).padEnd(10) + String(row.input_tokens).padEnd(12) +
+            String(row.output_tokens).padEnd(12) + usd(row.costUsd).padEnd(12) + usd(row.listPriceUsd));
+    }
+    lines.push('', '* flat-rate provider (monthly fee per account)   ? no price configured (counted as $0)');
+    return lines.join('\n');
+}
+
+export default {
+    DEFAULT_MODEL_PRICES,
+    DEFAULT_PRICING_CONFIG,
+    validatePricingConfig,
+    getModelPrice,
+    isFlatRate,
+    estimateCost,
+    estimateListPrice,
+    parseReportMonth,
+    buildCostReport,
+    formatCostReport
+};
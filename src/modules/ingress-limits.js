@@ -0,0 +1,349 @@
+/**
+ * Ingress Limits
+ *
+ * Per-client limits checked in the /v1 middleware before a request reaches
+ * an account:
+ *
+ *   requestsPerMinute              - requests admitted in the last 60 seconds
+ *   tokensPerMinute                - input + output tokens of responses finished in the last 60 seconds
+ *   dailyTokens / monthlyTokens    - input + output tokens this UTC day / month
+ *   dailyCostUsd / monthlyCostUsd  - estimated cost this UTC day / month (see cost-estimator.js)
+ *
+ * A client's limits are config.ingressLimits.default, overridden by
+ * config.ingressLimits.clients[name], overridden by its client key's limits.
+ * Token and cost usage comes from the token usage tracker, so budgets
+ * survive restarts. A request is admitted while its client is under every
+ * limit; its own tokens count once it finishes.
+ */
+
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { tokenUsage } from './token-usage.js';
+import { estimateCost } from './cost-estimator.js';
+import { KEY_LIMIT_FIELDS, validateLimits } from './client-keys.js';
+
+const WINDOW_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default config (also documented in config.js)
+export const DEFAULT_INGRESS_LIMITS_CONFIG = {
+    default: {},                  // Limits for every client without its own
+    clients: {}                   // { [clientName]: limits } - e.g. "default" (API_KEY) or "anonymous"
+};
+
+// Response header prefix per limit: Anthropic's names for the per-minute limits
+const HEADER_PREFIXES = {
+    requestsPerMinute: 'anthropic-ratelimit-requests',
+    tokensPerMinute: 'anthropic-ratelimit-tokens',
+    dailyTokens: 'x-commons-budget-daily-tokens',
+    monthlyTokens: 'x-commons-budget-monthly-tokens',
+    dailyCostUsd: 'x-commons-budget-daily-cost-usd',
+    monthlyCostUsd: 'x-commons-budget-monthly-cost-usd'
+};
+
+// Budget limits: [period, usage counter]
+const BUDGETS = {
+    dailyTokens: ['day', 'tokens'],
+    monthlyTokens: ['month', 'tokens'],
+    dailyCostUsd: ['day', 'costUsd'],
+    monthlyCostUsd: ['month', 'costUsd']
+};
+
+/**
+ * Validate the ingressLimits config section
+ *
+ * @param {Object} ingressLimits - { default?, clients? }
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateIngressLimitsConfig(ingressLimits) {
+    if (!ingressLimits || typeof ingressLimits !== 'object' || Array.isArray(ingressLimits)) {
+        return 'ingressLimits must be an object';
+    }
+    if (ingressLimits.default !== undefined) {
+        const error = validateLimits(ingressLimits.default, 'ingressLimits.default');
+        if (error) return error;
+    }
+    if (ingressLimits.clients !== undefined) {
+        if (!ingressLimits.clients || typeof ingressLimits.clients !== 'object' || Array.isArray(ingressLimits.clients)) {
+            return 'ingressLimits.clients must be an object';
+        }
+        for (const [client, limits] of Object.entries(ingressLimits.clients)) {
+            const error = validateLimits(limits, `ingressLimits.clients.${client}`);
+            if (error) return error;
+        }
+    }
+    return null;
+}
+
+/**
+ * Limits that apply to a client
+ *
+ * @param {string} client - Client name
+ * @param {Object} [keyLimits] - Limits of the client key that authenticated the request
+ * @returns {Object} Limits by field (unset limits omitted)
+ */
+export function resolveClientLimits(client, keyLimits = {}) {
+    const ingressLimits = config.ingressLimits || {};
+    const limits = { ...ingressLimits.default, ...ingressLimits.clients?.[client], ...keyLimits };
+    return Object.fromEntries(Object.entries(limits).filter(([field, value]) =>
+        KEY_LIMIT_FIELDS.includes(field) && value !== null && value !== undefined
+    ));
+}
+
+/**
+ * Start and end of the UTC day or month containing a timestamp
+ *
+ * @param {'day'|'month'} period - Period
+ * @param {number} now - Timestamp
+ * @returns {{start: number, end: number}} Period bounds (ms)
+ */
+function periodBounds(period, now) {
+    const date = new Date(now);
+    if (period === 'day') {
+        const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+        return { start, end: start + DAY_MS };
+    }
+    return {
+        start: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1),
+        end: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+    };
+}
+
+/**
+ * Tokens that count against token limits
+ *
+ * @param {Object} usage - Anthropic-format usage
+ * @returns {number} Input + output tokens
+ */
+function countedTokens(usage = {}) {
+    return (usage.input_tokens || 0) + (usage.output_tokens || 0);
+}
+
+/**
+ * Response headers describing a client's remaining allowance
+ *
+ * @param {Object} status - Per-limit status from IngressLimiter#admit
+ * @returns {Object} Header name -> value
+ */
+export function limitHeaders(status) {
+    const headers = {};
+    for (const [field, { limit, remaining, resetAt }] of Object.entries(status)) {
+        const prefix = HEADER_PREFIXES[field];
+        const format = BUDGETS[field]?.[1] === 'costUsd' ? (value) => value.toFixed(6) : String;
+        headers[`${prefix}-limit`] = format(limit);
+        headers[`${prefix}-remaining`] = format(remaining);
+        headers[`${prefix}-reset`] = new Date(resetAt).toISOString();
+    }
+    return headers;
+}
+
+/**
+ * Per-client request windows and token/cost budgets
+ */
+export class IngressLimiter {
+    #tracker;
+    // client -> { requests: number[], tokens: Array<{at: number, tokens: number}> } (last 60 s)
+    #windows = new Map();
+    // `${client}|${period}` -> { start, end, tokens, costUsd }
+    #periods = new Map();
+    #sweptAt = 0;
+
+    /**
+     * @param {Object} [options]
+     * @param {import('./token-usage.js').TokenUsageTracker} [options.tracker] - Source of token usage
+     */
+    constructor({ tracker = tokenUsage } = {}) {
+        this.#tracker = tracker;
+        tracker.on('record', (entry) => this.#onUsage(entry));
+    }
+
+    /**
+     * Admit a request if its client is under every limit
+     *
+     * @param {string} client - Client name
+     * @param {Object} limits - Limits that apply (see resolveClientLimits)
+     * @param {number} [weight=1] - Requests this call stands for (batch size)
+     * @param {number} [now] - Timestamp
+     * @returns {{allowed: boolean, retryable: boolean, retryAfterMs: number, message: string|null, status: Object}}
+     *   status maps each limit to { limit, remaining, resetAt }, counting this request if admitted;
+     *   retryable is false when no wait would admit it (a batch larger than requestsPerMinute)
+     */
+    admit(client, limits, weight = 1, now = Date.now()) {
+        const status = {};
+        const exceeded = [];
+        if (Object.keys(limits).length === 0) return { allowed: true, retryable: true, retryAfterMs: 0, message: null, status };
+
+        const window = this.#window(client, now);
+        if (limits.requestsPerMinute) {
+            const limit = limits.requestsPerMinute;
+            const used = window.requests.length;
+            status.requestsPerMinute = { limit, remaining: Math.max(0, limit - used), resetAt: (window.requests[0] ?? now) + WINDOW_MS };
+            if (weight > limit) {
+                return {
+                    allowed: false,
+                    retryable: false,
+                    retryAfterMs: 0,
+                    message: `Batch of ${weight} requests exceeds client "${client}"'s requestsPerMinute limit (${limit})`,
+                    status
+                };
+            }
+            if (used + weight > limit) {
+                // Wait until enough admitted requests leave the window
+                const freeing = window.requests[Math.min(used + weight - limit, used) - 1];
+                exceeded.push({ field: 'requestsPerMinute', limit, retryAt: (freeing ?? now) + WINDOW_MS });
+            }
+        }
+
+        if (limits.tokensPerMinute) {
+            const limit = limits.tokensPerMinute;
+            let used = window.tokens.reduce((sum, entry) => sum + entry.tokens, 0);
+            const resetAt = (window.tokens[0]?.at ?? now) + WINDOW_MS;
+            status.tokensPerMinute = { limit, remaining: Math.max(0, limit - used), resetAt };
+            if (used >= limit) {
+                // Wait until enough tokens leave the window to get back under the limit
+                const freeing = window.tokens.find(entry => (used -= entry.tokens) < limit);
+                exceeded.push({ field: 'tokensPerMinute', limit, retryAt: freeing.at + WINDOW_MS });
+            }
+        }
+
+        for (const [field, [period, counter]] of Object.entries(BUDGETS)) {
+            const limit = limits[field];
+            if (!limit) continue;
+            const usage = this.#periodUsage(client, period, now);
+            status[field] = { limit, remaining: Math.max(0, limit - usage[counter]), resetAt: usage.end };
+            if (usage[counter] >= limit) exceeded.push({ field, limit, retryAt: usage.end });
+        }
+
+        if (exceeded.length > 0) {
+            const retryAt = Math.max(...exceeded.map(entry => entry.retryAt));
+            const over = exceeded.map(({ field, limit }) => `${field} (${limit})`).join(', ');
+            return {
+                allowed: false,
+                retryable: true,
+                retryAfterMs: Math.max(0, retryAt - now),
+                message: `Client "${client}" is over its ${over} limit; retry after ${new Date(retryAt).toISOString()}`,
+                status
+            };
+        }
+
+        if (limits.requestsPerMinute) {
+            for (let i = 0; i < weight; i++) window.requests.push(now);
+            status.requestsPerMinute.remaining -= weight;
+        }
+        return { allowed: true, retryable: true, retryAfterMs: 0, message: null, status };
+    }
+
+    /**
+     * Number of clients with a per-minute window or a cached budget period
+     *
+     * @returns {number} Tracked client count
+     */
+    getTrackedClientCount() {
+        const clients = new Set(this.#windows.keys());
+        for (const key of this.#periods.keys()) clients.add(key.slice(0, key.lastIndexOf('|')));
+        return clients.size;
+    }
+
+    /**
+     * Forget clients that went quiet: windows with nothing left in the last
+     * minute and budget periods that ended. Runs at most once per window.
+     *
+     * @param {number} now - Timestamp
+     */
+    #sweep(now) {
+        if (now - this.#sweptAt < WINDOW_MS) return;
+        this.#sweptAt = now;
+
+        const cutoff = now - WINDOW_MS;
+        for (const [client, window] of this.#windows) {
+            const lastRequest = window.requests[window.requests.length - 1] ?? -Infinity;
+            const lastTokens = window.tokens[window.tokens.length - 1]?.at ?? -Infinity;
+            if (Math.max(lastRequest, lastTokens) <= cutoff) this.#windows.delete(client);
+        }
+        for (const [key, usage] of this.#periods) {
+            if (now >= usage.end) this.#periods.delete(key);
+        }
+    }
+
+    /**
+     * A client's requests and tokens in the last minute (pruned)
+     *
+     * @param {string} client - Client name
+     * @param {number} now - Timestamp
+     * @returns {{requests: number[], tokens: Array<{at: number, tokens: number}>}} Window
+     */
+    #window(client, now) {
+        this.#sweep(now);
+        let window = this.#windows.get(client);
+        if (!window) {
+            window = { requests: [], tokens: [] };
+            this.#windows.set(client, window);
+        }
+        const cutoff = now - WINDOW_MS;
+        while (window.requests.length > 0 && window.requests[0] <= cutoff) window.requests.shift();
+        while (window.tokens.length > 0 && window.tokens[0].at <= cutoff) window.tokens.shift();
+        return window;
+    }
+
+    /**
+     * A client's tokens and cost in the current day or month, read from the
+     * tracker once per period and kept current from its record events
+     *
+     * @param {string} client - Client name
+     * @param {'day'|'month'} period - Period
+     * @param {number} now - Timestamp
+     * @returns {{start: number, end: number, tokens: number, costUsd: number}} Usage
+     */
+    #periodUsage(client, period, now) {
+        const key = `${client}|${period}`;
+        const cached = this.#periods.get(key);
+        if (cached && now >= cached.start && now < cached.end) return cached;
+
+        const { start, end } = periodBounds(period, now);
+        const usage = { start, end, tokens: 0, costUsd: 0 };
+        const { rows } = this.#tracker.query({ from: start, to: now, groupBy: ['client', 'provider', 'model'] });
+        for (const row of rows) {
+            if (row.client !== client) continue;
+            usage.tokens += countedTokens(row);
+            usage.costUsd += estimateCost({ provider: row.provider, model: row.model, usage: row }).costUsd;
+        }
+        this.#periods.set(key, usage);
+        return usage;
+    }
+
+    /**
+     * Count a finished response against its client's windows and budgets
+     *
+     * @param {Object} entry - Token usage record event
+     */
+    #onUsage(entry) {
+        const tokens = countedTokens(entry.usage);
+        try {
+            this.#window(entry.client, entry.timestamp).tokens.push({ at: entry.timestamp, tokens });
+            const { costUsd } = estimateCost(entry);
+            for (const period of ['day', 'month']) {
+                const usage = this.#periods.get(`${entry.client}|${period}`);
+                if (usage && entry.timestamp >= usage.start && entry.timestamp < usage.end) {
+                    usage.tokens += tokens;
+                    usage.costUsd += costUsd;
+                }
+            }
+        } catch (error) {
+            logger.error(`[IngressLimits] Failed to count usage for ${entry.client}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Shared limiter used by the /v1 middleware
+ */
+export const ingressLimiter = new IngressLimiter();
+
+export default {
+    DEFAULT_INGRESS_LIMITS_CONFIG,
+    validateIngressLimitsConfig,
+    resolveClientLimits,
+    limitHeaders,
+    IngressLimiter,
+    ingressLimiter
+};
@@ -0,0 +1,606 @@
+/**
+ * Message Batches
+ *
+ * Local emulation of the Anthropic Message Batches API. Batches are persisted
+ * under ~/.config/commons-proxy/batches/<batch_id>/:
+ *
+ *   batch.json      - batch metadata (status, timestamps)
+ *   requests.jsonl  - submitted requests ({ custom_id, params } per line)
+ *   results.jsonl   - results in Anthropic's results format, appended as they finish
+ *
+ * A background worker drains pending requests with bounded concurrency and
+ * backs off while every account is rate-limited for the request's model.
+ * Requests without a result line are re-queued on startup, so batches survive
+ * a proxy restart.
+ *
+ * Each batch belongs to the client that created it; other clients neither see
+ * it listed nor can read, cancel or delete it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { BATCH_STORE_PATH, BATCH_CONCURRENCY, BATCH_EXPIRY_MS } from '../constants.js';
+import { isRateLimitError, isCapacityExhaustedError } from '../errors.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_BATCH_REQUESTS = 100000;
+const MIN_RATE_LIMIT_WAIT_MS = 1000;
+const MAX_RATE_LIMIT_WAIT_MS = 60000;
+// Times a request is re-queued after exhausting its retries before it errors
+const MAX_BATCH_REQUEUES = 5;
+
+/**
+ * Check whether an error means the request ran out of account retries
+ *
+ * @param {Error} error - Error thrown by the request processor
+ * @returns {boolean} True for MaxRetriesError
+ */
+function isMaxRetriesError(error) {
+    return error?.name === 'MaxRetriesError' || (error?.message || '').includes('Max retries exceeded');
+}
+
+/**
+ * Check whether an error means "try again later" rather than a failed request
+ *
+ * @param {Error} error - Error thrown by the request processor
+ * @returns {boolean} True if the request should be re-queued
+ */
+function isRetryableBatchError(error) {
+    return isRateLimitError(error) || isCapacityExhaustedError(error) || isMaxRetriesError(error);
+}
+
+/**
+ * Check whether a batch belongs to a client
+ *
+ * @param {Object} meta - Batch metadata
+ * @param {string|null} client - Client name, or null for any client
+ * @returns {boolean} True if the client may see the batch
+ */
+function isVisibleTo(meta, client) {
+    return client === null || (meta.client ?? 'anonymous') === client;
+}
+
+/**
+ * Validate the `requests` array of a create-batch call
+ *
+ * @param {Array} requests - Batch requests
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateBatchRequests(requests) {
+    if (!Array.isArray(requests) || requests.length === 0) {
+        return 'requests is required and must be a non-empty array';
+    }
+    if (requests.length > MAX_BATCH_REQUESTS) {
+        return `A batch may contain at most ${MAX_BATCH_REQUESTS} requests`;
+    }
+
+    const seen = new Set();
+    for (const [i, req] of requests.entries()) {
+        if (!req || typeof req.custom_id !== 'string' || !req.custom_id) {
+            return `requests[${i}].custom_id is required and must be a string`;
+        }
+        if (seen.has(req.custom_id)) {
+            return `requests[${i}].custom_id "${req.custom_id}" is duplicated`;
+        }
+        seen.add(req.custom_id);
+
+        if (!req.params || typeof req.params !== 'object') {
+            return `requests[${i}].params is required`;
+        }
+        if (!Array.isArray(req.params.messages)) {
+            return `requests[${i}].params.messages is required and must be an array`;
+        }
+        if (req.params.stream) {
+            return `requests[${i}].params.stream is not supported in batches`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Message batch store and worker
+ */
+export class MessageBatchManager {
+    #storePath;
+    #concurrency;
+    #maxRequeues;
+    #processRequest;
+    #describeError;
+    #accountManager;
+    #mapModel;
+
+    // batch id -> { meta, pending: Array<{custom_id, params}>, writeChain: Promise }
+    #batches = new Map();
+    #active = 0;
+    #pauseUntil = 0;
+    #timer = null;
+    #initialized = false;
+
+    /**
+     * @param {Object} options
+     * @param {Function} options.processRequest - async (params) => Anthropic message response
+     * @param {Function} [options.describeError] - (error) => { type, message } for errored results
+     * @param {Object} [options.accountManager] - AccountManager used to respect rate limits
+     * @param {Function} [options.mapModel] - (model) => model id used for rate-limit checks
+     * @param {string} [options.storePath] - Directory holding batch folders
+     * @param {number} [options.concurrency] - Maximum requests in flight
+     * @param {number} [options.maxRequeues] - Re-queues after MaxRetriesError before a request errors
+     */
+    constructor({
+        processRequest,
+        describeError = (error) => ({ type: 'api_error', message: error.message }),
+        accountManager = null,
+        mapModel = (model) => model,
+        storePath = BATCH_STORE_PATH,
+        concurrency = BATCH_CONCURRENCY,
+        maxRequeues = MAX_BATCH_REQUEUES
+    }) {
+        this.#processRequest = processRequest;
+        this.#describeError = describeError;
+        this.#accountManager = accountManager;
+        this.#mapModel = mapModel;
+        this.#storePath = storePath;
+        this.#concurrency = Math.max(1, concurrency);
+        this.#maxRequeues = maxRequeues;
+    }
+
+    /**
+     * Load persisted batches and resume any unfinished work
+     */
+    initialize() {
+        if (this.#initialized) return;
+        this.#initialized = true;
+
+        if (!fs.existsSync(this.#storePath)) return;
+
+        for (const entry of fs.readdirSync(this.#storePath, { withFileTypes: true })) {
+            if (!entry.isDirectory()) continue;
+            try {
+                this.#loadBatch(entry.name);
+            } catch (error) {
+                logger.warn(`[Batches] Failed to load batch ${entry.name}: ${error.message}`);
+            }
+        }
+
+        const resumed = [...this.#batches.values()].filter(b => b.pending.length > 0).length;
+        if (resumed > 0) {
+            logger.info(`[Batches] Resuming ${resumed} unfinished batch(es)`);
+        }
+        this.#pump();
+    }
+
+    /**
+     * Create a batch and queue its requests
+     *
+     * @param {Array<{custom_id: string, params: Object}>} requests - Validated batch requests
+     * @param {string} [client='anonymous'] - Client that owns the batch
+     * @returns {Object} Batch metadata
+     */
+    createBatch(requests, client = 'anonymous') {
+        this.initialize();
+
+        const id = `msgbatch_${crypto.randomBytes(12).toString('hex')}`;
+        const now = Date.now();
+        const meta = {
+            id,
+            client,
+            processing_status: 'in_progress',
+            request_counts: { processing: requests.length, succeeded: 0, errored: 0, canceled: 0, expired: 0 },
+            created_at: new Date(now).toISOString(),
+            expires_at: new Date(now + BATCH_EXPIRY_MS).toISOString(),
+            ended_at: null,
+            cancel_initiated_at: null,
+            archived_at: null
+        };
+
+        const dir = this.#batchDir(id);
+        fs.mkdirSync(dir, { recursive: true });
+        const lines = requests.map(r => JSON.stringify({ custom_id: r.custom_id, params: r.params }));
+        fs.writeFileSync(path.join(dir, 'requests.jsonl'), lines.join('\n') + '\n');
+        fs.writeFileSync(path.join(dir, 'results.jsonl'), '');
+        this.#writeMeta(meta);
+
+        this.#batches.set(id, {
+            meta,
+            pending: requests.map(r => ({ custom_id: r.custom_id, params: r.params })),
+            writeChain: Promise.resolve()
+        });
+
+        logger.info(`[Batches] Created ${id} with ${requests.length} request(s)`);
+        this.#pump();
+        return meta;
+    }
+
+    /**
+     * Get a batch by id
+     *
+     * @param {string} id - Batch id
+     * @param {string|null} [client=null] - Only return the batch if this client owns it (null = any)
+     * @returns {Object|null} Batch metadata
+     */
+    getBatch(id, client = null) {
+        this.initialize();
+        const meta = this.#batches.get(id)?.meta;
+        return meta && isVisibleTo(meta, client) ? meta : null;
+    }
+
+    /**
+     * List batches, most recently created first
+     *
+     * @param {Object} [options]
+     * @param {number} [options.limit=20] - Page size (1-1000)
+     * @param {string} [options.beforeId] - Return the page before this batch
+     * @param {string} [options.afterId] - Return the page after this batch
+     * @param {string|null} [options.client=null] - Only list this client's batches (null = all)
+     * @returns {{data: Array<Object>, has_more: boolean, first_id: string|null, last_id: string|null}}
+     */
+    listBatches({ limit = 20, beforeId = null, afterId = null, client = null } = {}) {
+        this.initialize();
+
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 1000);
+        const all = [...this.#batches.values()]
+            .map(b => b.meta)
+            .filter(meta => isVisibleTo(meta, client))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id));
+
+        let page;
+        let hasMore;
+        if (beforeId) {
+            const end = all.findIndex(b => b.id === beforeId);
+            const stop = end === -1 ? 0 : end;
+            const start = Math.max(0, stop - pageSize);
+            page = all.slice(start, stop);
+            hasMore = start > 0;
+        } else {
+            const index = afterId ? all.findIndex(b => b.id === afterId) : -1;
+            const start = index === -1 ? 0 : index + 1;
+            page = all.slice(start, start + pageSize);
+            hasMore = start + pageSize < all.length;
+        }
+
+        return {
+            data: page,
+            has_more: hasMore,
+            first_id: page[0]?.id || null,
+            last_id: page[page.length - 1]?.id || null
+        };
+    }
+
+    /**
+     * Cancel a batch. Requests already in flight finish; the rest are marked canceled.
+     *
+     * @param {string} id - Batch id
+     * @param {string|null} [client=null] - Only cancel the batch if this client owns it (null = any)
+     * @returns {Promise<Object|null>} Updated batch metadata, or null if not found
+     */
+    async cancelBatch(id, client = null) {
+        this.initialize();
+        const batch = this.#batches.get(id);
+        if (!batch || !isVisibleTo(batch.meta, client)) return null;
+        if (batch.meta.processing_status !== 'in_progress') return batch.meta;
+
+        batch.meta.processing_status = 'canceling';
+        batch.meta.cancel_initiated_at = new Date().toISOString();
+        this.#writeMeta(batch.meta);
+
+        const remaining = batch.pending.splice(0);
+        for (const item of remaining) {
+            this.#recordResult(batch, item.custom_id, { type: 'canceled' }, 'canceled');
+        }
+        await batch.writeChain;
+        this.#maybeEnd(batch);
+
+        logger.info(`[Batches] Cancel requested for ${id} (${remaining.length} request(s) canceled)`);
+        return batch.meta;
+    }
+
+    /**
+     * Delete an ended batch and its files
+     *
+     * @param {string} id - Batch id
+     * @param {string|null} [client=null] - Only delete the batch if this client owns it (null = any)
+     * @returns {{deleted: boolean, reason?: string}} Outcome
+     */
+    deleteBatch(id, client = null) {
+        this.initialize();
+        const batch = this.#batches.get(id);
+        if (!batch || !isVisibleTo(batch.meta, client)) return { deleted: false, reason: 'not_found' };
+        if (batch.meta.processing_status !== 'ended') return { deleted: false, reason: 'not_ended' };
+
+        fs.rmSync(this.#batchDir(id), { recursive: true, force: true });
+        this.#batches.delete(id);
+        logger.info(`[Batches] Deleted ${id}`);
+        return { deleted: true };
+    }
+
+    /**
+     * Get the path of a batch's JSONL results file
+     *
+     * @param {string} id - Batch id
+     * @returns {string} Results file path
+     */
+    getResultsPath(id) {
+        return path.join(this.#batchDir(id), 'results.jsonl');
+    }
+
+    /**
+     * Wait for in-flight result writes of a batch (used before serving results)
+     *
+     * @param {string} id - Batch id
+     * @returns {Promise<void>}
+     */
+    async flush(id) {
+        await this.#batches.get(id)?.writeChain;
+    }
+
+    // --- Worker ---
+
+    /**
+     * Start as many queued requests as concurrency and rate limits allow
+     */
+    #pump() {
+        if (this.#timer) return;
+
+        const now = Date.now();
+        if (now < this.#pauseUntil) {
+            this.#schedule(this.#pauseUntil - now);
+            return;
+        }
+
+        for (const batch of this.#batches.values()) {
+            if (batch.meta.processing_status !== 'in_progress') continue;
+
+            if (now >= new Date(batch.meta.expires_at).getTime()) {
+                if (batch.pending.length > 0) this.#expire(batch);
+                continue;
+            }
+
+            while (batch.pending.length > 0 && this.#active < this.#concurrency) {
+                const item = batch.pending[0];
+                const waitMs = this.#rateLimitWait(item.params?.model);
+                if (waitMs > 0) {
+                    logger.debug(`[Batches] All accounts rate-limited for ${item.params?.model}, pausing ${waitMs}ms`);
+                    this.#pauseUntil = Date.now() + waitMs;
+                    this.#schedule(waitMs);
+                    return;
+                }
+                batch.pending.shift();
+                this.#run(batch, item);
+            }
+
+            if (this.#active >= this.#concurrency) return;
+        }
+    }
+
+    /**
+     * Schedule the next pump
+     *
+     * @param {number} ms - Delay in milliseconds
+     */
+    #schedule(ms) {
+        if (this.#timer) return;
+        this.#timer = setTimeout(() => {
+            this.#timer = null;
+            this.#pump();
+        }, ms);
+        this.#timer.unref?.();
+    }
+
+    /**
+     * How long to wait before sending a request for a model, based on account rate limits
+     *
+     * @param {string} model - Requested model
+     * @returns {number} Wait time in milliseconds (0 = send now)
+     */
+    #rateLimitWait(model) {
+        const manager = this.#accountManager;
+        if (!manager || manager.getAccountCount() === 0) return 0;
+
+        const modelId = this.#mapModel(model);
+        // Unsupported models fail fast in the request itself; don't stall the queue on them
+        if (!manager.hasProviderForModel(modelId)) return 0;
+        if (!manager.isAllRateLimited(modelId)) return 0;
+
+        const waitMs = manager.getMinWaitTimeMs(modelId) || MIN_RATE_LIMIT_WAIT_MS;
+        return Math.min(Math.max(waitMs, MIN_RATE_LIMIT_WAIT_MS), MAX_RATE_LIMIT_WAIT_MS);
+    }
+
+    /**
+     * Process one batch request and record its result
+     *
+     * @param {Object} batch - Batch state
+     * @param {{custom_id: string, params: Object}} item - Request to process
+     */
+    async #run(batch, item) {
+        this.#active++;
+        try {
+            const message = await this.#processRequest({ ...item.params, stream: false });
+            this.#recordResult(batch, item.custom_id, { type: 'succeeded', message }, 'succeeded');
+        } catch (error) {
+            // Requests that keep running out of retries error instead of cycling forever
+            if (isMaxRetriesError(error)) item.requeues = (item.requeues || 0) + 1;
+            if (isRetryableBatchError(error) && batch.meta.processing_status === 'in_progress' &&
+                (item.requeues || 0) <= this.#maxRequeues) {
+                // Put it back and let the rate-limit check decide when to try again
+                logger.warn(`[Batches] ${batch.meta.id}/${item.custom_id} hit rate limits, re-queueing`);
+                batch.pending.unshift(item);
+                this.#pauseUntil = Math.max(this.#pauseUntil, Date.now() + MIN_RATE_LIMIT_WAIT_MS);
+            } else {
+                const { type, message } = this.#describeError(error);
+                const requeued = item.requeues > 1 ? ` (re-queued ${item.requeues - 1} times)` : '';
+                logger.warn(`[Batches] ${batch.meta.id}/${item.custom_id} errored${requeued}: ${message}`);
+                this.#recordResult(batch, item.custom_id, {
+                    type: 'errored',
+                    error: { type: 'error', error: { type, message } }
+                }, 'errored');
+            }
+        } finally {
+            this.#active--;
+            await batch.writeChain;
+            this.#maybeEnd(batch);
+            this.#pump();
+        }
+    }
+
+    /**
+     * Mark every pending request of an expired batch as expired
+     *
+     * @param {Object} batch - Batch state
+     */
+    #expire(batch) {
+        const remaining = batch.pending.splice(0);
+        for (const item of remaining) {
+            this.#recordResult(batch, item.custom_id, { type: 'expired' }, 'expired');
+        }
+        logger.warn(`[Batches] ${batch.meta.id} expired with ${remaining.length} unprocessed request(s)`);
+        batch.writeChain.then(() => this.#maybeEnd(batch));
+    }
+
+    /**
+     * Append a result line and update counts
+     *
+     * @param {Object} batch - Batch state
+     * @param {string} customId - Request custom_id
+     * @param {Object} result - Result payload
+     * @param {string} outcome - Counter to increment (succeeded, errored, canceled, expired)
+     */
+    #recordResult(batch, customId, result, outcome) {
+        const counts = batch.meta.request_counts;
+        counts.processing = Math.max(0, counts.processing - 1);
+        counts[outcome]++;
+
+        const line = JSON.stringify({ custom_id: customId, result }) + '\n';
+        const file = this.getResultsPath(batch.meta.id);
+        batch.writeChain = batch.writeChain
+            .then(() => fs.promises.appendFile(file, line))
+            .catch(error => logger.error(`[Batches] Failed to write result for ${batch.meta.id}: ${error.message}`));
+    }
+
+    /**
+     * Mark a batch as ended once nothing is pending or in flight
+     *
+     * @param {Object} batch - Batch state
+     */
+    #maybeEnd(batch) {
+        const { meta } = batch;
+        if (meta.processing_status === 'ended') return;
+        if (batch.pending.length > 0 || meta.request_counts.processing > 0) return;
+
+        meta.processing_status = 'ended';
+        meta.ended_at = new Date().toISOString();
+        this.#writeMeta(meta);
+
+        const { succeeded, errored, canceled, expired } = meta.request_counts;
+        logger.info(`[Batches] ${meta.id} ended: ${succeeded} succeeded, ${errored} errored, ${canceled} canceled, ${expired} expired`);
+    }
+
+    // --- Persistence ---
+
+    /**
+     * @param {string} id - Batch id
+     * @returns {string} Batch directory
+     */
+    #batchDir(id) {
+        return path.join(this.#storePath, path.basename(id));
+    }
+
+    /**
+     * Write batch metadata atomically
+     *
+     * @param {Object} meta - Batch metadata
+     */
+    #writeMeta(meta) {
+        const file = path.join(this.#batchDir(meta.id), 'batch.json');
+        const tmp = `${file}.tmp`;
+        try {
+            fs.writeFileSync(tmp, JSON.stringify(meta, null, 2));
+            fs.renameSync(tmp, file);
+        } catch (error) {
+            logger.error(`[Batches] Failed to save ${meta.id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read a JSONL file, skipping blank or truncated lines
+     *
+     * @param {string} file - File path
+     * @returns {Array<Object>} Parsed lines
+     */
+    #readJsonl(file) {
+        if (!fs.existsSync(file)) return [];
+        const rows = [];
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                rows.push(JSON.parse(line));
+            } catch (error) {
+                logger.warn(`[Batches] Skipping unreadable line in ${file}`);
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * Load one batch from disk and rebuild its pending queue from results.jsonl
+     *
+     * @param {string} id - Batch id (directory name)
+     */
+    #loadBatch(id) {
+        const dir = this.#batchDir(id);
+        const meta = JSON.parse(fs.readFileSync(path.join(dir, 'batch.json'), 'utf8'));
+        const requests = this.#readJsonl(path.join(dir, 'requests.jsonl'));
+        const results = this.#readJsonl(path.join(dir, 'results.jsonl'));
+
+        const done = new Set(results.map(r => r.custom_id));
+        const counts = { processing: 0, succeeded: 0, errored: 0, canceled: 0, expired: 0 };
+        for (const r of results) {
+            if (counts[r.result?.type] !== undefined) counts[r.result.type]++;
+        }
+
+        const pending = requests.filter(r => !done.has(r.custom_id));
+        counts.processing = pending.length;
+        meta.request_counts = counts;
+
+        const batch = { meta, pending, writeChain: Promise.resolve() };
+        this.#batches.set(meta.id, batch);
+
+        if (meta.processing_status === 'canceling') {
+            // Cancel was requested before the restart; finish it now
+            for (const item of batch.pending.splice(0)) {
+                this.#recordResult(batch, item.custom_id, { type: 'canceled' }, 'canceled');
+            }
+            batch.writeChain.then(() => this.#maybeEnd(batch));
+        } else if (meta.processing_status === 'ended') {
+            batch.pending = [];
+        } else {
+            this.#maybeEnd(batch);
+        }
+    }
+}
+
+/**
+ * Format batch metadata as an Anthropic message_batch object
+ *
+ * @param {Object} meta - Batch metadata
+ * @param {string} baseUrl - Public base URL of the proxy (e.g. http://localhost:8080)
+ * @returns {Object} message_batch object
+ */
+export function formatBatch(meta, baseUrl) {
+    return {
+        id: meta.id,
+        type: 'message_batch',
+        processing_status: meta.processing_status,
+        request_counts: { ...meta.request_counts },
+        ended_at: meta.ended_at,
+        created_at: meta.created_at,
+        expires_at: meta.expires_at,
+        archived_at: meta.archived_at,
+        cancel_initiated_at: meta.cancel_initiated_at,
+        results_url: meta.processing_status === 'ended'
+            ? `${baseUrl}/v1/messages/batches/${meta.id}/results`
+            : null
+    };
+}
+
+export default MessageBatchManager;
@@ -0,0 +1,471 @@
+/**
+ * Prometheus Metrics
+ *
+ * Prometheus text-format (0.0.4) metrics served at GET /metrics:
+ *
+ *   commons_proxy_requests_total{model,provider,account,status,stop_reason}
+ *   commons_proxy_request_duration_seconds{model,provider}       (histogram)
+ *   commons_proxy_time_to_first_token_seconds{model,provider}    (histogram, streams)
+ *   commons_proxy_retries_total{model}
+ *   commons_proxy_account_switches_total{model}
+ *
+ * and gauges read at scrape time from the account manager, the hybrid
+ * strategy's trackers and the signature caches:
+ *
+ *   commons_proxy_account_rate_limit_seconds{account,provider,model}
+ *   commons_proxy_account_cooldown_seconds{account,provider,reason}
+ *   commons_proxy_account_health_score{account,provider}
+ *   commons_proxy_account_token_bucket_tokens{account,provider}
+ *   commons_proxy_token_bucket_capacity
+ *   commons_proxy_signature_cache_entries{cache}
+ *
+ * Inference requests are counted when their response closes: status is the
+ * HTTP status, the error status for a stream that failed after its headers
+ * were sent, or 499 if the client disconnected first. provider and account
+ * are empty when no account answered (errors, cache hits, replays).
+ */
+
+import { getSignatureCacheSizes } from '../format/signature-cache.js';
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Histogram bucket upper bounds (seconds)
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const TTFT_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 60];
+
+// Status recorded for a request whose client disconnected first (nginx convention)
+const CLIENT_CLOSED_STATUS = 499;
+
+/**
+ * Escape a label value for the text format
+ *
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+    return String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set as {name="value",...}
+ *
+ * @param {Object} labels - Label name -> value
+ * @returns {string} Label set ('' when empty)
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value
+ *
+ * @param {number} value - Value
+ * @returns {string} Text-format value
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * HELP and TYPE lines of a metric family
+ *
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {string} type - counter, gauge or histogram
+ * @returns {string[]} Lines
+ */
+function header(name, help, type) {
+    return [`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${name} ${type}`];
+}
+
+/**
+ * Render a gauge family from samples collected at scrape time
+ *
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {Array<{labels: Object, value: number}>} samples - Samples
+ * @returns {string[]} Lines
+ */
+export function renderGauge(name, help, samples) {
+    return [
+        ...header(name, help, 'gauge'),
+        ...samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+    ];
+}
+
+/**
+ * Monotonic counter with a fixed set of labels
+ */
+export class Counter {
+    #name;
+    #help;
+    #labelNames;
+    // label values key -> { labels, value }
+    #series = new Map();
+
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {string[]} labelNames - Label names
+     */
+    constructor(name, help, labelNames = []) {
+        this.#name = name;
+        this.#help = help;
+        this.#labelNames = labelNames;
+    }
+
+    /**
+     * Increment the series for a label set
+     *
+     * @param {Object} labels - Label values (missing labels are empty)
+     * @param {number} [by=1] - Increment
+     */
+    inc(labels = {}, by = 1) {
+        const series = seriesFor(this.#series, this.#labelNames, labels, () => ({ value: 0 }));
+        series.value += by;
+    }
+
+    /**
+     * Current value of a series
+     *
+     * @param {Object} labels - Label values
+     * @returns {number} Value (0 for an unseen series)
+     */
+    get(labels = {}) {
+        return this.#series.get(seriesKey(this.#labelNames, labels))?.value ?? 0;
+    }
+
+    /**
+     * @returns {string[]} Text-format lines
+     */
+    render() {
+        const lines = header(this.#name, this.#help, 'counter');
+        for (const { labels, value } of this.#series.values()) {
+            lines.push(`${this.#name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Histogram with cumulative buckets, a sum and a count per label set
+ */
+export class Histogram {
+    #name;
+    #help;
+    #labelNames;
+    #buckets;
+    // label values key -> { labels, counts: number[], sum, count }
+    #series = new Map();
+
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {string[]} labelNames - Label names
+     * @param {number[]} buckets - Ascending bucket upper bounds (+Inf is implied)
+     */
+    constructor(name, help, labelNames, buckets) {
+        this.#name = name;
+        this.#help = help;
+        this.#labelNames = labelNames;
+        this.#buckets = buckets;
+    }
+
+    /**
+     * Record an observation
+     *
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+    observe(labels, value) {
+        const series = seriesFor(this.#series, this.#labelNames, labels, () => ({
+            counts: this.#buckets.map(() => 0), sum: 0, count: 0
+        }));
+        this.#buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * @returns {string[]} Text-format lines
+     */
+    render() {
+        const lines = header(this.#name, this.#help, 'histogram');
+        for (const { labels, counts, sum, count } of this.#series.values()) {
+            this.#buckets.forEach((bound, i) => {
+                lines.push(`${this.#name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.#name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.#name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+            lines.push(`${this.#name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Key of a label set, in label-name order
+ *
+ * @param {string[]} labelNames - Label names
+ * @param {Object} labels - Label values
+ * @returns {string} Key
+ */
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+/**
+ * Get or create the series of a label set
+ *
+ * @param {Map} seriesMap - Series by key
+ * @param {string[]} labelNames - Label names
+ * @param {Object} labels - Label values
+ * @param {function(): Object} create - Initial series state
+ * @returns {Object} Series
+ */
+function seriesFor(seriesMap, labelNames, labels, create) {
+    const key = seriesKey(labelNames, labels);
+    let series = seriesMap.get(key);
+    if (!series) {
+        const values = Object.fromEntries(labelNames.map(name => [name, String(labels[name] ?? '')]));
+        series = { labels: values, ...create() };
+        seriesMap.set(key, series);
+    }
+    return series;
+}
+
+/**
+ * Outcome of one inference request, filled in while it is served and
+ * counted when its response closes (see ProxyMetrics#trackRequest)
+ */
+class TrackedRequest {
+    model;
+    provider = '';
+    account = '';
+    stopReason = '';
+    status = null;
+    start = Date.now();
+    firstTokenAt = null;
+
+    /**
+     * @param {string} model - Requested model
+     */
+    constructor(model) {
+        this.model = model || '';
+    }
+
+    /**
+     * Record the account that answered
+     *
+     * @param {Object} entry - Token usage entry ({ account, provider, model })
+     */
+    answeredBy(entry) {
+        this.account = entry.account || '';
+        this.provider = entry.provider || '';
+        if (entry.model) this.model = entry.model;
+    }
+
+    /**
+     * Record the stop reason of a non-streaming response
+     *
+     * @param {Object} response - Anthropic-format message
+     */
+    observeResponse(response) {
+        this.stopReason = response?.stop_reason || '';
+    }
+
+    /**
+     * Record the first token and the stop reason of a stream
+     *
+     * @param {Object} event - Anthropic-format SSE event
+     */
+    observeEvent(event) {
+        if (event.type === 'content_block_delta' && this.firstTokenAt === null) {
+            this.firstTokenAt = Date.now();
+        } else if (event.type === 'message_delta' && event.delta?.stop_reason) {
+            this.stopReason = event.delta.stop_reason;
+        }
+    }
+
+    /**
+     * Record the status of a stream that failed after its headers were sent
+     *
+     * @param {number} status - Error HTTP status
+     */
+    fail(status) {
+        this.status = status;
+    }
+}
+
+/**
+ * The proxy's metrics
+ */
+export class ProxyMetrics {
+    requests = new Counter(
+        'commons_proxy_requests_total',
+        'Inference requests by answering model, provider and account, HTTP status and stop reason',
+        ['model', 'provider', 'account', 'status', 'stop_reason']
+    );
+    duration = new Histogram(
+        'commons_proxy_request_duration_seconds',
+        'Inference request latency, until the response closed',
+        ['model', 'provider'],
+        DURATION_BUCKETS
+    );
+    timeToFirstToken = new Histogram(
+        'commons_proxy_time_to_first_token_seconds',
+        'Time until a stream\'s first content delta',
+        ['model', 'provider'],
+        TTFT_BUCKETS
+    );
+    retries = new Counter(
+        'commons_proxy_retries_total',
+        'Attempts after the first within a model\'s retry loop',
+        ['model']
+    );
+    accountSwitches = new Counter(
+        'commons_proxy_account_switches_total',
+        'Retries that moved to a different account',
+        ['model']
+    );
+
+    /**
+     * Track an inference request until its response closes
+     *
+     * @param {import('express').Response} res - Express response
+     * @param {string} model - Requested model
+     * @returns {TrackedRequest} Request outcome to fill in
+     */
+    trackRequest(res, model) {
+        const request = new TrackedRequest(model);
+        res.once('close', () => {
+            const status = res.writableFinished ? (request.status ?? res.statusCode) : CLIENT_CLOSED_STATUS;
+            this.recordRequest(request, status, Date.now());
+        });
+        return request;
+    }
+
+    /**
+     * Count a finished request
+     *
+     * @param {TrackedRequest} request - Request outcome
+     * @param {number} status - HTTP status
+     * @param {number} now - Timestamp
+     */
+    recordRequest(request, status, now) {
+        const { model, provider } = request;
+        this.requests.inc({ model, provider, account: request.account, status, stop_reason: request.stopReason });
+        this.duration.observe({ model, provider }, (now - request.start) / 1000);
+        if (request.firstTokenAt !== null) {
+            this.timeToFirstToken.observe({ model, provider }, (request.firstTokenAt - request.start) / 1000);
+        }
+    }
+
+    /**
+     * Count a retry within a model's retry loop
+     *
+     * @param {string} model - Model
+     * @param {boolean} switched - Whether the retry uses a different account
+     */
+    recordRetry(model, switched) {
+        this.retries.inc({ model });
+        if (switched) this.accountSwitches.inc({ model });
+    }
+
+    /**
+     * Render every metric in the Prometheus text format
+     *
+     * @param {import('../account-manager/index.js').default} [accountManager] - Source of account gauges
+     * @param {number} [now] - Timestamp
+     * @returns {string} Exposition text
+     */
+    render(accountManager, now = Date.now()) {
+        const lines = [
+            ...this.requests.render(),
+            ...this.duration.render(),
+            ...this.timeToFirstToken.render(),
+            ...this.retries.render(),
+            ...this.accountSwitches.render(),
+            ...accountGauges(accountManager, now)
+        ];
+
+        const sizes = getSignatureCacheSizes();
+        lines.push(...renderGauge('commons_proxy_signature_cache_entries', 'Entries in the Gemini signature caches', [
+            { labels: { cache: 'tool_use' }, value: sizes.toolUse },
+            { labels: { cache: 'thinking' }, value: sizes.thinking }
+        ]));
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * Rate-limit, cooldown, health and token bucket gauges of the enabled accounts
+ *
+ * @param {import('../account-manager/index.js').default} [accountManager] - Account manager
+ * @param {number} now - Timestamp
+ * @returns {string[]} Lines
+ */
+function accountGauges(accountManager, now) {
+    const accounts = (accountManager?.getAllAccounts() ?? []).filter(account => account.enabled !== false);
+    const rateLimits = [];
+    const cooldowns = [];
+    for (const account of accounts) {
+        const provider = account.provider || 'google';
+        for (const [model, limit] of Object.entries(account.modelRateLimits || {})) {
+            if (!limit?.isRateLimited || (limit.resetTime && limit.resetTime <= now)) continue;
+            const seconds = limit.resetTime ? (limit.resetTime - now) / 1000 : 0;
+            rateLimits.push({ labels: { account: account.email, provider, model }, value: seconds });
+        }
+        const cooldownMs = accountManager.getCooldownRemaining(account.email);
+        if (cooldownMs > 0) {
+            cooldowns.push({ labels: { account: account.email, provider, reason: account.cooldownReason || '' }, value: cooldownMs / 1000 });
+        }
+    }
+
+    const lines = [
+        ...renderGauge('commons_proxy_account_rate_limit_seconds',
+            'Seconds until a rate-limited account can serve the model again', rateLimits),
+        ...renderGauge('commons_proxy_account_cooldown_seconds',
+            'Seconds left in an account\'s cooldown', cooldowns)
+    ];
+
+    // Only the hybrid strategy keeps health scores and token buckets
+    const healthTracker = accountManager?.getHealthTracker();
+    if (healthTracker) {
+        lines.push(...renderGauge('commons_proxy_account_health_score', 'Hybrid strategy health score',
+            accounts.map(account => ({
+                labels: { account: account.email, provider: account.provider || 'google' },
+                value: healthTracker.getScore(account.email)
+            }))));
+    }
+    const tokenBucketTracker = accountManager?.getTokenBucketTracker();
+    if (tokenBucketTracker) {
+        lines.push(...renderGauge('commons_proxy_account_token_bucket_tokens', 'Hybrid strategy token bucket level',
+            accounts.map(account => ({
+                labels: { account: account.email, provider: account.provider || 'google' },
+                value: tokenBucketTracker.getTokens(account.email)
+            }))));
+        lines.push(...renderGauge('commons_proxy_token_bucket_capacity', 'Hybrid strategy token bucket size',
+            [{ labels: {}, value: tokenBucketTracker.getMaxTokens() }]));
+    }
+    return lines;
+}
+
+/**
+ * Shared metrics used by the server and the request handlers
+ */
+export const metrics = new ProxyMetrics();
+
+export default {
+    PROMETHEUS_CONTENT_TYPE,
+    renderGauge,
+    Counter,
+    Histogram,
+    ProxyMetrics,
+    metrics
+};
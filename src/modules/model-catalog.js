@@ -0,0 +1,276 @@
+/**
+ * Model Catalog
+ *
+ * Aggregates the models served by every enabled account, across all providers
+ * (Cloud Code, Copilot, OpenRouter, OpenAI, ...), into one list for /v1/models.
+ * Each entry notes which providers and accounts serve it. Provider lookups are
+ * cached for MODEL_CATALOG_TTL_MS, or until the set of enabled accounts changes.
+ * Hidden / alias / mapping settings from config.modelMapping are applied on
+ * every read so WebUI edits show up at once.
+ *
+ * Fetched lists are also fed to model-compatibility so account selection
+ * knows which providers serve which models.
+ */
+
+import { MODEL_CATALOG_TTL_MS } from '../constants.js';
+import { config } from '../config.js';
+import { getProviderForAccount } from '../providers/index.js';
+import { setProviderModels, setAccountModels, trackModelListLoad } from '../account-manager/model-compatibility.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Merge provider model lists into catalog entries keyed by model id.
+ *
+ * @param {Array<{account: Object, providerId: string, models: Array}>} sources - Per-account model lists
+ * @returns {Array<Object>} Catalog entries
+ */
+export function mergeModelLists(sources) {
+    const byId = new Map();
+
+    for (const { account, providerId, models } of sources) {
+        for (const model of models || []) {
+            if (!model?.id) continue;
+
+            let entry = byId.get(model.id);
+            if (!entry) {
+                entry = {
+                    id: model.id,
+                    name: model.name || model.id,
+                    family: model.family || 'unknown',
+                    providers: [],
+                    accounts: []
+                };
+                byId.set(model.id, entry);
+            }
+            if (!entry.providers.includes(providerId)) entry.providers.push(providerId);
+            if (account.email && !entry.accounts.includes(account.email)) entry.accounts.push(account.email);
+        }
+    }
+
+    return [...byId.values()];
+}
+
+/**
+ * Apply config.modelMapping to catalog entries.
+ *   - hidden: true     → dropped (unless includeHidden)
+ *   - alias: "..."     → used as display name
+ *   - mapping: "<id>"  → the key is listed as its own model, served like its target
+ * Pinned models sort first, then by id.
+ *
+ * @param {Array<Object>} entries - Catalog entries from mergeModelLists
+ * @param {Object} modelMapping - config.modelMapping
+ * @param {Object} [options]
+ * @param {boolean} [options.includeHidden=false] - Keep hidden models (flagged hidden: true)
+ * @returns {Array<Object>} Entries with displayName / hidden / pinned / mappedTo set
+ */
+export function applyModelConfig(entries, modelMapping = {}, { includeHidden = false } = {}) {
+    const byId = new Map(entries.map(entry => [entry.id, entry]));
+    const result = entries.map(entry => ({ ...entry }));
+
+    // Mapped ids that are not served directly are listed as virtual models
+    for (const [id, settings] of Object.entries(modelMapping)) {
+        const target = settings?.mapping && byId.get(settings.mapping);
+        if (target && !byId.has(id)) {
+            result.push({ ...target, id, name: id, mappedTo: target.id });
+        }
+    }
+
+    return result
+        .map(entry => {
+            const settings = modelMapping[entry.id] || {};
+            return {
+                ...entry,
+                displayName: settings.alias || entry.name,
+                hidden: settings.hidden === true,
+                pinned: settings.pinned === true,
+                mappedTo: entry.mappedTo || settings.mapping || null
+            };
+        })
+        .filter(entry => includeHidden || !entry.hidden)
+        .sort((a, b) => (b.pinned - a.pinned) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Format a catalog entry as an Anthropic model object.
+ * OpenAI list fields (object, created, owned_by) are included so OpenAI SDKs
+ * can read the same response.
+ *
+ * @param {Object} entry - Entry from applyModelConfig
+ * @param {number} fetchedAt - Catalog fetch time (ms)
+ * @returns {Object} Model object
+ */
+export function formatModel(entry, fetchedAt) {
+    return {
+        type: 'model',
+        id: entry.id,
+        display_name: entry.displayName,
+        created_at: new Date(fetchedAt).toISOString(),
+        object: 'model',
+        created: Math.floor(fetchedAt / 1000),
+        owned_by: entry.providers[0] || 'unknown',
+        family: entry.family,
+        providers: entry.providers,
+        accounts: entry.accounts,
+        ...(entry.mappedTo ? { mapped_to: entry.mappedTo } : {})
+    };
+}
+
+/**
+ * Cached, provider-aware model catalog
+ */
+export class ModelCatalog {
+    #accountManager;
+    #getProvider;
+    #ttlMs;
+    #entries = null;
+    #fetchedAt = 0;
+    #accountsKey = null;
+    #pending = null;
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.accountManager - AccountManager (getAllAccounts, getTokenForAccount)
+     * @param {Function} [options.getProvider] - Resolves an account's provider
+     * @param {number} [options.ttlMs] - Cache lifetime
+     */
+    constructor({ accountManager, getProvider = getProviderForAccount, ttlMs = MODEL_CATALOG_TTL_MS }) {
+        this.#accountManager = accountManager;
+        this.#getProvider = getProvider;
+        this.#ttlMs = ttlMs;
+    }
+
+    /**
+     * Accounts whose providers are queried for models
+     *
+     * @returns {Array<Object>} Enabled, valid accounts
+     */
+    #getActiveAccounts() {
+        return this.#accountManager.getAllAccounts()
+            .filter(account => account.enabled !== false && !account.isInvalid);
+    }
+
+    /**
+     * Identify the current set of active accounts, so adding, removing or
+     * disabling an account invalidates the cache without waiting for the TTL
+     *
+     * @returns {string} Cache key
+     */
+    #getAccountsKey() {
+        return this.#getActiveAccounts()
+            .map(account => `${account.provider || 'google'}:${account.email}`)
+            .sort()
+            .join(',');
+    }
+
+    /**
+     * Query every enabled account's provider for its models
+     *
+     * @returns {Promise<Array<Object>>} Merged catalog entries
+     */
+    async #fetchAll() {
+        const accounts = this.#getActiveAccounts();
+
+        const results = await Promise.allSettled(accounts.map(async (account) => {
+            const provider = this.#getProvider(account);
+            const token = await this.#accountManager.getTokenForAccount(account);
+            const models = await provider.getAvailableModels(account, token);
+            return { account, providerId: provider.id, models };
+        }));
+
+        const sources = [];
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                sources.push(result.value);
+            } else {
+                logger.warn(`[ModelCatalog] Failed to list models for ${accounts[index].email}: ${result.reason?.message}`);
+            }
+        });
+
+        // Let account selection match models against what each provider actually serves
+        const byProvider = new Map();
+        for (const { account, providerId, models } of sources) {
+            const ids = byProvider.get(providerId) || new Set();
+            for (const model of models || []) {
+                if (model?.id) ids.add(model.id);
+            }
+            byProvider.set(providerId, ids);
+            // Each custom account is its own server with its own models
+            if (providerId === 'custom') {
+                setAccountModels(account, (models || []).filter(model => model?.id).map(model => model.id));
+            }
+        }
+        for (const [providerId, ids] of byProvider) {
+            setProviderModels(providerId, ids);
+        }
+
+        const entries = mergeModelLists(sources);
+        logger.debug(`[ModelCatalog] Loaded ${entries.length} model(s) from ${sources.length} account(s)`);
+        return entries;
+    }
+
+    /**
+     * Get cached entries, refreshing them when stale. Concurrent callers share one fetch.
+     *
+     * @param {boolean} refresh - Ignore the cache
+     * @returns {Promise<Array<Object>>} Catalog entries
+     */
+    async #getEntries(refresh) {
+        const accountsKey = this.#getAccountsKey();
+        const fresh = this.#entries && Date.now() - this.#fetchedAt < this.#ttlMs && accountsKey === this.#accountsKey;
+        if (fresh && !refresh) {
+            return this.#entries;
+        }
+
+        if (!this.#pending) {
+            this.#pending = this.#fetchAll()
+                .then(entries => {
+                    this.#entries = entries;
+                    this.#fetchedAt = Date.now();
+                    this.#accountsKey = accountsKey;
+                    return entries;
+                })
+                .finally(() => {
+                    this.#pending = null;
+                });
+            // Account selection waits for the lists before rejecting a model it does not know
+            trackModelListLoad(this.#pending);
+        }
+        return this.#pending;
+    }
+
+    /**
+     * Drop the cached catalog (e.g. after accounts change)
+     */
+    invalidate() {
+        this.#entries = null;
+        this.#fetchedAt = 0;
+        this.#accountsKey = null;
+    }
+
+    /**
+     * List all models, formatted for /v1/models
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh=false] - Ignore the cache
+     * @param {boolean} [options.includeHidden=false] - Include models hidden in config.modelMapping
+     * @returns {Promise<Array<Object>>} Model objects
+     */
+    async listModels({ refresh = false, includeHidden = false } = {}) {
+        const entries = await this.#getEntries(refresh);
+        return applyModelConfig(entries, config.modelMapping || {}, { includeHidden })
+            .map(entry => formatModel(entry, this.#fetchedAt));
+    }
+
+    /**
+     * Get a single visible model by id
+     *
+     * @param {string} id - Model id
+     * @returns {Promise<Object|null>} Model object, or null if unknown or hidden
+     */
+    async getModel(id) {
+        const models = await this.listModels();
+        return models.find(model => model.id === id) || null;
+    }
+}
+
+export default ModelCatalog;
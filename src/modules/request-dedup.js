@@ -0,0 +1,235 @@
+/**
+ * Request Deduplication
+ *
+ * Sits in front of sendMessage for non-streaming requests:
+ *
+ * - Coalescing: identical requests (same normalized hash, see
+ *   response-cache.js buildCacheKey) that arrive while one is still in flight
+ *   wait for that upstream call instead of starting their own.
+ * - Idempotency-Key: the final result of a request sent with the header is
+ *   kept for idempotencyTtlMs and replayed when the key is sent again. Reusing
+ *   a key for a different request is rejected. Failed requests are not kept,
+ *   so a retry with the same key runs again.
+ *
+ * Both are scoped to the client (API key name): one client never joins or
+ * replays another client's request, so every client's own usage is counted.
+ * The shared upstream call is cancelled only once every client waiting on it
+ * has disconnected.
+ *
+ * Configured through config.requestDedup:
+ *   "requestDedup": {
+ *       "coalesce": true,
+ *       "idempotencyTtlMs": 600000
+ *   }
+ */
+
+import { config } from '../config.js';
+import { IdempotencyKeyReusedError } from '../errors.js';
+import { logger } from '../utils/logger.js';
+
+export const DEFAULT_REQUEST_DEDUP_CONFIG = {
+    coalesce: true,
+    idempotencyTtlMs: 10 * 60 * 1000    // 10 minutes
+};
+
+// Upper bound on remembered Idempotency-Keys (oldest are dropped first)
+const MAX_IDEMPOTENCY_KEYS = 1000;
+
+/**
+ * Validate a config.requestDedup value before it is saved
+ *
+ * @param {Object} requestDedup - Candidate config.requestDedup
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateRequestDedupConfig(requestDedup) {
+    if (!requestDedup || typeof requestDedup !== 'object' || Array.isArray(requestDedup)) {
+        return 'requestDedup must be an object';
+    }
+    if (requestDedup.coalesce !== undefined && typeof requestDedup.coalesce !== 'boolean') {
+        return 'requestDedup.coalesce must be a boolean';
+    }
+    const ttl = requestDedup.idempotencyTtlMs;
+    if (ttl !== undefined && !(Number.isInteger(ttl) && ttl > 0)) {
+        return 'requestDedup.idempotencyTtlMs must be a positive integer (ms)';
+    }
+    return null;
+}
+
+/**
+ * In-flight coalescing and Idempotency-Key replay
+ */
+export class RequestDeduplicator {
+    #overrides;
+
+    // client + fingerprint -> flight, for coalescing
+    #inFlight = new Map();
+    // client + idempotency key -> { fingerprint, flight, result, expiresAt }, oldest first
+    #idempotent = new Map();
+
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.settings] - Settings overriding config.requestDedup (for tests)
+     */
+    constructor({ settings = {} } = {}) {
+        this.#overrides = settings;
+    }
+
+    /**
+     * Read a setting; config.requestDedup is read live so WebUI changes apply
+     *
+     * @param {string} name - Setting name
+     * @returns {*} Setting value
+     */
+    #setting(name) {
+        return this.#overrides[name] ?? config.requestDedup?.[name] ?? DEFAULT_REQUEST_DEDUP_CONFIG[name];
+    }
+
+    /**
+     * Run a request, sharing its upstream call with identical concurrent
+     * requests and replaying stored results for a repeated Idempotency-Key
+     *
+     * @param {Object} options
+     * @param {string} options.fingerprint - Normalized request hash
+     * @param {string} [options.idempotencyKey] - Idempotency-Key header value
+     * @param {string} [options.client] - Client the request belongs to (keys and coalescing are per client)
+     * @param {AbortSignal} [options.signal] - This client's signal (aborted on disconnect)
+     * @param {function(AbortSignal): Promise<*>} send - Makes the upstream call; gets the shared call's signal
+     * @returns {Promise<{result: *, coalesced: boolean, replayed: boolean}>} Result, and how it was obtained
+     * @throws {IdempotencyKeyReusedError} If the key was used for a different request
+     */
+    async run({ fingerprint, idempotencyKey, client = 'anonymous', signal }, send) {
+        signal?.throwIfAborted();
+        this.#pruneIdempotent();
+
+        const flightKey = `${client}\n${fingerprint}`;
+        const storeKey = idempotencyKey ? `${client}\n${idempotencyKey}` : null;
+
+        let keyed = null;
+        if (storeKey) {
+            keyed = this.#idempotent.get(storeKey) || null;
+            if (keyed && keyed.fingerprint !== fingerprint) {
+                throw new IdempotencyKeyReusedError(idempotencyKey);
+            }
+            if (keyed && keyed.flight === null) {
+                logger.debug(`[RequestDedup] Replaying stored result for Idempotency-Key ${idempotencyKey}`);
+                return { result: keyed.result, coalesced: false, replayed: true };
+            }
+            // Everyone waiting on it disconnected: it is being cancelled
+            if (keyed?.flight.controller.signal.aborted) keyed = null;
+        }
+
+        // Join the key's pending request, or an identical one already in flight
+        const keyedFlight = keyed?.flight || null;
+        let coalescedFlight = !keyedFlight && this.#setting('coalesce') ? this.#inFlight.get(flightKey) : null;
+        if (coalescedFlight?.controller.signal.aborted) coalescedFlight = null;
+
+        let flight = keyedFlight || coalescedFlight;
+        if (flight) {
+            logger.info(`[RequestDedup] Joining in-flight request ${fingerprint.slice(0, 12)} (${flight.waiters + 1} waiting)`);
+        } else {
+            flight = this.#start(flightKey, send);
+        }
+
+        if (storeKey && !keyed) {
+            keyed = { fingerprint, flight, result: null, expiresAt: Infinity };
+            this.#idempotent.set(storeKey, keyed);
+            this.#trackIdempotent(storeKey, keyed);
+        }
+
+        const result = await this.#wait(flight, signal);
+        return { result, coalesced: !!coalescedFlight, replayed: !!keyedFlight };
+    }
+
+    /**
+     * Number of upstream calls currently shared through coalescing
+     *
+     * @returns {number} In-flight request count
+     */
+    getInFlightCount() {
+        return this.#inFlight.size;
+    }
+
+    /**
+     * Start an upstream call that other requests can join
+     *
+     * @param {string} flightKey - Client and normalized request hash
+     * @param {function(AbortSignal): Promise<*>} send - Makes the upstream call
+     * @returns {Object} Flight: { promise, controller, waiters }
+     */
+    #start(flightKey, send) {
+        const controller = new AbortController();
+        const flight = { controller, waiters: 0 };
+        flight.promise = (async () => send(controller.signal))();
+        // Waiters observe the outcome; keep an unobserved rejection from crashing the process
+        flight.promise.catch(() => {});
+
+        if (this.#setting('coalesce')) {
+            this.#inFlight.set(flightKey, flight);
+            flight.promise.finally(() => {
+                if (this.#inFlight.get(flightKey) === flight) this.#inFlight.delete(flightKey);
+            }).catch(() => {});
+        }
+        return flight;
+    }
+
+    /**
+     * Store a keyed request's result once it succeeds; forget the key if it fails
+     *
+     * @param {string} storeKey - Client and Idempotency-Key header value
+     * @param {Object} keyed - Idempotency entry
+     */
+    #trackIdempotent(storeKey, keyed) {
+        keyed.flight.promise.then(
+            (result) => {
+                keyed.flight = null;
+                keyed.result = result;
+                keyed.expiresAt = Date.now() + this.#setting('idempotencyTtlMs');
+            },
+            () => {
+                if (this.#idempotent.get(storeKey) === keyed) this.#idempotent.delete(storeKey);
+            }
+        );
+
+        while (this.#idempotent.size > MAX_IDEMPOTENCY_KEYS) {
+            this.#idempotent.delete(this.#idempotent.keys().next().value);
+        }
+    }
+
+    /**
+     * Wait for a flight as one of its clients. When the client disconnects it
+     * stops waiting; the upstream call is aborted once nobody is left waiting.
+     *
+     * @param {Object} flight - Flight to wait on
+     * @param {AbortSignal} [signal] - This client's signal
+     * @returns {Promise<*>} The flight's result
+     */
+    #wait(flight, signal) {
+        flight.waiters++;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                reject(signal.reason);
+                if (--flight.waiters === 0) flight.controller.abort(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            flight.promise.then(resolve, reject).finally(() => {
+                signal?.removeEventListener('abort', onAbort);
+            });
+        });
+    }
+
+    /**
+     * Drop stored Idempotency-Key results past their window
+     */
+    #pruneIdempotent() {
+        const now = Date.now();
+        for (const [key, entry] of this.#idempotent) {
+            if (entry.expiresAt <= now) this.#idempotent.delete(key);
+        }
+    }
+}
+
+export default {
+    DEFAULT_REQUEST_DEDUP_CONFIG,
+    validateRequestDedupConfig,
+    RequestDeduplicator
+};
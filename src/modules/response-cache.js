@@ -0,0 +1,412 @@
+/**
+ * Response Cache
+ *
+ * Opt-in exact-match cache for repeated deterministic requests (e.g. CI runs
+ * replaying the same temperature-0 prompts). Requests are keyed on a SHA-256
+ * hash of their normalized content; entries are persisted under
+ * ~/.config/commons-proxy/response-cache/<key>.json:
+ *
+ *   { key, model, servedModel, createdAt, expiresAt, response }
+ *
+ * Entries expire after ttlMs and the least recently used ones are evicted
+ * beyond maxEntries / maxBytes. A cached message can be replayed as Anthropic
+ * SSE events, so streaming and non-streaming requests share entries.
+ *
+ * Configured through config.responseCache:
+ *   "responseCache": {
+ *       "enabled": true,
+ *       "ttlMs": 86400000,
+ *       "maxEntries": 1000,
+ *       "maxBytes": 104857600,
+ *       "deterministicOnly": true
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { RESPONSE_CACHE_PATH } from '../constants.js';
+import { logger } from '../utils/logger.js';
+
+export const DEFAULT_RESPONSE_CACHE_CONFIG = {
+    enabled: false,
+    ttlMs: 24 * 60 * 60 * 1000,     // 24 hours
+    maxEntries: 1000,
+    maxBytes: 100 * 1024 * 1024,    // 100 MB on disk
+    deterministicOnly: true         // Only cache requests with temperature 0
+};
+
+// Request fields that determine the response (stream, metadata etc. do not)
+const CACHE_KEY_FIELDS = [
+    'model', '_provider', '_allowedProviders', '_anthropicBeta', 'system', 'messages', 'tools', 'tool_choice',
+    'thinking', 'max_tokens', 'temperature', 'top_p', 'top_k', 'stop_sequences'
+];
+
+// Responses that ended normally; anything else is not worth replaying
+const CACHEABLE_STOP_REASONS = new Set(['end_turn', 'tool_use', 'stop_sequence', 'max_tokens']);
+
+/**
+ * Normalize a value for hashing: object keys sorted, undefined values and
+ * prompt-caching hints (cache_control) dropped
+ *
+ * @param {*} value - Value to normalize
+ * @returns {*} Normalized value
+ */
+function normalizeValue(value) {
+    if (Array.isArray(value)) return value.map(normalizeValue);
+    if (!value || typeof value !== 'object') return value;
+
+    const normalized = {};
+    for (const key of Object.keys(value).sort()) {
+        if (key === 'cache_control' || value[key] === undefined) continue;
+        normalized[key] = normalizeValue(value[key]);
+    }
+    return normalized;
+}
+
+/**
+ * Expand string content to its equivalent text-block form
+ *
+ * @param {string|Array|undefined} content - Message or system content
+ * @returns {Array|undefined} Content blocks
+ */
+function normalizeContent(content) {
+    return typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+}
+
+/**
+ * Build the cache key for a request
+ *
+ * @param {Object} request - Anthropic-format request
+ * @returns {string} Hex SHA-256 of the normalized request
+ */
+export function buildCacheKey(request) {
+    const fields = {};
+    for (const field of CACHE_KEY_FIELDS) {
+        if (request[field] !== undefined && request[field] !== null) fields[field] = request[field];
+    }
+    if (fields.system !== undefined) fields.system = normalizeContent(fields.system);
+    if (Array.isArray(fields.messages)) {
+        fields.messages = fields.messages.map(msg => ({ ...msg, content: normalizeContent(msg.content) }));
+    }
+
+    return crypto.createHash('sha256').update(JSON.stringify(normalizeValue(fields))).digest('hex');
+}
+
+/**
+ * Validate a config.responseCache value before it is saved
+ *
+ * @param {Object} responseCache - Candidate config.responseCache
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateResponseCacheConfig(responseCache) {
+    if (!responseCache || typeof responseCache !== 'object' || Array.isArray(responseCache)) {
+        return 'responseCache must be an object';
+    }
+    for (const field of ['enabled', 'deterministicOnly']) {
+        if (responseCache[field] !== undefined && typeof responseCache[field] !== 'boolean') {
+            return `responseCache.${field} must be a boolean`;
+        }
+    }
+    for (const field of ['ttlMs', 'maxEntries', 'maxBytes']) {
+        const value = responseCache[field];
+        if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+            return `responseCache.${field} must be a positive integer`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Replay a cached message as Anthropic SSE events
+ *
+ * @param {Object} message - Anthropic-format message
+ * @yields {Object} message_start ... message_stop events
+ */
+export function* replayMessageEvents(message) {
+    const { content = [], stop_reason, stop_sequence = null, usage = {}, ...rest } = message;
+
+    yield {
+        type: 'message_start',
+        message: { ...rest, content: [], stop_reason: null, stop_sequence: null, usage: { ...usage, output_tokens: 0 } }
+    };
+
+    for (const [index, block] of content.entries()) {
+        switch (block.type) {
+            case 'text':
+                yield { type: 'content_block_start', index, content_block: { type: 'text', text: '' } };
+                yield { type: 'content_block_delta', index, delta: { type: 'text_delta', text: block.text } };
+                break;
+            case 'thinking':
+                yield { type: 'content_block_start', index, content_block: { type: 'thinking', thinking: '' } };
+                yield { type: 'content_block_delta', index, delta: { type: 'thinking_delta', thinking: block.thinking } };
+                if (block.signature) {
+                    yield { type: 'content_block_delta', index, delta: { type: 'signature_delta', signature: block.signature } };
+                }
+                break;
+            case 'tool_use':
+                yield { type: 'content_block_start', index, content_block: { type: 'tool_use', id: block.id, name: block.name, input: {} } };
+                yield { type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input ?? {}) } };
+                break;
+            default:
+                // Blocks without deltas (e.g. redacted_thinking) are sent whole
+                yield { type: 'content_block_start', index, content_block: block };
+        }
+        yield { type: 'content_block_stop', index };
+    }
+
+    yield {
+        type: 'message_delta',
+        delta: { stop_reason, stop_sequence },
+        usage: { output_tokens: usage.output_tokens ?? 0 }
+    };
+    yield { type: 'message_stop' };
+}
+
+/**
+ * Disk-backed response cache with TTL and LRU size limits
+ */
+export class ResponseCache {
+    #storePath;
+    #overrides;
+
+    // key -> { file, model, size, expiresAt }, least recently used first
+    #index = new Map();
+    #bytes = 0;
+    #hits = 0;
+    #misses = 0;
+    #initialized = false;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storePath] - Directory holding cache entries
+     * @param {Object} [options.settings] - Settings overriding config.responseCache (for tests)
+     */
+    constructor({ storePath = RESPONSE_CACHE_PATH, settings = {} } = {}) {
+        this.#storePath = storePath;
+        this.#overrides = settings;
+    }
+
+    /**
+     * Read a setting; config.responseCache is read live so WebUI changes apply
+     *
+     * @param {string} name - Setting name
+     * @returns {*} Setting value
+     */
+    #setting(name) {
+        return this.#overrides[name] ?? config.responseCache?.[name] ?? DEFAULT_RESPONSE_CACHE_CONFIG[name];
+    }
+
+    /**
+     * Load the entry index from disk, dropping expired and unreadable entries
+     */
+    initialize() {
+        if (this.#initialized) return;
+        this.#initialized = true;
+
+        if (!fs.existsSync(this.#storePath)) return;
+
+        const now = Date.now();
+        const loaded = [];
+        for (const name of fs.readdirSync(this.#storePath)) {
+            if (!name.endsWith('.json')) continue;
+            const file = path.join(this.#storePath, name);
+            try {
+                const size = fs.statSync(file).size;
+                const { key, model, expiresAt, createdAt } = JSON.parse(fs.readFileSync(file, 'utf8'));
+                if (expiresAt <= now) {
+                    fs.rmSync(file, { force: true });
+                    continue;
+                }
+                loaded.push({ key, file, model, size, expiresAt, createdAt });
+            } catch (error) {
+                logger.warn(`[ResponseCache] Dropping unreadable entry ${name}: ${error.message}`);
+                fs.rmSync(file, { force: true });
+            }
+        }
+
+        // Oldest first, as a stand-in for least recently used across restarts
+        loaded.sort((a, b) => a.createdAt - b.createdAt);
+        for (const { key, createdAt, ...entry } of loaded) {
+            this.#index.set(key, entry);
+            this.#bytes += entry.size;
+        }
+        this.#evict();
+
+        if (this.#index.size > 0) {
+            logger.info(`[ResponseCache] Loaded ${this.#index.size} cached response(s)`);
+        }
+    }
+
+    /**
+     * Whether caching is turned on
+     *
+     * @returns {boolean} True if config.responseCache.enabled
+     */
+    isEnabled() {
+        return this.#setting('enabled') === true;
+    }
+
+    /**
+     * Whether a request may be served from (and stored in) the cache
+     *
+     * @param {Object} request - Anthropic-format request
+     * @returns {boolean} True if the cache is on and the request qualifies
+     */
+    isCacheable(request) {
+        if (!this.isEnabled()) return false;
+        return !this.#setting('deterministicOnly') || request.temperature === 0;
+    }
+
+    /**
+     * Look up a request
+     *
+     * @param {Object} request - Anthropic-format request
+     * @returns {Promise<{key: string, response: Object, servedModel: string}|null>} Cached entry, or null on a miss
+     */
+    async get(request) {
+        this.initialize();
+        const key = buildCacheKey(request);
+        const entry = this.#index.get(key);
+
+        if (entry && entry.expiresAt > Date.now()) {
+            try {
+                const { response, servedModel } = JSON.parse(await fs.promises.readFile(entry.file, 'utf8'));
+                // Move to the most recently used end
+                this.#index.delete(key);
+                this.#index.set(key, entry);
+                this.#hits++;
+                logger.debug(`[ResponseCache] Hit ${key.slice(0, 12)} for ${entry.model}`);
+                return { key, response, servedModel: servedModel || response.model };
+            } catch (error) {
+                logger.warn(`[ResponseCache] Failed to read entry ${key.slice(0, 12)}: ${error.message}`);
+            }
+        }
+
+        if (entry) this.#remove(key);
+        this.#misses++;
+        return null;
+    }
+
+    /**
+     * Store a response. Only complete messages are stored; write failures are
+     * logged, never thrown, so a full disk does not fail the request.
+     *
+     * @param {Object} request - Anthropic-format request
+     * @param {Object} response - Anthropic-format message
+     * @param {string} [servedModel] - Model that answered (after fallbacks)
+     * @returns {Promise<boolean>} True if the response was stored
+     */
+    async set(request, response, servedModel = request.model) {
+        if (response?.type !== 'message' || !CACHEABLE_STOP_REASONS.has(response.stop_reason)) return false;
+        this.initialize();
+
+        const key = buildCacheKey(request);
+        const now = Date.now();
+        const expiresAt = now + this.#setting('ttlMs');
+        const data = JSON.stringify({ key, model: request.model, servedModel, createdAt: now, expiresAt, response });
+        const size = Buffer.byteLength(data);
+        if (size > this.#setting('maxBytes')) return false;
+
+        const file = path.join(this.#storePath, `${key}.json`);
+        try {
+            await fs.promises.mkdir(this.#storePath, { recursive: true });
+            const tmpFile = `${file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmpFile, data);
+            await fs.promises.rename(tmpFile, file);
+        } catch (error) {
+            logger.warn(`[ResponseCache] Failed to store entry ${key.slice(0, 12)}: ${error.message}`);
+            return false;
+        }
+
+        if (this.#index.has(key)) this.#remove(key, { keepFile: true });
+        this.#index.set(key, { file, model: request.model, size, expiresAt });
+        this.#bytes += size;
+        this.#evict();
+        return true;
+    }
+
+    /**
+     * Remove entries
+     *
+     * @param {Object} [filter]
+     * @param {string} [filter.model] - Only entries for this requested model
+     * @param {string} [filter.key] - Only the entry with this key
+     * @returns {number} Number of entries removed
+     */
+    purge({ model, key } = {}) {
+        this.initialize();
+        let removed = 0;
+        for (const [entryKey, entry] of [...this.#index]) {
+            if (model && entry.model !== model) continue;
+            if (key && entryKey !== key) continue;
+            this.#remove(entryKey);
+            removed++;
+        }
+        logger.info(`[ResponseCache] Purged ${removed} entr${removed === 1 ? 'y' : 'ies'}`);
+        return removed;
+    }
+
+    /**
+     * Get cache size and hit counters (since startup)
+     *
+     * @returns {Object} Stats
+     */
+    getStats() {
+        this.initialize();
+        const lookups = this.#hits + this.#misses;
+        return {
+            enabled: this.isEnabled(),
+            entries: this.#index.size,
+            bytes: this.#bytes,
+            hits: this.#hits,
+            misses: this.#misses,
+            hitRate: lookups > 0 ? this.#hits / lookups : null,
+            ttlMs: this.#setting('ttlMs'),
+            maxEntries: this.#setting('maxEntries'),
+            maxBytes: this.#setting('maxBytes'),
+            deterministicOnly: this.#setting('deterministicOnly')
+        };
+    }
+
+    /**
+     * Drop an entry from the index and (by default) from disk
+     *
+     * @param {string} key - Entry key
+     * @param {Object} [options]
+     * @param {boolean} [options.keepFile] - Leave the file (it was just overwritten)
+     */
+    #remove(key, { keepFile = false } = {}) {
+        const entry = this.#index.get(key);
+        if (!entry) return;
+        this.#index.delete(key);
+        this.#bytes -= entry.size;
+        if (!keepFile) fs.rmSync(entry.file, { force: true });
+    }
+
+    /**
+     * Drop expired entries, then least recently used ones until within limits
+     */
+    #evict() {
+        const now = Date.now();
+        for (const [key, entry] of [...this.#index]) {
+            if (entry.expiresAt <= now) this.#remove(key);
+        }
+
+        const maxEntries = this.#setting('maxEntries');
+        const maxBytes = this.#setting('maxBytes');
+        for (const key of [...this.#index.keys()]) {
+            if (this.#index.size <= maxEntries && this.#bytes <= maxBytes) break;
+            this.#remove(key);
+        }
+    }
+}
+
+export default {
+    DEFAULT_RESPONSE_CACHE_CONFIG,
+    buildCacheKey,
+    validateResponseCacheConfig,
+    replayMessageEvents,
+    ResponseCache
+};
@@ -0,0 +1,360 @@
+/**
+ * Token Usage Accounting
+ *
+ * Records the token usage of every completed response (the final usage of a
+ * stream, or a non-streaming response's usage) per account, provider, model
+ * and client, in hourly and daily rollups persisted to
+ * ~/.config/commons-proxy/token-usage.json:
+ *
+ *   {
+ *     "hourly": { "2026-01-01T10:00:00.000Z": { "<dims>": counters } },
+ *     "daily":  { "2026-01-01": { "<dims>": counters } }
+ *   }
+ *
+ * where <dims> is the JSON array [account, provider, model, client] and
+ * counters are { requests, input_tokens, output_tokens,
+ * cache_read_input_tokens, cache_creation_input_tokens }.
+ *
+ * Hourly rollups are kept for 30 days, daily rollups for 400 days.
+ *
+ * Each recorded response is also emitted as a 'record' event (used by the
+ * ingress limits to track per-client token and cost usage).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { TOKEN_USAGE_PATH } from '../constants.js';
+import { logger } from '../utils/logger.js';
+import usageStats from './usage-stats.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const HOURLY_RETENTION_MS = 30 * DAY_MS;
+const DAILY_RETENTION_MS = 400 * DAY_MS;
+const SAVE_DELAY_MS = 30 * 1000;
+
+export const USAGE_COUNTERS = [
+    'requests', 'input_tokens', 'output_tokens', 'cache_read_input_tokens', 'cache_creation_input_tokens'
+];
+export const USAGE_DIMENSIONS = ['account', 'provider', 'model', 'family', 'client'];
+const TIME_DIMENSIONS = ['hour', 'day'];
+
+/**
+ * Start of the UTC hour containing a timestamp
+ *
+ * @param {number} ms - Timestamp
+ * @returns {string} ISO hour key
+ */
+function hourKey(ms) {
+    return new Date(Math.floor(ms / HOUR_MS) * HOUR_MS).toISOString();
+}
+
+/**
+ * UTC day containing a timestamp
+ *
+ * @param {number} ms - Timestamp
+ * @returns {string} YYYY-MM-DD day key
+ */
+function dayKey(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a from/to query value: an ISO date or epoch milliseconds
+ *
+ * @param {string|undefined} value - Query value
+ * @returns {number|null|undefined} Timestamp, undefined if absent, null if invalid
+ */
+function parseTime(value) {
+    if (value === undefined || value === '') return undefined;
+    const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Parse /api/stats/usage query parameters
+ *
+ * @param {Object} query - Express query ({ from?, to?, groupBy? })
+ * @returns {{error: string|null, options: {from: number, to: number, groupBy: string[]}|null}} Parsed options or an error
+ */
+export function parseUsageQuery(query = {}) {
+    const now = Date.now();
+    const to = parseTime(query.to);
+    const from = parseTime(query.from);
+    if (to === null) return { error: 'to must be an ISO date or epoch milliseconds', options: null };
+    if (from === null) return { error: 'from must be an ISO date or epoch milliseconds', options: null };
+
+    const end = to ?? now;
+    const start = from ?? end - DAY_MS;
+    if (start > end) return { error: 'from must be before to', options: null };
+
+    const groupBy = query.groupBy ? String(query.groupBy).split(',').map(s => s.trim()).filter(Boolean) : [];
+    for (const dimension of groupBy) {
+        if (!USAGE_DIMENSIONS.includes(dimension) && !TIME_DIMENSIONS.includes(dimension)) {
+            return { error: `groupBy: unknown dimension "${dimension}" (use ${[...TIME_DIMENSIONS, ...USAGE_DIMENSIONS].join(', ')})`, options: null };
+        }
+    }
+    if (groupBy.includes('hour') && groupBy.includes('day')) {
+        return { error: 'groupBy: use either hour or day, not both', options: null };
+    }
+    return { error: null, options: { from: start, to: end, groupBy } };
+}
+
+/**
+ * Read a response's usage into counters
+ *
+ * @param {Object} [usage] - Anthropic-format usage
+ * @returns {Object} Counters for one request
+ */
+function toCounters(usage = {}) {
+    return {
+        requests: 1,
+        input_tokens: usage.input_tokens || 0,
+        output_tokens: usage.output_tokens || 0,
+        cache_read_input_tokens: usage.cache_read_input_tokens || 0,
+        cache_creation_input_tokens: usage.cache_creation_input_tokens || 0
+    };
+}
+
+/**
+ * Add counters into a rollup entry
+ *
+ * @param {Object} target - Counters to add to (mutated)
+ * @param {Object} counters - Counters to add
+ */
+function addCounters(target, counters) {
+    for (const name of USAGE_COUNTERS) {
+        target[name] = (target[name] || 0) + (counters[name] || 0);
+    }
+}
+
+/**
+ * Per-account/provider/model/client token usage store
+ *
+ * @fires TokenUsageTracker#record
+ */
+export class TokenUsageTracker extends EventEmitter {
+    #storePath;
+    #data = { hourly: {}, daily: {} };
+    #loaded = false;
+    #saveTimer = null;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storePath] - JSON file holding the rollups
+     */
+    constructor({ storePath = TOKEN_USAGE_PATH } = {}) {
+        super();
+        this.#storePath = storePath;
+    }
+
+    /**
+     * Load persisted rollups and flush pending writes when the process exits
+     */
+    initialize() {
+        if (this.#loaded) return;
+        this.#loaded = true;
+
+        try {
+            if (fs.existsSync(this.#storePath)) {
+                const data = JSON.parse(fs.readFileSync(this.#storePath, 'utf8'));
+                this.#data = { hourly: data.hourly || {}, daily: data.daily || {} };
+            }
+        } catch (error) {
+            logger.warn(`[TokenUsage] Failed to load ${this.#storePath}: ${error.message}`);
+        }
+        this.#prune();
+        process.on('exit', () => this.flushSync());
+    }
+
+    /**
+     * Record a completed response
+     *
+     * @param {Object} entry
+     * @param {string} entry.account - Account email
+     * @param {string} entry.provider - Provider id
+     * @param {string} entry.model - Model that answered
+     * @param {string} [entry.client] - Client key name
+     * @param {Object} entry.usage - Anthropic-format usage
+     * @param {number} [entry.timestamp] - When the response finished (defaults to now)
+     */
+    record({ account, provider, model, client = 'anonymous', usage, timestamp = Date.now() }) {
+        this.initialize();
+        const dims = JSON.stringify([account, provider, model, client]);
+        const counters = toCounters(usage);
+
+        for (const [rollup, key] of [['hourly', hourKey(timestamp)], ['daily', dayKey(timestamp)]]) {
+            const bucket = this.#data[rollup][key] ||= {};
+            addCounters(bucket[dims] ||= {}, counters);
+        }
+        this.#scheduleSave();
+        this.emit('record', { account, provider, model, client, usage: usage || {}, timestamp });
+    }
+
+    /**
+     * Aggregate usage over a time range
+     *
+     * @param {Object} options - Parsed query (see parseUsageQuery)
+     * @param {number} options.from - Range start (ms)
+     * @param {number} options.to - Range end (ms)
+     * @param {string[]} [options.groupBy] - Dimensions: hour|day, account, provider, model, family, client
+     * @returns {Object} { from, to, granularity, groupBy, totals, rows }
+     */
+    query({ from, to, groupBy = [] }) {
+        this.initialize();
+
+        // Hourly rollups unless grouping by day or reaching past their retention
+        const granularity = groupBy.includes('day') ||
+            (!groupBy.includes('hour') && from < Date.now() - HOURLY_RETENTION_MS) ? 'day' : 'hour';
+        const first = granularity === 'hour' ? hourKey(from) : dayKey(from);
+        const last = granularity === 'hour' ? hourKey(to) : dayKey(to);
+
+        const totals = Object.fromEntries(USAGE_COUNTERS.map(name => [name, 0]));
+        const rows = new Map();
+        for (const [bucketKey, bucket] of Object.entries(this.#data[granularity === 'hour' ? 'hourly' : 'daily'])) {
+            if (bucketKey < first || bucketKey > last) continue;
+            for (const [dims, counters] of Object.entries(bucket)) {
+                const [account, provider, model, client] = JSON.parse(dims);
+                const values = {
+                    hour: bucketKey,
+                    day: bucketKey.slice(0, 10),
+                    account,
+                    provider,
+                    model,
+                    family: usageStats.getFamily(model),
+                    client
+                };
+                const group = Object.fromEntries(groupBy.map(dimension => [dimension, values[dimension]]));
+                const rowKey = JSON.stringify(group);
+                if (!rows.has(rowKey)) rows.set(rowKey, { ...group });
+                addCounters(rows.get(rowKey), counters);
+                addCounters(totals, counters);
+            }
+        }
+
+        const timeDimension = groupBy.find(dimension => TIME_DIMENSIONS.includes(dimension));
+        const total = (row) => row.input_tokens + row.output_tokens;
+        const sorted = [...rows.values()].sort((a, b) =>
+            (timeDimension ? a[timeDimension].localeCompare(b[timeDimension]) : 0) || total(b) - total(a)
+        );
+
+        return {
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            granularity,
+            groupBy,
+            totals,
+            rows: groupBy.length > 0 ? sorted : []
+        };
+    }
+
+    /**
+     * Write pending changes to disk now (used on exit)
+     */
+    flushSync() {
+        if (!this.#saveTimer) return;
+        clearTimeout(this.#saveTimer);
+        this.#saveTimer = null;
+        try {
+            fs.mkdirSync(path.dirname(this.#storePath), { recursive: true });
+            fs.writeFileSync(this.#storePath, JSON.stringify(this.#data));
+        } catch (error) {
+            logger.error(`[TokenUsage] Failed to save ${this.#storePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save shortly after the first unsaved change
+     */
+    #scheduleSave() {
+        if (this.#saveTimer) return;
+        this.#saveTimer = setTimeout(async () => {
+            this.#saveTimer = null;
+            this.#prune();
+            try {
+                await fs.promises.mkdir(path.dirname(this.#storePath), { recursive: true });
+                await fs.promises.writeFile(this.#storePath, JSON.stringify(this.#data));
+            } catch (error) {
+                logger.error(`[TokenUsage] Failed to save ${this.#storePath}: ${error.message}`);
+            }
+        }, SAVE_DELAY_MS);
+        this.#saveTimer.unref?.();
+    }
+
+    /**
+     * Drop rollups past their retention
+     */
+    #prune() {
+        const now = Date.now();
+        const hourlyCutoff = hourKey(now - HOURLY_RETENTION_MS);
+        const dailyCutoff = dayKey(now - DAILY_RETENTION_MS);
+        for (const key of Object.keys(this.#data.hourly)) {
+            if (key < hourlyCutoff) delete this.#data.hourly[key];
+        }
+        for (const key of Object.keys(this.#data.daily)) {
+            if (key < dailyCutoff) delete this.#data.daily[key];
+        }
+    }
+}
+
+/**
+ * Shared tracker used by the message handlers and /api/stats/usage
+ */
+export const tokenUsage = new TokenUsageTracker();
+
+/**
+ * Record a non-streaming response against the account that produced it
+ *
+ * @param {Object} anthropicRequest - Request as sent (model is the answering model)
+ * @param {Object} account - Account that answered
+ * @param {Object} response - Anthropic-format message
+ * @param {function(Object): void} [onUsage] - Called with the recorded entry ({ account, provider, model, client, usage })
+ * @returns {Object} The response, unchanged
+ */
+export function meterResponse(anthropicRequest, account, response, onUsage) {
+    const entry = {
+        account: account.email,
+        provider: account.provider || 'google',
+        model: anthropicRequest.model,
+        client: anthropicRequest._client,
+        usage: response?.usage
+    };
+    tokenUsage.record(entry);
+    onUsage?.(entry);
+    return response;
+}
+
+/**
+ * Pass a stream through, recording its usage (message_start usage updated by
+ * the latest message_delta usage) once it ends. Streams that are cancelled or
+ * fail after message_start record what they used so far.
+ *
+ * @param {AsyncIterable<Object>} events - Anthropic-format SSE events from one account
+ * @param {Object} anthropicRequest - Request as sent
+ * @param {Object} account - Account streaming the response
+ * @param {function(Object): void} [onUsage] - Called with the recorded entry
+ * @yields {Object} The same events
+ */
+export async function* meterStream(events, anthropicRequest, account, onUsage) {
+    let usage = null;
+    try {
+        for await (const event of events) {
+            if (event.type === 'message_start') usage = { ...event.message?.usage };
+            else if (event.type === 'message_delta' && event.usage) usage = { ...usage, ...event.usage };
+            yield event;
+        }
+    } finally {
+        if (usage) meterResponse(anthropicRequest, account, { usage }, onUsage);
+    }
+}
+
+export default {
+    USAGE_COUNTERS,
+    USAGE_DIMENSIONS,
+    parseUsageQuery,
+    TokenUsageTracker,
+    tokenUsage,
+    meterResponse,
+    meterStream
+};
@@ -0,0 +1,510 @@
+/**
+ * Request Tracing
+ *
+ * OpenTelemetry-compatible spans across the request lifecycle (route,
+ * account selection and its waits, token refresh, project discovery, each
+ * attempt, each Cloud Code endpoint or provider request), exported as
+ * OTLP/HTTP JSON to a collector:
+ *
+ *   "tracing": { "enabled": true, "endpoint": "http://localhost:4318/v1/traces" }
+ *
+ * (or the standard OTEL_EXPORTER_OTLP_ENDPOINT / OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+ * env vars, see config.js). Incoming W3C traceparent headers make the route
+ * span a child of the caller's span and decide sampling; otherwise traces are
+ * sampled at sampleRatio.
+ *
+ * The active span follows async calls through AsyncLocalStorage. Streams use
+ * traceStream, which keeps its span active while the wrapped generator runs.
+ */
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+// Default config (also documented in config.js)
+export const DEFAULT_TRACING_CONFIG = {
+    enabled: false,
+    endpoint: 'http://localhost:4318/v1/traces',  // OTLP/HTTP traces endpoint
+    headers: {},                  // Extra export headers, e.g. collector auth
+    serviceName: 'commons-proxy',
+    sampleRatio: 1                // Share of traces without an incoming traceparent to keep (0-1)
+};
+
+// OTLP span kinds and status codes
+export const SpanKind = { INTERNAL: 1, SERVER: 2, CLIENT: 3 };
+const STATUS_ERROR = 2;
+
+const EXPORT_INTERVAL_MS = 5000;
+const EXPORT_BATCH_SIZE = 512;
+const MAX_QUEUED_SPANS = 4096;
+const EXPORT_TIMEOUT_MS = 10000;
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+
+/**
+ * Validate the tracing config section
+ *
+ * @param {Object} tracing - { enabled?, endpoint?, headers?, serviceName?, sampleRatio? }
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateTracingConfig(tracing) {
+    if (!tracing || typeof tracing !== 'object' || Array.isArray(tracing)) {
+        return 'tracing must be an object';
+    }
+    if (tracing.enabled !== undefined && typeof tracing.enabled !== 'boolean') {
+        return 'tracing.enabled must be a boolean';
+    }
+    if (tracing.endpoint !== undefined && !/^https?:\/\/\S+$/.test(String(tracing.endpoint))) {
+        return 'tracing.endpoint must be an http(s) URL';
+    }
+    if (tracing.headers !== undefined) {
+        const headers = tracing.headers;
+        if (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+            Object.values(headers).some(value => typeof value !== 'string')) {
+            return 'tracing.headers must be an object of strings';
+        }
+    }
+    if (tracing.serviceName !== undefined && (typeof tracing.serviceName !== 'string' || !tracing.serviceName.trim())) {
+        return 'tracing.serviceName must be a non-empty string';
+    }
+    if (tracing.sampleRatio !== undefined &&
+        (typeof tracing.sampleRatio !== 'number' || tracing.sampleRatio < 0 || tracing.sampleRatio > 1)) {
+        return 'tracing.sampleRatio must be a number from 0 to 1';
+    }
+    return null;
+}
+
+/**
+ * Current tracing setting
+ *
+ * @param {string} name - Setting name
+ * @returns {*} Setting value
+ */
+function setting(name) {
+    return config.tracing?.[name] ?? DEFAULT_TRACING_CONFIG[name];
+}
+
+/**
+ * Parse a W3C traceparent header
+ *
+ * @param {string} [header] - traceparent header value
+ * @returns {{traceId: string, spanId: string, sampled: boolean}|null} Remote span context, or null if absent or invalid
+ */
+export function parseTraceparent(header) {
+    const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+    if (!match) return null;
+    const [, version, traceId, spanId, flags, rest] = match;
+    if (version === 'ff' || (version === '00' && rest)) return null;
+    if (/^0+$/.test(traceId) || /^0+$/.test(spanId)) return null;
+    return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+/**
+ * Format a span's context as a W3C traceparent header
+ *
+ * @param {Span} span - Span
+ * @returns {string} traceparent value
+ */
+export function formatTraceparent(span) {
+    return `00-${span.traceId}-${span.spanId}-${span.sampled ? '01' : '00'}`;
+}
+
+/**
+ * Span attributes identifying an account
+ *
+ * @param {Object} account - Account
+ * @returns {Object} Attributes
+ */
+export function accountAttributes(account) {
+    return { 'commons.account': account.email, 'commons.provider': account.provider || 'google' };
+}
+
+/**
+ * A timed operation within a trace
+ */
+export class Span {
+    name;
+    kind;
+    traceId;
+    spanId;
+    parentSpanId;
+    sampled;
+    startTime;
+    endTime = null;
+    attributes = {};
+    events = [];
+    status = null;
+    #onEnd;
+
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Span name
+     * @param {number} options.kind - SpanKind
+     * @param {string} options.traceId - Trace id (32 hex)
+     * @param {string|null} options.parentSpanId - Parent span id (16 hex)
+     * @param {boolean} options.sampled - Whether the span is exported
+     * @param {Object} [options.attributes] - Initial attributes
+     * @param {function(Span): void} [options.onEnd] - Called once the span ends
+     */
+    constructor({ name, kind, traceId, parentSpanId, sampled, attributes = {}, onEnd }) {
+        this.name = name;
+        this.kind = kind;
+        this.traceId = traceId;
+        this.spanId = crypto.randomBytes(8).toString('hex');
+        this.parentSpanId = parentSpanId;
+        this.sampled = sampled;
+        this.startTime = Date.now();
+        this.#onEnd = onEnd;
+        this.setAttributes(attributes);
+    }
+
+    /**
+     * @param {string} name - New span name (e.g. once the route is known)
+     */
+    updateName(name) {
+        this.name = name;
+    }
+
+    /**
+     * Set an attribute (null and undefined values are skipped)
+     *
+     * @param {string} key - Attribute name
+     * @param {string|number|boolean} value - Attribute value
+     */
+    setAttribute(key, value) {
+        if (value !== null && value !== undefined) this.attributes[key] = value;
+    }
+
+    /**
+     * @param {Object} attributes - Attributes to set
+     */
+    setAttributes(attributes) {
+        for (const [key, value] of Object.entries(attributes)) this.setAttribute(key, value);
+    }
+
+    /**
+     * Record a point in time within the span
+     *
+     * @param {string} name - Event name
+     * @param {Object} [attributes] - Event attributes
+     */
+    addEvent(name, attributes = {}) {
+        this.events.push({ name, time: Date.now(), attributes });
+    }
+
+    /**
+     * Record an error and mark the span failed
+     *
+     * @param {Error} error - Error
+     */
+    recordException(error) {
+        this.addEvent('exception', {
+            'exception.type': error?.name || 'Error',
+            'exception.message': String(error?.message ?? error)
+        });
+        this.status = { code: STATUS_ERROR, message: String(error?.message ?? error) };
+    }
+
+    /**
+     * Mark the span failed without an exception (e.g. a 5xx response)
+     *
+     * @param {string} message - Status message
+     */
+    setError(message) {
+        this.status = { code: STATUS_ERROR, message };
+    }
+
+    /**
+     * End the span (later calls are ignored)
+     */
+    end() {
+        if (this.endTime !== null) return;
+        this.endTime = Date.now();
+        this.#onEnd?.(this);
+    }
+}
+
+// Stand-in while tracing is off: accepts every call, records nothing
+const NOOP_SPAN = {
+    traceId: '0'.repeat(32),
+    spanId: '0'.repeat(16),
+    sampled: false,
+    updateName() {},
+    setAttribute() {},
+    setAttributes() {},
+    addEvent() {},
+    recordException() {},
+    setError() {},
+    end() {}
+};
+
+/**
+ * Convert an attribute value to OTLP JSON
+ *
+ * @param {*} value - Value
+ * @returns {Object} OTLP AnyValue
+ */
+function otlpValue(value) {
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (typeof value === 'number') return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    return { stringValue: String(value) };
+}
+
+/**
+ * @param {Object} attributes - Attributes
+ * @returns {Array<Object>} OTLP KeyValue list
+ */
+function otlpAttributes(attributes) {
+    return Object.entries(attributes).map(([key, value]) => ({ key, value: otlpValue(value) }));
+}
+
+/**
+ * @param {number} ms - Epoch milliseconds
+ * @returns {string} Epoch nanoseconds
+ */
+function unixNano(ms) {
+    return `${ms}000000`;
+}
+
+/**
+ * Build an OTLP/HTTP JSON traces payload
+ *
+ * @param {Span[]} spans - Ended spans
+ * @param {string} serviceName - service.name resource attribute
+ * @returns {Object} ExportTraceServiceRequest
+ */
+export function toOtlpPayload(spans, serviceName) {
+    return {
+        resourceSpans: [{
+            resource: { attributes: otlpAttributes({ 'service.name': serviceName }) },
+            scopeSpans: [{
+                scope: { name: 'commons-proxy' },
+                spans: spans.map(span => ({
+                    traceId: span.traceId,
+                    spanId: span.spanId,
+                    ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+                    name: span.name,
+                    kind: span.kind,
+                    startTimeUnixNano: unixNano(span.startTime),
+                    endTimeUnixNano: unixNano(span.endTime),
+                    attributes: otlpAttributes(span.attributes),
+                    events: span.events.map(event => ({
+                        timeUnixNano: unixNano(event.time),
+                        name: event.name,
+                        attributes: otlpAttributes(event.attributes)
+                    })),
+                    status: span.status || {}
+                }))
+            }]
+        }]
+    };
+}
+
+/**
+ * Batches ended spans and POSTs them to the configured OTLP/HTTP endpoint
+ */
+export class OtlpHttpExporter {
+    #queue = [];
+    #timer = null;
+    #failing = false;
+
+    /**
+     * Queue a span for export
+     *
+     * @param {Span} span - Ended, sampled span
+     */
+    export(span) {
+        if (this.#queue.length >= MAX_QUEUED_SPANS) this.#queue.shift();
+        this.#queue.push(span);
+        if (this.#queue.length >= EXPORT_BATCH_SIZE) {
+            this.flush();
+        } else if (!this.#timer) {
+            this.#timer = setTimeout(() => this.flush(), EXPORT_INTERVAL_MS);
+            this.#timer.unref?.();
+        }
+    }
+
+    /**
+     * Send queued spans now
+     *
+     * @returns {Promise<void>} Resolves once the export finished (failures are logged, not thrown)
+     */
+    async flush() {
+        clearTimeout(this.#timer);
+        this.#timer = null;
+        if (this.#queue.length === 0) return;
+
+        const spans = this.#queue.splice(0, EXPORT_BATCH_SIZE);
+        if (this.#queue.length > 0) this.#timer = setTimeout(() => this.flush(), 0);
+        const endpoint = setting('endpoint');
+        try {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...setting('headers') },
+                body: JSON.stringify(toOtlpPayload(spans, setting('serviceName'))),
+                signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS)
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            if (this.#failing) logger.info(`[Tracing] Exporting to ${endpoint} again`);
+            this.#failing = false;
+        } catch (error) {
+            // Warn once per outage rather than every batch
+            if (!this.#failing) logger.warn(`[Tracing] Failed to export ${spans.length} span(s) to ${endpoint}: ${error.message}`);
+            this.#failing = true;
+        }
+    }
+}
+
+// Span active in the current async context
+const activeSpans = new AsyncLocalStorage();
+
+/**
+ * Creates spans, tracks the active one and hands ended spans to the exporter
+ */
+export class Tracer {
+    #exporter;
+
+    /**
+     * @param {Object} [options]
+     * @param {{export: function(Span): void}} [options.exporter] - Receives ended, sampled spans
+     */
+    constructor({ exporter = new OtlpHttpExporter() } = {}) {
+        this.#exporter = exporter;
+    }
+
+    /**
+     * @returns {boolean} Whether tracing is on (config.tracing.enabled)
+     */
+    isEnabled() {
+        return setting('enabled') === true;
+    }
+
+    /**
+     * @returns {Span|null} Span active in the current async context
+     */
+    activeSpan() {
+        return activeSpans.getStore() || null;
+    }
+
+    /**
+     * Start a span (ended by the caller)
+     *
+     * @param {string} name - Span name
+     * @param {Object} [options]
+     * @param {Object} [options.attributes] - Initial attributes
+     * @param {number} [options.kind] - SpanKind (default INTERNAL)
+     * @param {Span|{traceId: string, spanId: string, sampled: boolean}|null} [options.parent] -
+     *   Parent span or remote context (default: the active span)
+     * @returns {Span} Span (a no-op span while tracing is off)
+     */
+    startSpan(name, { attributes = {}, kind = SpanKind.INTERNAL, parent = this.activeSpan() } = {}) {
+        if (!this.isEnabled()) return NOOP_SPAN;
+        const traceParent = parent && parent !== NOOP_SPAN ? parent : null;
+        return new Span({
+            name,
+            kind,
+            attributes,
+            traceId: traceParent?.traceId || crypto.randomBytes(16).toString('hex'),
+            parentSpanId: traceParent?.spanId || null,
+            sampled: traceParent ? traceParent.sampled : Math.random() < setting('sampleRatio'),
+            onEnd: (span) => {
+                if (span.sampled) this.#exporter.export(span);
+            }
+        });
+    }
+
+    /**
+     * Run a function with a span active
+     *
+     * @param {Span} span - Span
+     * @param {function(): *} fn - Function
+     * @returns {*} fn's result
+     */
+    runWithSpan(span, fn) {
+        return span === NOOP_SPAN ? fn() : activeSpans.run(span, fn);
+    }
+
+    /**
+     * Run an async function in a new child span, ended when it settles
+     * (errors are recorded on the span and rethrown)
+     *
+     * @param {string} name - Span name
+     * @param {Object} attributes - Span attributes
+     * @param {function(Span): Promise<*>} fn - Function, given the span
+     * @returns {Promise<*>} fn's result
+     */
+    async withSpan(name, attributes, fn) {
+        const span = this.startSpan(name, { attributes });
+        try {
+            return await this.runWithSpan(span, () => fn(span));
+        } catch (error) {
+            span.recordException(error);
+            throw error;
+        } finally {
+            span.end();
+        }
+    }
+
+    /**
+     * Pass a stream through a new child span that stays active while the
+     * stream's generator runs, and ends when it completes, fails or is closed
+     * early. Records a first_event event with the first item.
+     *
+     * @param {string} name - Span name
+     * @param {Object} attributes - Span attributes
+     * @param {function(Span): AsyncIterator<*>} start - Creates the stream, given the span
+     * @yields {*} The stream's items
+     */
+    async* traceStream(name, attributes, start) {
+        const span = this.startSpan(name, { attributes });
+        if (span === NOOP_SPAN) {
+            yield* start(span);
+            return;
+        }
+
+        const iterator = this.runWithSpan(span, () => start(span));
+        let done = false;
+        try {
+            let first = true;
+            while (true) {
+                const result = await this.runWithSpan(span, () => iterator.next());
+                if (result.done) break;
+                if (first) span.addEvent('first_event');
+                first = false;
+                yield result.value;
+            }
+            done = true;
+        } catch (error) {
+            done = true;
+            span.recordException(error);
+            throw error;
+        } finally {
+            // Closed early by the consumer: close the wrapped stream too
+            if (!done) {
+                span.setAttribute('commons.closed_early', true);
+                await this.runWithSpan(span, () => iterator.return?.());
+            }
+            span.end();
+        }
+    }
+}
+
+/**
+ * Shared tracer used by the server and the request handlers
+ */
+export const tracer = new Tracer();
+
+export default {
+    DEFAULT_TRACING_CONFIG,
+    SpanKind,
+    validateTracingConfig,
+    parseTraceparent,
+    formatTraceparent,
+    accountAttributes,
+    toOtlpPayload,
+    Span,
+    OtlpHttpExporter,
+    Tracer,
+    tracer
+};
@@ -10,19 +10,21 @@ const OLD_DATA_DIR = path.join(process.cwd(), 'data');
 const OLD_HISTORY_FILE = path.join(OLD_DATA_DIR, 'usage-history.json');
 
 // In-memory storage
-// Structure: { "YYYY-MM-DDTHH:00:00.000Z": { "claude": { "model-name": count, "_subtotal": count }, "_total": count } }
+// Structure: { "YYYY-MM-DDTHH:00:00.000Z": { "claude": { "model-name": count, "_subtotal": count }, "_total": count, "_cancelled": count, "_cacheHits": count, "_cacheMisses": count } }
 let history = {};
 let isDirty = false;
 
 /**
  * Extract model family from model ID
  * @param {string} modelId - The model identifier (e.g., "claude-opus-4-5-thinking")
- * @returns {string} The family name (claude, gemini, or other)
+ * @returns {string} The family name (claude, gemini, gpt, o1 for OpenAI o-series, or other)
  */
 function getFamily(modelId) {
     const lower = (modelId || '').toLowerCase();
     if (lower.includes('claude')) return 'claude';
     if (lower.includes('gemini')) return 'gemini';
+    if (lower.includes('gpt') || lower.includes('codex')) return 'gpt';
+    if (/^o\d/.test(lower)) return 'o1';
     return 'other';
 }
 
@@ -33,7 +35,7 @@ function getFamily(modelId) {
  * @returns {string} Short model name
  */
 function getShortName(modelId, family) {
-    if (family === 'other') return modelId;
+    if (family === 'other' || family === 'o1') return modelId;
     // Remove family prefix (e.g., "claude-opus-4-5" -> "opus-4-5")
     return modelId.replace(new RegExp(`^${family}-`, 'i'), '');
 }
@@ -134,6 +136,40 @@ function track(modelId) {
     isDirty = true;
 }
 
+/**
+ * Increment a per-hour counter kept next to the hour's `_total`
+ * @param {string} field - Counter key (e.g. `_cancelled`)
+ */
+function incrementHourCounter(field) {
+    const now = new Date();
+    now.setMinutes(0, 0, 0);
+    const key = now.toISOString();
+
+    if (!history[key]) {
+        history[key] = { _total: 0 };
+    }
+    history[key][field] = (history[key][field] || 0) + 1;
+
+    isDirty = true;
+}
+
+/**
+ * Track a request the client cancelled (disconnected) before it finished.
+ * Counted per hour in `_cancelled`, next to the hour's `_total`; the model
+ * is already counted by track().
+ */
+function trackCancelled() {
+    incrementHourCounter('_cancelled');
+}
+
+/**
+ * Track a response cache lookup, counted per hour in `_cacheHits` / `_cacheMisses`
+ * @param {boolean} hit - Whether the response was served from the cache
+ */
+function trackCacheLookup(hit) {
+    incrementHourCounter(hit ? '_cacheHits' : '_cacheMisses');
+}
+
 /**
  * Setup Express Middleware
  * @param {import('express').Application} app
@@ -162,11 +198,19 @@ function setupMiddleware(app) {
 
     // Request interceptor
     // Track both Anthropic (/v1/messages) and OpenAI compatible (/v1/chat/completions) endpoints
-    const TRACKED_PATHS = ['/v1/messages', '/v1/chat/completions'];
+    const TRACKED_PATHS = ['/v1/messages', '/v1/chat/completions', '/v1/responses'];
+    // Gemini-native requests carry the model in the path instead of the body
+    const GEMINI_PATH = /^\/(?:v1beta|v1)\/models\/(.+):(?:generateContent|streamGenerateContent)$/;
 
     app.use((req, res, next) => {
-        if (req.method === 'POST' && TRACKED_PATHS.includes(req.path)) {
-            const model = req.body?.model;
+        if (req.method === 'POST') {
+            let model = null;
+            if (TRACKED_PATHS.includes(req.path)) {
+                model = req.body?.model;
+            } else {
+                const match = req.path.match(GEMINI_PATH);
+                if (match) model = decodeURIComponent(match[1]);
+            }
             if (model) {
                 track(model);
             }
@@ -208,6 +252,8 @@ export default {
     setupMiddleware,
     setupRoutes,
     track,
+    trackCancelled,
+    trackCacheLookup,
     getFamily,
     getShortName,
     getHistory
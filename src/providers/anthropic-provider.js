@@ -3,15 +3,23 @@
  *
  * Implements authentication via Anthropic API keys.
  * Supports Claude models via direct Anthropic API.
+ *
+ * Messages are forwarded natively to {endpoint}/v1/messages (no format
+ * conversion), so cache_control, thinking signatures, document blocks and
+ * anthropic-beta features survive. The endpoint is configurable (per account
+ * via customApiEndpoint, globally via config.anthropicBaseUrl), which also
+ * allows chaining to any Anthropic-compatible upstream such as another CommonsProxy.
  */
 
 import BaseProvider from './base-provider.js';
+import { ANTHROPIC_API_BASE_URL } from '../constants.js';
+import { parseSSEEvents } from '../utils/helpers.js';
 import crypto from 'crypto';
 
 export class AnthropicProvider extends BaseProvider {
     constructor(config = {}) {
         super('anthropic', 'Anthropic', {
-            apiEndpoint: config.apiEndpoint || 'https://api.anthropic.com',
+            apiEndpoint: config.apiEndpoint || ANTHROPIC_API_BASE_URL,
             apiVersion: config.apiVersion || '2023-06-01',
             ...config
         });
@@ -30,7 +38,7 @@ export class AnthropicProvider extends BaseProvider {
 
         try {
             // Test API key by fetching model list
-            const endpoint = account.customApiEndpoint || this.config.apiEndpoint;
+            const endpoint = this.getApiEndpoint(account);
             const response = await fetch(`${endpoint}/v1/models`, {
                 method: 'GET',
                 headers: {
@@ -78,7 +86,7 @@ export class AnthropicProvider extends BaseProvider {
      */
     async getQuotas(account, token) {
         try {
-            const endpoint = account.customApiEndpoint || this.config.apiEndpoint;
+            const endpoint = this.getApiEndpoint(account);
 
             // Anthropic doesn't have a direct quota API yet
             // We'll attempt to fetch models to check if key is active
@@ -157,7 +165,7 @@ export class AnthropicProvider extends BaseProvider {
      */
     async getAvailableModels(account, token) {
         try {
-            const endpoint = account.customApiEndpoint || this.config.apiEndpoint;
+            const endpoint = this.getApiEndpoint(account);
             const response = await fetch(`${endpoint}/v1/models`, {
                 method: 'GET',
                 headers: {
@@ -186,6 +194,120 @@ export class AnthropicProvider extends BaseProvider {
         }
     }
 
+    /**
+     * Resolve the upstream base URL for an account
+     *
+     * @param {Object} account - Account object
+     * @returns {string} Base URL without trailing slash
+     */
+    getApiEndpoint(account) {
+        return (account?.customApiEndpoint || this.config.apiEndpoint).replace(/\/+$/, '');
+    }
+
+    /**
+     * Build headers for a Messages API request
+     *
+     * @param {string} token - API key
+     * @param {Object} request - Anthropic-format request (may carry _anthropicBeta)
+     * @returns {Object} Request headers
+     */
+    buildMessagesHeaders(token, request) {
+        const headers = {
+            'x-api-key': token,
+            'anthropic-version': this.config.apiVersion,
+            'Content-Type': 'application/json'
+        };
+        if (request._anthropicBeta) {
+            headers['anthropic-beta'] = request._anthropicBeta;
+        }
+        return headers;
+    }
+
+    /**
+     * Build the upstream request body: the client request as-is, minus
+     * internal fields (prefixed with "_") and unset values
+     *
+     * @param {Object} request - Anthropic-format request
+     * @param {boolean} stream - Whether to request an SSE stream
+     * @returns {Object} Messages API request body
+     */
+    buildMessagesBody(request, stream) {
+        const body = {};
+        for (const [key, value] of Object.entries(request)) {
+            if (key.startsWith('_') || value === undefined) continue;
+            body[key] = value;
+        }
+        body.stream = stream;
+        return body;
+    }
+
+    /**
+     * POST to the Messages API
+     *
+     * @param {Object} request - Anthropic-format request
+     * @param {Object} account - Account object
+     * @param {string} token - API key
+     * @param {boolean} stream - Whether to request an SSE stream
+     * @param {AbortSignal} [signal] - Aborts the upstream request
+     * @returns {Promise<Response>} Successful fetch response
+     * @throws {Error} "API error: <status> <body>" on non-2xx responses
+     */
+    async postMessages(request, account, token, stream, signal) {
+        const url = `${this.getApiEndpoint(account)}/v1/messages`;
+        this.debug(`POST ${url} model=${request.model} stream=${stream}`);
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: this.buildMessagesHeaders(token, request),
+            body: JSON.stringify(this.buildMessagesBody(request, stream)),
+            signal
+        });
+
+        if (!response.ok) {
+            const text = await response.text();
+            throw new Error(`API error: ${response.status} ${text}`);
+        }
+        return response;
+    }
+
+    /**
+     * Send a non-streaming message through the native Messages API
+     *
+     * @param {Object} request - Anthropic-format request
+     * @param {Object} account - Account object
+     * @param {string} token - API key
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the upstream request
+     * @returns {Promise<Object>} Anthropic-format response
+     */
+    async sendMessage(request, account, token, { signal } = {}) {
+        const response = await this.postMessages(request, account, token, false, signal);
+        return response.json();
+    }
+
+    /**
+     * Send a streaming message through the native Messages API.
+     * Upstream events are yielded unchanged; an upstream `error` event is thrown
+     * so the caller's retry handling sees it.
+     *
+     * @param {Object} request - Anthropic-format request
+     * @param {Object} account - Account object
+     * @param {string} token - API key
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the upstream request
+     * @yields {Object} Anthropic-format SSE events
+     */
+    async *sendMessageStream(request, account, token, { signal } = {}) {
+        const response = await this.postMessages(request, account, token, true, signal);
+
+        for await (const event of parseSSEEvents(response.body)) {
+            if (event.type === 'error') {
+                throw new Error(`API error: ${event.error?.type || 'api_error'}: ${event.error?.message || 'Stream error'}`);
+            }
+            yield event;
+        }
+    }
+
     /**
      * Parse Anthropic rate limit headers
      *
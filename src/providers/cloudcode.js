@@ -43,7 +43,7 @@ export const CloudCodeProvider = {
      */
     async sendMessage(request, accountManager, options = {}) {
         const fallbackEnabled = options.fallback !== false;
-        return sendMessage(request, accountManager, fallbackEnabled);
+        return sendMessage(request, accountManager, fallbackEnabled, options);
     },
     
     /**
@@ -55,7 +55,7 @@ export const CloudCodeProvider = {
      */
     async *sendMessageStream(request, accountManager, options = {}) {
         const fallbackEnabled = options.fallback !== false;
-        yield* sendMessageStream(request, accountManager, fallbackEnabled);
+        yield* sendMessageStream(request, accountManager, fallbackEnabled, options);
     },
     
     /**
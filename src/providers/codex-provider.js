@@ -4,11 +4,26 @@
  * Authentication provider for ChatGPT Plus/Pro users via OAuth.
  * Uses the codex-auth.js module for actual auth flows.
  *
+ * Requests are sent to the Codex Responses backend; the conversion lives in
+ * format/codex-responses-converter.js. Access tokens are refreshed shortly
+ * before they expire, and once more if the backend answers 401.
+ *
  * Credits: Authentication flow based on opencode (https://github.com/nichochar/opencode)
  */
 
+import crypto from 'crypto';
 import BaseProvider from './base-provider.js';
 import { refreshCodexAccessToken, extractAccountId, parseJwtClaims } from './codex-auth.js';
+import {
+    convertAnthropicToCodexRequest,
+    streamCodexToAnthropic,
+    collectAnthropicMessage
+} from '../format/codex-responses-converter.js';
+import { TOKEN_REFRESH_INTERVAL_MS } from '../constants.js';
+import { parseSSEEvents } from '../utils/helpers.js';
+
+// Refresh tokens that would expire while still in the token cache
+const TOKEN_EXPIRY_MARGIN_MS = TOKEN_REFRESH_INTERVAL_MS + 60 * 1000;
 
 export class CodexProvider extends BaseProvider {
     constructor(config = {}) {
@@ -87,18 +102,133 @@ export class CodexProvider extends BaseProvider {
      * @returns {Promise<string>} Access token
      */
     async getAccessToken(account) {
-        if (account.apiKey) {
+        if (account.apiKey && !(account.refreshToken && this.isTokenExpiring(account.apiKey))) {
             return account.apiKey;
         }
 
         if (account.refreshToken) {
-            const tokens = await refreshCodexAccessToken(account.refreshToken);
-            return tokens.access_token;
+            return this.refreshAccountTokens(account);
         }
 
         throw new Error('Account missing access token and refresh token');
     }
 
+    /**
+     * Check whether a JWT access token expires within the refresh margin
+     *
+     * @param {string} token - Access token
+     * @returns {boolean} True if the token should be refreshed
+     */
+    isTokenExpiring(token) {
+        const exp = parseJwtClaims(token)?.exp;
+        if (typeof exp !== 'number') return false;
+        return exp * 1000 - Date.now() < TOKEN_EXPIRY_MARGIN_MS;
+    }
+
+    /**
+     * Refresh the account's tokens in place (the caller persists the account)
+     *
+     * @param {Object} account - Account with refreshToken
+     * @returns {Promise<string>} New access token
+     */
+    async refreshAccountTokens(account) {
+        this.debug(`Refreshing access token for ${account.email}`);
+        const tokens = await refreshCodexAccessToken(account.refreshToken);
+        account.apiKey = tokens.access_token;
+        if (tokens.refresh_token) account.refreshToken = tokens.refresh_token;
+        account.accountId = extractAccountId(tokens) || account.accountId;
+        return tokens.access_token;
+    }
+
+    /**
+     * Build headers for the Codex Responses backend
+     *
+     * @param {string} token - Access token
+     * @param {Object} account - Account object
+     * @returns {Object} Request headers
+     */
+    buildCodexHeaders(token, account) {
+        const headers = {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'Accept': 'text/event-stream',
+            'OpenAI-Beta': 'responses=experimental',
+            'originator': 'codex_cli_rs',
+            'session_id': crypto.randomUUID()
+        };
+        const accountId = account.accountId || extractAccountId({ access_token: token });
+        if (accountId) {
+            headers['chatgpt-account-id'] = accountId;
+        }
+        return headers;
+    }
+
+    /**
+     * POST a request to the Codex backend, refreshing the token once on 401
+     *
+     * @param {Object} body - Responses API request body
+     * @param {Object} account - Account object
+     * @param {string} token - Access token
+     * @param {Function} [onTokenRefresh] - Called after the account's tokens were refreshed
+     * @param {AbortSignal} [signal] - Aborts the upstream request
+     * @returns {Promise<Response>} Successful fetch response
+     * @throws {Error} "API error: <status> <body>" on non-2xx responses
+     */
+    async postResponses(body, account, token, onTokenRefresh, signal) {
+        const send = (accessToken) => fetch(this.config.apiEndpoint, {
+            method: 'POST',
+            headers: this.buildCodexHeaders(accessToken, account),
+            body: JSON.stringify(body),
+            signal
+        });
+
+        this.debug(`POST ${this.config.apiEndpoint} model=${body.model}`);
+        let response = await send(token);
+
+        if (response.status === 401 && account.refreshToken) {
+            this.debug('Access token rejected, refreshing');
+            const refreshed = await this.refreshAccountTokens(account);
+            if (onTokenRefresh) await onTokenRefresh(account);
+            response = await send(refreshed);
+        }
+
+        if (!response.ok) {
+            const text = await response.text();
+            throw new Error(`API error: ${response.status} ${text}`);
+        }
+        return response;
+    }
+
+    /**
+     * Send a streaming message through the Codex Responses backend
+     *
+     * @param {Object} request - Anthropic-format request
+     * @param {Object} account - Account object
+     * @param {string} token - Access token
+     * @param {Object} [options]
+     * @param {Function} [options.onTokenRefresh] - Called after the account's tokens were refreshed
+     * @param {AbortSignal} [options.signal] - Aborts the upstream request
+     * @yields {Object} Anthropic-format SSE events
+     */
+    async *sendMessageStream(request, account, token, { onTokenRefresh, signal } = {}) {
+        const body = convertAnthropicToCodexRequest(request);
+        const response = await this.postResponses(body, account, token, onTokenRefresh, signal);
+        yield* streamCodexToAnthropic(parseSSEEvents(response.body), request.model);
+    }
+
+    /**
+     * Send a non-streaming message (the backend only streams, so the stream is collected)
+     *
+     * @param {Object} request - Anthropic-format request
+     * @param {Object} account - Account object
+     * @param {string} token - Access token
+     * @param {Object} [options] - See sendMessageStream
+     * @returns {Promise<Object>} Anthropic-format response
+     */
+    async sendMessage(request, account, token, options = {}) {
+        return collectAnthropicMessage(this.sendMessageStream(request, account, token, options));
+    }
+
     /**
      * Fetch quota information (Codex doesn't expose usage API)
      *
@@ -0,0 +1,305 @@
+/**
+ * Custom OpenAI-Compatible Provider
+ *
+ * Serves local or self-hosted models (Ollama, vLLM, LM Studio, llama.cpp server)
+ * through any server that speaks the OpenAI Chat Completions API.
+ *
+ * Account fields:
+ *   customApiEndpoint - Server base URL, e.g. http://localhost:11434 (required, /v1 optional)
+ *   apiKey            - Bearer key (optional; most local servers don't need one)
+ *   modelCapabilities - { [modelId]: { tools, vision, reasoning } } overrides
+ *
+ * Models are discovered through GET /v1/models. Capabilities not set on the
+ * account are inferred from the model id, and requests are adjusted to what
+ * the model supports before they are sent (see applyModelCapabilities).
+ */
+
+import BaseProvider from './base-provider.js';
+
+// Model ids that usually accept images
+const VISION_MODEL_PATTERN = /(llava|vision|[-_]vl\b|[-_]vl[-_:]|pixtral|gemma-?3|minicpm-v|moondream|qwen2\.5vl)/i;
+
+// Model ids that usually emit reasoning
+const REASONING_MODEL_PATTERN = /(deepseek-r1|\br1\b|qwq|reason|think|gpt-oss|magistral|qwen3)/i;
+
+/**
+ * Guess a model's capabilities from its id
+ *
+ * @param {string} modelId - Model id
+ * @returns {{tools: boolean, vision: boolean, reasoning: boolean}} Inferred capabilities
+ */
+export function inferModelCapabilities(modelId = '') {
+    return {
+        tools: true,
+        vision: VISION_MODEL_PATTERN.test(modelId),
+        reasoning: REASONING_MODEL_PATTERN.test(modelId)
+    };
+}
+
+/**
+ * Resolve a model's capabilities: account overrides on top of inferred defaults
+ *
+ * @param {Object} account - Custom account
+ * @param {string} modelId - Model id
+ * @returns {{tools: boolean, vision: boolean, reasoning: boolean}} Capabilities
+ */
+export function resolveModelCapabilities(account, modelId) {
+    return {
+        ...inferModelCapabilities(modelId),
+        ...(account?.modelCapabilities?.[modelId] || {})
+    };
+}
+
+/**
+ * Parse capability overrides typed in the CLI:
+ *   "llava:7b=vision,-tools; qwen3:8b=-reasoning"
+ * A bare or "+" flag enables a capability, "-" disables it.
+ *
+ * @param {string} text - Override text
+ * @returns {Object<string, Object<string, boolean>>} Overrides keyed by model id
+ */
+export function parseCapabilityOverrides(text = '') {
+    const overrides = {};
+    for (const entry of text.split(';')) {
+        const separator = entry.lastIndexOf('=');
+        if (separator === -1) continue;
+        const model = entry.slice(0, separator).trim();
+        if (!model) continue;
+        for (const flag of entry.slice(separator + 1).split(',')) {
+            const match = flag.trim().match(/^([+-]?)(tools|vision|reasoning)$/i);
+            if (match) {
+                overrides[model] = { ...overrides[model], [match[2].toLowerCase()]: match[1] !== '-' };
+            }
+        }
+    }
+    return overrides;
+}
+
+/**
+ * Flatten tool_use / tool_result blocks to text for models without tool support
+ *
+ * @param {Object} block - Anthropic content block
+ * @returns {Object} Text block
+ */
+function toolBlockToText(block) {
+    if (block.type === 'tool_use') {
+        return { type: 'text', text: `[Tool call ${block.name}: ${JSON.stringify(block.input || {})}]` };
+    }
+    const output = typeof block.content === 'string'
+        ? block.content
+        : (block.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n');
+    return { type: 'text', text: `[Tool result: ${output}]` };
+}
+
+/**
+ * Adjust an Anthropic request to a model's capabilities:
+ *   - no tools: tool definitions dropped, tool history flattened to text
+ *   - no vision: images replaced by a placeholder
+ *   - reasoning: thinking mapped to reasoning_effort; otherwise thinking dropped
+ *
+ * @param {Object} request - Anthropic-format request
+ * @param {{tools: boolean, vision: boolean, reasoning: boolean}} capabilities - Model capabilities
+ * @returns {Object} Adjusted request (the input is not modified)
+ */
+export function applyModelCapabilities(request, capabilities) {
+    const adjusted = { ...request };
+
+    if (!capabilities.tools) {
+        delete adjusted.tools;
+        delete adjusted.tool_choice;
+    }
+
+    if (!capabilities.reasoning) {
+        delete adjusted.thinking;
+    } else {
+        adjusted._reasoningEffortOnly = true;
+    }
+
+    if (!capabilities.tools || !capabilities.vision) {
+        adjusted.messages = (request.messages || []).map(message => {
+            if (!Array.isArray(message.content)) return message;
+            return {
+                ...message,
+                content: message.content.map(block => {
+                    if (!capabilities.vision && block.type === 'image') {
+                        return { type: 'text', text: '[Image omitted: model does not support images]' };
+                    }
+                    if (!capabilities.tools && (block.type === 'tool_use' || block.type === 'tool_result')) {
+                        return toolBlockToText(block);
+                    }
+                    return block;
+                })
+            };
+        });
+    }
+
+    return adjusted;
+}
+
+export class CustomProvider extends BaseProvider {
+    constructor(config = {}) {
+        super('custom', 'OpenAI-Compatible (Local)', config);
+    }
+
+    /**
+     * Resolve the account's /v1 base URL
+     *
+     * @param {Object} account - Account object
+     * @returns {string} Base URL ending in /v1
+     */
+    getApiBaseUrl(account) {
+        if (!account?.customApiEndpoint) {
+            throw new Error('Custom provider account missing customApiEndpoint');
+        }
+        return `${account.customApiEndpoint.replace(/\/+$/, '').replace(/\/v1$/, '')}/v1`;
+    }
+
+    /**
+     * Build auth headers (Authorization only when a key is configured)
+     *
+     * @param {string} token - API key (may be empty)
+     * @returns {Object} Headers
+     */
+    buildAuthHeaders(token) {
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+
+    /**
+     * Build the Chat Completions API configuration for dispatch
+     *
+     * @param {Object} account - Account object
+     * @param {string} token - API key (may be empty)
+     * @returns {{baseUrl: string, headers: Object}} API config
+     */
+    getApiConfig(account, token) {
+        return {
+            baseUrl: this.getApiBaseUrl(account),
+            headers: {
+                ...this.buildAuthHeaders(token),
+                'Content-Type': 'application/json'
+            }
+        };
+    }
+
+    /**
+     * Fetch the server's model list
+     *
+     * @param {Object} account - Account object
+     * @param {string} token - API key (may be empty)
+     * @returns {Promise<Array<Object>>} Raw OpenAI model objects
+     * @throws {Error} If the server rejects the request
+     */
+    async fetchModels(account, token) {
+        const response = await fetch(`${this.getApiBaseUrl(account)}/models`, {
+            method: 'GET',
+            headers: this.buildAuthHeaders(token)
+        });
+
+        if (!response.ok) {
+            const error = await response.text();
+            throw new Error(`Failed to fetch models (${response.status}): ${error}`);
+        }
+
+        const data = await response.json();
+        return Array.isArray(data.data) ? data.data : [];
+    }
+
+    /**
+     * Validate the endpoint (and key, if any) by listing models
+     *
+     * @param {Object} account - Account with customApiEndpoint and optional apiKey
+     * @returns {Promise<{valid: boolean, error?: string, email?: string}>}
+     */
+    async validateCredentials(account) {
+        if (!account.customApiEndpoint) {
+            return { valid: false, error: 'Missing base URL' };
+        }
+
+        try {
+            await this.fetchModels(account, account.apiKey);
+            const email = account.email || `custom@${new URL(account.customApiEndpoint).host}`;
+            return { valid: true, email };
+        } catch (error) {
+            this.error('Credential validation failed', error);
+            return { valid: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get the API key (empty for servers without auth)
+     *
+     * @param {Object} account - Account object
+     * @returns {Promise<string>} API key or empty string
+     */
+    async getAccessToken(account) {
+        return account.apiKey || '';
+    }
+
+    /**
+     * Local servers have no quota: report every model as fully available
+     *
+     * @param {Object} account - Account object
+     * @param {string} token - API key
+     * @returns {Promise<Object>} Quota data
+     */
+    async getQuotas(account, token) {
+        const models = {};
+        for (const model of await this.getAvailableModels(account, token)) {
+            models[model.id] = { remainingFraction: 1.0, resetTime: null };
+        }
+        return { models };
+    }
+
+    /**
+     * Get subscription tier (local servers have none)
+     *
+     * @param {Object} account - Account object
+     * @param {string} token - API key
+     * @returns {Promise<{tier: string, projectId: null}>}
+     */
+    async getSubscriptionTier(account, token) {
+        return { tier: 'local', projectId: null };
+    }
+
+    /**
+     * Get available models with their resolved capabilities
+     *
+     * @param {Object} account - Account object
+     * @param {string} token - API key
+     * @returns {Promise<Array>} List of available models
+     */
+    async getAvailableModels(account, token) {
+        try {
+            const models = await this.fetchModels(account, token);
+            return models.filter(model => model?.id).map(model => ({
+                id: model.id,
+                name: model.name || model.id,
+                family: 'custom',
+                capabilities: resolveModelCapabilities(account, model.id)
+            }));
+        } catch (error) {
+            this.error('Failed to fetch available models', error);
+            return [];
+        }
+    }
+
+    /**
+     * Parse rate limit info (local servers rarely send any; honor retry-after)
+     *
+     * @param {Response} response - Fetch response
+     * @param {Object} errorData - Error data from response body
+     * @returns {Object|null} Rate limit info
+     */
+    parseRateLimitInfo(response, errorData = null) {
+        const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+        if (!isNaN(retryAfter)) {
+            return {
+                resetTime: new Date(Date.now() + retryAfter * 1000),
+                retryAfter
+            };
+        }
+        return null;
+    }
+}
+
+export default CustomProvider;
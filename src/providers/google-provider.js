@@ -11,7 +11,8 @@ import {
     getUserEmail,
     discoverProjectId
 } from '../auth/oauth.js';
-import { getModelQuotas, getSubscriptionTier } from '../cloudcode/model-api.js';
+import { getModelQuotas, getSubscriptionTier, fetchAvailableModels } from '../cloudcode/model-api.js';
+import { getModelFamily } from '../constants.js';
 import { logger } from '../utils/logger.js';
 
 export class GoogleProvider extends BaseProvider {
@@ -90,6 +91,31 @@ export class GoogleProvider extends BaseProvider {
         }
     }
 
+    /**
+     * Get Claude and Gemini models available to this account from Cloud Code
+     *
+     * @param {Object} account - Account object
+     * @param {string} token - Access token
+     * @returns {Promise<Array<{id: string, name: string, family: string}>>} Available models
+     */
+    async getAvailableModels(account, token) {
+        try {
+            const projectId = account.projectId || account.subscription?.projectId || null;
+            const data = await fetchAvailableModels(token, projectId);
+
+            return Object.entries(data?.models || {})
+                .map(([modelId, modelData]) => ({
+                    id: modelId,
+                    name: modelData.displayName || modelId,
+                    family: getModelFamily(modelId)
+                }))
+                .filter(model => model.family === 'claude' || model.family === 'gemini');
+        } catch (error) {
+            this.error('Failed to fetch available models', error);
+            return [];
+        }
+    }
+
     /**
      * Fetch subscription tier from loadCodeAssist API
      *
@@ -8,7 +8,7 @@
  * - OpenAI (API key)
  * - GitHub Models (PAT)
  * - GitHub Copilot
- * - OpenAI-compatible endpoints
+ * - OpenAI-compatible endpoints (local servers: Ollama, vLLM, LM Studio, llama.cpp)
  * - Custom providers
  */
 
@@ -20,6 +20,7 @@ import GitHubProvider from './github-provider.js';
 import CopilotProvider from './copilot.js';
 import OpenRouterProvider from './openrouter-provider.js';
 import CodexProvider from './codex-provider.js';
+import CustomProvider from './custom-provider.js';
 
 // Provider registry (legacy system for message routing providers)
 const messagingProviders = new Map();
@@ -35,6 +36,7 @@ authProviders.set('github', new GitHubProvider());
 authProviders.set('copilot', new CopilotProvider());
 authProviders.set('openrouter', new OpenRouterProvider());
 authProviders.set('codex', new CodexProvider());
+authProviders.set('custom', new CustomProvider());
 
 /**
  * Provider interface definition
@@ -131,11 +133,13 @@ export function registerAuthProvider(id, provider) {
  */
 export function getAllAuthProviders() {
     const deviceAuthProviders = new Set(['copilot', 'codex']);
-    return Array.from(authProviders.entries()).map(([id, provider]) => ({
-        id,
-        name: provider.name,
-        authType: id === 'google' ? 'oauth' : (deviceAuthProviders.has(id) ? 'device-auth' : 'api-key')
-    }));
+    return Array.from(authProviders.entries()).map(([id, provider]) => {
+        let authType = 'api-key';
+        if (id === 'google') authType = 'oauth';
+        else if (deviceAuthProviders.has(id)) authType = 'device-auth';
+        else if (id === 'custom') authType = 'endpoint';
+        return { id, name: provider.name, authType };
+    });
 }
 
 /**
@@ -190,7 +194,8 @@ export {
     GitHubProvider,
     CopilotProvider,
     OpenRouterProvider,
-    CodexProvider
+    CodexProvider,
+    CustomProvider
 };
 
 export default {
@@ -213,6 +218,7 @@ export default {
     CopilotProvider,
     OpenRouterProvider,
     CodexProvider,
+    CustomProvider,
     // Enums
     ProviderType
 };
@@ -0,0 +1,371 @@
+/**
+ * Model Name Translation Registry
+ *
+ * Clients (Claude Code in particular) send Anthropic-style model names such as
+ * "claude-sonnet-4-5-20250929" or "claude-opus-4-6-thinking". Most providers
+ * name the same models differently ("claude-sonnet-4.5" on Copilot,
+ * "anthropic/claude-sonnet-4.5" on OpenRouter), so every non-Google request
+ * is translated through this registry before it is dispatched.
+ *
+ * Each provider declares:
+ *   known     - Model ids the provider is known to accept (optional)
+ *   overrides - Exact (lowercased) name → provider id
+ *   rules     - Ordered regex rewrites applied after normalization
+ *   normalize - Strip date / -latest / -0 / -thinking suffixes first (default true)
+ *
+ * Users extend any provider (or add one) under config.modelTranslation:
+ *   { "openrouter": { "overrides": { "claude-haiku-4-5": "anthropic/claude-3.5-haiku" },
+ *                     "rules": [{ "match": "^llama-(.*)$", "replace": "meta-llama/llama-$1" }],
+ *                     "known": ["anthropic/claude-3.5-haiku"] } }
+ * User overrides and rules take precedence over the built-in ones.
+ */
+
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+// --- Built-in Provider Translations ---
+
+/**
+ * Claude "family-major-minor" names with hyphenated versions → dotted versions,
+ * e.g. claude-sonnet-4-5 → claude-sonnet-4.5
+ */
+const CLAUDE_DOTTED_VERSION = { match: '^(claude-(?:sonnet|opus|haiku)-)(\\d+)-(\\d+)$', replace: '$1$2.$3' };
+
+/**
+ * Compound GPT versions → dotted versions, e.g. gpt-5-1 → gpt-5.1, gpt-5-1-codex → gpt-5.1-codex
+ * (but not gpt-5-mini)
+ */
+const GPT_DOTTED_VERSION = { match: '^(gpt-)(\\d+)-(\\d+)((?:-codex(?:-\\w+)?)?)$', replace: '$1$2.$3$4' };
+
+/**
+ * Built-in translations, keyed by provider id
+ * @type {Object<string, {known?: string[], overrides?: Object<string, string>, rules?: Array<{match: string, replace: string}>, normalize?: boolean}>}
+ */
+export const BUILTIN_MODEL_TRANSLATIONS = {
+    copilot: {
+        // Authoritative Copilot model ids from models.dev/api.json → "github-copilot" → "models"
+        // (updated 2026-02-15). Unknown names are still passed through - the API may add models.
+        known: [
+            // --- Claude (Anthropic) ---
+            'claude-sonnet-4',
+            'claude-sonnet-4.5',
+            'claude-haiku-4.5',
+            'claude-opus-41',           // NOTE: no dot — "41" not "4.1"
+            'claude-opus-4.5',
+            'claude-opus-4.6',
+            // --- GPT (OpenAI) ---
+            'gpt-4o',
+            'gpt-4.1',
+            'gpt-5',
+            'gpt-5-mini',
+            'gpt-5.1',
+            'gpt-5.1-codex',
+            'gpt-5.1-codex-mini',
+            'gpt-5.1-codex-max',
+            'gpt-5.2',
+            'gpt-5.2-codex',
+            'gpt-5.3-codex',
+            // --- Gemini (Google) ---
+            'gemini-2.5-pro',
+            'gemini-3-flash-preview',
+            'gemini-3-pro-preview',
+            // --- Grok (xAI) ---
+            'grok-code-fast-1'
+        ],
+        overrides: {
+            // --- Claude opus 4.1 → "opus-41" (concatenated, no dot) ---
+            'claude-opus-4-1': 'claude-opus-41',
+            'claude-opus-4-1-thinking': 'claude-opus-41',
+            'claude-opus-4.1': 'claude-opus-41',
+            'claude-opus-4.1-thinking': 'claude-opus-41',
+
+            // --- Legacy / deprecated Anthropic model names → best current equivalent ---
+            'claude-3-5-sonnet': 'claude-sonnet-4',
+            'claude-3.5-sonnet': 'claude-sonnet-4',
+            'claude-3-5-sonnet-latest': 'claude-sonnet-4',
+            'claude-3-7-sonnet': 'claude-sonnet-4',
+            'claude-3.7-sonnet': 'claude-sonnet-4',
+            'claude-3-7-sonnet-latest': 'claude-sonnet-4',
+            'claude-3-5-haiku': 'claude-haiku-4.5',
+            'claude-3.5-haiku': 'claude-haiku-4.5',
+            'claude-3-opus': 'claude-opus-41',
+            'claude-3.0-opus': 'claude-opus-41',
+
+            // --- GPT legacy names ---
+            'gpt-4o-mini': 'gpt-4o',
+            'gpt-4': 'gpt-4o',
+            'gpt-4-turbo': 'gpt-4o',
+
+            // --- o-series → GPT-5 mini (retired per GitHub docs, 2025-10-23) ---
+            'o1': 'gpt-5-mini',
+            'o1-mini': 'gpt-5-mini',
+            'o1-preview': 'gpt-5-mini',
+            'o3': 'gpt-5-mini',
+            'o3-mini': 'gpt-5-mini',
+            'o3-pro': 'gpt-5.1',
+            'o4-mini': 'gpt-5-mini'
+        },
+        rules: [CLAUDE_DOTTED_VERSION, GPT_DOTTED_VERSION]
+    },
+
+    openrouter: {
+        // OpenRouter ids are vendor-prefixed with dotted versions
+        overrides: {
+            'claude-opus-4-1': 'anthropic/claude-opus-4.1',
+            'claude-3-5-sonnet': 'anthropic/claude-3.5-sonnet',
+            'claude-3-7-sonnet': 'anthropic/claude-3.7-sonnet',
+            'claude-3-5-haiku': 'anthropic/claude-3.5-haiku',
+            'claude-3-opus': 'anthropic/claude-3-opus'
+        },
+        rules: [
+            { match: '^claude-(sonnet|opus|haiku)-(\\d+)-(\\d+)$', replace: 'anthropic/claude-$1-$2.$3' },
+            { match: '^claude-(sonnet|opus|haiku)-(\\d+)$', replace: 'anthropic/claude-$1-$2' },
+            { match: '^((?:gpt-|o\\d|chatgpt-)[^/]*)$', replace: 'openai/$1' },
+            { match: '^(gemini-[^/]*)$', replace: 'google/$1' }
+        ]
+    },
+
+    github: {
+        // GitHub Models serves bare OpenAI ids; accept vendor-prefixed names too
+        rules: [
+            { match: '^openai/(.+)$', replace: '$1' },
+            GPT_DOTTED_VERSION
+        ]
+    },
+
+    openai: {
+        rules: [
+            { match: '^openai/(.+)$', replace: '$1' },
+            GPT_DOTTED_VERSION
+        ]
+    },
+
+    anthropic: {
+        // The Messages API accepts dated / -latest names; only the proxy's -thinking suffix is dropped
+        normalize: false,
+        rules: [{ match: '-thinking$', replace: '' }]
+    }
+};
+
+// --- Registry ---
+
+/**
+ * Compile one provider's translation spec
+ *
+ * @param {string} providerId - Provider id (for log messages)
+ * @param {Object} spec - Translation spec
+ * @returns {{known: Set<string>|null, overrides: Map<string, string>, rules: Array<{pattern: RegExp, replace: string}>, normalize: boolean}}
+ */
+function compileSpec(providerId, spec = {}) {
+    const rules = [];
+    for (const rule of spec.rules || []) {
+        try {
+            rules.push({ pattern: new RegExp(rule.match, rule.flags ?? 'i'), replace: rule.replace ?? '' });
+        } catch (error) {
+            logger.warn(`[ModelTranslation] Ignoring invalid ${providerId} rule "${rule.match}": ${error.message}`);
+        }
+    }
+
+    return {
+        known: spec.known ? new Set(spec.known) : null,
+        overrides: new Map(Object.entries(spec.overrides || {}).map(([from, to]) => [from.toLowerCase(), to])),
+        rules,
+        normalize: spec.normalize !== false
+    };
+}
+
+/**
+ * Merge user config over a built-in spec: user overrides win, user rules run first,
+ * user known ids extend the built-in list
+ *
+ * @param {Object} builtin - Built-in spec
+ * @param {Object} user - User spec from config.modelTranslation
+ * @returns {Object} Merged spec
+ */
+function mergeSpecs(builtin = {}, user = {}) {
+    const known = builtin.known || user.known
+        ? [...(builtin.known || []), ...(user.known || [])]
+        : undefined;
+    return {
+        known,
+        overrides: { ...builtin.overrides, ...user.overrides },
+        rules: [...(user.rules || []), ...(builtin.rules || [])],
+        normalize: user.normalize ?? builtin.normalize
+    };
+}
+
+// Compiled registry, rebuilt when config.modelTranslation changes
+const NO_USER_TRANSLATIONS = {};
+let compiledFor;
+let compiled = new Map();
+
+/**
+ * Get the compiled registry for the current config
+ *
+ * @returns {Map<string, Object>} Compiled specs keyed by provider id
+ */
+function getRegistry() {
+    const userConfig = config.modelTranslation || NO_USER_TRANSLATIONS;
+    if (compiledFor !== userConfig) {
+        compiled = new Map();
+        const providerIds = new Set([...Object.keys(BUILTIN_MODEL_TRANSLATIONS), ...Object.keys(userConfig)]);
+        for (const providerId of providerIds) {
+            compiled.set(providerId, compileSpec(providerId, mergeSpecs(BUILTIN_MODEL_TRANSLATIONS[providerId], userConfig[providerId])));
+        }
+        compiledFor = userConfig;
+    }
+    return compiled;
+}
+
+/**
+ * Validate a config.modelTranslation value before it is saved
+ *
+ * @param {Object} translations - Candidate config.modelTranslation
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateModelTranslationConfig(translations) {
+    if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+        return 'modelTranslation must be an object keyed by provider id';
+    }
+    for (const [providerId, spec] of Object.entries(translations)) {
+        if (!spec || typeof spec !== 'object') return `${providerId}: must be an object`;
+        if (spec.known && !Array.isArray(spec.known)) return `${providerId}.known: must be an array`;
+        if (spec.overrides && typeof spec.overrides !== 'object') return `${providerId}.overrides: must be an object`;
+        if (spec.rules && !Array.isArray(spec.rules)) return `${providerId}.rules: must be an array`;
+        for (const rule of spec.rules || []) {
+            if (typeof rule?.match !== 'string' || typeof rule.replace !== 'string') {
+                return `${providerId}.rules: each rule needs string "match" and "replace"`;
+            }
+            try {
+                new RegExp(rule.match, rule.flags ?? 'i');
+            } catch (error) {
+                return `${providerId}.rules: invalid pattern "${rule.match}": ${error.message}`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve a model name for a provider without logging.
+ *
+ * Pipeline (applied in order):
+ *   1. Exact match against the known set → as-is
+ *   2. Override lookup (case-insensitive)
+ *   3. Normalize: strip -YYYYMMDD, -latest, -0 and -thinking suffixes
+ *   4. Override lookup again on the normalized name
+ *   5. Regex rules, in order (each applies to the previous result)
+ *   6. Classify: known / translated / unknown (not in known set) / passthrough (unchanged, no known set)
+ *
+ * @param {string} providerId - Provider id
+ * @param {string} model - Incoming model name
+ * @returns {{ model: string, isThinking: boolean, source: 'known'|'override'|'translated'|'unknown'|'passthrough' }}
+ *   Provider model id, whether -thinking was stripped, and which step produced it
+ */
+export function resolveModelName(providerId, model) {
+    const spec = getRegistry().get(providerId);
+    if (!model || !spec) return { model, isThinking: false, source: 'passthrough' };
+
+    let isThinking = false;
+
+    if (spec.known?.has(model)) {
+        return { model, isThinking, source: 'known' };
+    }
+
+    const lowerModel = model.toLowerCase();
+    if (spec.overrides.has(lowerModel)) {
+        isThinking = /-thinking$/i.test(model);
+        return { model: spec.overrides.get(lowerModel), isThinking, source: 'override' };
+    }
+
+    let translated = model;
+
+    if (spec.normalize) {
+        translated = translated.replace(/-\d{8}$/, '');
+        translated = translated.replace(/-latest$/, '');
+        translated = translated.replace(/-0$/, '');
+        if (/-thinking$/i.test(translated)) {
+            isThinking = true;
+            translated = translated.replace(/-thinking$/i, '');
+        }
+
+        const lowerTranslated = translated.toLowerCase();
+        if (spec.overrides.has(lowerTranslated)) {
+            return { model: spec.overrides.get(lowerTranslated), isThinking, source: 'override' };
+        }
+    }
+
+    for (const { pattern, replace } of spec.rules) {
+        translated = translated.replace(pattern, replace);
+    }
+    // A rule may drop the suffix too (e.g. providers that skip normalization)
+    if (/-thinking$/i.test(model) && !/-thinking$/i.test(translated)) {
+        isThinking = true;
+    }
+
+    let source;
+    if (spec.known) {
+        source = spec.known.has(translated) ? 'translated' : 'unknown';
+    } else {
+        source = translated !== model ? 'translated' : 'passthrough';
+    }
+    return { model: translated, isThinking, source };
+}
+
+/**
+ * Translate a model name for a provider, logging the result.
+ *
+ * @param {string} providerId - Provider id
+ * @param {string} model - Incoming model name
+ * @returns {{ model: string, isThinking: boolean }} Provider model id and whether -thinking was stripped
+ */
+export function translateModelName(providerId, model) {
+    const { model: translated, isThinking, source } = resolveModelName(providerId, model);
+
+    if (source === 'override') {
+        logger.debug(`[ModelTranslation] ${providerId} override: ${model} → ${translated}`);
+    } else if (source === 'translated') {
+        logger.info(`[ModelTranslation] ${providerId}: ${model} → ${translated}`);
+    } else if (source === 'unknown') {
+        // Unknown model — pass through but warn (the API may add new models)
+        if (translated !== model) {
+            logger.warn(`[ModelTranslation] ${providerId}: ${model} → ${translated} (not in known set, passing through)`);
+        } else {
+            logger.warn(`[ModelTranslation] ${providerId}: unknown model passed through unchanged: ${model}`);
+        }
+    }
+    return { model: translated, isThinking };
+}
+
+/**
+ * Check whether a model resolves to an id in the provider's known set.
+ *
+ * @param {string} providerId - Provider id
+ * @param {string} model - Incoming model name
+ * @returns {boolean} True if the provider declares the resolved id
+ */
+export function isKnownProviderModel(providerId, model) {
+    const { source } = resolveModelName(providerId, model);
+    const hasKnownSet = Boolean(getRegistry().get(providerId)?.known);
+    return source === 'known' || source === 'override' || (source === 'translated' && hasKnownSet);
+}
+
+/**
+ * Preview how a model name resolves for every provider with translations.
+ *
+ * @param {string} model - Incoming model name
+ * @param {string[]} [providerIds] - Providers to include (default: every registered provider)
+ * @returns {Object<string, {model: string, isThinking: boolean, source: string}>} Results keyed by provider id
+ */
+export function previewModelTranslation(model, providerIds = [...getRegistry().keys()]) {
+    return Object.fromEntries(providerIds.map(providerId => [providerId, resolveModelName(providerId, model)]));
+}
+
+export default {
+    BUILTIN_MODEL_TRANSLATIONS,
+    resolveModelName,
+    translateModelName,
+    isKnownProviderModel,
+    previewModelTranslation,
+    validateModelTranslationConfig
+};
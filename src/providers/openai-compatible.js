@@ -17,7 +17,9 @@
 
 import { ProviderType } from './index.js';
 import { logger } from '../utils/logger.js';
+import { withEstimatedUsage } from '../utils/token-counter.js';
 import { COPILOT_REASONING_MODELS } from '../cloudcode/provider-dispatch.js';
+import { budgetToEffort, toOpenAITool, mapStopReason } from '../format/openai-mapping.js';
 
 // --- Anthropic → OpenAI Request Conversion ---
 
@@ -227,14 +229,7 @@ function convertMessages(anthropicMessages) {
 function convertTools(tools) {
     if (!tools || tools.length === 0) return undefined;
 
-    return tools.map(tool => ({
-        type: 'function',
-        function: {
-            name: tool.name,
-            description: tool.description || '',
-            parameters: tool.input_schema || { type: 'object', properties: {} }
-        }
-    }));
+    return tools.map(toOpenAITool);
 }
 
 /**
@@ -257,6 +252,14 @@ function convertThinkingToReasoning(request) {
     const isCopilotReasoning = request._copilotReasoning;
     const isReasoningModel = COPILOT_REASONING_MODELS.has(model);
 
+    // Generic OpenAI-compatible servers (custom provider) only understand
+    // reasoning_effort, and only get it when thinking was requested
+    if (request._reasoningEffortOnly) {
+        return thinking?.type === 'enabled'
+            ? { reasoning_effort: budgetToEffort(thinking.budget_tokens) }
+            : {};
+    }
+
     // If not a reasoning model or no thinking config, skip
     if (!isReasoningModel && !isCopilotReasoning) {
         return {};
@@ -267,15 +270,7 @@ function convertThinkingToReasoning(request) {
 
     if (thinking) {
         if (thinking.type === 'enabled' && thinking.budget_tokens) {
-            // Map budget tokens to effort level
-            // Rough mapping: <4k=low, 4k-16k=medium, >16k=high
-            if (thinking.budget_tokens < 4000) {
-                effort = 'low';
-            } else if (thinking.budget_tokens >= 16000) {
-                effort = 'high';
-            } else {
-                effort = 'medium';
-            }
+            effort = budgetToEffort(thinking.budget_tokens);
         } else if (thinking.type === 'disabled') {
             return {};
         }
@@ -384,22 +379,6 @@ function convertAnthropicToOpenAI(request) {
 
 // --- OpenAI → Anthropic Response Conversion ---
 
-/**
- * Map OpenAI finish_reason to Anthropic stop_reason.
- *
- * @param {string} finishReason - OpenAI finish reason
- * @returns {string} Anthropic stop reason
- */
-function mapStopReason(finishReason) {
-    switch (finishReason) {
-        case 'stop': return 'end_turn';
-        case 'length': return 'max_tokens';
-        case 'tool_calls': return 'tool_use';
-        case 'content_filter': return 'end_turn';
-        default: return finishReason || 'end_turn';
-    }
-}
-
 /**
  * Convert OpenAI Chat Completion response to Anthropic message format.
  *
@@ -420,11 +399,12 @@ function convertOpenAIToAnthropic(response, originalModel) {
     const content = [];
 
     // Add thinking/reasoning block if present
-    // Some OpenAI models return reasoning in a separate field
-    if (message.reasoning_content) {
+    // Some OpenAI models return reasoning in a separate field (Ollama names it "reasoning")
+    const reasoning = message.reasoning_content || message.reasoning;
+    if (reasoning) {
         content.push({
             type: 'thinking',
-            thinking: message.reasoning_content
+            thinking: reasoning
         });
     }
 
@@ -488,10 +468,12 @@ function convertOpenAIToAnthropic(response, originalModel) {
  * @param {string} config.baseUrl - API base URL
  * @param {string} [config.apiKey] - API key (optional)
  * @param {Object} [config.headers] - Additional headers
+ * @param {Object} [config.query] - Query parameters appended to every request (e.g. Azure api-version)
  * @returns {Object} Provider instance with sendMessage, sendMessageStream, listModels
  */
 export function createOpenAICompatibleProvider(config) {
-    const { id, name, baseUrl, apiKey, headers = {} } = config;
+    const { id, name, baseUrl, apiKey, headers = {}, query = null } = config;
+    const queryString = query ? `?${new URLSearchParams(query)}` : '';
 
     return {
         id,
@@ -502,7 +484,8 @@ export function createOpenAICompatibleProvider(config) {
         config: {
             baseUrl,
             apiKey,
-            headers
+            headers,
+            query
         },
 
         /**
@@ -511,6 +494,7 @@ export function createOpenAICompatibleProvider(config) {
          * @param {Object} request - Anthropic-format request
          * @param {Object} credentials - { apiKey }
          * @param {Object} options - Additional options
+         * @param {AbortSignal} [options.signal] - Aborts the upstream request
          * @returns {Promise<Object>} Anthropic-format response
          */
         async sendMessage(request, credentials = {}, options = {}) {
@@ -528,10 +512,11 @@ export function createOpenAICompatibleProvider(config) {
 
             logger.debug(`[OpenAI] POST ${baseUrl}/chat/completions model=${openaiRequest.model}`);
 
-            const response = await fetch(`${baseUrl}/chat/completions`, {
+            const response = await fetch(`${baseUrl}/chat/completions${queryString}`, {
                 method: 'POST',
                 headers: requestHeaders,
-                body: JSON.stringify(openaiRequest)
+                body: JSON.stringify(openaiRequest),
+                signal: options.signal
             });
 
             if (!response.ok) {
@@ -545,6 +530,21 @@ export function createOpenAICompatibleProvider(config) {
 
         /**
          * Send a streaming message.
+         * Wraps streamChatCompletion() and fills in usage the upstream leaves out
+         * (many OpenAI-compatible servers omit it or send it after finish_reason).
+         *
+         * @param {Object} request - Anthropic-format request
+         * @param {Object} credentials - { apiKey }
+         * @param {Object} options - Additional options
+         * @param {AbortSignal} [options.signal] - Aborts the upstream request
+         * @returns {AsyncGenerator<Object>} Anthropic-format SSE events
+         */
+        sendMessageStream(request, credentials = {}, options = {}) {
+            return withEstimatedUsage(this.streamChatCompletion(request, credentials, options), request);
+        },
+
+        /**
+         * Stream a chat completion.
          * Converts Anthropic request to OpenAI format, streams the response,
          * and yields Anthropic-format SSE events.
          *
@@ -557,9 +557,10 @@ export function createOpenAICompatibleProvider(config) {
          * @param {Object} request - Anthropic-format request
          * @param {Object} credentials - { apiKey }
          * @param {Object} options - Additional options
+         * @param {AbortSignal} [options.signal] - Aborts the upstream request
          * @yields {Object} Anthropic-format SSE events
          */
-        async *sendMessageStream(request, credentials = {}, options = {}) {
+        async *streamChatCompletion(request, credentials = {}, options = {}) {
             const key = credentials.apiKey || apiKey;
             const openaiRequest = convertAnthropicToOpenAI(request);
             openaiRequest.stream = true;
@@ -577,10 +578,11 @@ export function createOpenAICompatibleProvider(config) {
 
             logger.debug(`[OpenAI] POST ${baseUrl}/chat/completions (stream) model=${openaiRequest.model}`);
 
-            const response = await fetch(`${baseUrl}/chat/completions`, {
+            const response = await fetch(`${baseUrl}/chat/completions${queryString}`, {
                 method: 'POST',
                 headers: requestHeaders,
-                body: JSON.stringify(openaiRequest)
+                body: JSON.stringify(openaiRequest),
+                signal: options.signal
             });
 
             if (!response.ok) {
@@ -658,8 +660,9 @@ export function createOpenAICompatibleProvider(config) {
                             };
                         }
 
-                        // --- Reasoning/thinking content ---
-                        if (delta.reasoning_content) {
+                        // --- Reasoning/thinking content (Ollama names it "reasoning") ---
+                        const reasoningDelta = delta.reasoning_content || delta.reasoning;
+                        if (reasoningDelta) {
                             if (!thinkingBlockStarted) {
                                 thinkingBlockStarted = true;
                                 yield {
@@ -671,7 +674,7 @@ export function createOpenAICompatibleProvider(config) {
                             yield {
                                 type: 'content_block_delta',
                                 index: currentBlockIndex,
-                                delta: { type: 'thinking_delta', thinking: delta.reasoning_content }
+                                delta: { type: 'thinking_delta', thinking: reasoningDelta }
                             };
                         }
 
@@ -845,7 +848,7 @@ export function createOpenAICompatibleProvider(config) {
                     requestHeaders['Authorization'] = `Bearer ${key}`;
                 }
 
-                const response = await fetch(`${baseUrl}/models`, {
+                const response = await fetch(`${baseUrl}/models${queryString}`, {
                     headers: requestHeaders
                 });
 
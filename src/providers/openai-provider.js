@@ -3,11 +3,77 @@
  *
  * Implements authentication via OpenAI API keys.
  * Supports GPT models via direct OpenAI API.
+ *
+ * Accounts may point at their own endpoint (customApiEndpoint), e.g. a
+ * self-hosted OpenAI-compatible server, or an Azure OpenAI resource. Azure
+ * accounts route each model to a deployment, pass the api-version query
+ * parameter and authenticate with the api-key header.
  */
 
 import BaseProvider from './base-provider.js';
+import { AZURE_OPENAI_API_VERSION } from '../constants.js';
 import crypto from 'crypto';
 
+// Azure OpenAI resource hosts
+const AZURE_HOST_PATTERN = /\.(openai\.azure\.com|cognitiveservices\.azure\.com)$/i;
+
+/**
+ * Normalize Azure settings from the WebUI / CLI / accounts.json.
+ * Deployments may be given as an object or as "model=deployment, ..." text.
+ *
+ * @param {Object|null} azure - Raw Azure settings
+ * @returns {{deployment: string|null, deployments: Object<string, string>, apiVersion: string}|null}
+ *   Normalized settings, or null when Azure is not configured
+ */
+export function normalizeAzureConfig(azure) {
+    if (!azure || typeof azure !== 'object') return null;
+
+    let deployments = azure.deployments || {};
+    if (typeof deployments === 'string') {
+        deployments = Object.fromEntries(deployments
+            .split(',')
+            .map(pair => pair.split('=').map(part => part.trim()))
+            .filter(([model, deployment]) => model && deployment));
+    }
+
+    return {
+        deployment: azure.deployment?.trim() || null,
+        deployments,
+        apiVersion: azure.apiVersion?.trim() || AZURE_OPENAI_API_VERSION
+    };
+}
+
+/**
+ * Check whether an account targets Azure OpenAI (explicit settings or an Azure host)
+ *
+ * @param {Object} account - Account object
+ * @returns {boolean} True for Azure OpenAI accounts
+ */
+export function isAzureAccount(account) {
+    if (account?.azure) return true;
+    try {
+        return AZURE_HOST_PATTERN.test(new URL(account?.customApiEndpoint).hostname);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Resolve the Azure deployment that serves a model:
+ * explicit mapping, then the default deployment, then the model name itself
+ * (only when no mapping is configured - Azure deployments are often named after the model).
+ *
+ * @param {Object} account - Azure account
+ * @param {string} model - Requested model
+ * @returns {string|null} Deployment name, or null if the account doesn't serve the model
+ */
+export function resolveAzureDeployment(account, model) {
+    const azure = normalizeAzureConfig(account.azure) || normalizeAzureConfig({});
+    if (azure.deployments[model]) return azure.deployments[model];
+    if (azure.deployment) return azure.deployment;
+    return Object.keys(azure.deployments).length === 0 ? model : null;
+}
+
 /**
  * Check if an OpenAI model ID is a chat/reasoning model (not embeddings, tts, whisper, dall-e, etc.)
  * @param {string} id - Model ID
@@ -44,6 +110,74 @@ export class OpenAIProvider extends BaseProvider {
         });
     }
 
+    /**
+     * Resolve the account's endpoint (without trailing slash or API path)
+     *
+     * @param {Object} account - Account object
+     * @returns {string} Endpoint origin/path prefix
+     */
+    getApiEndpoint(account) {
+        return (account?.customApiEndpoint || this.config.apiEndpoint)
+            .replace(/\/+$/, '')
+            .replace(/\/(v1|openai)$/, '');
+    }
+
+    /**
+     * Build auth headers (Azure uses api-key, everything else a bearer token)
+     *
+     * @param {Object} account - Account object
+     * @param {string} token - API key
+     * @returns {Object} Headers
+     */
+    getAuthHeaders(account, token) {
+        return isAzureAccount(account)
+            ? { 'api-key': token }
+            : { 'Authorization': `Bearer ${token}` };
+    }
+
+    /**
+     * URL of the account's model list
+     *
+     * @param {Object} account - Account object
+     * @returns {string} Models URL
+     */
+    getModelsUrl(account) {
+        const endpoint = this.getApiEndpoint(account);
+        if (isAzureAccount(account)) {
+            const { apiVersion } = normalizeAzureConfig(account.azure) || normalizeAzureConfig({});
+            return `${endpoint}/openai/models?api-version=${encodeURIComponent(apiVersion)}`;
+        }
+        return `${endpoint}/v1/models`;
+    }
+
+    /**
+     * Build the Chat Completions API configuration for a request
+     *
+     * @param {Object} account - Account object
+     * @param {string} token - API key
+     * @param {string} model - Requested model (selects the Azure deployment)
+     * @returns {{baseUrl: string, headers: Object, query?: Object}} API config
+     */
+    getApiConfig(account, token, model) {
+        const endpoint = this.getApiEndpoint(account);
+        const headers = {
+            ...this.getAuthHeaders(account, token),
+            'Content-Type': 'application/json'
+        };
+
+        if (isAzureAccount(account)) {
+            const { apiVersion } = normalizeAzureConfig(account.azure) || normalizeAzureConfig({});
+            const deployment = resolveAzureDeployment(account, model) || model;
+            return {
+                baseUrl: `${endpoint}/openai/deployments/${encodeURIComponent(deployment)}`,
+                headers,
+                query: { 'api-version': apiVersion }
+            };
+        }
+
+        return { baseUrl: `${endpoint}/v1`, headers };
+    }
+
     /**
      * Validate OpenAI API key
      *
@@ -57,12 +191,9 @@ export class OpenAIProvider extends BaseProvider {
 
         try {
             // Test API key by fetching model list
-            const endpoint = account.customApiEndpoint || this.config.apiEndpoint;
-            const response = await fetch(`${endpoint}/v1/models`, {
+            const response = await fetch(this.getModelsUrl(account), {
                 method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${account.apiKey}`
-                }
+                headers: this.getAuthHeaders(account, account.apiKey)
             });
 
             if (!response.ok) {
@@ -104,14 +235,10 @@ export class OpenAIProvider extends BaseProvider {
      */
     async getQuotas(account, token) {
         try {
-            const endpoint = account.customApiEndpoint || this.config.apiEndpoint;
-
             // Fetch available models
-            const response = await fetch(`${endpoint}/v1/models`, {
+            const response = await fetch(this.getModelsUrl(account), {
                 method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
+                headers: this.getAuthHeaders(account, token)
             });
 
             if (!response.ok) {
@@ -186,13 +313,20 @@ export class OpenAIProvider extends BaseProvider {
      * @returns {Promise<Array>} List of available models
      */
     async getAvailableModels(account, token) {
+        // Azure serves the configured deployments, listed under their model names
+        const azure = isAzureAccount(account) && normalizeAzureConfig(account.azure);
+        if (azure && Object.keys(azure.deployments).length > 0) {
+            return Object.keys(azure.deployments).map(id => ({
+                id,
+                name: id,
+                family: getOpenAIModelFamily(id)
+            }));
+        }
+
         try {
-            const endpoint = account.customApiEndpoint || this.config.apiEndpoint;
-            const response = await fetch(`${endpoint}/v1/models`, {
+            const response = await fetch(this.getModelsUrl(account), {
                 method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
+                headers: this.getAuthHeaders(account, token)
             });
 
             if (!response.ok) {
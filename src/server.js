@@ -5,10 +5,11 @@
  */
 
 import express from 'express';
+import fs from 'fs';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { sendMessage, sendMessageStream, listModels, getModelQuotas, getSubscriptionTier } from './cloudcode/index.js';
+import { sendMessage, sendMessageStream, getModelQuotas, getSubscriptionTier } from './cloudcode/index.js';
 import { mountWebUI } from './webui/index.js';
 import { config } from './config.js';
 
@@ -18,9 +19,41 @@ import { forceRefresh } from './auth/token-extractor.js';
 import { REQUEST_BODY_LIMIT } from './constants.js';
 import { AccountManager } from './account-manager/index.js';
 import { clearThinkingSignatureCache } from './format/signature-cache.js';
+import {
+    convertOpenAIChatToAnthropic,
+    convertAnthropicToOpenAIChat,
+    streamAnthropicToOpenAIChat
+} from './format/openai-chat-converter.js';
+import {
+    convertOpenAIResponsesToAnthropic,
+    convertAnthropicToOpenAIResponse,
+    createResponseEnvelope,
+    streamAnthropicToOpenAIResponses
+} from './format/openai-responses-converter.js';
+import {
+    convertGeminiToAnthropic,
+    convertAnthropicToGemini,
+    streamAnthropicToGemini,
+    wantsThoughts,
+    getField
+} from './format/gemini-native-converter.js';
+import { collectAnthropicMessage } from './format/codex-responses-converter.js';
 import { formatDuration, safeCompare } from './utils/helpers.js';
+import { RequestCancelledError, isRequestCancelledError } from './errors.js';
 import { logger } from './utils/logger.js';
+import { countRequestTokens } from './utils/token-counter.js';
 import usageStats from './modules/usage-stats.js';
+import { MessageBatchManager, validateBatchRequests, formatBatch } from './modules/message-batches.js';
+import { ModelCatalog } from './modules/model-catalog.js';
+import { ResponseCache, buildCacheKey, replayMessageEvents } from './modules/response-cache.js';
+import { RequestDeduplicator } from './modules/request-dedup.js';
+import { tokenUsage, parseUsageQuery } from './modules/token-usage.js';
+import { estimateCost, parseReportMonth, buildCostReport, formatCostReport } from './modules/cost-estimator.js';
+import { clientKeys, isModelAllowed } from './modules/client-keys.js';
+import { ingressLimiter, resolveClientLimits, limitHeaders } from './modules/ingress-limits.js';
+import { metrics, PROMETHEUS_CONTENT_TYPE } from './modules/metrics.js';
+import { tracer, parseTraceparent, SpanKind } from './modules/tracing.js';
+import { auditLog } from './modules/audit-log.js';
 
 // Parse fallback flag directly from command line args to avoid circular dependency
 const args = process.argv.slice(2);
@@ -64,6 +97,10 @@ async function ensureInitialized() {
             isInitialized = true;
             const status = accountManager.getStatus();
             logger.success(`[Server] Account pool initialized: ${status.summary}`);
+            // Seed the provider model lists account selection matches models against
+            modelCatalog.listModels().catch(error => {
+                logger.warn(`[Server] Failed to load the model catalog: ${error.message}`);
+            });
         } catch (error) {
             initError = error;
             initPromise = null; // Allow retry on failure
@@ -89,34 +126,180 @@ app.use(cors({
 }));
 app.use(express.json({ limit: REQUEST_BODY_LIMIT }));
 
-// API Key authentication middleware for /v1/* endpoints
-app.use('/v1', (req, res, next) => {
-    // Skip validation if apiKey is not configured
-    if (!config.apiKey) {
+/**
+ * Send an Anthropic-shaped error from the /v1 middleware
+ *
+ * @param {import('express').Response} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} type - Anthropic error type
+ * @param {string} message - Error message
+ */
+function sendIngressError(res, status, type, message) {
+    res.status(status).json({ type: 'error', error: { type, message } });
+}
+
+/**
+ * Models a /v1 inference request asks for, after model mapping (for client
+ * key policy). Routes without a model, and lookups, return none.
+ *
+ * @param {import('express').Request} req - Express request (path relative to /v1 or /v1beta)
+ * @returns {string[]} Model ids
+ */
+function requestedModels(req) {
+    if (req.method !== 'POST') return [];
+    if (req.path === '/messages/batches') {
+        const requests = Array.isArray(req.body?.requests) ? req.body.requests : [];
+        return requests.map(request => applyModelMapping(request?.params?.model));
+    }
+    const geminiModel = req.path.match(/^\/models\/(.+):(?:generateContent|streamGenerateContent|countTokens)$/);
+    if (geminiModel) return [applyModelMapping(decodeURIComponent(geminiModel[1]))];
+    if (['/messages', '/messages/count_tokens', '/chat/completions', '/responses'].includes(req.path)) {
+        return [applyModelMapping(req.body?.model)];
+    }
+    return [];
+}
+
+/**
+ * API key authentication for /v1/* (and Gemini-native /v1beta/*) endpoints
+ * and /metrics: config.apiKey (client "default") or a managed client key
+ * (client = key name). Open only while neither is configured.
+ *
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @param {import('express').NextFunction} next - Next middleware
+ */
+function authenticateClient(req, res, next) {
+    // Skip validation if no key is configured (revoked keys still count)
+    if (!config.apiKey && !clientKeys.requiresAuth()) {
         return next();
     }
 
     const authHeader = req.headers['authorization'];
     const xApiKey = req.headers['x-api-key'];
+    // Google GenAI SDKs send the key as x-goog-api-key or ?key=
+    const googApiKey = req.headers['x-goog-api-key'] || req.query.key;
 
     let providedKey = '';
     if (authHeader && authHeader.startsWith('Bearer ')) {
         providedKey = authHeader.substring(7);
     } else if (xApiKey) {
         providedKey = xApiKey;
+    } else if (googApiKey) {
+        providedKey = String(googApiKey);
     }
 
-    if (!providedKey || !safeCompare(providedKey, config.apiKey)) {
-        logger.warn(`[API] Unauthorized request from ${req.ip}, invalid API key`);
-        return res.status(401).json({
-            type: 'error',
-            error: {
-                type: 'authentication_error',
-                message: 'Invalid or missing API key'
-            }
+    if (providedKey && config.apiKey && safeCompare(providedKey, config.apiKey)) {
+        // Client name, for per-client usage accounting
+        res.locals.client = 'default';
+        return next();
+    }
+
+    const { record, error } = providedKey
+        ? clientKeys.authenticate(providedKey)
+        : { record: null, error: 'Invalid or missing API key' };
+    if (!record) {
+        logger.warn(`[API] Unauthorized request from ${req.ip}: ${error}`);
+        return sendIngressError(res, 401, 'authentication_error', error);
+    }
+
+    const deniedModel = requestedModels(req).find(model => !isModelAllowed(record, model));
+    if (deniedModel) {
+        logger.warn(`[API] Client key "${record.name}" is not allowed to use model ${deniedModel}`);
+        return sendIngressError(res, 403, 'permission_error', `API key "${record.name}" is not allowed to use model ${deniedModel}`);
+    }
+
+    res.locals.client = record.name;
+    res.locals.clientKey = record;
+    next();
+}
+
+// Response header with the request's trace id (while tracing is on)
+const TRACE_ID_HEADER = 'x-commons-trace-id';
+
+// Trace /v1 requests from here on, continuing the caller's trace from a W3C traceparent header
+app.use(['/v1', '/v1beta'], (req, res, next) => {
+    if (!tracer.isEnabled()) {
+        return next();
+    }
+
+    const urlPath = req.originalUrl.split('?')[0];
+    const span = tracer.startSpan(`${req.method} ${urlPath}`, {
+        kind: SpanKind.SERVER,
+        parent: parseTraceparent(req.get('traceparent')),
+        attributes: {
+            'http.request.method': req.method,
+            'url.path': urlPath,
+            'gen_ai.request.model': requestedModels(req)[0],
+            'commons.stream': req.method === 'POST' ? Boolean(req.body?.stream) || urlPath.includes(':streamGenerateContent') : null
+        }
+    });
+    res.setHeader(TRACE_ID_HEADER, span.traceId);
+    res.once('close', () => {
+        span.updateName(`${req.method} ${req.route?.path ?? urlPath}`);
+        span.setAttributes({
+            'http.route': req.route?.path,
+            'http.response.status_code': res.statusCode,
+            'commons.client': res.locals.client
         });
+        if (!res.writableFinished) span.setAttribute('commons.cancelled', true);
+        else if (res.statusCode >= 500) span.setError(`HTTP ${res.statusCode}`);
+        span.end();
+    });
+    tracer.runWithSpan(span, next);
+});
+
+app.use(['/v1', '/v1beta'], authenticateClient);
+
+/**
+ * How many requests a /v1 call counts as for ingress limits: one per
+ * inference request (a batch counts each of its requests), none for token
+ * counting and lookups
+ *
+ * @param {import('express').Request} req - Express request (path relative to /v1 or /v1beta)
+ * @returns {number} Request count
+ */
+function limitedRequestCount(req) {
+    if (req.path === '/messages/count_tokens' || req.path.endsWith(':countTokens')) return 0;
+    return requestedModels(req).length;
+}
+
+// Response header with the request's audit log id (while the audit log is on)
+const REQUEST_ID_HEADER = 'x-commons-request-id';
+
+// Prometheus request metrics and audit log records for inference requests
+// (not batch submissions: their requests run later)
+app.use(['/v1', '/v1beta'], (req, res, next) => {
+    if (limitedRequestCount(req) > 0 && req.path !== '/messages/batches') {
+        res.locals.metrics = metrics.trackRequest(res, requestedModels(req)[0]);
+        if (auditLog.isEnabled()) {
+            res.locals.audit = auditLog.trackRequest(req, res, requestedModels(req)[0]);
+            res.setHeader(REQUEST_ID_HEADER, res.locals.audit.requestId);
+        }
+    }
+    next();
+});
+
+// Ingress limits per client, checked before any account or upstream work
+app.use(['/v1', '/v1beta'], (req, res, next) => {
+    const weight = limitedRequestCount(req);
+    if (weight === 0) {
+        return next();
     }
 
+    const client = res.locals.client || 'anonymous';
+    const { allowed, retryable, retryAfterMs, message, status } = ingressLimiter.admit(
+        client, resolveClientLimits(client, res.locals.clientKey?.limits), weight
+    );
+    res.set(limitHeaders(status));
+    if (!allowed) {
+        logger.warn(`[API] ${message}`);
+        if (!retryable) {
+            // Waiting would not help: the batch alone is over the limit
+            return sendIngressError(res, 413, 'request_too_large', message);
+        }
+        res.set('retry-after', String(Math.ceil(retryAfterMs / 1000)));
+        return sendIngressError(res, 429, 'rate_limit_error', message);
+    }
     next();
 });
 
@@ -151,7 +334,16 @@ function parseError(error) {
     let statusCode = 500;
     let errorMessage = error.message;
 
-    if (error.message.includes('401') || error.message.includes('UNAUTHENTICATED')) {
+    if (error.name === 'UnsupportedModelError') {
+        errorType = 'invalid_request_error';
+        statusCode = 400;
+    } else if (error.name === 'IdempotencyKeyReusedError') {
+        errorType = 'invalid_request_error';
+        statusCode = 422;
+    } else if (error.name === 'CassetteMissError') {
+        errorType = 'api_error';
+        statusCode = 502;
+    } else if (error.message.includes('401') || error.message.includes('UNAUTHENTICATED')) {
         errorType = 'authentication_error';
         statusCode = 401;
         errorMessage = 'Authentication failed. Make sure Antigravity is running with a valid token.';
@@ -196,6 +388,363 @@ function parseError(error) {
     return { errorType, statusCode, errorMessage };
 }
 
+/**
+ * Apply the configured model mapping to a requested model.
+ *
+ * @param {string} model - Model requested by the client
+ * @returns {string} Mapped model id
+ */
+function applyModelMapping(model) {
+    const modelId = model || 'claude-3-5-sonnet-20241022';
+    const modelMapping = config.modelMapping || {};
+    if (modelMapping[modelId] && modelMapping[modelId].mapping) {
+        return modelMapping[modelId].mapping;
+    }
+    return modelId;
+}
+
+/**
+ * Resolve the model id for an inference request.
+ * Applies the configured model mapping and, if every account is rate-limited
+ * for the model, resets the limits so the request gets an optimistic retry.
+ *
+ * @param {string} model - Model requested by the client
+ * @returns {string} Model id to send upstream
+ */
+function resolveModelId(model) {
+    const modelId = applyModelMapping(model);
+    if (model && modelId !== model) {
+        logger.info(`[Server] Mapping model ${model} -> ${modelId}`);
+    }
+
+    // Optimistic Retry: If ALL accounts are rate-limited for this model, reset them to force a fresh check.
+    // If we have some available accounts, we try them first.
+    if (accountManager.isAllRateLimited(modelId)) {
+        logger.warn(`[Server] All accounts rate-limited for ${modelId}. Resetting state for optimistic retry.`);
+        accountManager.resetAllRateLimits();
+    }
+
+    return modelId;
+}
+
+/**
+ * Build the internal request object from an Anthropic Messages request body.
+ *
+ * @param {Object} body - Anthropic Messages request body
+ * @param {string} modelId - Resolved model id
+ * @returns {Object} Request for sendMessage/sendMessageStream
+ */
+function buildMessagesRequest(body, modelId) {
+    const { messages, stream, system, max_tokens, tools, tool_choice, thinking, top_p, top_k, temperature, stop_sequences, metadata } = body;
+    return {
+        model: modelId,
+        messages,
+        max_tokens: max_tokens || 4096,
+        stream,
+        system,
+        tools,
+        tool_choice,
+        thinking,
+        top_p,
+        top_k,
+        temperature,
+        stop_sequences,
+        metadata
+    };
+}
+
+// Response header naming the model that answered (differs from the request after a fallback)
+const SERVED_MODEL_HEADER = 'x-commons-model';
+
+/**
+ * Build sendMessage/sendMessageStream options for a client request:
+ *   - reports the answering model in the x-commons-model response header
+ *     (non-streaming only: streams flush their headers before it is known)
+ *   - cancels upstream work (fetches, retries, backoff waits) when the client
+ *     disconnects before the response finished
+ *   - keeps fallbacks within the client key's allowedModels
+ *
+ * @param {import('express').Response} res - Express response
+ * @param {string} model - Requested model (for logs and stats)
+ * @returns {{onServedModel: function(string): void, signal: AbortSignal, client: Object|undefined}} Handler options
+ */
+function handlerOptions(res, model) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (res.writableFinished) return;
+        logger.info(`[API] Client disconnected, cancelling upstream request for model: ${model}`);
+        usageStats.trackCancelled();
+        controller.abort(new RequestCancelledError());
+    });
+
+    return {
+        onServedModel: (servedModel) => {
+            if (!res.headersSent) res.setHeader(SERVED_MODEL_HEADER, servedModel);
+        },
+        signal: controller.signal,
+        client: res.locals.clientKey
+    };
+}
+
+/**
+ * Clear credential caches and force a token refresh after an auth error.
+ *
+ * @returns {Promise<string>} Message to return to the client
+ */
+async function refreshAfterAuthError() {
+    logger.warn('[API] Token might be expired, attempting refresh...');
+    try {
+        accountManager.clearProjectCache();
+        accountManager.clearTokenCache();
+        await forceRefresh();
+        return 'Token was expired and has been refreshed. Please retry your request.';
+    } catch (refreshError) {
+        return 'Could not refresh token. Make sure Antigravity is running.';
+    }
+}
+
+/**
+ * Aggregated model catalog for /v1/models
+ */
+export const modelCatalog = new ModelCatalog({ accountManager });
+
+/**
+ * Message Batches worker - drains batches through the same sendMessage path as /v1/messages
+ */
+export const batchManager = new MessageBatchManager({
+    accountManager,
+    mapModel: applyModelMapping,
+    processRequest: async (params) => {
+        await ensureInitialized();
+        const request = buildMessagesRequest({ ...params, stream: false }, resolveModelId(params.model));
+        request._client = params._client;
+        if (params._allowedProviders) request._allowedProviders = params._allowedProviders;
+        return sendMessage(request, accountManager, FALLBACK_ENABLED, {
+            client: params._allowedModels && { name: params._client, allowedModels: params._allowedModels }
+        });
+    },
+    describeError: (error) => {
+        const { errorType, errorMessage } = parseError(error);
+        return { type: errorType, message: errorMessage };
+    }
+});
+
+/**
+ * Exact-match response cache (opt-in via config.responseCache)
+ */
+export const responseCache = new ResponseCache();
+
+// Response header reporting the cache outcome: hit, miss or bypass (not cacheable)
+const CACHE_HEADER = 'x-commons-cache';
+
+/**
+ * Look a request up in the response cache and report the outcome in the
+ * x-commons-cache response header (no header while the cache is off)
+ *
+ * @param {Object} request - Anthropic-format request
+ * @param {import('express').Response} res - Express response
+ * @returns {Promise<{cacheable: boolean, cached: Object|null}>} Lookup result
+ */
+async function lookupResponseCache(request, res) {
+    if (!responseCache.isEnabled()) return { cacheable: false, cached: null };
+    if (!responseCache.isCacheable(request)) {
+        res.setHeader(CACHE_HEADER, 'bypass');
+        return { cacheable: false, cached: null };
+    }
+
+    let cached = await responseCache.get(request);
+    // A fallback model's answer is not replayed to a key that may not use it
+    const clientKey = res.locals.clientKey;
+    if (cached && clientKey && !isModelAllowed(clientKey, cached.servedModel)) cached = null;
+    usageStats.trackCacheLookup(!!cached);
+    res.setHeader(CACHE_HEADER, cached ? 'hit' : 'miss');
+    if (cached) {
+        res.setHeader(SERVED_MODEL_HEADER, cached.servedModel);
+        logger.info(`[API] Serving cached response for model: ${request.model}`);
+    }
+    return { cacheable: true, cached };
+}
+
+/**
+ * In-flight coalescing and Idempotency-Key replay for non-streaming requests
+ */
+export const requestDedup = new RequestDeduplicator();
+
+// Response headers marking a result shared with another request
+const IDEMPOTENT_REPLAY_HEADER = 'Idempotent-Replayed';
+const COALESCED_HEADER = 'x-commons-coalesced';
+
+// Response header with the estimated upstream cost of a request (0 when no upstream
+// call was made for it: cache hits, replays, coalesced requests). Streams send it as
+// an HTTP trailer, since the cost is only known once the headers are out.
+const COST_HEADER = 'x-commons-cost-usd';
+
+/**
+ * Report the estimated cost of a streamed request: as a trailer once the SSE
+ * headers were flushed, or as a plain header when the route collected the
+ * whole stream before responding
+ *
+ * @param {import('express').Response} res - Express response
+ * @param {number} costUsd - Estimated cost in USD
+ */
+function reportStreamCost(res, costUsd) {
+    const value = costUsd.toFixed(6);
+    if (res.headersSent) {
+        res.addTrailers({ [COST_HEADER]: value });
+    } else {
+        res.removeHeader('Trailer');
+        res.setHeader(COST_HEADER, value);
+    }
+}
+
+/**
+ * Attribute a request to the client key that made it and apply the key's
+ * provider restriction (see the /v1 middleware)
+ *
+ * @param {Object} request - Anthropic-format request (mutated)
+ * @param {Object} locals - res.locals ({ client, clientKey })
+ */
+function applyClientKey(request, locals) {
+    request._client = locals.client;
+    const allowedProviders = locals.clientKey?.allowedProviders;
+    if (allowedProviders?.length) request._allowedProviders = allowedProviders;
+}
+
+/**
+ * Non-streaming entry point for the API routes: the response cache, then
+ * Idempotency-Key replay and in-flight coalescing, in front of sendMessage
+ *
+ * @param {Object} request - Anthropic-format request
+ * @param {import('express').Request} req - Express request (for the Idempotency-Key header)
+ * @param {import('express').Response} res - Express response
+ * @returns {Promise<Object>} Anthropic-format message
+ */
+async function sendClientMessage(request, req, res) {
+    applyClientKey(request, res.locals);
+    const options = handlerOptions(res, request.model);
+    const audited = res.locals.audit;
+    const { cacheable, cached } = await lookupResponseCache(request, res);
+    if (cached) {
+        res.setHeader(COST_HEADER, '0');
+        res.locals.metrics?.observeResponse(cached.response);
+        audited?.servedFrom('cache', cached.servedModel);
+        audited?.observeResponse(cached.response);
+        return cached.response;
+    }
+
+    const { result, coalesced, replayed } = await requestDedup.run({
+        fingerprint: buildCacheKey(request),
+        idempotencyKey: req.get('idempotency-key'),
+        client: res.locals.client || 'anonymous',
+        signal: options.signal
+    }, async (signal) => {
+        let servedModel = request.model;
+        let costUsd = 0;
+        const response = await sendMessage(request, accountManager, FALLBACK_ENABLED, {
+            signal,
+            client: options.client,
+            onServedModel: (model) => { servedModel = model; },
+            onUsage: (entry) => {
+                costUsd = estimateCost(entry).costUsd;
+                res.locals.metrics?.answeredBy(entry);
+                audited?.answeredBy(entry);
+            },
+            onAttempt: (attempt) => audited?.attempted(attempt)
+        });
+        if (cacheable) await responseCache.set(request, response, servedModel);
+        return { response, servedModel, costUsd };
+    });
+
+    options.onServedModel(result.servedModel);
+    if (replayed) res.setHeader(IDEMPOTENT_REPLAY_HEADER, 'true');
+    if (coalesced) res.setHeader(COALESCED_HEADER, 'true');
+    if (replayed || coalesced) audited?.servedFrom(replayed ? 'replay' : 'coalesced', result.servedModel);
+    res.setHeader(COST_HEADER, (replayed || coalesced ? 0 : result.costUsd).toFixed(6));
+    res.locals.metrics?.observeResponse(result.response);
+    audited?.observeResponse(result.response);
+    return result.response;
+}
+
+/**
+ * Streaming entry point for the API routes: looks the request up in the
+ * response cache while headers can still be set, so routes can flush the SSE
+ * headers before the first event
+ *
+ * @param {Object} request - Anthropic-format request
+ * @param {import('express').Response} res - Express response
+ * @returns {Promise<AsyncGenerator<Object>>} Anthropic-format SSE events
+ */
+async function openClientStream(request, res) {
+    applyClientKey(request, res.locals);
+    // Announced with the headers; sent by reportStreamCost when the stream completes
+    res.setHeader('Trailer', COST_HEADER);
+    const { cacheable, cached } = await lookupResponseCache(request, res);
+    return streamCachedMessage(request, res, cacheable, cached);
+}
+
+/**
+ * sendMessageStream through the response cache: hits are replayed as SSE
+ * events, and a completed stream for a cacheable request is stored
+ *
+ * @param {Object} request - Anthropic-format request
+ * @param {import('express').Response} res - Express response
+ * @param {boolean} cacheable - Whether a completed stream may be stored
+ * @param {Object|null} cached - Cache hit to replay
+ * @yields {Object} Anthropic-format SSE events
+ */
+async function* streamCachedMessage(request, res, cacheable, cached) {
+    const options = handlerOptions(res, request.model);
+    const tracked = res.locals.metrics;
+    const audited = res.locals.audit;
+    if (cached) {
+        audited?.servedFrom('cache', cached.servedModel);
+        for (const event of replayMessageEvents(cached.response)) {
+            tracked?.observeEvent(event);
+            audited?.observeEvent(event);
+            yield event;
+        }
+        reportStreamCost(res, 0);
+        return;
+    }
+
+    let servedModel = request.model;
+    let costUsd = 0;
+    const events = [];
+    try {
+        for await (const event of sendMessageStream(request, accountManager, FALLBACK_ENABLED, {
+            ...options,
+            onServedModel: (model) => {
+                servedModel = model;
+                options.onServedModel(model);
+            },
+            onUsage: (entry) => {
+                costUsd = estimateCost(entry).costUsd;
+                tracked?.answeredBy(entry);
+                audited?.answeredBy(entry);
+            },
+            onAttempt: (attempt) => audited?.attempted(attempt)
+        })) {
+            tracked?.observeEvent(event);
+            audited?.observeEvent(event);
+            if (cacheable) events.push(event);
+            yield event;
+        }
+    } catch (error) {
+        // The routes report stream errors in-band once headers are sent
+        if (!isRequestCancelledError(error)) {
+            const { statusCode } = parseError(error);
+            tracked?.fail(statusCode);
+            audited?.fail(statusCode);
+            tracer.activeSpan()?.recordException(error);
+        }
+        throw error;
+    }
+    reportStreamCost(res, costUsd);
+    if (cacheable && events.length > 0) {
+        await responseCache.set(request, await collectAnthropicMessage(events), servedModel);
+    }
+}
+
 // Request logging middleware
 app.use((req, res, next) => {
     const start = Date.now();
@@ -207,7 +756,7 @@ app.use((req, res, next) => {
         const logMsg = `[${req.method}] ${req.path} ${status} (${duration}ms)`;
 
         // Skip standard logging for event logging batch unless in debug mode
-        if (req.path === '/api/event_logging/batch' || req.path === '/v1/messages/count_tokens') {
+        if (req.path === '/api/event_logging/batch' || req.path === '/v1/messages/count_tokens' || req.path === '/metrics') {
             if (logger.isDebugEnabled) {
                 logger.debug(logMsg);
             }
@@ -375,6 +924,20 @@ app.get('/health', async (req, res) => {
     }
 });
 
+/**
+ * Prometheus metrics endpoint (text format, see modules/metrics.js)
+ * Protected by the same optional API key as /v1
+ */
+app.get('/metrics', authenticateClient, async (req, res) => {
+    try {
+        await ensureInitialized();
+        res.type(PROMETHEUS_CONTENT_TYPE).send(metrics.render(accountManager));
+    } catch (error) {
+        logger.error('[API] Metrics failed:', error);
+        res.status(500).type('text/plain').send(`# ${error.message}\n`);
+    }
+});
+
 /**
  * Account limits endpoint - fetch quota/limits for all accounts × all models
  * Returns a table showing remaining quota and reset time for each combination
@@ -674,26 +1237,74 @@ app.post('/refresh-token', async (req, res) => {
 });
 
 /**
- * List models endpoint (OpenAI-compatible format)
+ * List models - Anthropic Models API compatible
+ * Aggregates every enabled account's provider; `?refresh=true` bypasses the cache.
+ * Supports Anthropic pagination (limit, before_id, after_id); without a limit all models are returned.
  */
 app.get('/v1/models', async (req, res) => {
     try {
         await ensureInitialized();
-        const { account } = accountManager.selectAccount();
-        if (!account) {
-            return res.status(503).json({
+
+        const models = await modelCatalog.listModels({ refresh: req.query.refresh === 'true' });
+
+        let start = 0;
+        let end = models.length;
+        if (req.query.after_id) {
+            start = models.findIndex(model => model.id === req.query.after_id) + 1;
+        }
+        if (req.query.before_id) {
+            const index = models.findIndex(model => model.id === req.query.before_id);
+            if (index !== -1) end = index;
+        }
+
+        let data = models.slice(start, end);
+        let hasMore = false;
+        const limit = parseInt(req.query.limit, 10);
+        if (limit > 0 && data.length > limit) {
+            hasMore = true;
+            data = req.query.before_id ? data.slice(-limit) : data.slice(0, limit);
+        }
+
+        res.json({
+            object: 'list',
+            data,
+            has_more: hasMore,
+            first_id: data[0]?.id || null,
+            last_id: data[data.length - 1]?.id || null
+        });
+    } catch (error) {
+        logger.error('[API] Error listing models:', error);
+        res.status(500).json({
+            type: 'error',
+            error: {
+                type: 'api_error',
+                message: error.message
+            }
+        });
+    }
+});
+
+/**
+ * Get a model - Anthropic Models API compatible
+ * Model ids may contain slashes (e.g. OpenRouter's vendor/model)
+ */
+app.get('/v1/models/:id(*)', async (req, res) => {
+    try {
+        await ensureInitialized();
+
+        const model = await modelCatalog.getModel(req.params.id);
+        if (!model) {
+            return res.status(404).json({
                 type: 'error',
                 error: {
-                    type: 'api_error',
-                    message: 'No accounts available'
+                    type: 'not_found_error',
+                    message: `Model ${req.params.id} not found`
                 }
             });
         }
-        const token = await accountManager.getTokenForAccount(account);
-        const models = await listModels(token);
-        res.json(models);
+        res.json(model);
     } catch (error) {
-        logger.error('[API] Error listing models:', error);
+        logger.error('[API] Error getting model:', error);
         res.status(500).json({
             type: 'error',
             error: {
@@ -706,16 +1317,218 @@ app.get('/v1/models', async (req, res) => {
 
 /**
  * Count tokens endpoint - Anthropic Messages API compatible
- * Uses local tokenization with official tokenizers (@anthropic-ai/tokenizer for Claude, @lenml/tokenizer-gemini for Gemini)
+ * Uses the local per-family estimator (Claude, Gemini, GPT); no upstream call or account is needed
  */
 app.post('/v1/messages/count_tokens', (req, res) => {
-    res.status(501).json({
+    const { model, messages, system, tools } = req.body || {};
+
+    if (!messages || !Array.isArray(messages)) {
+        return res.status(400).json({
+            type: 'error',
+            error: {
+                type: 'invalid_request_error',
+                message: 'messages is required and must be an array'
+            }
+        });
+    }
+
+    try {
+        const inputTokens = countRequestTokens({
+            model: applyModelMapping(model),
+            messages,
+            system,
+            tools
+        });
+        res.json({ input_tokens: inputTokens });
+    } catch (error) {
+        logger.error('[API] Error counting tokens:', error);
+        res.status(500).json({
+            type: 'error',
+            error: {
+                type: 'api_error',
+                message: error.message
+            }
+        });
+    }
+});
+
+/**
+ * Base URL of this proxy as seen by the client (used for batch results_url)
+ *
+ * @param {import('express').Request} req - Express request
+ * @returns {string} Base URL
+ */
+function getBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Send a not_found_error for an unknown batch id
+ *
+ * @param {import('express').Response} res - Express response
+ * @param {string} id - Batch id
+ */
+function batchNotFound(res, id) {
+    res.status(404).json({
         type: 'error',
         error: {
-            type: 'not_implemented',
-            message: 'Token counting is not implemented. Use /v1/messages with max_tokens or configure your client to skip token counting.'
+            type: 'not_found_error',
+            message: `Message batch ${id} not found`
         }
     });
+}
+
+/**
+ * Client a batch belongs to: batches are only visible to the client that created them
+ *
+ * @param {import('express').Response} res - Express response
+ * @returns {string} Client name
+ */
+function batchOwner(res) {
+    return res.locals.client || 'anonymous';
+}
+
+/**
+ * Message Batches API - create a batch
+ * POST /v1/messages/batches
+ */
+app.post('/v1/messages/batches', (req, res) => {
+    const requests = req.body?.requests;
+    const validationError = validateBatchRequests(requests);
+    if (validationError) {
+        return res.status(400).json({
+            type: 'error',
+            error: {
+                type: 'invalid_request_error',
+                message: validationError
+            }
+        });
+    }
+
+    try {
+        // Batch requests run later, outside this request: carry the client key along
+        const batch = batchManager.createBatch(requests.map(({ custom_id, params }) => {
+            const attributed = { ...params };
+            applyClientKey(attributed, res.locals);
+            const allowedModels = res.locals.clientKey?.allowedModels;
+            if (allowedModels?.length) attributed._allowedModels = allowedModels;
+            return { custom_id, params: attributed };
+        }), batchOwner(res));
+        res.json(formatBatch(batch, getBaseUrl(req)));
+    } catch (error) {
+        logger.error('[API] Error creating message batch:', error);
+        res.status(500).json({
+            type: 'error',
+            error: {
+                type: 'api_error',
+                message: error.message
+            }
+        });
+    }
+});
+
+/**
+ * Message Batches API - list batches (most recent first)
+ * GET /v1/messages/batches?limit=&before_id=&after_id=
+ */
+app.get('/v1/messages/batches', (req, res) => {
+    const page = batchManager.listBatches({
+        limit: req.query.limit,
+        beforeId: req.query.before_id,
+        afterId: req.query.after_id,
+        client: batchOwner(res)
+    });
+    const baseUrl = getBaseUrl(req);
+    res.json({ ...page, data: page.data.map(batch => formatBatch(batch, baseUrl)) });
+});
+
+/**
+ * Message Batches API - retrieve a batch
+ * GET /v1/messages/batches/:id
+ */
+app.get('/v1/messages/batches/:id', (req, res) => {
+    const batch = batchManager.getBatch(req.params.id, batchOwner(res));
+    if (!batch) return batchNotFound(res, req.params.id);
+    res.json(formatBatch(batch, getBaseUrl(req)));
+});
+
+/**
+ * Message Batches API - cancel a batch
+ * POST /v1/messages/batches/:id/cancel
+ */
+app.post('/v1/messages/batches/:id/cancel', async (req, res) => {
+    try {
+        const batch = await batchManager.cancelBatch(req.params.id, batchOwner(res));
+        if (!batch) return batchNotFound(res, req.params.id);
+        res.json(formatBatch(batch, getBaseUrl(req)));
+    } catch (error) {
+        logger.error('[API] Error canceling message batch:', error);
+        res.status(500).json({
+            type: 'error',
+            error: {
+                type: 'api_error',
+                message: error.message
+            }
+        });
+    }
+});
+
+/**
+ * Message Batches API - delete an ended batch
+ * DELETE /v1/messages/batches/:id
+ */
+app.delete('/v1/messages/batches/:id', (req, res) => {
+    const result = batchManager.deleteBatch(req.params.id, batchOwner(res));
+    if (result.reason === 'not_found') return batchNotFound(res, req.params.id);
+    if (!result.deleted) {
+        return res.status(400).json({
+            type: 'error',
+            error: {
+                type: 'invalid_request_error',
+                message: 'Batch must finish processing before it can be deleted. Cancel it first.'
+            }
+        });
+    }
+    res.json({ id: req.params.id, type: 'message_batch_deleted' });
+});
+
+/**
+ * Message Batches API - download results as JSONL
+ * GET /v1/messages/batches/:id/results
+ */
+app.get('/v1/messages/batches/:id/results', async (req, res) => {
+    try {
+        const batch = batchManager.getBatch(req.params.id, batchOwner(res));
+        if (!batch) return batchNotFound(res, req.params.id);
+        if (batch.processing_status !== 'ended') {
+            return res.status(400).json({
+                type: 'error',
+                error: {
+                    type: 'invalid_request_error',
+                    message: `Batch ${batch.id} is still ${batch.processing_status}; results are available once it has ended`
+                }
+            });
+        }
+
+        await batchManager.flush(batch.id);
+        res.setHeader('Content-Type', 'application/x-jsonl');
+        fs.createReadStream(batchManager.getResultsPath(batch.id))
+            .on('error', (error) => {
+                logger.error(`[API] Error reading results for ${batch.id}:`, error.message);
+                if (!res.headersSent) res.status(500);
+                res.end();
+            })
+            .pipe(res);
+    } catch (error) {
+        logger.error('[API] Error reading message batch results:', error);
+        res.status(500).json({
+            type: 'error',
+            error: {
+                type: 'api_error',
+                message: error.message
+            }
+        });
+    }
 });
 
 /**
@@ -732,37 +1545,9 @@ app.post('/v1/messages', async (req, res) => {
         // Ensure account manager is initialized
         await ensureInitialized();
 
-        const {
-            model,
-            messages,
-            stream,
-            system,
-            max_tokens,
-            tools,
-            tool_choice,
-            thinking,
-            top_p,
-            top_k,
-            temperature
-        } = req.body;
-
-        // Resolve model mapping if configured
-        let requestedModel = model || 'claude-3-5-sonnet-20241022';
-        const modelMapping = config.modelMapping || {};
-        if (modelMapping[requestedModel] && modelMapping[requestedModel].mapping) {
-            const targetModel = modelMapping[requestedModel].mapping;
-            logger.info(`[Server] Mapping model ${requestedModel} -> ${targetModel}`);
-            requestedModel = targetModel;
-        }
-
-        const modelId = requestedModel;
+        const { model, messages, stream } = req.body;
 
-        // Optimistic Retry: If ALL accounts are rate-limited for this model, reset them to force a fresh check.
-        // If we have some available accounts, we try them first.
-        if (accountManager.isAllRateLimited(modelId)) {
-            logger.warn(`[Server] All accounts rate-limited for ${modelId}. Resetting state for optimistic retry.`);
-            accountManager.resetAllRateLimits();
-        }
+        const modelId = resolveModelId(model);
 
         // Validate required fields
         if (!messages || !Array.isArray(messages)) {
@@ -781,19 +1566,13 @@ app.post('/v1/messages', async (req, res) => {
         }
 
         // Build the request object
-        const request = {
-            model: modelId,
-            messages,
-            max_tokens: max_tokens || 4096,
-            stream,
-            system,
-            tools,
-            tool_choice,
-            thinking,
-            top_p,
-            top_k,
-            temperature
-        };
+        const request = buildMessagesRequest(req.body, modelId);
+
+        // Beta features are forwarded to native Anthropic upstreams
+        const betaHeader = req.get('anthropic-beta');
+        if (betaHeader) {
+            request._anthropicBeta = betaHeader;
+        }
 
         logger.info(`[API] Request for model: ${request.model}, stream: ${!!stream}`);
 
@@ -814,13 +1593,14 @@ app.post('/v1/messages', async (req, res) => {
             res.setHeader('Cache-Control', 'no-cache');
             res.setHeader('Connection', 'keep-alive');
             res.setHeader('X-Accel-Buffering', 'no');
+            const events = await openClientStream(request, res);
 
             // Flush headers immediately to start the stream
             res.flushHeaders();
 
             try {
                 // Use the streaming generator with account manager
-                for await (const event of sendMessageStream(request, accountManager, FALLBACK_ENABLED)) {
+                for await (const event of events) {
                     res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
                     // Flush after each event for real-time streaming
                     if (res.flush) res.flush();
@@ -828,6 +1608,8 @@ app.post('/v1/messages', async (req, res) => {
                 res.end();
 
             } catch (streamError) {
+                // The client is gone: nothing to report
+                if (isRequestCancelledError(streamError)) return res.end();
                 logger.error('[API] Stream error:', streamError);
 
                 const { errorType, errorMessage } = parseError(streamError);
@@ -841,26 +1623,19 @@ app.post('/v1/messages', async (req, res) => {
 
         } else {
             // Handle non-streaming response
-            const response = await sendMessage(request, accountManager, FALLBACK_ENABLED);
+            const response = await sendClientMessage(request, req, res);
             res.json(response);
         }
 
     } catch (error) {
+        if (isRequestCancelledError(error)) return res.end();
         logger.error('[API] Error:', error);
 
         let { errorType, statusCode, errorMessage } = parseError(error);
 
         // For auth errors, try to refresh token
         if (errorType === 'authentication_error') {
-            logger.warn('[API] Token might be expired, attempting refresh...');
-            try {
-                accountManager.clearProjectCache();
-                accountManager.clearTokenCache();
-                await forceRefresh();
-                errorMessage = 'Token was expired and has been refreshed. Please retry your request.';
-            } catch (refreshError) {
-                errorMessage = 'Could not refresh token. Make sure Antigravity is running.';
-            }
+            errorMessage = await refreshAfterAuthError();
         }
 
         logger.warn(`[API] Returning error response: ${statusCode} ${errorType} - ${errorMessage}`);
@@ -885,6 +1660,381 @@ app.post('/v1/messages', async (req, res) => {
     }
 });
 
+/**
+ * Build an OpenAI-shaped error body
+ *
+ * @param {string} errorType - Error type (e.g. invalid_request_error)
+ * @param {string} message - Error message
+ * @returns {Object} OpenAI error payload
+ */
+function openAIError(errorType, message) {
+    return {
+        error: {
+            message,
+            type: errorType,
+            param: null,
+            code: null
+        }
+    };
+}
+
+/**
+ * OpenAI-compatible Chat Completions API
+ * POST /v1/chat/completions
+ *
+ * Converts to the internal Anthropic request and goes through the same
+ * sendMessage/sendMessageStream retry and account-selection path as /v1/messages.
+ */
+app.post('/v1/chat/completions', async (req, res) => {
+    try {
+        await ensureInitialized();
+
+        const body = req.body || {};
+
+        if (!body.messages || !Array.isArray(body.messages) || body.messages.length === 0) {
+            return res.status(400).json(openAIError('invalid_request_error', 'messages is required and must be a non-empty array'));
+        }
+        if (body.n !== undefined && body.n !== null && body.n !== 1) {
+            return res.status(400).json(openAIError('invalid_request_error', 'Only n=1 is supported'));
+        }
+
+        const request = convertOpenAIChatToAnthropic(body);
+        request.model = resolveModelId(body.model);
+
+        if (request.messages.length === 0) {
+            return res.status(400).json(openAIError('invalid_request_error', 'messages must contain at least one user or assistant message'));
+        }
+
+        // Report the model the client asked for, like /v1/messages does
+        const responseModel = body.model || request.model;
+
+        logger.info(`[API] Chat completions request for model: ${request.model}, stream: ${request.stream}`);
+
+        if (request.stream) {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.setHeader('X-Accel-Buffering', 'no');
+            const events = await openClientStream(request, res);
+            res.flushHeaders();
+
+            try {
+                const chunks = streamAnthropicToOpenAIChat(
+                    events,
+                    responseModel,
+                    { includeUsage: !!body.stream_options?.include_usage }
+                );
+                for await (const chunk of chunks) {
+                    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+                    if (res.flush) res.flush();
+                }
+                res.write('data: [DONE]\n\n');
+                res.end();
+            } catch (streamError) {
+                if (isRequestCancelledError(streamError)) return res.end();
+                logger.error('[API] Chat completions stream error:', streamError);
+                const { errorType, errorMessage } = parseError(streamError);
+                res.write(`data: ${JSON.stringify(openAIError(errorType, errorMessage))}\n\n`);
+                res.end();
+            }
+        } else {
+            const response = await sendClientMessage(request, req, res);
+            res.json(convertAnthropicToOpenAIChat(response, responseModel));
+        }
+
+    } catch (error) {
+        if (isRequestCancelledError(error)) return res.end();
+        logger.error('[API] Chat completions error:', error);
+
+        let { errorType, statusCode, errorMessage } = parseError(error);
+
+        if (errorType === 'authentication_error') {
+            errorMessage = await refreshAfterAuthError();
+        }
+
+        logger.warn(`[API] Returning error response: ${statusCode} ${errorType} - ${errorMessage}`);
+
+        if (res.headersSent) {
+            res.write(`data: ${JSON.stringify(openAIError(errorType, errorMessage))}\n\n`);
+            res.end();
+        } else {
+            res.status(statusCode).json(openAIError(errorType, errorMessage));
+        }
+    }
+});
+
+/**
+ * OpenAI-compatible Responses API
+ * POST /v1/responses
+ *
+ * Stateless: clients must send the full conversation in `input` (store=false).
+ * Streams semantic events (response.output_text.delta, response.completed, ...).
+ */
+app.post('/v1/responses', async (req, res) => {
+    try {
+        await ensureInitialized();
+
+        const body = req.body || {};
+
+        if (body.input === undefined || body.input === null || (Array.isArray(body.input) && body.input.length === 0)) {
+            return res.status(400).json(openAIError('invalid_request_error', 'input is required'));
+        }
+        if (body.previous_response_id) {
+            return res.status(400).json(openAIError('invalid_request_error', 'previous_response_id is not supported. Send the full conversation in input with store=false.'));
+        }
+
+        const request = convertOpenAIResponsesToAnthropic(body);
+        request.model = resolveModelId(body.model);
+
+        if (request.messages.length === 0) {
+            return res.status(400).json(openAIError('invalid_request_error', 'input must contain at least one message'));
+        }
+
+        const envelope = createResponseEnvelope(body, body.model || request.model);
+
+        logger.info(`[API] Responses request for model: ${request.model}, stream: ${request.stream}`);
+
+        if (request.stream) {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.setHeader('X-Accel-Buffering', 'no');
+            const messages = await openClientStream(request, res);
+            res.flushHeaders();
+
+            try {
+                const events = streamAnthropicToOpenAIResponses(messages, envelope);
+                for await (const event of events) {
+                    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+                    if (res.flush) res.flush();
+                }
+                res.end();
+            } catch (streamError) {
+                if (isRequestCancelledError(streamError)) return res.end();
+                logger.error('[API] Responses stream error:', streamError);
+                const { errorType, errorMessage } = parseError(streamError);
+                const failed = {
+                    type: 'response.failed',
+                    response: { ...envelope, status: 'failed', error: { code: errorType, message: errorMessage } }
+                };
+                res.write(`event: ${failed.type}\ndata: ${JSON.stringify(failed)}\n\n`);
+                res.end();
+            }
+        } else {
+            const response = await sendClientMessage(request, req, res);
+            res.json(convertAnthropicToOpenAIResponse(response, envelope));
+        }
+
+    } catch (error) {
+        if (isRequestCancelledError(error)) return res.end();
+        logger.error('[API] Responses error:', error);
+
+        let { errorType, statusCode, errorMessage } = parseError(error);
+
+        if (errorType === 'authentication_error') {
+            errorMessage = await refreshAfterAuthError();
+        }
+
+        logger.warn(`[API] Returning error response: ${statusCode} ${errorType} - ${errorMessage}`);
+
+        if (res.headersSent) {
+            res.write(`event: error\ndata: ${JSON.stringify({ type: 'error', code: errorType, message: errorMessage })}\n\n`);
+            res.end();
+        } else {
+            res.status(statusCode).json(openAIError(errorType, errorMessage));
+        }
+    }
+});
+
+/**
+ * Google RPC status for each Anthropic error type
+ */
+const GEMINI_ERROR_STATUS = {
+    invalid_request_error: 'INVALID_ARGUMENT',
+    authentication_error: 'UNAUTHENTICATED',
+    permission_error: 'PERMISSION_DENIED',
+    not_found_error: 'NOT_FOUND',
+    rate_limit_error: 'RESOURCE_EXHAUSTED'
+};
+
+/**
+ * Build a Google-shaped error body
+ *
+ * @param {number} statusCode - HTTP status code
+ * @param {string} errorType - Anthropic error type (e.g. invalid_request_error)
+ * @param {string} message - Error message
+ * @returns {Object} Google API error payload
+ */
+function geminiError(statusCode, errorType, message) {
+    const status = GEMINI_ERROR_STATUS[errorType] || (statusCode >= 503 ? 'UNAVAILABLE' : 'INTERNAL');
+    return {
+        error: {
+            code: statusCode,
+            message,
+            status
+        }
+    };
+}
+
+/**
+ * Gemini-native API (Google GenAI SDKs)
+ * POST /v1beta/models/{model}:generateContent
+ * POST /v1beta/models/{model}:streamGenerateContent?alt=sse
+ * POST /v1beta/models/{model}:countTokens
+ *
+ * Converts to the internal Anthropic request, so any configured provider can
+ * serve Gemini SDK clients through the normal multi-account pipeline.
+ */
+app.post(/^\/(?:v1beta|v1)\/models\/(.+):(generateContent|streamGenerateContent|countTokens)$/, async (req, res) => {
+    const requestedModel = decodeURIComponent(req.params[0]);
+    const action = req.params[1];
+    const useSSE = req.query.alt === 'sse';
+
+    try {
+        const body = req.body || {};
+
+        if (action === 'countTokens') {
+            // Accepts either { contents } or { generateContentRequest: { ... } }
+            const source = getField(body, 'generateContentRequest') || body;
+            const request = convertGeminiToAnthropic(source);
+            const totalTokens = countRequestTokens({ ...request, model: applyModelMapping(requestedModel) });
+            return res.json({ totalTokens });
+        }
+
+        await ensureInitialized();
+
+        if (!Array.isArray(body.contents) || body.contents.length === 0) {
+            return res.status(400).json(geminiError(400, 'invalid_request_error', 'contents is required and must be a non-empty array'));
+        }
+        const candidateCount = getField(getField(body, 'generationConfig'), 'candidateCount');
+        if (candidateCount !== undefined && candidateCount !== 1) {
+            return res.status(400).json(geminiError(400, 'invalid_request_error', 'Only candidateCount=1 is supported'));
+        }
+
+        const request = convertGeminiToAnthropic(body);
+        request.model = resolveModelId(requestedModel);
+        request.stream = action === 'streamGenerateContent';
+
+        if (request.messages.length === 0) {
+            return res.status(400).json(geminiError(400, 'invalid_request_error', 'contents must contain at least one non-empty part'));
+        }
+
+        const options = { includeThoughts: wantsThoughts(body) };
+
+        logger.info(`[API] Gemini ${action} request for model: ${request.model}`);
+
+        if (request.stream) {
+            const chunks = streamAnthropicToGemini(
+                await openClientStream(request, res),
+                requestedModel,
+                options
+            );
+
+            if (!useSSE) {
+                // Without alt=sse, Gemini returns the chunks as one JSON array
+                const collected = [];
+                for await (const chunk of chunks) {
+                    collected.push(chunk);
+                }
+                return res.json(collected);
+            }
+
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.setHeader('X-Accel-Buffering', 'no');
+            res.flushHeaders();
+
+            try {
+                for await (const chunk of chunks) {
+                    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+                    if (res.flush) res.flush();
+                }
+                res.end();
+            } catch (streamError) {
+                if (isRequestCancelledError(streamError)) return res.end();
+                logger.error('[API] Gemini stream error:', streamError);
+                const { errorType, statusCode, errorMessage } = parseError(streamError);
+                res.write(`data: ${JSON.stringify(geminiError(statusCode, errorType, errorMessage))}\n\n`);
+                res.end();
+            }
+        } else {
+            const response = await sendClientMessage(request, req, res);
+            res.json(convertAnthropicToGemini(response, requestedModel, options));
+        }
+
+    } catch (error) {
+        if (isRequestCancelledError(error)) return res.end();
+        logger.error('[API] Gemini error:', error);
+
+        let { errorType, statusCode, errorMessage } = parseError(error);
+
+        if (errorType === 'authentication_error') {
+            errorMessage = await refreshAfterAuthError();
+        }
+
+        logger.warn(`[API] Returning error response: ${statusCode} ${errorType} - ${errorMessage}`);
+
+        if (res.headersSent) {
+            res.write(`data: ${JSON.stringify(geminiError(statusCode, errorType, errorMessage))}\n\n`);
+            res.end();
+        } else {
+            res.status(statusCode).json(geminiError(statusCode, errorType, errorMessage));
+        }
+    }
+});
+
+/**
+ * Response cache stats
+ * GET /api/cache
+ */
+app.get('/api/cache', (req, res) => {
+    res.json({ status: 'ok', cache: responseCache.getStats() });
+});
+
+/**
+ * Purge response cache entries (all, or filtered by ?model= / ?key=)
+ * DELETE /api/cache
+ */
+app.delete('/api/cache', (req, res) => {
+    try {
+        const purged = responseCache.purge({ model: req.query.model, key: req.query.key });
+        res.json({ status: 'ok', purged });
+    } catch (error) {
+        logger.error('[API] Error purging response cache:', error);
+        res.status(500).json({ status: 'error', error: error.message });
+    }
+});
+
+/**
+ * Token usage totals, optionally grouped
+ * GET /api/stats/usage?from=&to=&groupBy=hour|day,account,provider,model,family,client
+ */
+app.get('/api/stats/usage', (req, res) => {
+    const { error, options } = parseUsageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ status: 'error', error });
+    }
+    res.json({ status: 'ok', ...tokenUsage.query(options) });
+});
+
+/**
+ * Monthly cost report: estimated spend against Anthropic list prices
+ * GET /api/stats/cost?month=YYYY-MM (add &format=table for a plain-text table)
+ */
+app.get('/api/stats/cost', (req, res) => {
+    const { error, month } = parseReportMonth(req.query.month);
+    if (error) {
+        return res.status(400).json({ status: 'error', error });
+    }
+    const report = buildCostReport(month);
+    if (req.query.format === 'table') {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        return res.send(formatCostReport(report));
+    }
+    res.json({ status: 'ok', ...report });
+});
+
 /**
  * Catch-all for unsupported endpoints
  */
@@ -49,10 +49,46 @@ export function formatDuration(ms) {
 /**
  * Sleep for specified milliseconds
  * @param {number} ms - Duration to sleep in milliseconds
+ * @param {AbortSignal} [signal] - Ends the sleep early, rejecting with the signal's reason
  * @returns {Promise<void>} Resolves after the specified duration
  */
-export function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+export function sleep(ms, signal) {
+    if (!signal) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Abort a controller when an outer signal aborts (with the same reason)
+ *
+ * @param {AbortController} controller - Controller to abort
+ * @param {AbortSignal} [signal] - Outer signal
+ * @returns {function(): void} Removes the link
+ */
+export function linkAbortSignal(controller, signal) {
+    if (!signal) return () => {};
+    if (signal.aborted) {
+        controller.abort(signal.reason);
+        return () => {};
+    }
+    const onAbort = () => controller.abort(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
 }
 
 /**
@@ -72,6 +108,49 @@ export function isNetworkError(error) {
     );
 }
 
+/**
+ * Parse a server-sent events body into the JSON payloads of its `data:` lines.
+ * Non-JSON payloads (e.g. "[DONE]") are skipped. If the consumer stops early,
+ * the body is cancelled so the upstream connection is not left open.
+ * @param {ReadableStream} body - Response body
+ * @yields {Object} Parsed event payloads
+ */
+export async function* parseSSEEvents(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let finished = false;
+
+    try {
+        while (!finished) {
+            const { done, value } = await reader.read();
+            if (done) {
+                // The last line may end the stream without a trailing newline
+                buffer += decoder.decode();
+                finished = true;
+            } else {
+                buffer += decoder.decode(value, { stream: true });
+            }
+            const lines = buffer.split('\n');
+            buffer = finished ? '' : lines.pop() || '';
+
+            for (const line of lines) {
+                if (!line.startsWith('data:')) continue;
+                const data = line.slice(5).trim();
+                if (!data) continue;
+                try {
+                    yield JSON.parse(data);
+                } catch {
+                    // Ignore non-JSON payloads
+                }
+            }
+        }
+    } finally {
+        if (!finished) await reader.cancel().catch(() => {});
+        reader.releaseLock();
+    }
+}
+
 /**
  * Throttled fetch that applies a configurable delay before each request.
  * Only applies delay when requestThrottlingEnabled is true in config.
@@ -0,0 +1,394 @@
+/**
+ * Token Counter
+ *
+ * Local, dependency-free token estimation for Anthropic-format requests.
+ * Used by /v1/messages/count_tokens and to fill in stream usage when an
+ * upstream leaves it out.
+ *
+ * Text is split into words, numbers, punctuation, whitespace and CJK runs and
+ * each piece is costed using a per-family profile (Claude, Gemini, GPT) that
+ * approximates how that family's BPE/SentencePiece vocabulary splits it.
+ * Images are costed from their real dimensions (read from the PNG/JPEG/GIF/WebP
+ * header) using each vendor's published formula, and PDFs by page count.
+ */
+
+import { logger } from './logger.js';
+
+/**
+ * Per-family tokenization profiles
+ *
+ * - wordTokenLength: words up to this many letters are usually a single token
+ * - charsPerToken: average letters per token for longer words
+ * - cjkCharsPerToken: CJK / kana / hangul characters per token
+ * - messageOverhead: role / turn markers added per message
+ * - requestOverhead: fixed tokens added once per request
+ * - toolOverhead: tokens added per tool definition
+ * - toolSystemPrompt: hidden tool-use system prompt added when tools are present
+ * - pdfPageTokens: tokens per PDF page (text + rendered page image)
+ */
+const FAMILY_PROFILES = {
+    claude: {
+        wordTokenLength: 6,
+        charsPerToken: 3.5,
+        cjkCharsPerToken: 1,
+        messageOverhead: 4,
+        requestOverhead: 3,
+        toolOverhead: 8,
+        toolSystemPrompt: 346,
+        pdfPageTokens: 1500
+    },
+    gemini: {
+        wordTokenLength: 7,
+        charsPerToken: 4,
+        cjkCharsPerToken: 1.3,
+        messageOverhead: 3,
+        requestOverhead: 0,
+        toolOverhead: 6,
+        toolSystemPrompt: 0,
+        pdfPageTokens: 258
+    },
+    gpt: {
+        wordTokenLength: 7,
+        charsPerToken: 4,
+        cjkCharsPerToken: 1.2,
+        messageOverhead: 3,
+        requestOverhead: 3,
+        toolOverhead: 8,
+        toolSystemPrompt: 12,
+        pdfPageTokens: 765
+    }
+};
+
+/** Tokens assumed for an image whose dimensions cannot be read (e.g. URL sources) */
+const UNKNOWN_IMAGE_TOKENS = {
+    claude: 1600,
+    gemini: 258,
+    gpt: 765
+};
+
+// Words, numbers, CJK runs, whitespace runs, and single punctuation characters
+const PIECE_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|\p{L}[\p{L}\p{M}']*|\p{N}+|\s+|[^\s\p{L}\p{N}]+/gu;
+const CJK_PATTERN = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * Get the tokenizer family for a model name.
+ * Anything that is not Claude or Gemini is costed with the GPT profile.
+ *
+ * @param {string} model - Model name
+ * @returns {'claude'|'gemini'|'gpt'} Tokenizer family
+ */
+export function getTokenizerFamily(model) {
+    const lower = (model || '').toLowerCase();
+    if (lower.includes('claude')) return 'claude';
+    if (lower.includes('gemini')) return 'gemini';
+    return 'gpt';
+}
+
+/**
+ * Estimate the number of tokens in a piece of text.
+ *
+ * @param {string} text - Text to count
+ * @param {string} model - Model name (selects the family profile)
+ * @returns {number} Estimated token count
+ */
+export function countTextTokens(text, model) {
+    if (!text) return 0;
+    const profile = FAMILY_PROFILES[getTokenizerFamily(model)];
+    const pieces = String(text).match(PIECE_PATTERN) || [];
+    let tokens = 0;
+
+    for (const piece of pieces) {
+        if (CJK_PATTERN.test(piece)) {
+            tokens += Math.ceil([...piece].length / profile.cjkCharsPerToken);
+        } else if (/^\s+$/.test(piece)) {
+            // A single space merges into the following word; newlines and indentation runs cost a token
+            if (piece !== ' ') tokens += 1;
+        } else if (/^\p{N}/u.test(piece)) {
+            // Digits are split into groups of up to three
+            tokens += Math.ceil(piece.length / 3);
+        } else if (/^\p{L}/u.test(piece)) {
+            tokens += piece.length <= profile.wordTokenLength
+                ? 1
+                : Math.ceil(piece.length / profile.charsPerToken);
+        } else {
+            // Punctuation / symbols: repeated runs (----, ====) merge, mixed runs mostly don't
+            const unique = new Set(piece).size;
+            tokens += unique === 1 ? Math.ceil(piece.length / 4) : piece.length;
+        }
+    }
+
+    return tokens;
+}
+
+// --- Image / document sizing ---
+
+/**
+ * Read image dimensions from the header of a PNG, JPEG, GIF or WebP buffer.
+ *
+ * @param {Buffer} buf - Image bytes
+ * @returns {{width: number, height: number}|null} Dimensions, or null if unrecognized
+ */
+export function readImageDimensions(buf) {
+    if (!buf || buf.length < 24) return null;
+
+    // PNG: 8-byte signature, then IHDR with width/height as big-endian uint32
+    if (buf[0] === 0x89 && buf.toString('ascii', 1, 4) === 'PNG') {
+        return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+    }
+
+    // GIF: logical screen width/height as little-endian uint16
+    if (buf.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+    }
+
+    // WebP: RIFF container with VP8 / VP8L / VP8X chunk
+    if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP' && buf.length >= 30) {
+        const chunk = buf.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ') {
+            return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+        }
+        if (chunk === 'VP8L') {
+            const bits = buf.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+        }
+        return null;
+    }
+
+    // JPEG: walk segments until a start-of-frame marker
+    if (buf[0] === 0xff && buf[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buf.length) {
+            if (buf[offset] !== 0xff) {
+                offset++;
+                continue;
+            }
+            const marker = buf[offset + 1];
+            // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                return { height: buf.readUInt16BE(offset + 5), width: buf.readUInt16BE(offset + 7) };
+            }
+            // Standalone markers have no length field
+            if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+                offset += 2;
+                continue;
+            }
+            offset += 2 + buf.readUInt16BE(offset + 2);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Estimate image tokens from its dimensions using each family's published formula.
+ *
+ * - Claude: resized to fit 1568px on the long edge and ~1.15MP, then (w * h) / 750
+ * - Gemini: 258 tokens if both sides <= 384px, otherwise 258 per 768x768 tile
+ * - GPT: fit in 2048x2048, shortest side scaled to 768, then 85 + 170 per 512px tile
+ *
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {string} family - Tokenizer family
+ * @returns {number} Estimated token count
+ */
+export function countImageTokens(width, height, family) {
+    if (!width || !height) return UNKNOWN_IMAGE_TOKENS[family];
+
+    if (family === 'gemini') {
+        if (width <= 384 && height <= 384) return 258;
+        return Math.ceil(width / 768) * Math.ceil(height / 768) * 258;
+    }
+
+    if (family === 'gpt') {
+        let scale = Math.min(1, 2048 / Math.max(width, height));
+        let w = width * scale;
+        let h = height * scale;
+        scale = Math.min(1, 768 / Math.min(w, h));
+        w *= scale;
+        h *= scale;
+        return 85 + 170 * Math.ceil(w / 512) * Math.ceil(h / 512);
+    }
+
+    // Claude
+    let scale = Math.min(1, 1568 / Math.max(width, height));
+    scale = Math.min(scale, Math.sqrt(1150000 / (width * height)));
+    return Math.ceil((width * scale) * (height * scale) / 750);
+}
+
+/**
+ * Count pages in a PDF by counting its page objects.
+ *
+ * @param {Buffer} buf - PDF bytes
+ * @returns {number} Page count (at least 1)
+ */
+function countPdfPages(buf) {
+    const matches = buf.toString('latin1').match(/\/Type\s*\/Page(?![a-zA-Z])/g);
+    return Math.max(1, matches ? matches.length : 0);
+}
+
+/**
+ * Decode a base64 payload, tolerating malformed input.
+ *
+ * @param {string} data - Base64 data
+ * @returns {Buffer|null} Decoded bytes
+ */
+function decodeBase64(data) {
+    if (!data) return null;
+    try {
+        return Buffer.from(data, 'base64');
+    } catch (e) {
+        logger.debug(`[TokenCounter] Failed to decode base64 payload: ${e.message}`);
+        return null;
+    }
+}
+
+// --- Request counting ---
+
+/**
+ * Count tokens in an Anthropic content value (string or block array).
+ *
+ * @param {string|Array} content - Message content
+ * @param {string} model - Model name
+ * @param {boolean} includeThinking - Whether thinking blocks count toward context
+ * @returns {number} Estimated token count
+ */
+function countContentTokens(content, model, includeThinking) {
+    if (typeof content === 'string') return countTextTokens(content, model);
+    if (!Array.isArray(content)) return 0;
+
+    const family = getTokenizerFamily(model);
+    const profile = FAMILY_PROFILES[family];
+    let tokens = 0;
+
+    for (const block of content) {
+        if (!block) continue;
+        switch (block.type) {
+            case 'text':
+                tokens += countTextTokens(block.text, model);
+                break;
+            case 'thinking':
+                if (includeThinking) tokens += countTextTokens(block.thinking, model);
+                break;
+            case 'tool_use':
+                tokens += countTextTokens(block.name, model);
+                tokens += countTextTokens(JSON.stringify(block.input || {}), model);
+                break;
+            case 'tool_result':
+                tokens += countContentTokens(block.content, model, includeThinking);
+                break;
+            case 'image': {
+                const buf = block.source?.type === 'base64' ? decodeBase64(block.source.data) : null;
+                const dims = buf ? readImageDimensions(buf) : null;
+                tokens += countImageTokens(dims?.width, dims?.height, family);
+                break;
+            }
+            case 'document': {
+                const source = block.source || {};
+                if (source.type === 'text') {
+                    tokens += countTextTokens(source.data, model);
+                } else if (source.type === 'content') {
+                    tokens += countContentTokens(source.content, model, includeThinking);
+                } else {
+                    const buf = source.type === 'base64' ? decodeBase64(source.data) : null;
+                    tokens += (buf ? countPdfPages(buf) : 1) * profile.pdfPageTokens;
+                }
+                tokens += countTextTokens(block.title, model) + countTextTokens(block.context, model);
+                break;
+            }
+            default:
+                // redacted_thinking, server tool blocks, etc.: count their serialized form
+                if (block.type !== 'redacted_thinking') {
+                    tokens += countTextTokens(JSON.stringify(block), model);
+                }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Estimate input tokens for an Anthropic Messages request.
+ * Counts the system prompt, every message, tool definitions and the
+ * per-family framing overhead.
+ *
+ * Thinking blocks only count in the latest assistant turn, matching how
+ * Claude strips thinking from earlier turns.
+ *
+ * @param {Object} request - Anthropic-format request ({ model, system, messages, tools })
+ * @returns {number} Estimated input token count
+ */
+export function countRequestTokens(request) {
+    const model = request?.model;
+    const profile = FAMILY_PROFILES[getTokenizerFamily(model)];
+    const messages = Array.isArray(request?.messages) ? request.messages : [];
+    let tokens = profile.requestOverhead;
+
+    if (request?.system) {
+        tokens += countContentTokens(request.system, model, false) + profile.messageOverhead;
+    }
+
+    let lastAssistant = -1;
+    messages.forEach((msg, i) => {
+        if (msg?.role === 'assistant') lastAssistant = i;
+    });
+
+    messages.forEach((msg, i) => {
+        if (!msg) return;
+        tokens += profile.messageOverhead;
+        tokens += countContentTokens(msg.content, model, i === lastAssistant);
+    });
+
+    const tools = Array.isArray(request?.tools) ? request.tools : [];
+    if (tools.length > 0) {
+        tokens += profile.toolSystemPrompt;
+        for (const tool of tools) {
+            tokens += profile.toolOverhead;
+            if (tool.input_schema) {
+                tokens += countTextTokens(tool.name, model);
+                tokens += countTextTokens(tool.description, model);
+                tokens += countTextTokens(JSON.stringify(tool.input_schema), model);
+            } else {
+                // Server tools (web_search, bash, ...) have no schema; cost their definition
+                tokens += countTextTokens(JSON.stringify(tool), model);
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Wrap an Anthropic-format event stream and fill in usage the upstream left out.
+ *
+ * - message_start: input_tokens estimated from the request when it is 0 and nothing was cached
+ * - message_delta: output_tokens estimated from the streamed text, thinking and tool input
+ *
+ * @param {AsyncIterable<Object>} events - Anthropic-format SSE events
+ * @param {Object} request - The Anthropic-format request that produced the stream
+ * @yields {Object} The same events, with usage filled in where missing
+ */
+export async function* withEstimatedUsage(events, request) {
+    const model = request?.model;
+    let outputText = '';
+
+    for await (const event of events) {
+        if (event.type === 'message_start' && event.message) {
+            const usage = event.message.usage || {};
+            if (!usage.input_tokens && !usage.cache_read_input_tokens && request) {
+                event.message.usage = { ...usage, input_tokens: countRequestTokens(request) };
+            }
+        } else if (event.type === 'content_block_delta') {
+            const delta = event.delta || {};
+            outputText += delta.text || delta.thinking || delta.partial_json || '';
+        } else if (event.type === 'message_delta') {
+            const usage = event.usage || {};
+            if (!usage.output_tokens) {
+                event.usage = { ...usage, output_tokens: countTextTokens(outputText, model) };
+            }
+        }
+        yield event;
+    }
+}
@@ -24,8 +24,21 @@ import { logger } from '../utils/logger.js';
 import { safeCompare } from '../utils/helpers.js';
 import { getAuthorizationUrl, completeOAuthFlow, startCallbackServer } from '../auth/oauth.js';
 import { loadAccounts, saveAccounts } from '../account-manager/storage.js';
-import { getAllAuthProviders, getAuthProvider } from '../providers/index.js';
+import { getAllAuthProviders, getAuthProvider, hasAuthProvider } from '../providers/index.js';
 import { COPILOT_CONFIG } from '../providers/copilot.js';
+import { normalizeAzureConfig } from '../providers/openai-provider.js';
+import { previewModelTranslation, validateModelTranslationConfig } from '../providers/model-translation.js';
+import { isModelSupportedByProvider } from '../account-manager/model-compatibility.js';
+import { validateFallbackConfig } from '../fallback-config.js';
+import { validateHedgingConfig, DEFAULT_HEDGE_TTFT_MS } from '../cloudcode/hedging.js';
+import { validateResponseCacheConfig, DEFAULT_RESPONSE_CACHE_CONFIG } from '../modules/response-cache.js';
+import { validateRequestDedupConfig, DEFAULT_REQUEST_DEDUP_CONFIG } from '../modules/request-dedup.js';
+import { validatePricingConfig, DEFAULT_PRICING_CONFIG } from '../modules/cost-estimator.js';
+import { clientKeys } from '../modules/client-keys.js';
+import { validateIngressLimitsConfig, DEFAULT_INGRESS_LIMITS_CONFIG } from '../modules/ingress-limits.js';
+import { validateTracingConfig, DEFAULT_TRACING_CONFIG } from '../modules/tracing.js';
+import { auditLog, validateAuditLogConfig, DEFAULT_AUDIT_LOG_CONFIG } from '../modules/audit-log.js';
+import { validateCassetteConfig, DEFAULT_CASSETTE_CONFIG } from '../modules/cassettes.js';
 import { initiateCodexDeviceAuth, pollCodexDeviceAuth, startCodexBrowserAuth, CODEX_CONFIG } from '../providers/codex-auth.js';
 
 // Get package version
@@ -459,17 +472,21 @@ export function mountWebUI(app, dirname, accountManager) {
     app.post('/api/providers/:providerId/validate', async (req, res) => {
         try {
             const { providerId } = req.params;
-            const { email, apiKey, customApiEndpoint } = req.body;
+            const { email, apiKey, customApiEndpoint, azure } = req.body;
 
             if (!email) {
                 return res.status(400).json({ status: 'error', error: 'email is required' });
             }
+            if (!hasAuthProvider(providerId)) {
+                return res.status(400).json({ status: 'error', error: 'Unknown provider' });
+            }
 
             // Create temporary account object for validation
             const tempAccount = {
                 email,
                 apiKey,
                 customApiEndpoint,
+                azure: normalizeAzureConfig(azure) || undefined,
                 provider: providerId
             };
 
@@ -489,12 +506,43 @@ export function mountWebUI(app, dirname, accountManager) {
         }
     });
 
+    /**
+     * POST /api/providers/:providerId/models - List the models an unsaved account would serve
+     * (used by the add-account modal to discover local server models and their capabilities)
+     */
+    app.post('/api/providers/:providerId/models', async (req, res) => {
+        try {
+            const { providerId } = req.params;
+            const { apiKey, customApiEndpoint } = req.body;
+
+            if (!hasAuthProvider(providerId)) {
+                return res.status(400).json({ status: 'error', error: 'Unknown provider' });
+            }
+            // Custom servers are reached by endpoint and may run without a key; the others need a key
+            if (providerId === 'custom' && !customApiEndpoint) {
+                return res.status(400).json({ status: 'error', error: 'customApiEndpoint is required' });
+            }
+            if (providerId !== 'custom' && !apiKey) {
+                return res.status(400).json({ status: 'error', error: 'apiKey is required' });
+            }
+
+            const tempAccount = { apiKey, customApiEndpoint, provider: providerId };
+            const provider = getAuthProvider(providerId);
+            const models = await provider.getAvailableModels(tempAccount, apiKey);
+
+            res.json({ status: 'ok', models });
+        } catch (error) {
+            logger.error('[WebUI] Error listing provider models:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
     /**
      * POST /api/accounts/add - Add account with provider
      */
     app.post('/api/accounts/add', async (req, res) => {
         try {
-            const { email, provider, apiKey, customApiEndpoint } = req.body;
+            const { email, provider, apiKey, customApiEndpoint, azure, modelCapabilities } = req.body;
 
             if (!email) {
                 return res.status(400).json({ status: 'error', error: 'email is required' });
@@ -504,8 +552,13 @@ export function mountWebUI(app, dirname, accountManager) {
                 return res.status(400).json({ status: 'error', error: 'provider is required' });
             }
 
-            // For non-Google, non-Copilot, non-Codex providers, API key is required
-            if (provider !== 'google' && provider !== 'copilot' && provider !== 'codex' && !apiKey) {
+            // Custom (local) servers need a base URL; the API key is optional
+            if (provider === 'custom' && !customApiEndpoint) {
+                return res.status(400).json({ status: 'error', error: 'customApiEndpoint is required for this provider' });
+            }
+
+            // For non-Google, non-Copilot, non-Codex, non-custom providers, API key is required
+            if (!['google', 'copilot', 'codex', 'custom'].includes(provider) && !apiKey) {
                 return res.status(400).json({ status: 'error', error: 'apiKey is required for this provider' });
             }
 
@@ -515,7 +568,11 @@ export function mountWebUI(app, dirname, accountManager) {
                 provider,
                 source: provider === 'google' ? 'oauth' : 'manual',
                 apiKey,
-                customApiEndpoint
+                customApiEndpoint,
+                // Azure OpenAI deployment routing (OpenAI accounts only)
+                azure: provider === 'openai' ? normalizeAzureConfig(azure) || undefined : undefined,
+                // Per-model tools / vision / reasoning flags (custom accounts only)
+                modelCapabilities: provider === 'custom' ? modelCapabilities || undefined : undefined
             });
 
             // Reload AccountManager
@@ -818,7 +875,7 @@ export function mountWebUI(app, dirname, accountManager) {
      */
     app.post('/api/config', (req, res) => {
         try {
-            const { debug, logLevel, maxRetries, retryBaseMs, retryMaxMs, persistTokenCache, defaultCooldownMs, maxWaitBeforeErrorMs, maxAccounts, accountSelection, rateLimitDedupWindowMs, maxConsecutiveFailures, extendedCooldownMs, maxCapacityRetries } = req.body;
+            const { debug, logLevel, maxRetries, retryBaseMs, retryMaxMs, persistTokenCache, defaultCooldownMs, maxWaitBeforeErrorMs, maxAccounts, accountSelection, rateLimitDedupWindowMs, maxConsecutiveFailures, extendedCooldownMs, maxCapacityRetries, modelTranslation, modelFallback, hedging, responseCache, requestDedup, pricing, ingressLimits, tracing, auditLog: auditLogConfig, cassettes } = req.body;
 
             // Only allow updating specific fields (security)
             const updates = {};
@@ -870,6 +927,83 @@ export function mountWebUI(app, dirname, accountManager) {
                 }
             }
 
+            if (modelTranslation !== undefined) {
+                const translationError = validateModelTranslationConfig(modelTranslation);
+                if (translationError) {
+                    return res.status(400).json({ status: 'error', error: translationError });
+                }
+                updates.modelTranslation = modelTranslation;
+            }
+            if (modelFallback !== undefined) {
+                const fallbackError = validateFallbackConfig(modelFallback);
+                if (fallbackError) {
+                    return res.status(400).json({ status: 'error', error: fallbackError });
+                }
+                updates.modelFallback = {
+                    enabled: modelFallback.enabled ?? config.modelFallback?.enabled ?? false,
+                    chains: modelFallback.chains ?? config.modelFallback?.chains ?? {}
+                };
+            }
+            if (hedging !== undefined) {
+                const hedgingError = validateHedgingConfig(hedging);
+                if (hedgingError) {
+                    return res.status(400).json({ status: 'error', error: hedgingError });
+                }
+                updates.hedging = {
+                    defaultTtftMs: hedging.defaultTtftMs ?? config.hedging?.defaultTtftMs ?? DEFAULT_HEDGE_TTFT_MS,
+                    models: hedging.models ?? config.hedging?.models ?? {}
+                };
+            }
+            if (responseCache !== undefined) {
+                const responseCacheError = validateResponseCacheConfig(responseCache);
+                if (responseCacheError) {
+                    return res.status(400).json({ status: 'error', error: responseCacheError });
+                }
+                updates.responseCache = { ...DEFAULT_RESPONSE_CACHE_CONFIG, ...config.responseCache, ...responseCache };
+            }
+            if (requestDedup !== undefined) {
+                const requestDedupError = validateRequestDedupConfig(requestDedup);
+                if (requestDedupError) {
+                    return res.status(400).json({ status: 'error', error: requestDedupError });
+                }
+                updates.requestDedup = { ...DEFAULT_REQUEST_DEDUP_CONFIG, ...config.requestDedup, ...requestDedup };
+            }
+            if (pricing !== undefined) {
+                const pricingError = validatePricingConfig(pricing);
+                if (pricingError) {
+                    return res.status(400).json({ status: 'error', error: pricingError });
+                }
+                updates.pricing = { ...DEFAULT_PRICING_CONFIG, ...config.pricing, ...pricing };
+            }
+            if (ingressLimits !== undefined) {
+                const ingressLimitsError = validateIngressLimitsConfig(ingressLimits);
+                if (ingressLimitsError) {
+                    return res.status(400).json({ status: 'error', error: ingressLimitsError });
+                }
+                updates.ingressLimits = { ...DEFAULT_INGRESS_LIMITS_CONFIG, ...config.ingressLimits, ...ingressLimits };
+            }
+            if (tracing !== undefined) {
+                const tracingError = validateTracingConfig(tracing);
+                if (tracingError) {
+                    return res.status(400).json({ status: 'error', error: tracingError });
+                }
+                updates.tracing = { ...DEFAULT_TRACING_CONFIG, ...config.tracing, ...tracing };
+            }
+            if (auditLogConfig !== undefined) {
+                const auditLogError = validateAuditLogConfig(auditLogConfig);
+                if (auditLogError) {
+                    return res.status(400).json({ status: 'error', error: auditLogError });
+                }
+                updates.auditLog = { ...DEFAULT_AUDIT_LOG_CONFIG, ...config.auditLog, ...auditLogConfig };
+            }
+            if (cassettes !== undefined) {
+                const cassettesError = validateCassetteConfig(cassettes);
+                if (cassettesError) {
+                    return res.status(400).json({ status: 'error', error: cassettesError });
+                }
+                updates.cassettes = { ...DEFAULT_CASSETTE_CONFIG, ...config.cassettes, ...cassettes };
+            }
+
             if (Object.keys(updates).length === 0) {
                 return res.status(400).json({
                     status: 'error',
@@ -1133,6 +1267,127 @@ export function mountWebUI(app, dirname, accountManager) {
         }
     });
 
+    /**
+     * GET /api/models/translate - Preview how a model name resolves for each provider
+     * Query: model (required), providers (optional comma-separated provider ids)
+     */
+    app.get('/api/models/translate', (req, res) => {
+        const { model } = req.query;
+        if (!model || typeof model !== 'string') {
+            return res.status(400).json({ status: 'error', error: 'model query parameter is required' });
+        }
+
+        const providerIds = typeof req.query.providers === 'string'
+            ? req.query.providers.split(',').map(id => id.trim()).filter(Boolean)
+            : Object.keys(PROVIDER_NAMES);
+
+        const providers = {};
+        for (const [providerId, result] of Object.entries(previewModelTranslation(model, providerIds))) {
+            providers[providerId] = {
+                ...result,
+                supported: isModelSupportedByProvider(providerId, model)
+            };
+        }
+
+        res.json({ status: 'ok', model, providers });
+    });
+
+    // ==========================================
+    // Client Keys API
+    // ==========================================
+
+    /**
+     * GET /api/keys - List client API keys (without their hashes)
+     */
+    app.get('/api/keys', (req, res) => {
+        res.json({ status: 'ok', keys: clientKeys.list() });
+    });
+
+    /**
+     * POST /api/keys - Create a client API key
+     * Body: { name, expiresAt?, allowedModels?, allowedProviders?, limits? }
+     * The plaintext key is only returned in this response.
+     */
+    app.post('/api/keys', (req, res) => {
+        try {
+            const { key, record } = clientKeys.create(req.body || {});
+            res.json({ status: 'ok', key, record, message: `Key "${record.name}" created` });
+        } catch (error) {
+            res.status(400).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * PATCH /api/keys/:id - Change a key's name, expiry, allowed models/providers or limits
+     */
+    app.patch('/api/keys/:id', (req, res) => {
+        try {
+            const record = clientKeys.update(req.params.id, req.body || {});
+            if (!record) {
+                return res.status(404).json({ status: 'error', error: `Key "${req.params.id}" not found` });
+            }
+            res.json({ status: 'ok', record });
+        } catch (error) {
+            res.status(400).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * POST /api/keys/:id/revoke - Revoke a key (it stays listed)
+     */
+    app.post('/api/keys/:id/revoke', (req, res) => {
+        const record = clientKeys.revoke(req.params.id);
+        if (!record) {
+            return res.status(404).json({ status: 'error', error: `Key "${req.params.id}" not found` });
+        }
+        res.json({ status: 'ok', record, message: `Key "${record.name}" revoked` });
+    });
+
+    /**
+     * DELETE /api/keys/:id - Delete a key
+     */
+    app.delete('/api/keys/:id', (req, res) => {
+        if (!clientKeys.remove(req.params.id)) {
+            return res.status(404).json({ status: 'error', error: `Key "${req.params.id}" not found` });
+        }
+        res.json({ status: 'ok', message: `Key "${req.params.id}" deleted` });
+    });
+
+    // ==========================================
+    // Audit Log API
+    // ==========================================
+
+    /**
+     * GET /api/audit - Audit records, newest first, without their bodies
+     * Query: limit, before (request id cursor), client, model, status (e.g. 429 or 5xx), search
+     */
+    app.get('/api/audit', async (req, res) => {
+        try {
+            const { limit, before, client, model, status, search } = req.query;
+            const { records, nextBefore } = await auditLog.query({ limit, before, client, model, status, search });
+            res.json({ status: 'ok', ...auditLog.getStats(), records, nextBefore });
+        } catch (error) {
+            logger.error('[WebUI] Error reading audit log:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * GET /api/audit/:requestId - One audit record, with its bodies
+     */
+    app.get('/api/audit/:requestId', async (req, res) => {
+        try {
+            const record = await auditLog.get(req.params.requestId);
+            if (!record) {
+                return res.status(404).json({ status: 'error', error: `Audit record "${req.params.requestId}" not found` });
+            }
+            res.json({ status: 'ok', record });
+        } catch (error) {
+            logger.error('[WebUI] Error reading audit log:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
     // ==========================================
     // Logs API
     // ==========================================
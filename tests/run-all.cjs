@@ -21,6 +21,25 @@ const tests = [
     { name: 'OAuth No-Browser Mode', file: 'test-oauth-no-browser.cjs' },
     { name: 'Empty Response Retry', file: 'test-empty-response-retry.cjs' },
     { name: 'Schema Sanitizer', file: 'test-schema-sanitizer.cjs' },
+    { name: 'Format Converters', file: 'test-format-converters.cjs' },
+    { name: 'Token Counter', file: 'test-token-counter.cjs' },
+    { name: 'Message Batches', file: 'test-message-batches.cjs' },
+    { name: 'Model Catalog', file: 'test-model-catalog.cjs' },
+    { name: 'Model Compatibility', file: 'test-model-compatibility.cjs' },
+    { name: 'Model Translation', file: 'test-model-translation.cjs' },
+    { name: 'Fallback Chains', file: 'test-fallback-chain.cjs' },
+    { name: 'Hedged Requests', file: 'test-hedging.cjs' },
+    { name: 'Request Cancellation', file: 'test-request-cancellation.cjs' },
+    { name: 'Response Cache', file: 'test-response-cache.cjs' },
+    { name: 'Request Dedup', file: 'test-request-dedup.cjs' },
+    { name: 'Token Usage', file: 'test-token-usage.cjs' },
+    { name: 'Cost Estimator', file: 'test-cost-estimator.cjs' },
+    { name: 'Client Keys', file: 'test-client-keys.cjs' },
+    { name: 'Ingress Limits', file: 'test-ingress-limits.cjs' },
+    { name: 'Metrics', file: 'test-metrics.cjs' },
+    { name: 'Tracing', file: 'test-tracing.cjs' },
+    { name: 'Audit Log', file: 'test-audit-log.cjs' },
+    { name: 'Cassettes', file: 'test-cassettes.cjs' },
     { name: 'Streaming Whitespace', file: 'test-streaming-whitespace.cjs' }
 ];
 
@@ -0,0 +1,283 @@
+/**
+ * Test Audit Log - Unit Tests
+ *
+ * Tests the request audit log:
+ * - redaction of credentials and configured patterns
+ * - records built from a request's attempts, answer and response
+ * - client disconnects, cached answers and stream bodies
+ * - rotation by size and age, retention by count and age
+ * - filtered, paginated queries
+ * - config validation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║                   AUDIT LOG TEST SUITE                       ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        REDACTED,
+        validateAuditLogConfig,
+        redact,
+        AuditLog
+    } = await import('../src/modules/audit-log.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-test-'));
+    const logs = [];
+    let dirCount = 0;
+
+    /**
+     * Audit log in a fresh directory
+     */
+    function makeLog(settings = {}) {
+        const dir = path.join(root, `log-${dirCount++}`);
+        const log = new AuditLog({ dir, settings: { enabled: true, ...settings } });
+        logs.push(log);
+        return { dir, log };
+    }
+
+    /**
+     * Fake Express request/response pair; close() ends the response
+     */
+    function makeExchange(body, { client = 'ci', url = '/v1/messages' } = {}) {
+        const req = { method: 'POST', originalUrl: url, body };
+        const res = new EventEmitter();
+        res.locals = { client, clientKey: { id: 'key_1' } };
+        res.statusCode = 200;
+        res.writableFinished = true;
+        res.close = () => new Promise(resolve => {
+            res.emit('close');
+            setImmediate(resolve);
+        });
+        return { req, res };
+    }
+
+    /**
+     * Send one finished request through the log
+     */
+    async function record(log, model, { status = 200, client } = {}) {
+        const { req, res } = makeExchange({ model, messages: [] }, { client });
+        const audited = log.trackRequest(req, res, model);
+        res.statusCode = status;
+        await res.close();
+        return audited.requestId;
+    }
+
+    console.log('\n─── Redaction Tests ───');
+
+    await testAsync('redact: replaces secret keys and credentials inside strings', () => {
+        const redacted = redact({
+            headers: { Authorization: 'Bearer abc', 'x-api-key': 'sk-ant-REDACTED' },
+            refresh_token: '1//0abcdefghijklmnopqrstuvwxyz',
+            messages: [{ role: 'user', content: 'my key is sk-proj-abcdefghijklmnopqrst and token ya29.a0Abc-123' }],
+            max_tokens: 100,
+            token: ''
+        });
+        assertEqual(redacted.headers.Authorization, REDACTED);
+        assertEqual(redacted.headers['x-api-key'], REDACTED);
+        assertEqual(redacted.refresh_token, REDACTED);
+        assertEqual(redacted.messages[0].content, `my key is ${REDACTED} and token ${REDACTED}`);
+        assertEqual(redacted.max_tokens, 100);
+        assertEqual(redacted.token, '', 'empty values are left alone');
+    });
+
+    await testAsync('append: applies configured redactPatterns', async () => {
+        const { log } = makeLog({ redactPatterns: ['\\b\\d{3}-\\d{2}-\\d{4}\\b'] });
+        log.append({ requestId: 'req_a', status: 200, note: 'SSN 123-45-6789 on file' });
+        const stored = await log.get('req_a');
+        assertEqual(stored.note, `SSN ${REDACTED} on file`);
+    });
+
+    console.log('\n─── Record Tests ───');
+
+    await testAsync('trackRequest: records attempts, the answering account and the stop reason', async () => {
+        const { log } = makeLog();
+        const { req, res } = makeExchange({ model: 'claude-sonnet-4-5', messages: [] });
+        const audited = log.trackRequest(req, res, 'claude-sonnet-4-5');
+        audited.attempted({ account: 'a@x', provider: 'google', model: 'claude-sonnet-4-5' });
+        audited.attempted({ account: 'b@x', provider: 'anthropic', model: 'claude-sonnet-4-5' });
+        audited.answeredBy({ account: 'b@x', provider: 'anthropic', model: 'claude-sonnet-4-5', usage: { input_tokens: 10, output_tokens: 5 } });
+        audited.observeResponse({ type: 'message', stop_reason: 'end_turn', content: [] });
+        await res.close();
+
+        const stored = await log.get(audited.requestId);
+        assertEqual(stored.client, 'ci');
+        assertEqual(stored.clientKeyId, 'key_1');
+        assertEqual(stored.route, 'POST /v1/messages');
+        assertEqual(stored.source, 'upstream');
+        assertEqual(stored.attempts.length, 2);
+        assertEqual(stored.account, 'b@x');
+        assertEqual(stored.usage.output_tokens, 5);
+        assertEqual(stored.stopReason, 'end_turn');
+        assertEqual(stored.status, 200);
+        assertEqual(stored.request, undefined, 'no bodies without includeBodies');
+    });
+
+    await testAsync('trackRequest: records 499 on client disconnect and cached answers', async () => {
+        const { log } = makeLog();
+        const first = makeExchange({ model: 'm', messages: [] });
+        const dropped = log.trackRequest(first.req, first.res, 'm');
+        first.res.writableFinished = false;
+        await first.res.close();
+
+        const second = makeExchange({ model: 'm', messages: [] });
+        const cached = log.trackRequest(second.req, second.res, 'm');
+        cached.servedFrom('cache', 'm');
+        await second.res.close();
+
+        assertEqual((await log.get(dropped.requestId)).status, 499);
+        const stored = await log.get(cached.requestId);
+        assertEqual(stored.source, 'cache');
+        assertEqual(stored.attempts.length, 0);
+        assertEqual(stored.account, null);
+    });
+
+    await testAsync('trackRequest: rebuilds a streamed response body with includeBodies', async () => {
+        const { log } = makeLog({ includeBodies: true });
+        const { req, res } = makeExchange({ model: 'm', stream: true, messages: [{ role: 'user', content: 'hi' }] });
+        const audited = log.trackRequest(req, res, 'm');
+        const events = [
+            { type: 'message_start', message: { id: 'msg_1', type: 'message', role: 'assistant', model: 'm', content: [], stop_reason: null, usage: { input_tokens: 3, output_tokens: 0 } } },
+            { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hel' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'lo' } },
+            { type: 'content_block_stop', index: 0 },
+            { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } },
+            { type: 'message_stop' }
+        ];
+        for (const event of events) audited.observeEvent(event);
+        await res.close();
+
+        const stored = await log.get(audited.requestId);
+        assertEqual(stored.stream, true);
+        assertEqual(stored.stopReason, 'end_turn');
+        assertEqual(typeof stored.timeToFirstTokenMs, 'number');
+        assertEqual(stored.request.messages[0].content, 'hi');
+        assertEqual(stored.response.content[0].text, 'Hello');
+    });
+
+    console.log('\n─── Rotation Tests ───');
+
+    await testAsync('rotation: rotates by size and keeps at most maxFiles rotated files', async () => {
+        const { dir, log } = makeLog({ maxFileBytes: 800, maxFiles: 2 });
+        const ids = [];
+        for (let i = 0; i < 8; i++) ids.push(await record(log, 'm'));
+        await log.flush();
+
+        const names = fs.readdirSync(dir);
+        assertEqual(names.includes('audit.jsonl'), true);
+        assertEqual(names.filter(name => name.startsWith('audit-')).length, 2);
+        for (const name of names) {
+            assertEqual(fs.statSync(path.join(dir, name)).size <= 800, true, `${name} is over maxFileBytes`);
+        }
+        assertEqual((await log.get(ids[7])).requestId, ids[7], 'newest record kept');
+        assertEqual(await log.get(ids[0]), null, 'oldest record pruned');
+    });
+
+    await testAsync('rotation: rotates by age and deletes files past retentionMs', async () => {
+        const { dir, log } = makeLog({ maxFileAgeMs: 20, retentionMs: 60 * 60 * 1000 });
+        fs.mkdirSync(dir, { recursive: true });
+        const stale = path.join(dir, 'audit-2020-01-01T00-00-00-000Z.jsonl');
+        fs.writeFileSync(stale, '{"requestId":"req_old","status":200}\n');
+        const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+        fs.utimesSync(stale, old, old);
+
+        await record(log, 'm');
+        await log.flush();
+        assertEqual(fs.existsSync(stale), false, 'stale file deleted');
+
+        await new Promise(resolve => setTimeout(resolve, 30));
+        await record(log, 'm');
+        await log.flush();
+        assertEqual(fs.readdirSync(dir).filter(name => name.startsWith('audit-')).length, 1);
+        assertEqual(log.getStats().files.length, 2);
+    });
+
+    console.log('\n─── Query Tests ───');
+
+    await testAsync('query: filters by client, model and status class, newest first', async () => {
+        const { log } = makeLog();
+        await record(log, 'claude-sonnet-4-5', { client: 'ci' });
+        const failedId = await record(log, 'gpt-5', { client: 'ci', status: 503 });
+        const latestId = await record(log, 'claude-sonnet-4-5', { client: 'bot' });
+
+        const all = await log.query();
+        assertEqual(all.records.length, 3);
+        assertEqual(all.records[0].requestId, latestId);
+        assertEqual(all.records[0].hasBodies, false);
+        assertEqual((await log.query({ client: 'ci' })).records.length, 2);
+        assertEqual((await log.query({ model: 'claude-sonnet-4-5' })).records.length, 2);
+        const errors = await log.query({ status: '5xx' });
+        assertEqual(errors.records.length, 1);
+        assertEqual(errors.records[0].requestId, failedId);
+        assertEqual((await log.query({ search: 'GPT-5' })).records.length, 1);
+    });
+
+    await testAsync('query: pages across rotated files with the nextBefore cursor', async () => {
+        const { log } = makeLog({ maxFileBytes: 600 });
+        const ids = [];
+        for (let i = 0; i < 7; i++) ids.push(await record(log, 'm'));
+
+        const seen = [];
+        let page = await log.query({ limit: 3 });
+        seen.push(...page.records.map(r => r.requestId));
+        while (page.nextBefore) {
+            page = await log.query({ limit: 3, before: page.nextBefore });
+            seen.push(...page.records.map(r => r.requestId));
+        }
+        assertEqual(seen.join(','), [...ids].reverse().join(','));
+    });
+
+    console.log('\n─── Config Tests ───');
+
+    await testAsync('validateAuditLogConfig: accepts valid config, rejects bad values', () => {
+        assertEqual(validateAuditLogConfig({ enabled: true, includeBodies: false, redactPatterns: ['\\d+'], maxFileBytes: 1024, maxFiles: 3 }), null);
+        assertEqual(validateAuditLogConfig([]), 'auditLog must be an object');
+        assertEqual(validateAuditLogConfig({ includeBodies: 'yes' }), 'auditLog.includeBodies must be a boolean');
+        assertEqual(validateAuditLogConfig({ retentionMs: 0 }), 'auditLog.retentionMs must be a positive integer');
+        assertEqual(validateAuditLogConfig({ redactPatterns: 'x' }), 'auditLog.redactPatterns must be an array of regular expressions');
+        assertEqual(validateAuditLogConfig({ redactPatterns: ['('] }).startsWith('auditLog.redactPatterns: invalid pattern "("'), true);
+    });
+
+    for (const log of logs) await log.flush();
+    fs.rmSync(root, { recursive: true, force: true });
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
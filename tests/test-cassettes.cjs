@@ -0,0 +1,245 @@
+/**
+ * Test Cassettes - Unit Tests
+ *
+ * Tests record/replay of upstream traffic:
+ * - recording JSON and SSE exchanges, with credentials redacted
+ * - replaying them without the network, SSE chunk by chunk
+ * - matching options, recorded order and repeats, misses
+ * - recorded network errors and aborted requests
+ * - config validation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║                   CASSETTES TEST SUITE                       ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { CassetteRecorder, validateCassetteConfig } = await import('../src/modules/cassettes.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-test-'));
+    const SSE_CHUNKS = [
+        'data: {"response":{"candidates":[{"content":{"parts":[{"text":"Hel"}]}}]}}\n\n',
+        'data: {"response":{"candidates":[{"content":{"parts":[{"text":"lo"}]},"finishReason":"STOP"}]}}\n\n'
+    ];
+
+    /**
+     * Fake upstream: JSON answers echo a counter, SSE answers stream SSE_CHUNKS
+     */
+    function makeUpstream() {
+        const calls = [];
+        const fetch = async (url, init = {}) => {
+            calls.push({ url, init });
+            if (String(url).includes('offline')) throw new TypeError('fetch failed');
+            if (String(url).includes('alt=sse')) {
+                const encoder = new TextEncoder();
+                const chunks = [...SSE_CHUNKS];
+                const body = new ReadableStream({
+                    pull(controller) {
+                        if (chunks.length === 0) controller.close();
+                        else controller.enqueue(encoder.encode(chunks.shift()));
+                    }
+                });
+                return new Response(body, { headers: { 'content-type': 'text/event-stream' } });
+            }
+            return new Response(JSON.stringify({ call: calls.length }), {
+                headers: { 'content-type': 'application/json', 'content-length': '10' }
+            });
+        };
+        return { calls, fetch };
+    }
+
+    /**
+     * POST a Cloud Code style JSON body
+     */
+    function post(recorder, url, body, headers = {}) {
+        return recorder.fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: 'Bearer ya29.secret-token', ...headers },
+            body: JSON.stringify(body)
+        });
+    }
+
+    /**
+     * Chunks of a response body as text
+     */
+    async function readChunks(response) {
+        const decoder = new TextDecoder();
+        const chunks = [];
+        for await (const chunk of response.body) chunks.push(decoder.decode(chunk));
+        return chunks;
+    }
+
+    const ENDPOINT = 'https://cloudcode.example/v1internal';
+
+    console.log('\n─── Record Tests ───');
+
+    await testAsync('record: writes JSON and SSE exchanges in order, with credentials redacted', async () => {
+        const upstream = makeUpstream();
+        const recorder = new CassetteRecorder({ dir, settings: { mode: 'record', name: 'basic' }, fetch: upstream.fetch });
+
+        const json = await post(recorder, `${ENDPOINT}:generateContent`, { requestId: 'agent-1', request: { sessionId: 's1', contents: ['hi'] } });
+        assertEqual((await json.json()).call, 1, 'caller still gets the live response');
+        const stream = await post(recorder, `${ENDPOINT}:streamGenerateContent?alt=sse`, { requestId: 'agent-2', request: { contents: ['hi'] } });
+        assertEqual((await readChunks(stream)).join(''), SSE_CHUNKS.join(''));
+        await recorder.flush();
+
+        const cassette = JSON.parse(fs.readFileSync(path.join(dir, 'basic.json'), 'utf8'));
+        assertEqual(cassette.version, 1);
+        assertEqual(cassette.interactions.length, 2);
+        const [first, second] = cassette.interactions;
+        assertEqual(first.request.headers.authorization, '[REDACTED]');
+        assertEqual(first.request.body.request.contents[0], 'hi', 'JSON bodies are stored parsed');
+        assertEqual(first.response.body, '{"call":1}');
+        assertEqual(first.response.headers['content-length'], undefined, 'wire headers dropped');
+        assertEqual(second.response.chunks.length, 2);
+        assertEqual(second.response.chunks[1], SSE_CHUNKS[1]);
+    });
+
+    await testAsync('record: keeps network errors but not aborted requests', async () => {
+        const upstream = makeUpstream();
+        const recorder = new CassetteRecorder({ dir, settings: { mode: 'record', name: 'errors' }, fetch: upstream.fetch });
+        await post(recorder, 'https://offline.example/v1/models', {}).catch(() => {});
+
+        const controller = new AbortController();
+        const aborting = async (url, init) => {
+            controller.abort();
+            init.signal.throwIfAborted();
+        };
+        const abortRecorder = new CassetteRecorder({ dir, settings: { mode: 'record', name: 'errors' }, fetch: aborting });
+        await abortRecorder.fetch('https://api.example/v1/models', { signal: controller.signal }).catch(() => {});
+        await abortRecorder.flush();
+        await recorder.flush();
+
+        const cassette = JSON.parse(fs.readFileSync(path.join(dir, 'errors.json'), 'utf8'));
+        assertEqual(cassette.interactions.length, 1);
+        assertEqual(cassette.interactions[0].error.message, 'fetch failed');
+    });
+
+    console.log('\n─── Replay Tests ───');
+
+    await testAsync('replay: serves recorded exchanges without the network, SSE chunk by chunk', async () => {
+        const upstream = makeUpstream();
+        const recorder = new CassetteRecorder({ dir, settings: { mode: 'replay', name: 'basic' }, fetch: upstream.fetch });
+
+        const stream = await post(recorder, `${ENDPOINT}:streamGenerateContent?alt=sse`, { requestId: 'agent-9', request: { contents: ['hi'] } });
+        assertEqual(stream.headers.get('content-type'), 'text/event-stream');
+        assertEqual((await readChunks(stream)).join('|'), SSE_CHUNKS.join('|'));
+        const json = await post(recorder, `${ENDPOINT}:generateContent`, { requestId: 'agent-8', request: { sessionId: 's2', contents: ['hi'] } });
+        assertEqual((await json.json()).call, 1, 'requestId and sessionId are ignored by default');
+        assertEqual(upstream.calls.length, 0, 'no network calls');
+    });
+
+    await testAsync('replay: replays recorded network errors', async () => {
+        const recorder = new CassetteRecorder({ dir, settings: { mode: 'replay', name: 'errors' } });
+        let error = null;
+        await post(recorder, 'https://offline.example/v1/models', {}).catch(e => { error = e; });
+        assertEqual(error?.name, 'TypeError');
+        assertEqual(error?.message, 'fetch failed');
+    });
+
+    await testAsync('replay: identical requests replay in recorded order, then repeat the last', async () => {
+        const upstream = makeUpstream();
+        const recording = new CassetteRecorder({ dir, settings: { mode: 'record', name: 'order' }, fetch: upstream.fetch });
+        for (let i = 0; i < 2; i++) await (await post(recording, `${ENDPOINT}:generateContent`, { request: {} })).text();
+        await recording.flush();
+
+        const recorder = new CassetteRecorder({ dir, settings: { mode: 'replay', name: 'order' } });
+        const answers = [];
+        for (let i = 0; i < 3; i++) answers.push((await (await post(recorder, `${ENDPOINT}:generateContent`, { request: {} })).json()).call);
+        assertEqual(answers.join(','), '1,2,2');
+    });
+
+    await testAsync('replay: unmatched requests fail with CassetteMissError', async () => {
+        const recorder = new CassetteRecorder({ dir, settings: { mode: 'replay', name: 'basic' } });
+        let error = null;
+        await post(recorder, `${ENDPOINT}:generateContent`, { request: { contents: ['other'] } }).catch(e => { error = e; });
+        assertEqual(error?.name, 'CassetteMissError');
+        assertEqual(error.code, 'CASSETTE_MISS');
+        assertEqual(error.retryable, false);
+
+        const missing = new CassetteRecorder({ dir, settings: { mode: 'replay', name: 'never-recorded' } });
+        error = null;
+        await missing.fetch('https://api.example/v1/models').catch(e => { error = e; });
+        assertEqual(error?.name, 'CassetteMissError', 'a missing cassette replays nothing');
+    });
+
+    await testAsync('replay: matchOn and ignoreQueryParams loosen matching', async () => {
+        const byPath = new CassetteRecorder({ dir, settings: { mode: 'replay', name: 'basic', matchOn: ['method', 'url'] } });
+        const response = await post(byPath, `${ENDPOINT}:generateContent`, { request: { contents: ['other'] } });
+        assertEqual((await response.json()).call, 1);
+
+        const withQuery = new CassetteRecorder({ dir, settings: { mode: 'replay', name: 'basic', ignoreQueryParams: ['alt', 'trace'] } });
+        const stream = await post(withQuery, `${ENDPOINT}:streamGenerateContent?trace=1`, { request: { contents: ['hi'] } });
+        assertEqual((await readChunks(stream)).length, 2);
+    });
+
+    await testAsync('replay: rejects requests whose signal is already aborted', async () => {
+        const recorder = new CassetteRecorder({ dir, settings: { mode: 'replay', name: 'basic' } });
+        const controller = new AbortController();
+        controller.abort();
+        let error = null;
+        await recorder.fetch(`${ENDPOINT}:generateContent`, { method: 'POST', signal: controller.signal }).catch(e => { error = e; });
+        assertEqual(error?.name, 'AbortError');
+    });
+
+    await testAsync('off: passes requests straight through', async () => {
+        const upstream = makeUpstream();
+        const recorder = new CassetteRecorder({ dir, settings: { mode: 'off', name: 'unused' }, fetch: upstream.fetch });
+        await post(recorder, `${ENDPOINT}:generateContent`, {});
+        await recorder.flush();
+        assertEqual(upstream.calls.length, 1);
+        assertEqual(fs.existsSync(path.join(dir, 'unused.json')), false);
+    });
+
+    console.log('\n─── Config Tests ───');
+
+    await testAsync('validateCassetteConfig: accepts valid config, rejects bad values', () => {
+        assertEqual(validateCassetteConfig({ mode: 'replay', name: 'bug-123', matchOn: ['method', 'url'], ignoreBodyFields: ['requestId'], redact: false }), null);
+        assertEqual(validateCassetteConfig([]), 'cassettes must be an object');
+        assertEqual(validateCassetteConfig({ mode: 'play' }), 'cassettes.mode must be one of: off, record, replay');
+        assertEqual(validateCassetteConfig({ name: ' ' }), 'cassettes.name must be a non-empty string');
+        assertEqual(validateCassetteConfig({ matchOn: ['headers'] }), 'cassettes.matchOn must be an array of: method, url, query, body');
+        assertEqual(validateCassetteConfig({ ignoreQueryParams: [1] }), 'cassettes.ignoreQueryParams must be an array of strings');
+        assertEqual(validateCassetteConfig({ redact: 'yes' }), 'cassettes.redact must be a boolean');
+    });
+
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
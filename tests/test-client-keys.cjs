@@ -0,0 +1,277 @@
+/**
+ * Test Client Keys - Unit Tests
+ *
+ * Tests named client API keys:
+ * - input validation and model patterns
+ * - create, authenticate, revoke, expire, update and delete
+ * - hashed storage and pick-up of changes made by another process
+ * - auth stays on after the last key is revoked or the key file breaks
+ * - provider restrictions in account selection
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the user's key file out of the tests
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'client-keys-test-'));
+process.env.HOME = tempHome;
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║                  CLIENT KEYS TEST SUITE                      ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        CLIENT_KEY_PREFIX,
+        hashClientKey,
+        isModelAllowed,
+        validateClientKeyInput,
+        ClientKeyStore
+    } = await import('../src/modules/client-keys.js');
+    const { getProviderFilter } = await import('../src/cloudcode/retry-utils.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage) {
+        try {
+            fn();
+        } catch (e) {
+            assertEqual(e.message, expectedMessage);
+            return;
+        }
+        throw new Error(`Expected an error: ${expectedMessage}`);
+    }
+
+    let storeCount = 0;
+
+    /**
+     * Store on its own temp file
+     */
+    function makeStore(storePath = path.join(tempHome, `keys-${storeCount++}.json`)) {
+        return new ClientKeyStore({ storePath });
+    }
+
+    // ================================================================
+    // Validation Tests
+    // ================================================================
+    console.log('\n─── Validation Tests ───');
+
+    test('validateClientKeyInput: accepts a full key, rejects bad fields', () => {
+        assertEqual(validateClientKeyInput({
+            name: 'alice',
+            expiresAt: '2030-01-01T00:00:00Z',
+            allowedModels: ['claude-sonnet-*'],
+            allowedProviders: ['google', 'copilot'],
+            limits: { requestsPerMinute: 60, dailyTokens: null }
+        }), null);
+        assertEqual(validateClientKeyInput({ name: 'has space' }), 'name must be 1-64 letters, digits or . _ @ -');
+        assertEqual(validateClientKeyInput({ name: 'default' }), 'name "default" is reserved');
+        assertEqual(validateClientKeyInput({ name: 'a', expiresAt: 'soon' }), 'expiresAt must be an ISO date or null');
+        assertEqual(validateClientKeyInput({ name: 'a', allowedModels: 'gpt-5' }), 'allowedModels must be an array of non-empty strings');
+        assertEqual(validateClientKeyInput({ name: 'a', allowedProviders: ['mars'] }).startsWith('allowedProviders: unknown provider "mars"'), true);
+        assertEqual(validateClientKeyInput({ name: 'a', limits: { rpm: 1 } }).startsWith('limits: unknown limit "rpm"'), true);
+        assertEqual(validateClientKeyInput({ name: 'a', limits: { tokensPerMinute: 1.5 } }), 'limits.tokensPerMinute must be a positive integer or null');
+    });
+
+    test('validateClientKeyInput: partial updates only check present fields', () => {
+        assertEqual(validateClientKeyInput({ limits: { requestsPerMinute: 5 } }, { partial: true }), null);
+        assertEqual(validateClientKeyInput({ limits: { requestsPerMinute: 5 } }), 'name must be 1-64 letters, digits or . _ @ -');
+    });
+
+    test('isModelAllowed: exact ids and trailing-* prefixes; empty allows all', () => {
+        const record = { allowedModels: ['claude-sonnet-*', 'gemini-3-flash'] };
+        assertEqual(isModelAllowed(record, 'claude-sonnet-4-5-thinking'), true);
+        assertEqual(isModelAllowed(record, 'gemini-3-flash'), true);
+        assertEqual(isModelAllowed(record, 'gemini-3-flash-lite'), false);
+        assertEqual(isModelAllowed(record, 'claude-opus-4-6'), false);
+        assertEqual(isModelAllowed({ allowedModels: [] }, 'anything'), true);
+    });
+
+    // ================================================================
+    // Store Tests
+    // ================================================================
+    console.log('\n─── Store Tests ───');
+
+    test('create: returns the key once and stores only its hash', () => {
+        const storePath = path.join(tempHome, 'hashed.json');
+        const store = makeStore(storePath);
+        const { key, record } = store.create({ name: 'alice', allowedModels: ['claude-*', 'claude-*'] });
+        assertEqual(key.startsWith(CLIENT_KEY_PREFIX), true);
+        assertEqual(record.prefix, key.slice(0, 12));
+        assertEqual(record.status, 'active');
+        assertEqual('hash' in record, false, 'public view has no hash');
+        assertEqual(record.allowedModels.length, 1, 'duplicates dropped');
+
+        const saved = fs.readFileSync(storePath, 'utf8');
+        assertEqual(saved.includes(key), false, 'plaintext key is not written');
+        assertEqual(saved.includes(hashClientKey(key)), true);
+        assertThrows(() => store.create({ name: 'alice' }), 'A key named "alice" already exists');
+        assertThrows(() => store.create({ name: '' }), 'name must be 1-64 letters, digits or . _ @ -');
+    });
+
+    test('authenticate: active, unknown, revoked and expired keys', () => {
+        const store = makeStore();
+        assertEqual(store.requiresAuth(), false);
+        const { key } = store.create({ name: 'ci' });
+        const { key: expiredKey } = store.create({ name: 'old', expiresAt: '2020-01-01T00:00:00Z' });
+        assertEqual(store.requiresAuth(), true);
+
+        assertEqual(store.authenticate(key).record.name, 'ci');
+        assertEqual(store.authenticate('cpk_nope').error, 'Invalid or missing API key');
+        assertEqual(store.authenticate(expiredKey).error, 'API key "old" expired at 2020-01-01T00:00:00.000Z');
+
+        assertEqual(store.revoke('ci').status, 'revoked');
+        assertEqual(store.authenticate(key).error, 'API key "ci" has been revoked');
+        assertEqual(store.requiresAuth(), true, 'revoked and expired keys keep auth on');
+        assertEqual(store.list().length, 2, 'revoked keys stay listed');
+    });
+
+    test('requiresAuth: fails closed when the key file cannot be read', () => {
+        const storePath = path.join(tempHome, 'corrupt.json');
+        fs.writeFileSync(storePath, '{"keys": [');
+        const store = makeStore(storePath);
+        assertEqual(store.requiresAuth(), true);
+        assertEqual(store.list().length, 0);
+    });
+
+    await testAsync('requiresAuth: a broken key file is read again only once it changes', async () => {
+        const storePath = path.join(tempHome, 'corrupt-throttle.json');
+        fs.writeFileSync(storePath, '{"keys": [');
+        const store = makeStore(storePath);
+
+        const readFileSync = fs.readFileSync;
+        let reads = 0;
+        fs.readFileSync = (file, ...args) => {
+            if (file === storePath) reads++;
+            return readFileSync(file, ...args);
+        };
+        try {
+            assertEqual(store.requiresAuth(), true);
+            await new Promise(resolve => setTimeout(resolve, 1100));
+            assertEqual(store.requiresAuth(), true);
+            assertEqual(store.requiresAuth(), true);
+            assertEqual(reads, 1, 'unchanged broken file is not re-read');
+
+            fs.writeFileSync(storePath, '{"keys": []}');
+            await new Promise(resolve => setTimeout(resolve, 1100));
+            assertEqual(store.requiresAuth(), false, 'fixed file is picked up');
+            assertEqual(reads, 2);
+        } finally {
+            fs.readFileSync = readFileSync;
+        }
+    });
+
+    await testAsync('authenticateClient: revoking the only key answers 401, not open access', async () => {
+        const { clientKeys } = await import('../src/modules/client-keys.js');
+        const { default: app } = await import('../src/server.js');
+        const server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        const metrics = (key) => fetch(`http://127.0.0.1:${server.address().port}/metrics`, {
+            headers: key ? { 'x-api-key': key } : {}
+        }).then(response => response.status);
+
+        try {
+            const { key } = clientKeys.create({ name: 'solo' });
+            assertEqual(await metrics(key), 200);
+            assertEqual(await metrics(), 401);
+
+            clientKeys.revoke('solo');
+            assertEqual(await metrics(key), 401, 'revoked key is refused');
+            assertEqual(await metrics(), 401, 'no key is refused');
+        } finally {
+            server.close();
+        }
+    });
+
+    test('update: renames, replaces lists and merges limits; remove deletes', () => {
+        const store = makeStore();
+        const { record } = store.create({ name: 'bob', allowedProviders: ['google'], limits: { requestsPerMinute: 10, dailyTokens: 1000 } });
+        const updated = store.update(record.id, { name: 'robert', allowedProviders: [], limits: { requestsPerMinute: 20, dailyTokens: null } });
+        assertEqual(updated.name, 'robert');
+        assertEqual(updated.allowedProviders.length, 0);
+        assertEqual(JSON.stringify(updated.limits), '{"requestsPerMinute":20}');
+        assertEqual(store.find('robert').id, record.id, 'find by name');
+        assertEqual(store.update('nobody', {}), null);
+        assertThrows(() => store.update('robert', { limits: { requestsPerMinute: 0 } }), 'limits.requestsPerMinute must be a positive integer or null');
+
+        assertEqual(store.remove(record.id), true);
+        assertEqual(store.remove(record.id), false);
+        assertEqual(store.list().length, 0);
+    });
+
+    await testAsync('changes from another process are picked up', async () => {
+        const storePath = path.join(tempHome, 'shared.json');
+        const server = makeStore(storePath);
+        const cli = makeStore(storePath);
+        assertEqual(server.requiresAuth(), false);
+
+        const { key } = cli.create({ name: 'late' });
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        assertEqual(server.authenticate(key).record?.name, 'late');
+
+        cli.revoke('late');
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        assertEqual(server.authenticate(key).error, 'API key "late" has been revoked');
+    });
+
+    // ================================================================
+    // Provider Restriction Tests
+    // ================================================================
+    console.log('\n─── Provider Restriction Tests ───');
+
+    test('getProviderFilter: pinned provider, allowed providers, or both', () => {
+        assertEqual(getProviderFilter({}), null);
+        assertEqual(getProviderFilter({ _provider: 'copilot' }), 'copilot');
+        assertEqual(getProviderFilter({ _allowedProviders: ['google', 'copilot'] }).join(','), 'google,copilot');
+        assertEqual(getProviderFilter({ _provider: 'copilot', _allowedProviders: ['google', 'copilot'] }).join(','), 'copilot');
+        assertEqual(getProviderFilter({ _provider: 'openai', _allowedProviders: ['google'] }).length, 0,
+            'a fallback hop pinned to a disallowed provider has no accounts');
+    });
+
+    fs.rmSync(tempHome, { recursive: true, force: true });
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,268 @@
+/**
+ * Test Cost Estimator - Unit Tests
+ *
+ * Tests cost estimation from the price table:
+ * - per-token pricing with cache rates and longest-prefix model matching
+ * - config overrides, provider-specific prices and flat-rate providers
+ * - monthly reports against Anthropic list prices
+ * - the cost response header, and its trailer on streams
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the user's config and usage data out of the tests
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'cost-estimator-test-'));
+process.env.HOME = tempHome;
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║                COST ESTIMATOR TEST SUITE                     ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        validatePricingConfig,
+        getModelPrice,
+        estimateCost,
+        estimateListPrice,
+        parseReportMonth,
+        buildCostReport,
+        formatCostReport
+    } = await import('../src/modules/cost-estimator.js');
+    const { TokenUsageTracker } = await import('../src/modules/token-usage.js');
+    const { config } = await import('../src/config.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    function assertClose(actual, expected, message = '') {
+        if (Math.abs(actual - expected) > 1e-9) {
+            throw new Error(`${message}\nExpected: ${expected}\nActual: ${actual}`);
+        }
+    }
+
+    /**
+     * Run fn with config.pricing set, restoring it afterwards
+     */
+    function withPricing(pricing, fn) {
+        const previous = config.pricing;
+        config.pricing = pricing;
+        try {
+            fn();
+        } finally {
+            config.pricing = previous;
+        }
+    }
+
+    const MTOK = 1_000_000;
+
+    // ================================================================
+    // Estimate Tests
+    // ================================================================
+    console.log('\n─── Estimate Tests ───');
+
+    test('estimateCost: input, output and cache rates per million tokens', () => {
+        const { costUsd, flatRate, priced } = estimateCost({
+            provider: 'anthropic',
+            model: 'claude-sonnet-4-5',
+            usage: { input_tokens: MTOK, output_tokens: MTOK, cache_read_input_tokens: MTOK, cache_creation_input_tokens: MTOK }
+        });
+        assertClose(costUsd, 3 + 15 + 0.3 + 3.75);
+        assertEqual(flatRate, false);
+        assertEqual(priced, true);
+    });
+
+    test('getModelPrice: longest model-id prefix wins', () => {
+        assertEqual(getModelPrice('google', 'claude-opus-4-6-thinking').input, 5);
+        assertEqual(getModelPrice('google', 'claude-opus-4-1').input, 15);
+        assertEqual(getModelPrice('openai', 'gpt-5-mini').input, 0.25);
+        assertEqual(getModelPrice('openai', 'gpt-5.2-codex').input, 1.75);
+        assertEqual(getModelPrice('custom', 'llama-3.1-8b'), null);
+    });
+
+    test('estimateCost: unpriced models cost nothing and are flagged', () => {
+        const { costUsd, priced } = estimateCost({ provider: 'custom', model: 'llama-3.1-8b', usage: { input_tokens: MTOK } });
+        assertEqual(costUsd, 0);
+        assertEqual(priced, false);
+    });
+
+    test('estimateCost: flat-rate providers cost nothing per request', () => {
+        const { costUsd, flatRate } = estimateCost({ provider: 'copilot', model: 'claude-sonnet-4-5', usage: { input_tokens: MTOK } });
+        assertEqual(costUsd, 0);
+        assertEqual(flatRate, true);
+    });
+
+    test('config.pricing: model overrides, provider prices and flat-rate plans', () => {
+        withPricing({
+            models: { 'gemini-3-flash': { input: 1, output: 2 } },
+            providers: { openrouter: { 'anthropic/claude-sonnet': { input: 4, output: 16 } } },
+            flatRate: { google: { monthlyUsd: 20 } }
+        }, () => {
+            assertClose(estimateCost({ provider: 'openai', model: 'gemini-3-flash', usage: { input_tokens: MTOK, cache_read_input_tokens: MTOK } }).costUsd, 2,
+                'cache reads default to the input rate');
+            assertClose(estimateCost({ provider: 'openrouter', model: 'anthropic/claude-sonnet-4.5', usage: { output_tokens: MTOK } }).costUsd, 16);
+            assertEqual(estimateCost({ provider: 'google', model: 'gemini-3-flash', usage: { input_tokens: MTOK } }).flatRate, true);
+            assertEqual(estimateCost({ provider: 'copilot', model: 'gpt-5', usage: { input_tokens: MTOK } }).flatRate, false,
+                'flatRate replaces the built-in plans');
+        });
+    });
+
+    test('estimateListPrice: Claude models at their own price, others at listPriceModel', () => {
+        assertClose(estimateListPrice('claude-opus-4-5', { output_tokens: MTOK }), 25);
+        assertClose(estimateListPrice('gemini-3-pro-high', { output_tokens: MTOK }), 15);
+        withPricing({ listPriceModel: 'claude-haiku-4-5' }, () => {
+            assertClose(estimateListPrice('gpt-5', { output_tokens: MTOK }), 5);
+        });
+    });
+
+    test('validatePricingConfig: accepts valid config, rejects bad values', () => {
+        assertEqual(validatePricingConfig({ models: { 'gpt-5': { input: 1, output: 2 } }, flatRate: {}, listPriceModel: 'claude-opus-4-5' }), null);
+        assertEqual(validatePricingConfig({}), null);
+        assertEqual(validatePricingConfig([]), 'pricing must be an object');
+        assertEqual(validatePricingConfig({ models: { 'gpt-5': { input: 1 } } }), 'pricing.models.gpt-5.output must be a non-negative number (USD per million tokens)');
+        assertEqual(validatePricingConfig({ providers: { openrouter: { x: { input: -1, output: 1 } } } }), 'pricing.providers.openrouter.x.input must be a non-negative number (USD per million tokens)');
+        assertEqual(validatePricingConfig({ flatRate: { copilot: {} } }), 'pricing.flatRate.copilot.monthlyUsd must be a non-negative number');
+        assertEqual(validatePricingConfig({ listPriceModel: 'gpt-5' }), 'pricing.listPriceModel must be a Claude model with a list price');
+    });
+
+    // ================================================================
+    // Report Tests
+    // ================================================================
+    console.log('\n─── Report Tests ───');
+
+    test('parseReportMonth: defaults to this month, rejects bad values', () => {
+        assertEqual(parseReportMonth().month, new Date().toISOString().slice(0, 7));
+        assertEqual(parseReportMonth('2026-03').month, '2026-03');
+        assertEqual(parseReportMonth('2026-13').error, 'month must be YYYY-MM');
+        assertEqual(parseReportMonth('March').error, 'month must be YYYY-MM');
+    });
+
+    test('buildCostReport: metered spend, flat-rate fees and list-price savings', () => {
+        const tracker = new TokenUsageTracker({ storePath: path.join(tempHome, 'usage.json') });
+        const month = new Date().toISOString().slice(0, 7);
+        tracker.record({ account: 'a@x.com', provider: 'anthropic', model: 'claude-sonnet-4-5', usage: { input_tokens: MTOK, output_tokens: MTOK } });
+        tracker.record({ account: 'b@x.com', provider: 'google', model: 'gemini-3-flash', usage: { input_tokens: MTOK, output_tokens: MTOK } });
+        tracker.record({ account: 'c@x.com', provider: 'copilot', model: 'gpt-5', usage: { output_tokens: MTOK } });
+        tracker.record({ account: 'd@x.com', provider: 'copilot', model: 'gpt-5', usage: { output_tokens: MTOK } });
+
+        const report = buildCostReport(month, tracker);
+        assertEqual(report.month, month);
+        assertEqual(report.totals.requests, 4);
+        assertClose(report.totals.meteredUsd, 18 + 3.5);
+        assertClose(report.totals.flatRateUsd, 20, 'two Copilot accounts at $10');
+        assertClose(report.totals.actualUsd, 41.5);
+        assertClose(report.totals.listPriceUsd, 18 + 18 + 30, 'everything at Sonnet list prices');
+        assertClose(report.totals.savingsUsd, 66 - 41.5);
+
+        const copilot = report.providers.find(p => p.provider === 'copilot');
+        assertEqual(copilot.flatRate, true);
+        assertEqual(copilot.accounts, 2);
+        assertEqual(report.providers[0].provider, 'copilot', 'highest spend first');
+        assertEqual(report.models.length, 3);
+
+        const table = formatCostReport(report);
+        assertEqual(table.includes(`Cost Report ${month}`), true);
+        assertEqual(table.includes('Actual spend: $41.50'), true);
+        assertEqual(table.includes('copilot*'), true);
+
+        const empty = buildCostReport('2020-01', tracker);
+        assertEqual(empty.totals.requests, 0);
+        assertEqual(empty.totals.actualUsd, 0);
+        tracker.flushSync();
+    });
+
+    console.log('\n─── Cost Header Tests ───');
+
+    await testAsync('x-commons-cost-usd: a header on responses, a trailer on streams', async () => {
+        const http = require('http');
+        const { default: app, responseCache } = await import('../src/server.js');
+        const previous = config.responseCache;
+        config.responseCache = { enabled: true, deterministicOnly: false };
+
+        // Served from the cache, so no upstream account is needed
+        const body = { model: 'claude-sonnet-4-5', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+        await responseCache.set({ ...body }, {
+            id: 'msg_1', type: 'message', role: 'assistant', model: body.model,
+            content: [{ type: 'text', text: 'hello' }], stop_reason: 'end_turn',
+            usage: { input_tokens: 1, output_tokens: 1 }
+        });
+
+        const server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        const post = (payload) => new Promise((resolve, reject) => {
+            const req = http.request({
+                port: server.address().port,
+                path: '/v1/messages',
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' }
+            }, (res) => {
+                let text = '';
+                res.on('data', chunk => { text += chunk; });
+                res.on('end', () => resolve({ headers: res.headers, trailers: res.trailers, text }));
+            });
+            req.on('error', reject);
+            req.end(JSON.stringify(payload));
+        });
+
+        try {
+            const plain = await post(body);
+            assertEqual(plain.headers['x-commons-cache'], 'hit');
+            assertEqual(plain.headers['x-commons-cost-usd'], '0');
+
+            const streamed = await post({ ...body, stream: true });
+            assertEqual(streamed.text.includes('event: message_stop'), true);
+            assertEqual(streamed.headers.trailer, 'x-commons-cost-usd');
+            assertEqual(streamed.headers['x-commons-cost-usd'], undefined, 'unknown when the headers go out');
+            assertEqual(streamed.trailers['x-commons-cost-usd'], '0.000000');
+        } finally {
+            server.close();
+            config.responseCache = previous;
+        }
+    });
+
+    fs.rmSync(tempHome, { recursive: true, force: true });
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,303 @@
+/**
+ * Test Fallback Chain - Unit Tests
+ *
+ * Tests configurable multi-hop model fallback:
+ * - chain resolution from config.modelFallback and the built-in map
+ * - trigger classification of upstream errors
+ * - non-streaming and streaming chain runs, provider-pinned hops
+ * - provider-scoped account selection
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║              FALLBACK CHAIN TEST SUITE                       ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        parseFallbackHop,
+        getFallbackChain,
+        validateFallbackConfig
+    } = await import('../src/fallback-config.js');
+    const {
+        classifyFallbackTrigger,
+        runWithFallback,
+        streamWithFallback
+    } = await import('../src/cloudcode/fallback-chain.js');
+    const { MaxRetriesError, UnsupportedModelError } = await import('../src/errors.js');
+    const { config } = await import('../src/config.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    function assertDeepEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    const savedFallback = config.modelFallback;
+    const CHAIN = {
+        chains: {
+            'claude-opus-4-6': {
+                fallbacks: ['gpt-5.2@copilot', 'gemini-3-pro-high'],
+                triggers: ['quota', 'context']
+            }
+        }
+    };
+
+    // ================================================================
+    // Chain Resolution Tests
+    // ================================================================
+    console.log('\n─── Chain Resolution Tests ───');
+
+    test('parseFallbackHop: plain, provider-pinned and object hops', () => {
+        assertDeepEqual(parseFallbackHop('gemini-3-pro-high'), { model: 'gemini-3-pro-high', provider: null });
+        assertDeepEqual(parseFallbackHop('gpt-5.2@copilot'), { model: 'gpt-5.2', provider: 'copilot' });
+        assertDeepEqual(parseFallbackHop({ model: 'gpt-5', provider: 'codex' }), { model: 'gpt-5', provider: 'codex' });
+        assertEqual(parseFallbackHop(''), null);
+        assertEqual(parseFallbackHop({}), null);
+    });
+
+    test('getFallbackChain: configured chains apply without the --fallback flag', () => {
+        config.modelFallback = CHAIN;
+        const chain = getFallbackChain('claude-opus-4-6');
+        assertEqual(chain.hops.length, 2);
+        assertEqual(chain.hops[0].provider, 'copilot');
+        assertDeepEqual(chain.triggers, ['quota', 'context']);
+        config.modelFallback = { chains: { 'claude-opus-4-6': { ...CHAIN.chains['claude-opus-4-6'], enabled: false } } };
+        assertEqual(getFallbackChain('claude-opus-4-6'), null, 'disabled chain');
+    });
+
+    test('getFallbackChain: built-in map only when enabled', () => {
+        config.modelFallback = { enabled: false, chains: {} };
+        assertEqual(getFallbackChain('gemini-3-flash'), null);
+        const chain = getFallbackChain('gemini-3-flash', true);
+        assertEqual(chain.hops[0].model, 'claude-sonnet-4-5-thinking');
+        assertDeepEqual(chain.triggers, ['quota', 'capacity']);
+        config.modelFallback = { enabled: true, chains: {} };
+        assertEqual(getFallbackChain('gemini-3-flash')?.hops.length, 1, 'config.modelFallback.enabled');
+    });
+
+    test('validateFallbackConfig: accepts chains and reports malformed ones', () => {
+        assertEqual(validateFallbackConfig(CHAIN), null);
+        assertEqual(validateFallbackConfig({ enabled: true }), null);
+        assertEqual(typeof validateFallbackConfig([]), 'string');
+        assertEqual(typeof validateFallbackConfig({ chains: { a: { fallbacks: [] } } }), 'string');
+        assertEqual(typeof validateFallbackConfig({ chains: { a: { fallbacks: ['a'] } } }), 'string', 'self loop');
+        assertEqual(typeof validateFallbackConfig({ chains: { a: { fallbacks: ['b'], triggers: ['timeout'] } } }), 'string');
+    });
+
+    // ================================================================
+    // Trigger Classification Tests
+    // ================================================================
+    console.log('\n─── Trigger Classification Tests ───');
+
+    test('classifyFallbackTrigger: maps upstream errors to triggers', () => {
+        assertEqual(classifyFallbackTrigger(new Error('RESOURCE_EXHAUSTED: Rate limited on gemini-3-flash.')), 'quota');
+        assertEqual(classifyFallbackTrigger(new MaxRetriesError('Max retries exceeded', 5)), 'quota');
+        assertEqual(classifyFallbackTrigger(new Error('CAPACITY_EXHAUSTED: model overloaded')), 'capacity');
+        assertEqual(classifyFallbackTrigger(new Error('API error 400: prompt is too long: 210000 tokens > 200000 maximum')), 'context');
+        assertEqual(classifyFallbackTrigger(new Error('API error: context_length_exceeded')), 'context');
+        assertEqual(classifyFallbackTrigger(new Error('AUTH_INVALID_PERMANENT: revoked')), 'auth');
+        assertEqual(classifyFallbackTrigger(new Error('API error 401: bad key')), 'auth');
+        assertEqual(classifyFallbackTrigger(new UnsupportedModelError('gpt-5')), 'unsupported');
+        assertEqual(classifyFallbackTrigger(new Error('API error 400: invalid tool schema')), null);
+    });
+
+    // ================================================================
+    // Chain Run Tests
+    // ================================================================
+    console.log('\n─── Chain Run Tests ───');
+
+    config.modelFallback = CHAIN;
+    const REQUEST = { model: 'claude-opus-4-6', messages: [{ role: 'user', content: 'hi' }] };
+
+    await testAsync('runWithFallback: walks the chain and reports the answering model', async () => {
+        const seen = [];
+        let served = null;
+        const response = await runWithFallback(REQUEST, false, async (request) => {
+            seen.push(`${request.model}@${request._provider || '-'}`);
+            if (request.model === 'claude-opus-4-6') throw new Error('RESOURCE_EXHAUSTED: quota');
+            if (request.model === 'gpt-5.2') throw new Error('API error 400: prompt is too long');
+            return { model: request.model };
+        }, (model) => { served = model; });
+        assertEqual(seen.join(), 'claude-opus-4-6@-,gpt-5.2@copilot,gemini-3-pro-high@-');
+        assertEqual(response.model, 'gemini-3-pro-high');
+        assertEqual(served, 'gemini-3-pro-high');
+    });
+
+    await testAsync('runWithFallback: errors outside the chain triggers are not retried', async () => {
+        let calls = 0;
+        let error = null;
+        try {
+            await runWithFallback(REQUEST, false, async () => {
+                calls++;
+                throw new Error('CAPACITY_EXHAUSTED: overloaded');
+            });
+        } catch (e) {
+            error = e;
+        }
+        assertEqual(calls, 1);
+        assertEqual(error.message.includes('CAPACITY_EXHAUSTED'), true);
+    });
+
+    await testAsync('runWithFallback: skipped unsupported hops do not mask the real error', async () => {
+        let error = null;
+        try {
+            await runWithFallback(REQUEST, false, async (request) => {
+                if (request.model === 'claude-opus-4-6') throw new Error('RESOURCE_EXHAUSTED: quota');
+                throw new UnsupportedModelError(request.model);
+            });
+        } catch (e) {
+            error = e;
+        }
+        assertEqual(error.message.includes('RESOURCE_EXHAUSTED'), true);
+    });
+
+    await testAsync('runWithFallback: models without a chain run once', async () => {
+        let calls = 0;
+        try {
+            await runWithFallback({ model: 'gemini-3-flash' }, false, async () => {
+                calls++;
+                throw new Error('RESOURCE_EXHAUSTED: quota');
+            });
+        } catch (e) { /* expected */ }
+        assertEqual(calls, 1);
+    });
+
+    await testAsync('streamWithFallback: falls back before the first event only', async () => {
+        const events = [];
+        let served = null;
+        for await (const event of streamWithFallback(REQUEST, false, async function* (request) {
+            if (request.model === 'claude-opus-4-6') throw new Error('429 RESOURCE_EXHAUSTED');
+            yield { type: 'message_start', model: request.model };
+            yield { type: 'message_stop' };
+        }, (model) => { served = model; })) {
+            events.push(event);
+        }
+        assertEqual(events.length, 2);
+        assertEqual(events[0].model, 'gpt-5.2');
+        assertEqual(served, 'gpt-5.2');
+
+        let error = null;
+        let calls = 0;
+        try {
+            for await (const event of streamWithFallback(REQUEST, false, async function* () {
+                calls++;
+                yield { type: 'message_start' };
+                throw new Error('429 RESOURCE_EXHAUSTED');
+            })) { /* drain */ }
+        } catch (e) {
+            error = e;
+        }
+        assertEqual(calls, 1, 'no fallback once output started');
+        assertEqual(error !== null, true);
+    });
+
+    await testAsync('runWithFallback: a restricted client key is never served a fallback outside allowedModels', async () => {
+        const client = { name: 'ci', allowedModels: ['claude-*', 'gemini-3-pro-high'] };
+        const seen = [];
+        const response = await runWithFallback(REQUEST, false, async (request) => {
+            seen.push(request.model);
+            if (request.model === 'claude-opus-4-6') throw new Error('RESOURCE_EXHAUSTED: quota');
+            return { model: request.model };
+        }, null, client);
+        assertEqual(seen.join(), 'claude-opus-4-6,gemini-3-pro-high', 'gpt-5.2 skipped');
+        assertEqual(response.model, 'gemini-3-pro-high');
+
+        const pinned = { name: 'pinned', allowedModels: ['claude-opus-4-6'] };
+        const calls = [];
+        let error = null;
+        try {
+            for await (const event of streamWithFallback(REQUEST, false, async function* (request) {
+                calls.push(request.model);
+                throw new Error('429 RESOURCE_EXHAUSTED');
+            }, null, pinned)) { /* drain */ }
+        } catch (e) {
+            error = e;
+        }
+        assertEqual(calls.join(), 'claude-opus-4-6', 'no hop is tried');
+        assertEqual(error?.message, '429 RESOURCE_EXHAUSTED');
+    });
+
+    config.modelFallback = savedFallback;
+
+    // ================================================================
+    // Provider-Pinned Selection Tests
+    // ================================================================
+    console.log('\n─── Provider-Pinned Selection Tests ───');
+
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { AccountManager } = await import('../src/account-manager/index.js');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fallback-test-'));
+    const configPath = path.join(dir, 'accounts.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        accounts: [
+            { email: 'o@example.com', source: 'manual', apiKey: 'x', provider: 'openai', enabled: true },
+            { email: 'c@example.com', source: 'manual', apiKey: 'x', provider: 'copilot', enabled: true }
+        ],
+        settings: {},
+        activeIndex: 0
+    }));
+
+    await testAsync('AccountManager: provider-pinned selection only uses that provider', async () => {
+        const manager = new AccountManager(configPath);
+        await manager.initialize();
+        assertEqual(manager.getAvailableAccounts('gpt-5').length, 2);
+        assertEqual(manager.getAvailableAccounts('gpt-5', 'copilot').map(a => a.email).join(), 'c@example.com');
+        assertEqual(manager.hasProviderForModel('gpt-5', 'google'), false);
+        for (let i = 0; i < 3; i++) {
+            assertEqual(manager.selectAccount('gpt-5', { provider: 'copilot' }).account.email, 'c@example.com');
+            assertEqual(manager.selectAccount('gpt-5', { provider: 'openai' }).account.email, 'o@example.com');
+        }
+    });
+
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    // The account manager keeps timers running, so exit explicitly
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
@@ -7,6 +7,9 @@
  * - response-converter: Google → Anthropic response conversion
  * - content-converter: Anthropic content blocks → Google parts
  * - thinking-utils: Thinking block validation, recovery, reordering
+ * - openai-chat-converter: OpenAI Chat Completions ↔ Anthropic conversion
+ * - openai-responses-converter: OpenAI Responses API ↔ Anthropic conversion
+ * - gemini-native-converter: Gemini generateContent ↔ Anthropic conversion
  */
 
 async function runTests() {
@@ -35,6 +38,35 @@ async function runTests() {
         needsThinkingRecovery,
         closeToolLoopForThinking
     } = await import('../src/format/thinking-utils.js');
+    const {
+        convertOpenAIChatToAnthropic,
+        convertAnthropicToOpenAIChat,
+        streamAnthropicToOpenAIChat
+    } = await import('../src/format/openai-chat-converter.js');
+    const {
+        REASONING_EFFORT_BUDGETS,
+        budgetToEffort,
+        mapStopReason,
+        mapFinishReason
+    } = await import('../src/format/openai-mapping.js');
+    const {
+        convertOpenAIResponsesToAnthropic,
+        convertAnthropicToOpenAIResponse,
+        createResponseEnvelope,
+        streamAnthropicToOpenAIResponses
+    } = await import('../src/format/openai-responses-converter.js');
+    const {
+        convertGeminiToAnthropic,
+        convertAnthropicToGemini,
+        streamAnthropicToGemini,
+        normalizeSchema,
+        wantsThoughts
+    } = await import('../src/format/gemini-native-converter.js');
+    const {
+        convertAnthropicToCodexRequest,
+        streamCodexToAnthropic,
+        collectAnthropicMessage
+    } = await import('../src/format/codex-responses-converter.js');
 
     let passed = 0;
     let failed = 0;
@@ -51,6 +83,18 @@ async function runTests() {
         }
     }
 
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
     function assertEqual(actual, expected, message = '') {
         if (actual !== expected) {
             throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
@@ -927,6 +971,605 @@ async function runTests() {
         assertEqual(lastUser.role, 'user');
     });
 
+    // ================================================================
+    // OpenAI Chat Converter Tests
+    // ================================================================
+    console.log('\n─── OpenAI Chat Converter Tests ───');
+
+    test('convertOpenAIChatToAnthropic: system and developer messages become system prompt', () => {
+        const result = convertOpenAIChatToAnthropic({
+            model: 'claude-sonnet-4-5',
+            messages: [
+                { role: 'system', content: 'Be brief.' },
+                { role: 'developer', content: [{ type: 'text', text: 'Use tools.' }] },
+                { role: 'user', content: 'Hi' }
+            ]
+        });
+        assertEqual(result.system, 'Be brief.\n\nUse tools.');
+        assertEqual(result.messages.length, 1);
+        assertDeepEqual(result.messages[0], { role: 'user', content: [{ type: 'text', text: 'Hi' }] });
+        assertEqual(result.max_tokens, 4096);
+    });
+
+    test('convertOpenAIChatToAnthropic: converts image_url data URLs to base64 images', () => {
+        const result = convertOpenAIChatToAnthropic({
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'text', text: 'What is this?' },
+                    { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } },
+                    { type: 'image_url', image_url: { url: 'https://example.com/a.jpg' } }
+                ]
+            }]
+        });
+        const blocks = result.messages[0].content;
+        assertDeepEqual(blocks[1].source, { type: 'base64', media_type: 'image/png', data: 'AAAA' });
+        assertDeepEqual(blocks[2].source, { type: 'url', url: 'https://example.com/a.jpg' });
+    });
+
+    test('convertOpenAIChatToAnthropic: maps tool_calls and tool messages', () => {
+        const result = convertOpenAIChatToAnthropic({
+            messages: [
+                { role: 'user', content: 'Weather in Paris and Rome?' },
+                {
+                    role: 'assistant',
+                    content: null,
+                    tool_calls: [
+                        { id: 'call_1', type: 'function', function: { name: 'weather', arguments: '{"city":"Paris"}' } },
+                        { id: 'call_2', type: 'function', function: { name: 'weather', arguments: '{"city":"Rome"}' } }
+                    ]
+                },
+                { role: 'tool', tool_call_id: 'call_1', content: 'Sunny' },
+                { role: 'tool', tool_call_id: 'call_2', content: 'Rainy' },
+                { role: 'user', content: 'Thanks' }
+            ]
+        });
+        assertEqual(result.messages.length, 3);
+        assertDeepEqual(result.messages[1].content[0], {
+            type: 'tool_use', id: 'call_1', name: 'weather', input: { city: 'Paris' }
+        });
+        // Consecutive tool results and the following user text merge into one user turn
+        const userTurn = result.messages[2];
+        assertEqual(userTurn.role, 'user');
+        assertEqual(userTurn.content.length, 3);
+        assertDeepEqual(userTurn.content[1], { type: 'tool_result', tool_use_id: 'call_2', content: 'Rainy' });
+        assertEqual(userTurn.content[2].text, 'Thanks');
+    });
+
+    test('convertOpenAIChatToAnthropic: converts tools and tool_choice', () => {
+        const result = convertOpenAIChatToAnthropic({
+            messages: [{ role: 'user', content: 'Hi' }],
+            tools: [{ type: 'function', function: { name: 'lookup', description: 'Look up', parameters: { type: 'object', properties: { q: { type: 'string' } } } } }],
+            tool_choice: { type: 'function', function: { name: 'lookup' } }
+        });
+        assertEqual(result.tools[0].name, 'lookup');
+        assertEqual(result.tools[0].input_schema.properties.q.type, 'string');
+        assertDeepEqual(result.tool_choice, { type: 'tool', name: 'lookup' });
+    });
+
+    test('convertOpenAIChatToAnthropic: tool_choice none drops tools', () => {
+        const result = convertOpenAIChatToAnthropic({
+            messages: [{ role: 'user', content: 'Hi' }],
+            tools: [{ type: 'function', function: { name: 'lookup' } }],
+            tool_choice: 'none'
+        });
+        assertEqual(result.tools, undefined);
+        assertEqual(result.tool_choice, undefined);
+    });
+
+    test('convertOpenAIChatToAnthropic: maps sampling params, stop and reasoning_effort', () => {
+        const result = convertOpenAIChatToAnthropic({
+            messages: [{ role: 'user', content: 'Hi' }],
+            max_completion_tokens: 1000,
+            temperature: 0.2,
+            top_p: 0.9,
+            stop: 'END',
+            reasoning_effort: 'high',
+            stream: true
+        });
+        assertEqual(result.temperature, 0.2);
+        assertEqual(result.top_p, 0.9);
+        assertDeepEqual(result.stop_sequences, ['END']);
+        assertEqual(result.thinking.budget_tokens, 24576);
+        assertTrue(result.max_tokens > result.thinking.budget_tokens, 'max_tokens must exceed thinking budget');
+        assertEqual(result.stream, true);
+    });
+
+    test('mapFinishReason: maps Anthropic stop reasons', () => {
+        assertEqual(mapFinishReason('end_turn'), 'stop');
+        assertEqual(mapFinishReason('stop_sequence'), 'stop');
+        assertEqual(mapFinishReason('max_tokens'), 'length');
+        assertEqual(mapFinishReason('tool_use'), 'tool_calls');
+    });
+
+    test('openai-mapping: stop reasons and reasoning efforts round-trip', () => {
+        for (const finishReason of ['stop', 'length', 'tool_calls']) {
+            assertEqual(mapFinishReason(mapStopReason(finishReason)), finishReason);
+        }
+        assertEqual(mapStopReason(null), 'end_turn');
+        for (const effort of ['low', 'medium', 'high']) {
+            assertEqual(budgetToEffort(REASONING_EFFORT_BUDGETS[effort]), effort);
+        }
+        assertEqual(budgetToEffort(REASONING_EFFORT_BUDGETS.minimal), 'low');
+    });
+
+    test('convertAnthropicToOpenAIChat: converts text, thinking, tool_use and usage', () => {
+        const result = convertAnthropicToOpenAIChat({
+            id: 'msg_1',
+            content: [
+                { type: 'thinking', thinking: 'Let me check', signature: 'sig' },
+                { type: 'text', text: 'Checking.' },
+                { type: 'tool_use', id: 'toolu_1', name: 'weather', input: { city: 'Paris' } }
+            ],
+            stop_reason: 'tool_use',
+            usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 90 }
+        }, 'gpt-4o');
+        assertEqual(result.object, 'chat.completion');
+        assertEqual(result.model, 'gpt-4o');
+        const choice = result.choices[0];
+        assertEqual(choice.finish_reason, 'tool_calls');
+        assertEqual(choice.message.content, 'Checking.');
+        assertEqual(choice.message.reasoning_content, 'Let me check');
+        assertEqual(choice.message.tool_calls[0].function.arguments, '{"city":"Paris"}');
+        assertEqual(result.usage.prompt_tokens, 100);
+        assertEqual(result.usage.completion_tokens, 5);
+        assertEqual(result.usage.total_tokens, 105);
+        assertEqual(result.usage.prompt_tokens_details.cached_tokens, 90);
+    });
+
+    await testAsync('streamAnthropicToOpenAIChat: converts events to chunks with tool calls and usage', async () => {
+        async function* events() {
+            yield { type: 'message_start', message: { usage: { input_tokens: 12, output_tokens: 0 } } };
+            yield { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } };
+            yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hello' } };
+            yield { type: 'content_block_stop', index: 0 };
+            yield { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'weather', input: {} } };
+            yield { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"city":' } };
+            yield { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"Paris"}' } };
+            yield { type: 'content_block_stop', index: 1 };
+            yield { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 7 } };
+            yield { type: 'message_stop' };
+        }
+        const chunks = [];
+        for await (const chunk of streamAnthropicToOpenAIChat(events(), 'gpt-4o', { includeUsage: true })) {
+            chunks.push(chunk);
+        }
+        assertEqual(chunks[0].choices[0].delta.role, 'assistant');
+        assertEqual(chunks[1].choices[0].delta.content, 'Hello');
+        const toolStart = chunks[2].choices[0].delta.tool_calls[0];
+        assertEqual(toolStart.index, 0);
+        assertEqual(toolStart.id, 'toolu_1');
+        assertEqual(toolStart.function.name, 'weather');
+        const args = chunks.slice(3, 5).map(c => c.choices[0].delta.tool_calls[0].function.arguments).join('');
+        assertEqual(args, '{"city":"Paris"}');
+        assertEqual(chunks[5].choices[0].finish_reason, 'tool_calls');
+        const usageChunk = chunks[chunks.length - 1];
+        assertEqual(usageChunk.choices.length, 0);
+        assertEqual(usageChunk.usage.prompt_tokens, 12);
+        assertEqual(usageChunk.usage.completion_tokens, 7);
+        assertTrue(chunks.every(c => c.id === chunks[0].id), 'all chunks share the completion id');
+    });
+
+    await testAsync('streamAnthropicToOpenAIChat: emits finish chunk when stream ends without message_stop', async () => {
+        async function* events() {
+            yield { type: 'message_start', message: { usage: {} } };
+            yield { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Hmm' } };
+        }
+        const chunks = [];
+        for await (const chunk of streamAnthropicToOpenAIChat(events(), 'm')) {
+            chunks.push(chunk);
+        }
+        assertEqual(chunks[1].choices[0].delta.reasoning_content, 'Hmm');
+        assertEqual(chunks[chunks.length - 1].choices[0].finish_reason, 'stop');
+        assertEqual(chunks.length, 3);
+    });
+
+    // ================================================================
+    // OpenAI Responses Converter Tests
+    // ================================================================
+    console.log('\n─── OpenAI Responses Converter Tests ───');
+
+    test('convertOpenAIResponsesToAnthropic: string input and instructions', () => {
+        const result = convertOpenAIResponsesToAnthropic({
+            model: 'gpt-5-codex',
+            instructions: 'You are a coding agent.',
+            input: 'List files',
+            max_output_tokens: 2000
+        });
+        assertEqual(result.system, 'You are a coding agent.');
+        assertDeepEqual(result.messages, [{ role: 'user', content: [{ type: 'text', text: 'List files' }] }]);
+        assertEqual(result.max_tokens, 2000);
+    });
+
+    test('convertOpenAIResponsesToAnthropic: maps message, function_call and function_call_output items', () => {
+        const result = convertOpenAIResponsesToAnthropic({
+            input: [
+                { role: 'developer', content: 'Be careful.' },
+                { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Run ls' }, { type: 'input_image', image_url: 'data:image/jpeg;base64,BBBB' }] },
+                { type: 'reasoning', id: 'rs_1', summary: [], encrypted_content: 'xyz' },
+                { type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'Running.' }] },
+                { type: 'function_call', call_id: 'call_1', name: 'shell', arguments: '{"cmd":"ls"}' },
+                { type: 'function_call_output', call_id: 'call_1', output: 'a.txt' }
+            ]
+        });
+        assertEqual(result.system, 'Be careful.');
+        assertEqual(result.messages.length, 3);
+        assertEqual(result.messages[0].content[1].source.media_type, 'image/jpeg');
+        // Assistant text and function_call merge into one assistant turn
+        assertEqual(result.messages[1].role, 'assistant');
+        assertDeepEqual(result.messages[1].content[1], { type: 'tool_use', id: 'call_1', name: 'shell', input: { cmd: 'ls' } });
+        assertDeepEqual(result.messages[2].content[0], { type: 'tool_result', tool_use_id: 'call_1', content: 'a.txt' });
+    });
+
+    test('convertOpenAIResponsesToAnthropic: keeps function tools, maps tool_choice and reasoning', () => {
+        const result = convertOpenAIResponsesToAnthropic({
+            input: 'Hi',
+            tools: [
+                { type: 'function', name: 'shell', description: 'Run a command', parameters: { type: 'object', properties: { cmd: { type: 'string' } } } },
+                { type: 'web_search' }
+            ],
+            tool_choice: { type: 'function', name: 'shell' },
+            reasoning: { effort: 'low', summary: 'auto' }
+        });
+        assertEqual(result.tools.length, 1);
+        assertEqual(result.tools[0].name, 'shell');
+        assertDeepEqual(result.tool_choice, { type: 'tool', name: 'shell' });
+        assertEqual(result.thinking.budget_tokens, 2048);
+        assertTrue(result.max_tokens > 2048);
+    });
+
+    test('convertAnthropicToOpenAIResponse: builds reasoning, message and function_call items', () => {
+        const envelope = createResponseEnvelope({ input: 'Hi' }, 'gpt-5-codex');
+        const result = convertAnthropicToOpenAIResponse({
+            content: [
+                { type: 'thinking', thinking: 'Plan', signature: 's' },
+                { type: 'text', text: 'Done.' },
+                { type: 'tool_use', id: 'toolu_1', name: 'shell', input: { cmd: 'ls' } }
+            ],
+            stop_reason: 'tool_use',
+            usage: { input_tokens: 3, output_tokens: 4, cache_read_input_tokens: 7 }
+        }, envelope);
+        assertEqual(result.object, 'response');
+        assertEqual(result.status, 'completed');
+        assertEqual(result.model, 'gpt-5-codex');
+        assertDeepEqual(result.output.map(item => item.type), ['reasoning', 'message', 'function_call']);
+        assertEqual(result.output[0].summary[0].text, 'Plan');
+        assertEqual(result.output[1].content[0].text, 'Done.');
+        assertEqual(result.output[2].call_id, 'toolu_1');
+        assertEqual(result.output[2].arguments, '{"cmd":"ls"}');
+        assertEqual(result.usage.input_tokens, 10);
+        assertEqual(result.usage.input_tokens_details.cached_tokens, 7);
+        assertEqual(result.usage.total_tokens, 14);
+    });
+
+    test('convertAnthropicToOpenAIResponse: max_tokens stop marks response incomplete', () => {
+        const envelope = createResponseEnvelope({ input: 'Hi' }, 'm');
+        const result = convertAnthropicToOpenAIResponse({
+            content: [{ type: 'text', text: 'Trunc' }],
+            stop_reason: 'max_tokens',
+            usage: {}
+        }, envelope);
+        assertEqual(result.status, 'incomplete');
+        assertEqual(result.incomplete_details.reason, 'max_output_tokens');
+    });
+
+    await testAsync('streamAnthropicToOpenAIResponses: emits semantic events in order', async () => {
+        async function* events() {
+            yield { type: 'message_start', message: { usage: { input_tokens: 5, output_tokens: 0 } } };
+            yield { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } };
+            yield { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Hmm' } };
+            yield { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'sig' } };
+            yield { type: 'content_block_stop', index: 0 };
+            yield { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } };
+            yield { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Hel' } };
+            yield { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'lo' } };
+            yield { type: 'content_block_stop', index: 1 };
+            yield { type: 'content_block_start', index: 2, content_block: { type: 'tool_use', id: 'toolu_9', name: 'shell', input: {} } };
+            yield { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: '{"cmd":"ls"}' } };
+            yield { type: 'content_block_stop', index: 2 };
+            yield { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 9 } };
+            yield { type: 'message_stop' };
+        }
+        const envelope = createResponseEnvelope({ input: 'Hi' }, 'gpt-5-codex');
+        const out = [];
+        for await (const event of streamAnthropicToOpenAIResponses(events(), envelope)) {
+            out.push(event);
+        }
+        const types = out.map(e => e.type);
+        assertEqual(types[0], 'response.created');
+        assertEqual(types[1], 'response.in_progress');
+        assertEqual(types[types.length - 1], 'response.completed');
+        assertTrue(types.includes('response.reasoning_summary_text.delta'));
+        assertTrue(types.includes('response.function_call_arguments.done'));
+        assertDeepEqual(out.filter(e => e.type === 'response.output_text.delta').map(e => e.delta), ['Hel', 'lo']);
+        assertEqual(out.find(e => e.type === 'response.output_text.done').text, 'Hello');
+        assertEqual(out.find(e => e.type === 'response.function_call_arguments.delta').output_index, 2);
+        assertTrue(out.every((e, i) => e.sequence_number === i), 'sequence numbers are contiguous');
+
+        const completed = out[out.length - 1].response;
+        assertEqual(completed.status, 'completed');
+        assertDeepEqual(completed.output.map(item => item.type), ['reasoning', 'message', 'function_call']);
+        assertEqual(completed.output[2].arguments, '{"cmd":"ls"}');
+        assertEqual(completed.output[2].call_id, 'toolu_9');
+        assertEqual(completed.usage.output_tokens, 9);
+    });
+
+    // ================================================================
+    // Gemini Native Converter Tests
+    // ================================================================
+    console.log('\n─── Gemini Native Converter Tests ───');
+
+    test('convertGeminiToAnthropic: maps systemInstruction, roles and generationConfig', () => {
+        const result = convertGeminiToAnthropic({
+            systemInstruction: { parts: [{ text: 'Be brief.' }] },
+            contents: [
+                { role: 'user', parts: [{ text: 'Hi' }] },
+                { role: 'model', parts: [{ text: 'Hello' }] },
+                { role: 'user', parts: [{ text: 'How are you?' }] }
+            ],
+            generationConfig: { maxOutputTokens: 256, temperature: 0.2, topP: 0.9, topK: 40, stopSequences: ['END'] }
+        });
+        assertEqual(result.system, 'Be brief.');
+        assertDeepEqual(result.messages.map(m => m.role), ['user', 'assistant', 'user']);
+        assertEqual(result.messages[1].content[0].text, 'Hello');
+        assertEqual(result.max_tokens, 256);
+        assertEqual(result.temperature, 0.2);
+        assertEqual(result.top_p, 0.9);
+        assertEqual(result.top_k, 40);
+        assertDeepEqual(result.stop_sequences, ['END']);
+    });
+
+    test('convertGeminiToAnthropic: accepts snake_case fields', () => {
+        const result = convertGeminiToAnthropic({
+            system_instruction: { parts: [{ text: 'Sys' }] },
+            contents: [{ role: 'user', parts: [{ inline_data: { mime_type: 'image/png', data: 'AAAA' } }] }],
+            generation_config: { max_output_tokens: 100 }
+        });
+        assertEqual(result.system, 'Sys');
+        assertEqual(result.max_tokens, 100);
+        assertEqual(result.messages[0].content[0].type, 'image');
+        assertEqual(result.messages[0].content[0].source.media_type, 'image/png');
+    });
+
+    test('convertGeminiToAnthropic: pairs functionCall and functionResponse without ids', () => {
+        const result = convertGeminiToAnthropic({
+            contents: [
+                { role: 'user', parts: [{ text: 'Weather?' }] },
+                { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+                { role: 'user', parts: [{ functionResponse: { name: 'get_weather', response: { output: 'Sunny' } } }] }
+            ]
+        });
+        const toolUse = result.messages[1].content[0];
+        const toolResult = result.messages[2].content[0];
+        assertEqual(toolUse.type, 'tool_use');
+        assertDeepEqual(toolUse.input, { city: 'Paris' });
+        assertEqual(toolResult.type, 'tool_result');
+        assertEqual(toolResult.tool_use_id, toolUse.id);
+        assertEqual(toolResult.content, 'Sunny');
+    });
+
+    test('convertGeminiToAnthropic: converts tools, upper-case schema types and toolConfig', () => {
+        const result = convertGeminiToAnthropic({
+            contents: [{ role: 'user', parts: [{ text: 'Hi' }] }],
+            tools: [
+                { functionDeclarations: [{ name: 'lookup', description: 'Look up', parameters: { type: 'OBJECT', properties: { q: { type: 'STRING' } }, required: ['q'] } }] },
+                { googleSearch: {} }
+            ],
+            toolConfig: { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: ['lookup'] } }
+        });
+        assertEqual(result.tools.length, 1);
+        assertEqual(result.tools[0].input_schema.type, 'object');
+        assertEqual(result.tools[0].input_schema.properties.q.type, 'string');
+        assertDeepEqual(result.tools[0].input_schema.required, ['q']);
+        assertDeepEqual(result.tool_choice, { type: 'tool', name: 'lookup' });
+
+        const none = convertGeminiToAnthropic({
+            contents: [{ role: 'user', parts: [{ text: 'Hi' }] }],
+            tools: [{ functionDeclarations: [{ name: 'lookup' }] }],
+            toolConfig: { functionCallingConfig: { mode: 'NONE' } }
+        });
+        assertEqual(none.tools, undefined);
+    });
+
+    test('convertGeminiToAnthropic: thinkingConfig maps to a thinking budget', () => {
+        const budget = convertGeminiToAnthropic({
+            contents: [{ role: 'user', parts: [{ text: 'Hi' }] }],
+            generationConfig: { maxOutputTokens: 1000, thinkingConfig: { thinkingBudget: 2000, includeThoughts: true } }
+        });
+        assertEqual(budget.thinking.budget_tokens, 2000);
+        assertTrue(budget.max_tokens > 2000, 'max_tokens must exceed the thinking budget');
+
+        const off = convertGeminiToAnthropic({
+            contents: [{ role: 'user', parts: [{ text: 'Hi' }] }],
+            generationConfig: { thinkingConfig: { thinkingBudget: 0 } }
+        });
+        assertEqual(off.thinking, undefined);
+        assertEqual(wantsThoughts({ generationConfig: { thinkingConfig: { includeThoughts: true } } }), true);
+        assertEqual(wantsThoughts({}), false);
+    });
+
+    test('convertGeminiToAnthropic: keeps signed thoughts, drops unsigned ones', () => {
+        const result = convertGeminiToAnthropic({
+            contents: [
+                { role: 'user', parts: [{ text: 'Hi' }] },
+                { role: 'model', parts: [{ text: 'plan', thought: true, thoughtSignature: 'sig' }, { text: 'raw', thought: true }, { text: 'Answer' }] }
+            ]
+        });
+        assertDeepEqual(result.messages[1].content.map(b => b.type), ['thinking', 'text']);
+        assertEqual(result.messages[1].content[0].signature, 'sig');
+    });
+
+    test('normalizeSchema: lower-cases nested types', () => {
+        const schema = normalizeSchema({ type: 'ARRAY', items: { type: 'OBJECT', properties: { n: { type: 'INTEGER' } } } });
+        assertEqual(schema.type, 'array');
+        assertEqual(schema.items.type, 'object');
+        assertEqual(schema.items.properties.n.type, 'integer');
+    });
+
+    test('convertAnthropicToGemini: builds candidates and usageMetadata', () => {
+        const result = convertAnthropicToGemini({
+            content: [
+                { type: 'thinking', thinking: 'Let me see', signature: 'sig' },
+                { type: 'text', text: 'Calling tool' },
+                { type: 'tool_use', id: 'toolu_1', name: 'lookup', input: { q: 'x' } }
+            ],
+            stop_reason: 'tool_use',
+            usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 4 }
+        }, 'gemini-2.5-pro');
+        const candidate = result.candidates[0];
+        assertEqual(candidate.content.role, 'model');
+        assertEqual(candidate.finishReason, 'STOP');
+        assertDeepEqual(candidate.content.parts.map(p => Object.keys(p)[0]), ['text', 'functionCall']);
+        assertDeepEqual(candidate.content.parts[1].functionCall, { id: 'toolu_1', name: 'lookup', args: { q: 'x' } });
+        assertEqual(result.usageMetadata.promptTokenCount, 14);
+        assertEqual(result.usageMetadata.cachedContentTokenCount, 4);
+        assertEqual(result.usageMetadata.totalTokenCount, 19);
+        assertEqual(result.modelVersion, 'gemini-2.5-pro');
+
+        const withThoughts = convertAnthropicToGemini({
+            content: [{ type: 'thinking', thinking: 'Let me see', signature: 'sig' }],
+            stop_reason: 'max_tokens',
+            usage: {}
+        }, 'm', { includeThoughts: true });
+        assertEqual(withThoughts.candidates[0].content.parts[0].thought, true);
+        assertEqual(withThoughts.candidates[0].content.parts[0].thoughtSignature, 'sig');
+        assertEqual(withThoughts.candidates[0].finishReason, 'MAX_TOKENS');
+    });
+
+    await testAsync('streamAnthropicToGemini: streams text and emits whole function calls', async () => {
+        async function* events() {
+            yield { type: 'message_start', message: { usage: { input_tokens: 7, output_tokens: 0 } } };
+            yield { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } };
+            yield { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Hmm' } };
+            yield { type: 'content_block_stop', index: 0 };
+            yield { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } };
+            yield { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Hel' } };
+            yield { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'lo' } };
+            yield { type: 'content_block_stop', index: 1 };
+            yield { type: 'content_block_start', index: 2, content_block: { type: 'tool_use', id: 'toolu_2', name: 'lookup', input: {} } };
+            yield { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: '{"q":' } };
+            yield { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: '"x"}' } };
+            yield { type: 'content_block_stop', index: 2 };
+            yield { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 12 } };
+            yield { type: 'message_stop' };
+        }
+        const out = [];
+        for await (const chunk of streamAnthropicToGemini(events(), 'gemini-2.5-flash')) {
+            out.push(chunk);
+        }
+        const parts = out.map(c => c.candidates[0].content.parts[0]);
+        assertEqual(out.length, 4, 'thinking is hidden unless includeThoughts is set');
+        assertEqual(parts[0].text, 'Hel');
+        assertEqual(parts[1].text, 'lo');
+        assertDeepEqual(parts[2].functionCall, { id: 'toolu_2', name: 'lookup', args: { q: 'x' } });
+        const last = out[out.length - 1];
+        assertEqual(last.candidates[0].finishReason, 'STOP');
+        assertEqual(last.usageMetadata.promptTokenCount, 7);
+        assertEqual(last.usageMetadata.candidatesTokenCount, 12);
+        assertTrue(out.every(c => c.responseId === out[0].responseId), 'chunks share a response id');
+    });
+
+    // ================================================================
+    // Codex Responses Converter Tests
+    // ================================================================
+    console.log('\n─── Codex Responses Converter Tests ───');
+
+    test('convertAnthropicToCodexRequest: maps system, messages and tool round-trips', () => {
+        const body = convertAnthropicToCodexRequest({
+            model: 'gpt-5-codex',
+            system: [{ type: 'text', text: 'Be brief.' }],
+            messages: [
+                { role: 'user', content: 'List files' },
+                {
+                    role: 'assistant', content: [
+                        { type: 'thinking', thinking: 'hidden', signature: 'sig' },
+                        { type: 'text', text: 'Running ls' },
+                        { type: 'tool_use', id: 'call_1', name: 'bash', input: { cmd: 'ls' } }
+                    ]
+                },
+                { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: [{ type: 'text', text: 'a.txt' }] }] }
+            ],
+            tools: [{ name: 'bash', description: 'Run a command', input_schema: { type: 'object', properties: { cmd: { type: 'string' } } } }],
+            tool_choice: { type: 'any' }
+        });
+        assertEqual(body.instructions, 'Be brief.');
+        assertEqual(body.store, false);
+        assertEqual(body.stream, true);
+        assertDeepEqual(body.input, [
+            { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'List files' }] },
+            { type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'Running ls' }] },
+            { type: 'function_call', call_id: 'call_1', name: 'bash', arguments: '{"cmd":"ls"}' },
+            { type: 'function_call_output', call_id: 'call_1', output: 'a.txt' }
+        ]);
+        assertEqual(body.tools[0].type, 'function');
+        assertEqual(body.tools[0].parameters.properties.cmd.type, 'string');
+        assertEqual(body.tool_choice, 'required');
+        assertEqual(body.reasoning, undefined, 'no reasoning config without thinking');
+    });
+
+    test('convertAnthropicToCodexRequest: thinking budget sets reasoning effort and summaries', () => {
+        const low = convertAnthropicToCodexRequest({ model: 'gpt-5', messages: [], thinking: { type: 'enabled', budget_tokens: 2000 } });
+        const high = convertAnthropicToCodexRequest({ model: 'gpt-5', messages: [], thinking: { type: 'enabled', budget_tokens: 32000 } });
+        assertDeepEqual(low.reasoning, { effort: 'low', summary: 'auto' });
+        assertEqual(high.reasoning.effort, 'high');
+    });
+
+    await testAsync('streamCodexToAnthropic: converts reasoning, text and function calls', async () => {
+        async function* events() {
+            yield { type: 'response.created', response: { id: 'resp_abc' } };
+            yield { type: 'response.output_item.added', output_index: 0, item: { type: 'reasoning' } };
+            yield { type: 'response.reasoning_summary_text.delta', output_index: 0, delta: 'Plan' };
+            yield { type: 'response.output_item.done', output_index: 0, item: { type: 'reasoning' } };
+            yield { type: 'response.output_item.added', output_index: 1, item: { type: 'message' } };
+            yield { type: 'response.output_text.delta', output_index: 1, delta: 'Hi' };
+            yield { type: 'response.output_item.done', output_index: 1, item: { type: 'message' } };
+            yield { type: 'response.output_item.added', output_index: 2, item: { type: 'function_call', call_id: 'call_9', name: 'bash' } };
+            yield { type: 'response.function_call_arguments.delta', output_index: 2, delta: '{"cmd":' };
+            yield { type: 'response.function_call_arguments.delta', output_index: 2, delta: '"ls"}' };
+            yield { type: 'response.output_item.done', output_index: 2, item: { type: 'function_call' } };
+            yield { type: 'response.completed', response: { usage: { input_tokens: 100, output_tokens: 20, input_tokens_details: { cached_tokens: 40 } } } };
+        }
+        const out = [];
+        for await (const event of streamCodexToAnthropic(events(), 'gpt-5-codex')) {
+            out.push(event);
+        }
+        assertEqual(out[0].type, 'message_start');
+        assertEqual(out[0].message.id, 'msg_abc');
+        assertDeepEqual(out.filter(e => e.type === 'content_block_start').map(e => e.content_block.type), ['thinking', 'text', 'tool_use']);
+        const delta = out.find(e => e.type === 'message_delta');
+        assertEqual(delta.delta.stop_reason, 'tool_use');
+        assertDeepEqual(delta.usage, { input_tokens: 60, output_tokens: 20, cache_read_input_tokens: 40, cache_creation_input_tokens: 0 });
+        assertEqual(out[out.length - 1].type, 'message_stop');
+
+        async function* replay() { yield* out; }
+        const message = await collectAnthropicMessage(replay());
+        assertEqual(message.content[0].thinking, 'Plan');
+        assertEqual(message.content[1].text, 'Hi');
+        assertDeepEqual(message.content[2].input, { cmd: 'ls' });
+        assertEqual(message.stop_reason, 'tool_use');
+    });
+
+    await testAsync('streamCodexToAnthropic: maps truncation and throws on failure', async () => {
+        async function* truncated() {
+            yield { type: 'response.output_text.delta', output_index: 0, delta: 'cut' };
+            yield { type: 'response.incomplete', response: { incomplete_details: { reason: 'max_output_tokens' }, usage: {} } };
+        }
+        const message = await collectAnthropicMessage(streamCodexToAnthropic(truncated(), 'gpt-5'));
+        assertEqual(message.stop_reason, 'max_tokens');
+        assertEqual(message.content[0].text, 'cut');
+
+        async function* failing() {
+            yield { type: 'response.failed', response: { error: { code: 'rate_limit_exceeded', message: 'Slow down' } } };
+        }
+        let error = null;
+        try {
+            for await (const event of streamCodexToAnthropic(failing(), 'gpt-5')) { void event; }
+        } catch (e) {
+            error = e;
+        }
+        assertTrue(error && error.message.includes('rate_limit_exceeded'), 'failure is surfaced as an API error');
+    });
+
     // ================================================================
     // Summary
     // ================================================================
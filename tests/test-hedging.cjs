@@ -0,0 +1,237 @@
+/**
+ * Test Hedging - Unit Tests
+ *
+ * Tests hedged streaming requests:
+ * - per-model TTFT deadlines from config.hedging
+ * - config validation
+ * - racing a primary and a hedge leg, aborting the loser
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║                  HEDGING TEST SUITE                          ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        DEFAULT_HEDGE_TTFT_MS,
+        getHedgeDeadlineMs,
+        validateHedgingConfig,
+        streamWithHedge
+    } = await import('../src/cloudcode/hedging.js');
+    const { config } = await import('../src/config.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    /**
+     * Fake leg: waits delayMs (abortable), then fails or yields its events
+     */
+    function makeLeg(label, { delayMs = 0, events = [`${label}-1`, `${label}-2`], error = null } = {}) {
+        const leg = {
+            label,
+            started: false,
+            aborted: false,
+            discarded: null,
+            onDiscardedError: (err) => { leg.discarded = err; },
+            start: (signal) => (async function* () {
+                leg.started = true;
+                await new Promise((resolve, reject) => {
+                    const timer = setTimeout(resolve, delayMs);
+                    signal.addEventListener('abort', () => {
+                        clearTimeout(timer);
+                        leg.aborted = true;
+                        reject(new Error('aborted'));
+                    }, { once: true });
+                });
+                if (error) throw error;
+                for (const event of events) yield event;
+            })()
+        };
+        return leg;
+    }
+
+    async function collect(stream) {
+        const events = [];
+        for await (const event of stream) events.push(event);
+        return events;
+    }
+
+    const savedHedging = config.hedging;
+
+    // ================================================================
+    // Config Tests
+    // ================================================================
+    console.log('\n─── Config Tests ───');
+
+    test('getHedgeDeadlineMs: only opted-in models are hedged', () => {
+        config.hedging = {
+            defaultTtftMs: 12000,
+            models: {
+                'claude-opus-4-6': { ttftMs: 5000 },
+                'gemini-3-pro-high': {},
+                'gpt-5.2': { ttftMs: 3000, enabled: false }
+            }
+        };
+        assertEqual(getHedgeDeadlineMs('claude-opus-4-6'), 5000);
+        assertEqual(getHedgeDeadlineMs('gemini-3-pro-high'), 12000);
+        assertEqual(getHedgeDeadlineMs('gpt-5.2'), null);
+        assertEqual(getHedgeDeadlineMs('gemini-3-flash'), null);
+
+        config.hedging = { models: { 'gemini-3-pro-high': {} } };
+        assertEqual(getHedgeDeadlineMs('gemini-3-pro-high'), DEFAULT_HEDGE_TTFT_MS);
+        config.hedging = undefined;
+        assertEqual(getHedgeDeadlineMs('gemini-3-pro-high'), null);
+        config.hedging = savedHedging;
+    });
+
+    test('validateHedgingConfig: accepts valid config, rejects bad deadlines', () => {
+        assertEqual(validateHedgingConfig({ defaultTtftMs: 10000, models: { a: { ttftMs: 500 }, b: {} } }), null);
+        assertEqual(validateHedgingConfig({ models: {} }), null);
+        assertEqual(validateHedgingConfig([]), 'hedging must be an object');
+        assertEqual(validateHedgingConfig({ defaultTtftMs: 0 }), 'hedging.defaultTtftMs must be a positive integer (ms)');
+        assertEqual(validateHedgingConfig({ models: { a: { ttftMs: '5s' } } }), 'a.ttftMs: must be a positive integer (ms)');
+        assertEqual(validateHedgingConfig({ models: { a: { enabled: 'yes' } } }), 'a.enabled: must be a boolean');
+        assertEqual(validateHedgingConfig({ models: ['a'] }), 'hedging.models must be an object keyed by model id');
+    });
+
+    // ================================================================
+    // Race Tests
+    // ================================================================
+    console.log('\n─── Race Tests ───');
+
+    await testAsync('streamWithHedge: fast primary never starts a hedge', async () => {
+        const primary = makeLeg('primary', { delayMs: 5 });
+        const hedge = makeLeg('hedge');
+        const events = await collect(streamWithHedge(primary, () => hedge, 200));
+        assertEqual(events.join(), 'primary-1,primary-2');
+        assertEqual(hedge.started, false);
+    });
+
+    await testAsync('streamWithHedge: slow primary loses to the hedge and is aborted', async () => {
+        const primary = makeLeg('primary', { delayMs: 1000 });
+        const hedge = makeLeg('hedge', { delayMs: 5 });
+        const events = await collect(streamWithHedge(primary, () => hedge, 20));
+        assertEqual(events.join(), 'hedge-1,hedge-2');
+        assertEqual(primary.aborted, true);
+        assertEqual(hedge.aborted, false);
+    });
+
+    await testAsync('streamWithHedge: slow primary still wins against a slower hedge', async () => {
+        const primary = makeLeg('primary', { delayMs: 40 });
+        const hedge = makeLeg('hedge', { delayMs: 1000 });
+        const events = await collect(streamWithHedge(primary, () => hedge, 10));
+        assertEqual(events.join(), 'primary-1,primary-2');
+        assertEqual(hedge.started, true);
+        assertEqual(hedge.aborted, true);
+    });
+
+    await testAsync('streamWithHedge: no hedge account keeps waiting on the primary', async () => {
+        const primary = makeLeg('primary', { delayMs: 40 });
+        const events = await collect(streamWithHedge(primary, () => null, 10));
+        assertEqual(events.join(), 'primary-1,primary-2');
+    });
+
+    await testAsync('streamWithHedge: a failing hedge is discarded while the primary streams', async () => {
+        const primary = makeLeg('primary', { delayMs: 40 });
+        const hedge = makeLeg('hedge', { error: new Error('429 RESOURCE_EXHAUSTED') });
+        const events = await collect(streamWithHedge(primary, () => hedge, 10));
+        assertEqual(events.join(), 'primary-1,primary-2');
+        assertEqual(hedge.discarded?.message, '429 RESOURCE_EXHAUSTED');
+    });
+
+    await testAsync('streamWithHedge: a failing primary is discarded when the hedge answers', async () => {
+        const primary = makeLeg('primary', { delayMs: 30, error: new Error('API error: 503 overloaded') });
+        const hedge = makeLeg('hedge', { delayMs: 60 });
+        const events = await collect(streamWithHedge(primary, () => hedge, 10));
+        assertEqual(events.join(), 'hedge-1,hedge-2');
+        assertEqual(primary.discarded?.message, 'API error: 503 overloaded');
+    });
+
+    await testAsync('streamWithHedge: when both legs fail the primary error is thrown', async () => {
+        const primary = makeLeg('primary', { delayMs: 30, error: new Error('primary failed') });
+        const hedge = makeLeg('hedge', { error: new Error('hedge failed') });
+        let thrown = null;
+        try {
+            await collect(streamWithHedge(primary, () => hedge, 10));
+        } catch (e) {
+            thrown = e;
+        }
+        assertEqual(thrown?.message, 'primary failed');
+        assertEqual(hedge.discarded?.message, 'hedge failed');
+        assertEqual(primary.discarded, null, 'the thrown error is left to the caller');
+    });
+
+    await testAsync('streamWithHedge: primary failing before the deadline is thrown without hedging', async () => {
+        const primary = makeLeg('primary', { error: new Error('401 AUTH_INVALID') });
+        const hedge = makeLeg('hedge');
+        let thrown = null;
+        try {
+            await collect(streamWithHedge(primary, () => hedge, 200));
+        } catch (e) {
+            thrown = e;
+        }
+        assertEqual(thrown?.message, '401 AUTH_INVALID');
+        assertEqual(hedge.started, false);
+    });
+
+    await testAsync('streamWithHedge: legs remove their listeners from the request signal', async () => {
+        const controller = new AbortController();
+        let listeners = 0;
+        const add = controller.signal.addEventListener.bind(controller.signal);
+        const remove = controller.signal.removeEventListener.bind(controller.signal);
+        controller.signal.addEventListener = (...args) => { listeners++; add(...args); };
+        controller.signal.removeEventListener = (...args) => { listeners--; remove(...args); };
+
+        for (let i = 0; i < 3; i++) {
+            const primary = makeLeg('primary', { delayMs: 40 });
+            const hedge = makeLeg('hedge', { delayMs: 5 });
+            await collect(streamWithHedge(primary, () => hedge, 10, controller.signal));
+        }
+        assertEqual(listeners, 0);
+    });
+
+    config.hedging = savedHedging;
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
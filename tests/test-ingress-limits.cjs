@@ -0,0 +1,228 @@
+/**
+ * Test Ingress Limits - Unit Tests
+ *
+ * Tests per-client ingress limits:
+ * - requests and tokens per minute, with retry-after; idle clients are forgotten
+ * - daily/monthly token and cost budgets read from token usage
+ * - limit resolution from config and client keys, validation and headers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the user's config and usage data out of the tests
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'ingress-limits-test-'));
+process.env.HOME = tempHome;
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║                 INGRESS LIMITS TEST SUITE                    ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        validateIngressLimitsConfig,
+        resolveClientLimits,
+        limitHeaders,
+        IngressLimiter
+    } = await import('../src/modules/ingress-limits.js');
+    const { TokenUsageTracker } = await import('../src/modules/token-usage.js');
+    const { config } = await import('../src/config.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    const trackers = [];
+
+    /**
+     * Limiter reading usage from its own tracker on a temp file
+     */
+    function makeLimiter() {
+        const tracker = new TokenUsageTracker({ storePath: path.join(tempHome, `usage-${trackers.length}.json`) });
+        trackers.push(tracker);
+        return { tracker, limiter: new IngressLimiter({ tracker }) };
+    }
+
+    const MINUTE = 60 * 1000;
+    const usage = (input, output) => ({ input_tokens: input, output_tokens: output });
+    const record = (tracker, client, tokens, extra = {}) => tracker.record({
+        account: 'a@x.com', provider: 'anthropic', model: 'claude-sonnet-4-5', client, usage: usage(tokens, 0), ...extra
+    });
+
+    // ================================================================
+    // Per-Minute Tests
+    // ================================================================
+    console.log('\n─── Per-Minute Tests ───');
+
+    test('requestsPerMinute: admits up to the limit, then retries when the oldest leaves', () => {
+        const { limiter } = makeLimiter();
+        const start = Date.now();
+        const limits = { requestsPerMinute: 2 };
+        assertEqual(limiter.admit('ci', limits, 1, start).status.requestsPerMinute.remaining, 1);
+        assertEqual(limiter.admit('ci', limits, 1, start + 10_000).allowed, true);
+
+        const rejected = limiter.admit('ci', limits, 1, start + 20_000);
+        assertEqual(rejected.allowed, false);
+        assertEqual(rejected.retryAfterMs, 40_000, 'first request leaves the window at start + 60s');
+        assertEqual(rejected.message.startsWith('Client "ci" is over its requestsPerMinute (2) limit'), true);
+        assertEqual(limiter.admit('other', limits, 1, start + 20_000).allowed, true, 'clients are counted separately');
+        assertEqual(limiter.admit('ci', limits, 1, start + MINUTE + 1).allowed, true);
+    });
+
+    test('requestsPerMinute: a batch counts each of its requests', () => {
+        const { limiter } = makeLimiter();
+        const now = Date.now();
+        assertEqual(limiter.admit('batch', { requestsPerMinute: 5 }, 3, now).status.requestsPerMinute.remaining, 2);
+        assertEqual(limiter.admit('batch', { requestsPerMinute: 5 }, 3, now).allowed, false);
+    });
+
+    test('requestsPerMinute: a batch larger than the limit is rejected for good', () => {
+        const { limiter } = makeLimiter();
+        const rejected = limiter.admit('batch', { requestsPerMinute: 5 }, 6);
+        assertEqual(rejected.allowed, false);
+        assertEqual(rejected.retryable, false);
+        assertEqual(rejected.retryAfterMs, 0);
+        assertEqual(rejected.message.includes('requestsPerMinute limit (5)'), true);
+        assertEqual(limiter.admit('batch', { requestsPerMinute: 5 }, 5).allowed, true, 'nothing was counted');
+    });
+
+    test('tokensPerMinute: finished responses count; retry when enough tokens leave the window', () => {
+        const { tracker, limiter } = makeLimiter();
+        const start = Date.now();
+        record(tracker, 'agent', 600, { timestamp: start });
+        record(tracker, 'agent', 500, { timestamp: start + 5_000 });
+
+        const rejected = limiter.admit('agent', { tokensPerMinute: 1000 }, 1, start + 10_000);
+        assertEqual(rejected.allowed, false);
+        assertEqual(rejected.retryAfterMs, 50_000, 'under the limit once the 600-token response leaves');
+        assertEqual(rejected.status.tokensPerMinute.remaining, 0);
+        assertEqual(limiter.admit('agent', { tokensPerMinute: 2000 }, 1, start + 10_000).status.tokensPerMinute.remaining, 900);
+    });
+
+    test('windows of clients that went quiet are dropped', () => {
+        const { tracker, limiter } = makeLimiter();
+        const start = Date.now();
+        for (let i = 0; i < 50; i++) limiter.admit(`client-${i}`, { requestsPerMinute: 5 }, 1, start);
+        record(tracker, 'unlimited', 100, { timestamp: start });
+        assertEqual(limiter.getTrackedClientCount(), 51);
+
+        limiter.admit('late', { requestsPerMinute: 5 }, 1, start + 30_000);
+        assertEqual(limiter.getTrackedClientCount(), 52, 'still inside the window');
+
+        limiter.admit('late', { requestsPerMinute: 5 }, 1, start + 2 * MINUTE);
+        assertEqual(limiter.getTrackedClientCount(), 1, 'only the client being admitted is left');
+    });
+
+    // ================================================================
+    // Budget Tests
+    // ================================================================
+    console.log('\n─── Budget Tests ───');
+
+    test('dailyTokens: earlier usage counts after a restart; resets at UTC midnight', () => {
+        const { tracker } = makeLimiter();
+        const now = Date.now();
+        record(tracker, 'alice', 900, { timestamp: now - 1000 });
+        // A new limiter (e.g. after a restart) reads the day so far from the tracker
+        const limiter = new IngressLimiter({ tracker });
+        assertEqual(limiter.admit('alice', { dailyTokens: 1000 }, 1, now).status.dailyTokens.remaining, 100);
+
+        record(tracker, 'alice', 200);
+        const rejected = limiter.admit('alice', { dailyTokens: 1000 }, 1, now);
+        assertEqual(rejected.allowed, false);
+        const midnight = new Date(now);
+        midnight.setUTCHours(24, 0, 0, 0);
+        assertEqual(rejected.retryAfterMs, midnight.getTime() - now);
+    });
+
+    test('monthlyCostUsd: estimated cost counts against the budget; flat-rate traffic is free', () => {
+        const { tracker, limiter } = makeLimiter();
+        const now = Date.now();
+        tracker.record({ account: 'c@x.com', provider: 'copilot', model: 'gpt-5', client: 'bob', usage: usage(10_000_000, 0) });
+        assertEqual(limiter.admit('bob', { monthlyCostUsd: 5 }, 1, now).allowed, true);
+
+        // 1M Sonnet input tokens at $3
+        tracker.record({ account: 'a@x.com', provider: 'anthropic', model: 'claude-sonnet-4-5', client: 'bob', usage: usage(1_000_000, 0) });
+        const result = limiter.admit('bob', { monthlyCostUsd: 5 }, 1, now);
+        assertEqual(result.allowed, true);
+        assertEqual(Math.abs(result.status.monthlyCostUsd.remaining - 2) < 1e-9, true);
+
+        tracker.record({ account: 'a@x.com', provider: 'anthropic', model: 'claude-sonnet-4-5', client: 'bob', usage: usage(1_000_000, 0) });
+        assertEqual(limiter.admit('bob', { monthlyCostUsd: 5 }, 1, now).allowed, false);
+    });
+
+    // ================================================================
+    // Config Tests
+    // ================================================================
+    console.log('\n─── Config Tests ───');
+
+    test('resolveClientLimits: config default, then per-client config, then the key', () => {
+        const previous = config.ingressLimits;
+        config.ingressLimits = {
+            default: { requestsPerMinute: 60, dailyTokens: 1000 },
+            clients: { alice: { requestsPerMinute: 10, tokensPerMinute: 500 } }
+        };
+        try {
+            const limits = resolveClientLimits('alice', { tokensPerMinute: 800, dailyTokens: null });
+            assertEqual(JSON.stringify(limits), '{"requestsPerMinute":10,"tokensPerMinute":800}');
+            assertEqual(JSON.stringify(resolveClientLimits('anonymous')), '{"requestsPerMinute":60,"dailyTokens":1000}');
+        } finally {
+            config.ingressLimits = previous;
+        }
+    });
+
+    test('validateIngressLimitsConfig: accepts valid config, rejects bad values', () => {
+        assertEqual(validateIngressLimitsConfig({ default: { requestsPerMinute: 60, monthlyCostUsd: 12.5 }, clients: { ci: {} } }), null);
+        assertEqual(validateIngressLimitsConfig([]), 'ingressLimits must be an object');
+        assertEqual(validateIngressLimitsConfig({ default: { rpm: 1 } }).startsWith('ingressLimits.default: unknown limit "rpm"'), true);
+        assertEqual(validateIngressLimitsConfig({ clients: { ci: { dailyCostUsd: -1 } } }), 'ingressLimits.clients.ci.dailyCostUsd must be a positive number or null');
+        assertEqual(validateIngressLimitsConfig({ clients: { ci: { tokensPerMinute: 0.5 } } }), 'ingressLimits.clients.ci.tokensPerMinute must be a positive integer or null');
+    });
+
+    test('limitHeaders: Anthropic per-minute headers and budget headers', () => {
+        const resetAt = Date.parse('2026-01-01T00:01:00Z');
+        const headers = limitHeaders({
+            requestsPerMinute: { limit: 60, remaining: 59, resetAt },
+            monthlyCostUsd: { limit: 5, remaining: 2.5, resetAt }
+        });
+        assertEqual(headers['anthropic-ratelimit-requests-limit'], '60');
+        assertEqual(headers['anthropic-ratelimit-requests-remaining'], '59');
+        assertEqual(headers['anthropic-ratelimit-requests-reset'], '2026-01-01T00:01:00.000Z');
+        assertEqual(headers['x-commons-budget-monthly-cost-usd-remaining'], '2.500000');
+        assertEqual(Object.keys(headers).length, 6);
+    });
+
+    // Write pending saves now rather than on exit, after the directory is gone
+    trackers.forEach(tracker => tracker.flushSync());
+    fs.rmSync(tempHome, { recursive: true, force: true });
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,405 @@
+/**
+ * Test Message Batches - Unit Tests
+ *
+ * Tests the local Message Batches emulation with a stubbed request processor:
+ * - request validation
+ * - processing, results file format and request counts
+ * - errored / re-queued requests
+ * - cancel, delete and list pagination
+ * - batches scoped to the client that created them
+ * - resuming unfinished batches after a restart
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║             MESSAGE BATCHES TEST SUITE                       ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        MessageBatchManager,
+        validateBatchRequests,
+        formatBatch
+    } = await import('../src/modules/message-batches.js');
+
+    let passed = 0;
+    let failed = 0;
+    const tempDirs = [];
+
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    function assertTrue(value, message = '') {
+        if (!value) {
+            throw new Error(message || `Expected truthy but got: ${JSON.stringify(value)}`);
+        }
+    }
+
+    function makeStore() {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'commons-proxy-batches-'));
+        tempDirs.push(dir);
+        return dir;
+    }
+
+    function makeRequests(n) {
+        return Array.from({ length: n }, (_, i) => ({
+            custom_id: `req-${i}`,
+            params: { model: 'claude-sonnet-4-5', max_tokens: 16, messages: [{ role: 'user', content: `Hi ${i}` }] }
+        }));
+    }
+
+    function fakeMessage(params) {
+        return {
+            id: 'msg_test',
+            type: 'message',
+            role: 'assistant',
+            model: params.model,
+            content: [{ type: 'text', text: `echo: ${params.messages[0].content}` }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: 1, output_tokens: 1 }
+        };
+    }
+
+    async function waitFor(predicate, timeoutMs = 3000) {
+        const start = Date.now();
+        while (!predicate()) {
+            if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for condition');
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
+    function readResults(manager, id) {
+        return fs.readFileSync(manager.getResultsPath(id), 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .map(line => JSON.parse(line));
+    }
+
+    // ================================================================
+    // Validation Tests
+    // ================================================================
+    console.log('\n─── Validation Tests ───');
+
+    await testAsync('validateBatchRequests: rejects empty, duplicate and streaming requests', async () => {
+        assertTrue(validateBatchRequests([]));
+        assertTrue(validateBatchRequests(undefined));
+        const dup = [...makeRequests(1), ...makeRequests(1)];
+        assertTrue(validateBatchRequests(dup).includes('duplicated'));
+        const streaming = makeRequests(1);
+        streaming[0].params.stream = true;
+        assertTrue(validateBatchRequests(streaming).includes('stream'));
+        assertEqual(validateBatchRequests(makeRequests(3)), null);
+    });
+
+    // ================================================================
+    // Processing Tests
+    // ================================================================
+    console.log('\n─── Processing Tests ───');
+
+    await testAsync('processes all requests and writes Anthropic-format results', async () => {
+        const manager = new MessageBatchManager({
+            storePath: makeStore(),
+            concurrency: 2,
+            processRequest: async (params) => fakeMessage(params)
+        });
+        const batch = manager.createBatch(makeRequests(5));
+        assertEqual(batch.processing_status, 'in_progress');
+
+        await waitFor(() => manager.getBatch(batch.id).processing_status === 'ended');
+        await manager.flush(batch.id);
+
+        const meta = manager.getBatch(batch.id);
+        assertEqual(meta.request_counts.succeeded, 5);
+        assertEqual(meta.request_counts.processing, 0);
+        assertTrue(meta.ended_at);
+
+        const results = readResults(manager, batch.id);
+        assertEqual(results.length, 5);
+        assertEqual(results[0].result.type, 'succeeded');
+        assertEqual(results[0].result.message.type, 'message');
+        assertTrue(results.some(r => r.custom_id === 'req-4'));
+    });
+
+    await testAsync('respects the concurrency limit', async () => {
+        let inFlight = 0;
+        let maxInFlight = 0;
+        const manager = new MessageBatchManager({
+            storePath: makeStore(),
+            concurrency: 2,
+            processRequest: async (params) => {
+                inFlight++;
+                maxInFlight = Math.max(maxInFlight, inFlight);
+                await new Promise(resolve => setTimeout(resolve, 20));
+                inFlight--;
+                return fakeMessage(params);
+            }
+        });
+        const batch = manager.createBatch(makeRequests(6));
+        await waitFor(() => manager.getBatch(batch.id).processing_status === 'ended');
+        assertEqual(maxInFlight, 2);
+    });
+
+    await testAsync('records errored results with the described error', async () => {
+        const manager = new MessageBatchManager({
+            storePath: makeStore(),
+            processRequest: async (params) => {
+                if (params.messages[0].content === 'Hi 1') throw new Error('invalid_request_error: bad input');
+                return fakeMessage(params);
+            },
+            describeError: (error) => ({ type: 'invalid_request_error', message: error.message })
+        });
+        const batch = manager.createBatch(makeRequests(3));
+        await waitFor(() => manager.getBatch(batch.id).processing_status === 'ended');
+        await manager.flush(batch.id);
+
+        assertEqual(manager.getBatch(batch.id).request_counts.errored, 1);
+        const errored = readResults(manager, batch.id).find(r => r.custom_id === 'req-1');
+        assertEqual(errored.result.type, 'errored');
+        assertEqual(errored.result.error.type, 'error');
+        assertEqual(errored.result.error.error.type, 'invalid_request_error');
+    });
+
+    await testAsync('re-queues requests that hit rate limits instead of failing them', async () => {
+        let calls = 0;
+        const manager = new MessageBatchManager({
+            storePath: makeStore(),
+            concurrency: 1,
+            processRequest: async (params) => {
+                calls++;
+                if (calls === 1) throw new Error('RESOURCE_EXHAUSTED: Rate limited on claude-sonnet-4-5.');
+                return fakeMessage(params);
+            }
+        });
+        const batch = manager.createBatch(makeRequests(1));
+        await waitFor(() => manager.getBatch(batch.id).processing_status === 'ended', 5000);
+        assertEqual(calls, 2);
+        assertEqual(manager.getBatch(batch.id).request_counts.succeeded, 1);
+    });
+
+    await testAsync('errors a request that keeps exhausting its retries', async () => {
+        let calls = 0;
+        const manager = new MessageBatchManager({
+            storePath: makeStore(),
+            maxRequeues: 1,
+            processRequest: async () => {
+                calls++;
+                const error = new Error('Max retries exceeded');
+                error.name = 'MaxRetriesError';
+                throw error;
+            },
+            describeError: (error) => ({ type: 'overloaded_error', message: error.message })
+        });
+        const batch = manager.createBatch(makeRequests(1));
+        await waitFor(() => manager.getBatch(batch.id).processing_status === 'ended', 5000);
+        await manager.flush(batch.id);
+        assertEqual(calls, 2, 'one re-queue, then it errors');
+        assertEqual(manager.getBatch(batch.id).request_counts.errored, 1);
+        assertEqual(readResults(manager, batch.id)[0].result.error.error.type, 'overloaded_error');
+    });
+
+    await testAsync('waits while every account is rate-limited for the model', async () => {
+        let limited = true;
+        const accountManager = {
+            getAccountCount: () => 1,
+            hasProviderForModel: () => true,
+            isAllRateLimited: () => limited,
+            getMinWaitTimeMs: () => 1000
+        };
+        let calls = 0;
+        const manager = new MessageBatchManager({
+            storePath: makeStore(),
+            accountManager,
+            processRequest: async (params) => {
+                calls++;
+                return fakeMessage(params);
+            }
+        });
+        const batch = manager.createBatch(makeRequests(1));
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assertEqual(calls, 0, 'no request should be sent while rate-limited');
+        limited = false;
+        await waitFor(() => manager.getBatch(batch.id).processing_status === 'ended', 5000);
+        assertEqual(calls, 1);
+    });
+
+    // ================================================================
+    // Cancel / Delete / List Tests
+    // ================================================================
+    console.log('\n─── Cancel / Delete / List Tests ───');
+
+    await testAsync('cancel marks pending requests canceled and ends the batch', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const manager = new MessageBatchManager({
+            storePath: makeStore(),
+            concurrency: 1,
+            processRequest: async (params) => {
+                await gate;
+                return fakeMessage(params);
+            }
+        });
+        const batch = manager.createBatch(makeRequests(4));
+        const canceling = await manager.cancelBatch(batch.id);
+        assertEqual(canceling.processing_status, 'canceling');
+        assertTrue(canceling.cancel_initiated_at);
+
+        release();
+        await waitFor(() => manager.getBatch(batch.id).processing_status === 'ended');
+        const counts = manager.getBatch(batch.id).request_counts;
+        assertEqual(counts.succeeded, 1, 'the in-flight request still completes');
+        assertEqual(counts.canceled, 3);
+    });
+
+    await testAsync('delete only removes ended batches', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const store = makeStore();
+        const manager = new MessageBatchManager({
+            storePath: store,
+            processRequest: async (params) => {
+                await gate;
+                return fakeMessage(params);
+            }
+        });
+        const batch = manager.createBatch(makeRequests(1));
+        assertEqual(manager.deleteBatch(batch.id).reason, 'not_ended');
+        release();
+        await waitFor(() => manager.getBatch(batch.id).processing_status === 'ended');
+        assertTrue(manager.deleteBatch(batch.id).deleted);
+        assertEqual(manager.getBatch(batch.id), null);
+        assertTrue(!fs.existsSync(path.join(store, batch.id)));
+        assertEqual(manager.deleteBatch('msgbatch_missing').reason, 'not_found');
+    });
+
+    await testAsync('listBatches pages most recent first', async () => {
+        const manager = new MessageBatchManager({
+            storePath: makeStore(),
+            processRequest: async (params) => fakeMessage(params)
+        });
+        const ids = [];
+        for (let i = 0; i < 3; i++) {
+            ids.push(manager.createBatch(makeRequests(1)).id);
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        const first = manager.listBatches({ limit: 2 });
+        assertEqual(first.data.length, 2);
+        assertEqual(first.data[0].id, ids[2]);
+        assertTrue(first.has_more);
+        const second = manager.listBatches({ limit: 2, afterId: first.last_id });
+        assertEqual(second.data.length, 1);
+        assertEqual(second.data[0].id, ids[0]);
+        assertEqual(second.has_more, false);
+        const back = manager.listBatches({ limit: 2, beforeId: ids[0] });
+        assertEqual(back.first_id, ids[2]);
+    });
+
+    await testAsync('batches are only visible to the client that created them', async () => {
+        const manager = new MessageBatchManager({
+            storePath: makeStore(),
+            processRequest: async (params) => fakeMessage(params)
+        });
+        const mine = manager.createBatch(makeRequests(1), 'alice');
+        manager.createBatch(makeRequests(1), 'bob');
+        await waitFor(() => manager.listBatches().data.every(b => b.processing_status === 'ended'));
+
+        const listed = manager.listBatches({ client: 'alice' });
+        assertEqual(listed.data.length, 1);
+        assertEqual(listed.data[0].id, mine.id);
+        assertEqual(manager.getBatch(mine.id, 'bob'), null);
+        assertEqual(await manager.cancelBatch(mine.id, 'bob'), null);
+        assertEqual(manager.deleteBatch(mine.id, 'bob').reason, 'not_found');
+        assertEqual(manager.getBatch(mine.id, 'alice').id, mine.id);
+        assertEqual(formatBatch(mine, 'http://localhost').client, undefined, 'the owner is not exposed');
+    });
+
+    await testAsync('formatBatch: results_url only once ended', async () => {
+        const meta = {
+            id: 'msgbatch_1',
+            processing_status: 'in_progress',
+            request_counts: { processing: 1, succeeded: 0, errored: 0, canceled: 0, expired: 0 },
+            created_at: '2026-01-01T00:00:00.000Z',
+            expires_at: '2026-01-02T00:00:00.000Z',
+            ended_at: null,
+            cancel_initiated_at: null,
+            archived_at: null
+        };
+        assertEqual(formatBatch(meta, 'http://localhost:8080').results_url, null);
+        const ended = formatBatch({ ...meta, processing_status: 'ended' }, 'http://localhost:8080');
+        assertEqual(ended.type, 'message_batch');
+        assertEqual(ended.results_url, 'http://localhost:8080/v1/messages/batches/msgbatch_1/results');
+    });
+
+    // ================================================================
+    // Restart Tests
+    // ================================================================
+    console.log('\n─── Restart Tests ───');
+
+    await testAsync('resumes unfinished requests after a restart', async () => {
+        const store = makeStore();
+        const first = new MessageBatchManager({
+            storePath: store,
+            concurrency: 1,
+            // Never resolves: simulates the proxy stopping mid-batch
+            processRequest: () => new Promise(() => {})
+        });
+        const batch = first.createBatch(makeRequests(3));
+
+        // Pretend req-0 finished before the restart
+        fs.appendFileSync(first.getResultsPath(batch.id), JSON.stringify({
+            custom_id: 'req-0',
+            result: { type: 'succeeded', message: fakeMessage(makeRequests(1)[0].params) }
+        }) + '\n');
+
+        const seen = [];
+        const second = new MessageBatchManager({
+            storePath: store,
+            processRequest: async (params) => {
+                seen.push(params.messages[0].content);
+                return fakeMessage(params);
+            }
+        });
+        second.initialize();
+        await waitFor(() => second.getBatch(batch.id)?.processing_status === 'ended');
+        await second.flush(batch.id);
+
+        assertEqual(seen.sort().join(','), 'Hi 1,Hi 2');
+        assertEqual(second.getBatch(batch.id).request_counts.succeeded, 3);
+        assertEqual(readResults(second, batch.id).length, 3);
+    });
+
+    // Cleanup
+    for (const dir of tempDirs) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,214 @@
+/**
+ * Test Metrics - Unit Tests
+ *
+ * Tests the Prometheus /metrics exposition:
+ * - counter and histogram text format, label escaping
+ * - request outcomes: status, stop reason, cancellation, stream errors, TTFT
+ * - retry and account-switch counters
+ * - account, strategy and signature-cache gauges read at scrape time
+ */
+
+const { EventEmitter } = require('events');
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║                    METRICS TEST SUITE                        ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { Counter, Histogram, ProxyMetrics } = await import('../src/modules/metrics.js');
+    const { cacheSignature } = await import('../src/format/signature-cache.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    function assertIncludes(text, line) {
+        if (!text.split('\n').includes(line)) {
+            throw new Error(`Missing line: ${line}\nIn:\n${text}`);
+        }
+    }
+
+    /**
+     * Express-like response that closes on demand
+     */
+    function fakeResponse() {
+        const res = new EventEmitter();
+        res.statusCode = 200;
+        res.writableFinished = false;
+        res.finish = (status = 200) => {
+            res.statusCode = status;
+            res.writableFinished = true;
+            res.emit('close');
+        };
+        return res;
+    }
+
+    // ================================================================
+    // Format Tests
+    // ================================================================
+    console.log('\n─── Format Tests ───');
+
+    test('Counter: one series per label set, escaped values', () => {
+        const counter = new Counter('test_total', 'Test counter', ['model', 'account']);
+        counter.inc({ model: 'claude', account: 'a"b\\c' });
+        counter.inc({ model: 'claude', account: 'a"b\\c' }, 2);
+        counter.inc({ model: 'gemini' });
+        const text = counter.render().join('\n');
+        assertIncludes(text, '# TYPE test_total counter');
+        assertIncludes(text, 'test_total{model="claude",account="a\\"b\\\\c"} 3');
+        assertIncludes(text, 'test_total{model="gemini",account=""} 1');
+        assertEqual(counter.get({ model: 'gemini' }), 1);
+    });
+
+    test('Histogram: cumulative buckets, +Inf, sum and count', () => {
+        const histogram = new Histogram('test_seconds', 'Test histogram', ['model'], [1, 5]);
+        histogram.observe({ model: 'm' }, 0.5);
+        histogram.observe({ model: 'm' }, 3);
+        histogram.observe({ model: 'm' }, 10);
+        const text = histogram.render().join('\n');
+        assertIncludes(text, 'test_seconds_bucket{model="m",le="1"} 1');
+        assertIncludes(text, 'test_seconds_bucket{model="m",le="5"} 2');
+        assertIncludes(text, 'test_seconds_bucket{model="m",le="+Inf"} 3');
+        assertIncludes(text, 'test_seconds_sum{model="m"} 13.5');
+        assertIncludes(text, 'test_seconds_count{model="m"} 3');
+    });
+
+    // ================================================================
+    // Request Tests
+    // ================================================================
+    console.log('\n─── Request Tests ───');
+
+    test('trackRequest: counts the answering account, status and stop reason on close', () => {
+        const metrics = new ProxyMetrics();
+        const res = fakeResponse();
+        const tracked = metrics.trackRequest(res, 'claude-sonnet-4-5');
+        tracked.answeredBy({ account: 'a@x.com', provider: 'anthropic', model: 'claude-sonnet-4-5' });
+        tracked.observeResponse({ stop_reason: 'end_turn' });
+        assertEqual(metrics.requests.get({ model: 'claude-sonnet-4-5', provider: 'anthropic', account: 'a@x.com', status: 200, stop_reason: 'end_turn' }), 0,
+            'nothing counted before the response closes');
+
+        res.finish();
+        assertEqual(metrics.requests.get({ model: 'claude-sonnet-4-5', provider: 'anthropic', account: 'a@x.com', status: 200, stop_reason: 'end_turn' }), 1);
+        assertIncludes(metrics.render(), 'commons_proxy_request_duration_seconds_count{model="claude-sonnet-4-5",provider="anthropic"} 1');
+    });
+
+    test('trackRequest: early disconnects are 499, failed streams keep their error status', () => {
+        const metrics = new ProxyMetrics();
+        const cancelled = fakeResponse();
+        metrics.trackRequest(cancelled, 'gpt-5');
+        cancelled.emit('close');
+        assertEqual(metrics.requests.get({ model: 'gpt-5', status: 499 }), 1);
+
+        const streamed = fakeResponse();
+        metrics.trackRequest(streamed, 'gpt-5').fail(529);
+        streamed.finish(200);
+        assertEqual(metrics.requests.get({ model: 'gpt-5', status: 529 }), 1, 'error written after a 200 header');
+    });
+
+    test('observeEvent: time to first token and the stream stop reason', () => {
+        const metrics = new ProxyMetrics();
+        const res = fakeResponse();
+        const tracked = metrics.trackRequest(res, 'gemini-3-flash');
+        tracked.start -= 2000;
+        tracked.observeEvent({ type: 'message_start', message: {} });
+        tracked.observeEvent({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'hi' } });
+        tracked.observeEvent({ type: 'message_delta', delta: { stop_reason: 'max_tokens' } });
+        res.finish();
+
+        assertEqual(metrics.requests.get({ model: 'gemini-3-flash', status: 200, stop_reason: 'max_tokens' }), 1);
+        const text = metrics.render();
+        assertIncludes(text, 'commons_proxy_time_to_first_token_seconds_bucket{model="gemini-3-flash",provider="",le="1"} 0');
+        assertIncludes(text, 'commons_proxy_time_to_first_token_seconds_bucket{model="gemini-3-flash",provider="",le="5"} 1');
+    });
+
+    test('recordRetry: every retry counts, account switches separately', () => {
+        const metrics = new ProxyMetrics();
+        metrics.recordRetry('claude-opus-4-6', false);
+        metrics.recordRetry('claude-opus-4-6', true);
+        assertEqual(metrics.retries.get({ model: 'claude-opus-4-6' }), 2);
+        assertEqual(metrics.accountSwitches.get({ model: 'claude-opus-4-6' }), 1);
+    });
+
+    // ================================================================
+    // Gauge Tests
+    // ================================================================
+    console.log('\n─── Gauge Tests ───');
+
+    const now = Date.now();
+    const accounts = [
+        {
+            email: 'a@x.com',
+            modelRateLimits: {
+                'claude-sonnet-4-5': { isRateLimited: true, resetTime: now + 30_000 },
+                'gemini-3-flash': { isRateLimited: true, resetTime: now - 1000 }
+            },
+            coolingDownUntil: now + 10_000,
+            cooldownReason: 'auth_failure'
+        },
+        { email: 'b@x.com', provider: 'copilot', modelRateLimits: {} },
+        { email: 'off@x.com', enabled: false, modelRateLimits: { m: { isRateLimited: true, resetTime: now + 1000 } } }
+    ];
+
+    /**
+     * AccountManager stand-in, with or without the hybrid strategy's trackers
+     */
+    function fakeAccountManager(hybrid) {
+        return {
+            getAllAccounts: () => accounts,
+            getCooldownRemaining: (email) => Math.max(0, (accounts.find(a => a.email === email).coolingDownUntil || 0) - now),
+            getHealthTracker: () => hybrid ? { getScore: (email) => email === 'a@x.com' ? 40 : 70 } : null,
+            getTokenBucketTracker: () => hybrid ? { getTokens: () => 12.5, getMaxTokens: () => 50 } : null
+        };
+    }
+
+    test('render: rate-limit and cooldown gauges of enabled accounts', () => {
+        const text = new ProxyMetrics().render(fakeAccountManager(false), now);
+        assertIncludes(text, 'commons_proxy_account_rate_limit_seconds{account="a@x.com",provider="google",model="claude-sonnet-4-5"} 30');
+        assertIncludes(text, 'commons_proxy_account_cooldown_seconds{account="a@x.com",provider="google",reason="auth_failure"} 10');
+        assertEqual(text.includes('gemini-3-flash'), false, 'expired limits are left out');
+        assertEqual(text.includes('off@x.com'), false, 'disabled accounts are left out');
+        assertEqual(text.includes('commons_proxy_account_health_score'), false, 'no health scores without the hybrid strategy');
+    });
+
+    test('render: hybrid health scores, token buckets and signature cache sizes', () => {
+        cacheSignature('toolu_metrics', 'x'.repeat(100));
+        const text = new ProxyMetrics().render(fakeAccountManager(true), now);
+        assertIncludes(text, 'commons_proxy_account_health_score{account="a@x.com",provider="google"} 40');
+        assertIncludes(text, 'commons_proxy_account_health_score{account="b@x.com",provider="copilot"} 70');
+        assertIncludes(text, 'commons_proxy_account_token_bucket_tokens{account="b@x.com",provider="copilot"} 12.5');
+        assertIncludes(text, 'commons_proxy_token_bucket_capacity 50');
+        assertIncludes(text, 'commons_proxy_signature_cache_entries{cache="tool_use"} 1');
+        assertIncludes(text, 'commons_proxy_signature_cache_entries{cache="thinking"} 0');
+        assertEqual(text.endsWith('\n'), true);
+    });
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
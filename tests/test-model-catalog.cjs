@@ -0,0 +1,222 @@
+/**
+ * Test Model Catalog - Unit Tests
+ *
+ * Tests the aggregated /v1/models catalog with stubbed accounts and providers:
+ * - merging models across providers and accounts
+ * - hidden / alias / pinned / mapping settings from config.modelMapping
+ * - TTL caching, account-change invalidation and failure isolation
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║              MODEL CATALOG TEST SUITE                        ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        ModelCatalog,
+        mergeModelLists,
+        applyModelConfig,
+        formatModel
+    } = await import('../src/modules/model-catalog.js');
+    const { config } = await import('../src/config.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    function assertDeepEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    const MODELS = {
+        google: [
+            { id: 'claude-sonnet-4-5', name: 'Claude Sonnet 4.5', family: 'claude' },
+            { id: 'gemini-3-pro-high', name: 'Gemini 3 Pro High', family: 'gemini' }
+        ],
+        copilot: [
+            { id: 'claude-sonnet-4-5', name: 'Claude Sonnet 4.5', family: 'claude' },
+            { id: 'gpt-5', name: 'GPT-5', family: 'gpt' }
+        ]
+    };
+
+    function makeCatalog(accounts, { ttlMs = 60000, failFor = [] } = {}) {
+        const calls = [];
+        const accountManager = {
+            getAllAccounts: () => accounts,
+            getTokenForAccount: async (account) => {
+                if (failFor.includes(account.email)) throw new Error('token refresh failed');
+                return `token-${account.email}`;
+            }
+        };
+        const getProvider = (account) => ({
+            id: account.provider,
+            getAvailableModels: async (acc) => {
+                calls.push(acc.email);
+                return MODELS[acc.provider] || [];
+            }
+        });
+        return { catalog: new ModelCatalog({ accountManager, getProvider, ttlMs }), calls };
+    }
+
+    const ACCOUNTS = [
+        { email: 'a@example.com', provider: 'google' },
+        { email: 'b@example.com', provider: 'google' },
+        { email: 'c@example.com', provider: 'copilot' },
+        { email: 'd@example.com', provider: 'copilot', enabled: false }
+    ];
+
+    // ================================================================
+    // Merge / Config Tests
+    // ================================================================
+    console.log('\n─── Merge / Config Tests ───');
+
+    test('mergeModelLists: records every provider and account serving a model', () => {
+        const entries = mergeModelLists([
+            { account: ACCOUNTS[0], providerId: 'google', models: MODELS.google },
+            { account: ACCOUNTS[1], providerId: 'google', models: MODELS.google },
+            { account: ACCOUNTS[2], providerId: 'copilot', models: MODELS.copilot }
+        ]);
+        const sonnet = entries.find(e => e.id === 'claude-sonnet-4-5');
+        assertEqual(entries.length, 3);
+        assertDeepEqual(sonnet.providers, ['google', 'copilot']);
+        assertDeepEqual(sonnet.accounts, ['a@example.com', 'b@example.com', 'c@example.com']);
+    });
+
+    test('applyModelConfig: hides, aliases, pins and adds mapped models', () => {
+        const entries = mergeModelLists([{ account: ACCOUNTS[2], providerId: 'copilot', models: MODELS.copilot }]);
+        const result = applyModelConfig(entries, {
+            'gpt-5': { pinned: true, alias: 'GPT Five' },
+            'claude-sonnet-4-5': { hidden: true },
+            'claude-3-5-sonnet-20241022': { mapping: 'claude-sonnet-4-5' },
+            'missing-alias': { mapping: 'not-served' }
+        });
+        assertDeepEqual(result.map(e => e.id), ['gpt-5', 'claude-3-5-sonnet-20241022']);
+        assertEqual(result[0].displayName, 'GPT Five');
+        assertEqual(result[1].mappedTo, 'claude-sonnet-4-5');
+        assertDeepEqual(result[1].providers, ['copilot']);
+
+        const withHidden = applyModelConfig(entries, { 'claude-sonnet-4-5': { hidden: true } }, { includeHidden: true });
+        assertEqual(withHidden.find(e => e.id === 'claude-sonnet-4-5').hidden, true);
+    });
+
+    test('formatModel: produces Anthropic fields plus OpenAI list fields', () => {
+        const [entry] = applyModelConfig(mergeModelLists([{ account: ACCOUNTS[0], providerId: 'google', models: [MODELS.google[0]] }]));
+        const model = formatModel(entry, Date.UTC(2026, 0, 1));
+        assertEqual(model.type, 'model');
+        assertEqual(model.display_name, 'Claude Sonnet 4.5');
+        assertEqual(model.created_at, '2026-01-01T00:00:00.000Z');
+        assertEqual(model.object, 'model');
+        assertEqual(model.owned_by, 'google');
+        assertEqual(model.mapped_to, undefined);
+    });
+
+    // ================================================================
+    // Catalog Tests
+    // ================================================================
+    console.log('\n─── Catalog Tests ───');
+
+    const savedMapping = config.modelMapping;
+    config.modelMapping = {};
+
+    await testAsync('listModels: aggregates enabled accounts only', async () => {
+        const { catalog, calls } = makeCatalog(ACCOUNTS);
+        const models = await catalog.listModels();
+        assertDeepEqual(models.map(m => m.id), ['claude-sonnet-4-5', 'gemini-3-pro-high', 'gpt-5']);
+        assertEqual(calls.includes('d@example.com'), false, 'disabled accounts are skipped');
+        assertDeepEqual(models[0].providers, ['google', 'copilot']);
+    });
+
+    await testAsync('listModels: caches within the TTL and refetches on refresh', async () => {
+        const { catalog, calls } = makeCatalog(ACCOUNTS);
+        await catalog.listModels();
+        await catalog.listModels();
+        assertEqual(calls.length, 3);
+        await catalog.listModels({ refresh: true });
+        assertEqual(calls.length, 6);
+    });
+
+    await testAsync('listModels: refetches when the TTL expires', async () => {
+        const { catalog, calls } = makeCatalog(ACCOUNTS, { ttlMs: 10 });
+        await catalog.listModels();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await catalog.listModels();
+        assertEqual(calls.length, 6);
+    });
+
+    await testAsync('listModels: refetches when the account set changes', async () => {
+        const accounts = ACCOUNTS.slice(0, 1);
+        const { catalog, calls } = makeCatalog(accounts);
+        assertEqual((await catalog.listModels()).length, 2);
+        accounts.push(ACCOUNTS[2]);
+        assertEqual((await catalog.listModels()).length, 3);
+        assertEqual(calls.length, 3);
+    });
+
+    await testAsync('listModels: concurrent callers share one fetch', async () => {
+        const { catalog, calls } = makeCatalog(ACCOUNTS);
+        await Promise.all([catalog.listModels(), catalog.listModels(), catalog.listModels()]);
+        assertEqual(calls.length, 3);
+    });
+
+    await testAsync('listModels: one failing account does not break the catalog', async () => {
+        const { catalog } = makeCatalog(ACCOUNTS, { failFor: ['c@example.com'] });
+        const models = await catalog.listModels();
+        assertDeepEqual(models.map(m => m.id), ['claude-sonnet-4-5', 'gemini-3-pro-high']);
+    });
+
+    await testAsync('getModel: returns visible models and applies config changes immediately', async () => {
+        const { catalog } = makeCatalog(ACCOUNTS);
+        assertEqual((await catalog.getModel('gpt-5')).id, 'gpt-5');
+        assertEqual(await catalog.getModel('nope'), null);
+        config.modelMapping = { 'gpt-5': { hidden: true } };
+        assertEqual(await catalog.getModel('gpt-5'), null);
+    });
+
+    config.modelMapping = savedMapping;
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,241 @@
+/**
+ * Test Model Compatibility - Unit Tests
+ *
+ * Tests the model → provider compatibility filter used by account selection:
+ * - static per-provider rules, matched after each provider's name translation
+ * - provider model lists reported by getAvailableModels()
+ * - AccountManager filtering and the fail-fast UnsupportedModelError
+ * - waiting for model lists still loading before failing fast
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║              MODEL COMPATIBILITY TEST SUITE                  ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        setProviderModels,
+        setAccountModels,
+        clearProviderModels,
+        trackModelListLoad,
+        isModelSupportedByProvider,
+        isModelSupportedByAccount
+    } = await import('../src/account-manager/model-compatibility.js');
+    const { selectAccountForAttempt } = await import('../src/cloudcode/retry-utils.js');
+    const { UnsupportedModelError } = await import('../src/errors.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    // ================================================================
+    // Provider Rule Tests
+    // ================================================================
+    console.log('\n─── Provider Rule Tests ───');
+
+    test('google: serves Claude and Gemini, not GPT or vendor-prefixed ids', () => {
+        assertEqual(isModelSupportedByProvider('google', 'claude-sonnet-4-5-thinking'), true);
+        assertEqual(isModelSupportedByProvider('google', 'gemini-3-flash'), true);
+        assertEqual(isModelSupportedByProvider('google', 'gpt-5'), false);
+        assertEqual(isModelSupportedByProvider('google', 'anthropic/claude-sonnet-4.5'), false);
+    });
+
+    test('copilot: accepts models its name translation knows', () => {
+        assertEqual(isModelSupportedByProvider('copilot', 'claude-opus-4-6-thinking'), true);
+        assertEqual(isModelSupportedByProvider('copilot', 'gpt-5'), true);
+        assertEqual(isModelSupportedByProvider('copilot', 'totally-made-up'), false);
+    });
+
+    test('openai / openrouter / codex: match their model id shapes', () => {
+        assertEqual(isModelSupportedByProvider('openai', 'gpt-4o'), true);
+        assertEqual(isModelSupportedByProvider('openai', 'claude-sonnet-4-5'), false);
+        assertEqual(isModelSupportedByProvider('openrouter', 'openai/gpt-4o'), true);
+        assertEqual(isModelSupportedByProvider('openrouter', 'gpt-4o'), true, 'translated to openai/gpt-4o');
+        assertEqual(isModelSupportedByProvider('openrouter', 'claude-sonnet-4-5'), true, 'translated to anthropic/claude-sonnet-4.5');
+        assertEqual(isModelSupportedByProvider('openrouter', 'llama-3.1-70b'), false);
+        assertEqual(isModelSupportedByProvider('codex', 'gpt-5-codex'), true);
+        assertEqual(isModelSupportedByProvider('codex', 'gemini-3-flash'), false);
+    });
+
+    test('unknown providers and empty models are not filtered', () => {
+        assertEqual(isModelSupportedByProvider('custom', 'anything'), true);
+        assertEqual(isModelSupportedByProvider('google', null), true);
+    });
+
+    test('accounts without a provider are treated as google', () => {
+        assertEqual(isModelSupportedByAccount({ email: 'a@example.com' }, 'gemini-3-flash'), true);
+        assertEqual(isModelSupportedByAccount({ email: 'a@example.com' }, 'gpt-5'), false);
+    });
+
+    test('openai accounts on custom endpoints: self-hosted serves anything, Azure serves its deployments', () => {
+        const selfHosted = { provider: 'openai', customApiEndpoint: 'http://localhost:8000' };
+        assertEqual(isModelSupportedByAccount(selfHosted, 'llama-3.1-70b'), true);
+        const azure = { provider: 'openai', customApiEndpoint: 'https://res.openai.azure.com', azure: { deployments: { 'gpt-4o': 'prod-4o' } } };
+        assertEqual(isModelSupportedByAccount(azure, 'gpt-4o'), true);
+        assertEqual(isModelSupportedByAccount(azure, 'gpt-5'), false);
+        assertEqual(isModelSupportedByAccount(azure, 'gpt-4o-latest'), true, 'matched by the translated name, like dispatch');
+        const untranslated = { ...azure, azure: { deployments: { 'gpt-4o-latest': 'prod-4o' } } };
+        assertEqual(isModelSupportedByAccount(untranslated, 'gpt-4o-latest'), false, 'dispatch would never use this mapping');
+        assertEqual(isModelSupportedByAccount({ provider: 'openai' }, 'llama-3.1-70b'), false);
+    });
+
+    // ================================================================
+    // Provider Model List Tests
+    // ================================================================
+    console.log('\n─── Provider Model List Tests ───');
+
+    test('reported model lists extend the static rules', () => {
+        assertEqual(isModelSupportedByProvider('google', 'gpt-oss-120b-medium'), false);
+        setProviderModels('google', ['gpt-oss-120b-medium']);
+        assertEqual(isModelSupportedByProvider('google', 'gpt-oss-120b-medium'), true);
+        clearProviderModels();
+        assertEqual(isModelSupportedByProvider('google', 'gpt-oss-120b-medium'), false);
+    });
+
+    test('copilot lists are matched after name translation', () => {
+        setProviderModels('copilot', ['grok-code-fast-1']);
+        assertEqual(isModelSupportedByProvider('copilot', 'grok-code-fast-1'), true);
+        clearProviderModels();
+    });
+
+    test('custom accounts serve their own reported or configured models', () => {
+        const ollama = { email: 'custom@localhost:11434', provider: 'custom' };
+        assertEqual(isModelSupportedByAccount(ollama, 'llama3.1:8b'), true, 'nothing known yet');
+        setAccountModels(ollama, ['llama3.1:8b']);
+        assertEqual(isModelSupportedByAccount(ollama, 'llama3.1:8b'), true);
+        assertEqual(isModelSupportedByAccount(ollama, 'claude-sonnet-4-5'), false);
+        assertEqual(isModelSupportedByAccount({ ...ollama, email: 'other' }, 'claude-sonnet-4-5'), true);
+        const configured = { email: 'vllm', provider: 'custom', modelCapabilities: { 'qwen3:8b': {} } };
+        assertEqual(isModelSupportedByAccount(configured, 'qwen3:8b'), true);
+        assertEqual(isModelSupportedByAccount(configured, 'gpt-5'), false);
+        clearProviderModels();
+    });
+
+    // ================================================================
+    // Selection Tests
+    // ================================================================
+    console.log('\n─── Selection Tests ───');
+
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { AccountManager } = await import('../src/account-manager/index.js');
+
+    async function makeManager(accounts) {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compat-test-'));
+        const configPath = path.join(dir, 'accounts.json');
+        fs.writeFileSync(configPath, JSON.stringify({ accounts, settings: {}, activeIndex: 0 }));
+        const manager = new AccountManager(configPath);
+        await manager.initialize();
+        return manager;
+    }
+
+    const MIXED = [
+        { email: 'g@example.com', source: 'manual', apiKey: 'x', provider: 'google', enabled: true },
+        { email: 'c@example.com', source: 'manual', apiKey: 'x', provider: 'copilot', enabled: true }
+    ];
+
+    await testAsync('AccountManager: only compatible accounts are available and selected', async () => {
+        const manager = await makeManager(MIXED);
+        assertEqual(manager.getAvailableAccounts('gemini-3-flash').map(a => a.email).join(), 'g@example.com');
+        assertEqual(manager.getAvailableAccounts('gpt-5').map(a => a.email).join(), 'c@example.com');
+        for (let i = 0; i < 3; i++) {
+            assertEqual(manager.selectAccount('gpt-5').account.email, 'c@example.com');
+        }
+    });
+
+    await testAsync('AccountManager: hasProviderForModel ignores disabled accounts', async () => {
+        const manager = await makeManager([MIXED[0], { ...MIXED[1], enabled: false }]);
+        assertEqual(manager.hasProviderForModel('claude-sonnet-4-5'), true);
+        assertEqual(manager.hasProviderForModel('gpt-5'), false);
+    });
+
+    await testAsync('AccountManager: an unserved model is not "all rate-limited" (no optimistic reset)', async () => {
+        const manager = await makeManager(MIXED);
+        manager.markRateLimited('g@example.com', 60000, 'gemini-3-flash');
+        assertEqual(manager.isAllRateLimited('gemini-3-flash'), true);
+        assertEqual(manager.isAllRateLimited('no-such-model'), false);
+        assertEqual(manager.isAllRateLimited('gemini-3-flash', 'anthropic'), false);
+        assertEqual(manager.getAvailableAccounts('gemini-3-flash').length, 0, 'limits are kept');
+    });
+
+    await testAsync('selectAccountForAttempt: throws UnsupportedModelError when no provider serves the model', async () => {
+        const accountManager = {
+            hasProviderForModel: () => false,
+            clearExpiredLimits: () => { throw new Error('should fail before selecting'); }
+        };
+        let error = null;
+        try {
+            await selectAccountForAttempt({ model: 'gpt-5', accountManager, attempt: 0, maxAttempts: 1 });
+        } catch (e) {
+            error = e;
+        }
+        assertEqual(error instanceof UnsupportedModelError, true);
+        assertEqual(error.retryable, false);
+        assertEqual(error.model, 'gpt-5');
+    });
+
+    await testAsync('selectAccountForAttempt: waits for model lists still loading before rejecting', async () => {
+        const manager = await makeManager([MIXED[1]]);
+        assertEqual(manager.hasProviderForModel('brand-new-model'), false, 'unknown to the static rule');
+        trackModelListLoad(new Promise(resolve => setTimeout(() => {
+            setProviderModels('copilot', ['brand-new-model']);
+            resolve();
+        }, 20)));
+        try {
+            const { account } = await selectAccountForAttempt({ model: 'brand-new-model', accountManager: manager, attempt: 0, maxAttempts: 1 });
+            assertEqual(account?.email, 'c@example.com');
+        } finally {
+            clearProviderModels();
+        }
+    });
+
+    test('UnsupportedModelError: names the model', () => {
+        const error = new UnsupportedModelError('gpt-5');
+        assertEqual(error.code, 'UNSUPPORTED_MODEL');
+        assertEqual(error.message.includes('"gpt-5"'), true);
+    });
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    // retry-utils keeps a cleanup interval running, so exit explicitly
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,164 @@
+/**
+ * Test Model Translation - Unit Tests
+ *
+ * Tests the per-provider model-name translation registry:
+ * - built-in known ids, overrides and rules (Copilot, OpenRouter, GitHub, OpenAI, Anthropic)
+ * - user extensions from config.modelTranslation
+ * - the per-provider preview and config validation
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║              MODEL TRANSLATION TEST SUITE                    ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        resolveModelName,
+        isKnownProviderModel,
+        previewModelTranslation,
+        validateModelTranslationConfig
+    } = await import('../src/providers/model-translation.js');
+    const { config } = await import('../src/config.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    const translate = (providerId, model) => resolveModelName(providerId, model).model;
+
+    // ================================================================
+    // Built-in Translation Tests
+    // ================================================================
+    console.log('\n─── Built-in Translation Tests ───');
+
+    test('copilot: known ids pass through, Claude Code names are dotted', () => {
+        assertEqual(resolveModelName('copilot', 'gpt-5').source, 'known');
+        const thinking = resolveModelName('copilot', 'claude-opus-4-6-thinking');
+        assertEqual(thinking.model, 'claude-opus-4.6');
+        assertEqual(thinking.isThinking, true);
+        assertEqual(translate('copilot', 'claude-sonnet-4-5-20250929'), 'claude-sonnet-4.5');
+        assertEqual(translate('copilot', 'gpt-5-1-codex'), 'gpt-5.1-codex');
+    });
+
+    test('copilot: overrides cover retired and differently named models', () => {
+        assertEqual(translate('copilot', 'claude-opus-4-1'), 'claude-opus-41');
+        assertEqual(translate('copilot', 'o3-mini'), 'gpt-5-mini');
+        assertEqual(isKnownProviderModel('copilot', 'claude-opus-4-6-thinking'), true);
+        assertEqual(isKnownProviderModel('copilot', 'totally-made-up'), false);
+    });
+
+    test('openrouter: ids get their vendor prefix', () => {
+        assertEqual(translate('openrouter', 'claude-sonnet-4-5-20250929'), 'anthropic/claude-sonnet-4.5');
+        assertEqual(translate('openrouter', 'gpt-4o'), 'openai/gpt-4o');
+        assertEqual(translate('openrouter', 'gemini-2.5-pro'), 'google/gemini-2.5-pro');
+        assertEqual(translate('openrouter', 'meta-llama/llama-3.1-70b-instruct'), 'meta-llama/llama-3.1-70b-instruct');
+    });
+
+    test('github / openai: vendor prefix is stripped', () => {
+        assertEqual(translate('github', 'openai/gpt-4o'), 'gpt-4o');
+        assertEqual(translate('openai', 'openai/gpt-4o'), 'gpt-4o');
+        assertEqual(translate('openai', 'gpt-4o'), 'gpt-4o');
+    });
+
+    test('anthropic: -thinking is stripped, dated ids are kept', () => {
+        const result = resolveModelName('anthropic', 'claude-sonnet-4-5-thinking');
+        assertEqual(result.model, 'claude-sonnet-4-5');
+        assertEqual(result.isThinking, true);
+        assertEqual(translate('anthropic', 'claude-sonnet-4-5-20250929'), 'claude-sonnet-4-5-20250929');
+    });
+
+    test('providers without a spec pass names through', () => {
+        const result = resolveModelName('google', 'gemini-3-flash');
+        assertEqual(result.model, 'gemini-3-flash');
+        assertEqual(result.source, 'passthrough');
+    });
+
+    // ================================================================
+    // User Configuration Tests
+    // ================================================================
+    console.log('\n─── User Configuration Tests ───');
+
+    const savedTranslation = config.modelTranslation;
+
+    test('config overrides and rules take precedence over the built-ins', () => {
+        config.modelTranslation = {
+            openrouter: {
+                overrides: { 'claude-haiku-4-5': 'anthropic/claude-3.5-haiku' },
+                rules: [{ match: '^deepseek-(.+)$', replace: 'deepseek/deepseek-$1' }]
+            }
+        };
+        assertEqual(translate('openrouter', 'claude-haiku-4-5'), 'anthropic/claude-3.5-haiku');
+        assertEqual(translate('openrouter', 'deepseek-r1'), 'deepseek/deepseek-r1');
+        assertEqual(translate('openrouter', 'claude-sonnet-4-5'), 'anthropic/claude-sonnet-4.5', 'built-in rules still apply');
+    });
+
+    test('config known ids extend the built-in list and new providers can be added', () => {
+        config.modelTranslation = {
+            copilot: { known: ['my-preview-model'] },
+            custom: { overrides: { 'claude-sonnet-4-5': 'qwen3:8b' } }
+        };
+        assertEqual(isKnownProviderModel('copilot', 'my-preview-model'), true);
+        assertEqual(isKnownProviderModel('copilot', 'gpt-5'), true);
+        assertEqual(translate('custom', 'claude-sonnet-4-5'), 'qwen3:8b');
+    });
+
+    test('invalid rule patterns are skipped', () => {
+        config.modelTranslation = { openai: { rules: [{ match: '([', replace: 'x' }] } };
+        assertEqual(translate('openai', 'openai/gpt-4o'), 'gpt-4o');
+    });
+
+    config.modelTranslation = savedTranslation;
+
+    test('validateModelTranslationConfig: reports malformed specs', () => {
+        assertEqual(validateModelTranslationConfig({ openrouter: { rules: [{ match: '^a', replace: 'b' }] } }), null);
+        assertEqual(typeof validateModelTranslationConfig([]), 'string');
+        assertEqual(typeof validateModelTranslationConfig({ copilot: { known: 'gpt-5' } }), 'string');
+        assertEqual(typeof validateModelTranslationConfig({ copilot: { rules: [{ match: '([', replace: 'x' }] } }), 'string');
+        assertEqual(typeof validateModelTranslationConfig({ copilot: { rules: [{ match: '^a' }] } }), 'string');
+    });
+
+    // ================================================================
+    // Preview Tests
+    // ================================================================
+    console.log('\n─── Preview Tests ───');
+
+    test('previewModelTranslation: resolves a name for each requested provider', () => {
+        const preview = previewModelTranslation('claude-sonnet-4-5-20250929', ['copilot', 'openrouter', 'google']);
+        assertEqual(Object.keys(preview).join(), 'copilot,openrouter,google');
+        assertEqual(preview.copilot.model, 'claude-sonnet-4.5');
+        assertEqual(preview.openrouter.model, 'anthropic/claude-sonnet-4.5');
+        assertEqual(preview.google.source, 'passthrough');
+    });
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,196 @@
+/**
+ * Test Request Cancellation - Unit Tests
+ *
+ * Tests that a client disconnect (an aborted AbortSignal) stops upstream work:
+ * - abortable sleeps and linked abort controllers
+ * - no fallback, hedging or account switching after cancellation
+ * - rate-limit waits in account selection end early
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║            REQUEST CANCELLATION TEST SUITE                   ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { sleep, linkAbortSignal } = await import('../src/utils/helpers.js');
+    const { RequestCancelledError, isRequestCancelledError } = await import('../src/errors.js');
+    const { classifyFallbackTrigger, streamWithFallback } = await import('../src/cloudcode/fallback-chain.js');
+    const { streamWithHedge } = await import('../src/cloudcode/hedging.js');
+    const { selectAccountForAttempt } = await import('../src/cloudcode/retry-utils.js');
+    const { sendMessageStream, sendMessage } = await import('../src/cloudcode/index.js');
+    const { config } = await import('../src/config.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    async function captureError(promise) {
+        try {
+            await promise;
+        } catch (e) {
+            return e;
+        }
+        return null;
+    }
+
+    async function drain(stream) {
+        for await (const _ of stream) { /* consume */ }
+    }
+
+    /**
+     * Abort a controller after a delay, the way a client disconnect would
+     */
+    function disconnectAfter(ms) {
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(new RequestCancelledError()), ms);
+        return controller.signal;
+    }
+
+    // ================================================================
+    // Signal Helper Tests
+    // ================================================================
+    console.log('\n─── Signal Helper Tests ───');
+
+    await testAsync('sleep: resolves normally without a signal or abort', async () => {
+        await sleep(5);
+        await sleep(5, new AbortController().signal);
+    });
+
+    await testAsync('sleep: rejects with the abort reason when cancelled', async () => {
+        const started = Date.now();
+        const error = await captureError(sleep(5000, disconnectAfter(10)));
+        assertEqual(isRequestCancelledError(error), true);
+        assertEqual(Date.now() - started < 1000, true, 'sleep should end early');
+    });
+
+    await testAsync('sleep: rejects immediately for an already-aborted signal', async () => {
+        const controller = new AbortController();
+        controller.abort(new RequestCancelledError());
+        const error = await captureError(sleep(5000, controller.signal));
+        assertEqual(isRequestCancelledError(error), true);
+    });
+
+    test('linkAbortSignal: forwards the reason and can be unlinked', () => {
+        const outer = new AbortController();
+        const linked = new AbortController();
+        linkAbortSignal(linked, outer.signal);
+        const unlinkedController = new AbortController();
+        const unlink = linkAbortSignal(unlinkedController, outer.signal);
+        unlink();
+        outer.abort(new RequestCancelledError());
+        assertEqual(isRequestCancelledError(linked.signal.reason), true);
+        assertEqual(unlinkedController.signal.aborted, false);
+    });
+
+    // ================================================================
+    // Cancellation Flow Tests
+    // ================================================================
+    console.log('\n─── Cancellation Flow Tests ───');
+
+    await testAsync('fallback chains do not fall back after a cancellation', async () => {
+        const savedFallback = config.modelFallback;
+        config.modelFallback = { chains: { 'model-a': { fallbacks: ['model-b'], triggers: ['quota', 'capacity', 'context', 'auth'] } } };
+        const tried = [];
+        const error = await captureError(drain(streamWithFallback({ model: 'model-a' }, false, async function* (request) {
+            tried.push(request.model);
+            throw new RequestCancelledError();
+        })));
+        config.modelFallback = savedFallback;
+        assertEqual(classifyFallbackTrigger(new RequestCancelledError()), null);
+        assertEqual(isRequestCancelledError(error), true);
+        assertEqual(tried.join(), 'model-a');
+    });
+
+    await testAsync('hedged streams abort every leg when the request is cancelled', async () => {
+        const aborted = [];
+        const leg = (label) => ({
+            label,
+            start: (signal) => (async function* () {
+                await sleep(5000, signal).catch(e => { aborted.push(label); throw e; });
+                yield label;
+            })()
+        });
+        const error = await captureError(drain(streamWithHedge(leg('primary'), () => leg('hedge'), 10, disconnectAfter(40))));
+        assertEqual(isRequestCancelledError(error), true);
+        assertEqual(aborted.sort().join(), 'hedge,primary');
+    });
+
+    await testAsync('selectAccountForAttempt: rate-limit wait ends on cancellation', async () => {
+        const accountManager = {
+            hasProviderForModel: () => true,
+            clearExpiredLimits: () => {},
+            getAvailableAccounts: () => [],
+            isAllRateLimited: () => true,
+            getMinWaitTimeMs: () => 30000,
+            getAccountCount: () => 1
+        };
+        const started = Date.now();
+        const error = await captureError(selectAccountForAttempt({
+            model: 'gemini-3-flash', accountManager, attempt: 0, maxAttempts: 3, signal: disconnectAfter(20)
+        }));
+        assertEqual(isRequestCancelledError(error), true);
+        assertEqual(Date.now() - started < 1000, true, 'wait should end early');
+    });
+
+    await testAsync('sendMessage/sendMessageStream: a cancelled request selects no account', async () => {
+        let selections = 0;
+        const accountManager = {
+            getAccountCount: () => 2,
+            hasProviderForModel: () => { selections++; return true; }
+        };
+        const controller = new AbortController();
+        controller.abort(new RequestCancelledError());
+
+        const streamError = await captureError(drain(sendMessageStream(
+            { model: 'gemini-3-flash', messages: [] }, accountManager, false, { signal: controller.signal }
+        )));
+        const messageError = await captureError(sendMessage(
+            { model: 'gemini-3-flash', messages: [] }, accountManager, false, { signal: controller.signal }
+        ));
+        assertEqual(isRequestCancelledError(streamError), true);
+        assertEqual(isRequestCancelledError(messageError), true);
+        assertEqual(selections, 0);
+    });
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
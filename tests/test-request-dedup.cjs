@@ -0,0 +1,256 @@
+/**
+ * Test Request Dedup - Unit Tests
+ *
+ * Tests in-flight coalescing and Idempotency-Key replay:
+ * - identical concurrent requests share one upstream call
+ * - stored results are replayed for a repeated key, within its window
+ * - key reuse for a different request is rejected
+ * - the shared call is cancelled only when every waiter disconnected
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║                 REQUEST DEDUP TEST SUITE                     ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const { RequestDeduplicator, validateRequestDedupConfig } = await import('../src/modules/request-dedup.js');
+    const { RequestCancelledError, isRequestCancelledError } = await import('../src/errors.js');
+    const { sleep } = await import('../src/utils/helpers.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    async function captureError(promise) {
+        try {
+            await promise;
+        } catch (e) {
+            return e;
+        }
+        return null;
+    }
+
+    /**
+     * Fake upstream: counts calls, answers after delayMs (abortable)
+     */
+    function makeUpstream({ delayMs = 30, error = null } = {}) {
+        const upstream = {
+            calls: 0,
+            aborted: false,
+            send: async (signal) => {
+                const call = ++upstream.calls;
+                await sleep(delayMs, signal).catch(e => { upstream.aborted = true; throw e; });
+                if (error) throw error;
+                return { text: `answer ${call}` };
+            }
+        };
+        return upstream;
+    }
+
+    // ================================================================
+    // Coalescing Tests
+    // ================================================================
+    console.log('\n─── Coalescing Tests ───');
+
+    await testAsync('identical concurrent requests share one upstream call', async () => {
+        const dedup = new RequestDeduplicator();
+        const upstream = makeUpstream();
+        const [first, second] = await Promise.all([
+            dedup.run({ fingerprint: 'abc' }, upstream.send),
+            dedup.run({ fingerprint: 'abc' }, upstream.send)
+        ]);
+        assertEqual(upstream.calls, 1);
+        assertEqual(first.result.text, 'answer 1');
+        assertEqual(second.result.text, 'answer 1');
+        assertEqual(first.coalesced, false);
+        assertEqual(second.coalesced, true);
+        assertEqual(dedup.getInFlightCount(), 0);
+    });
+
+    await testAsync('different or sequential requests are not coalesced', async () => {
+        const dedup = new RequestDeduplicator();
+        const upstream = makeUpstream({ delayMs: 5 });
+        await Promise.all([
+            dedup.run({ fingerprint: 'a' }, upstream.send),
+            dedup.run({ fingerprint: 'b' }, upstream.send)
+        ]);
+        await dedup.run({ fingerprint: 'a' }, upstream.send);
+        assertEqual(upstream.calls, 3);
+    });
+
+    await testAsync('identical requests from different clients are not coalesced', async () => {
+        const dedup = new RequestDeduplicator();
+        const upstream = makeUpstream();
+        const [first, second] = await Promise.all([
+            dedup.run({ fingerprint: 'abc', client: 'alice' }, upstream.send),
+            dedup.run({ fingerprint: 'abc', client: 'bob' }, upstream.send)
+        ]);
+        assertEqual(upstream.calls, 2);
+        assertEqual(second.coalesced, false);
+        assertEqual(second.result.text, 'answer 2');
+    });
+
+    await testAsync('coalesce: false sends every request upstream', async () => {
+        const dedup = new RequestDeduplicator({ settings: { coalesce: false } });
+        const upstream = makeUpstream();
+        await Promise.all([
+            dedup.run({ fingerprint: 'abc' }, upstream.send),
+            dedup.run({ fingerprint: 'abc' }, upstream.send)
+        ]);
+        assertEqual(upstream.calls, 2);
+    });
+
+    await testAsync('waiters share the upstream error', async () => {
+        const dedup = new RequestDeduplicator();
+        const upstream = makeUpstream({ error: new Error('API error: 503 overloaded') });
+        const errors = await Promise.all([
+            captureError(dedup.run({ fingerprint: 'abc' }, upstream.send)),
+            captureError(dedup.run({ fingerprint: 'abc' }, upstream.send))
+        ]);
+        assertEqual(upstream.calls, 1);
+        assertEqual(errors[0]?.message, 'API error: 503 overloaded');
+        assertEqual(errors[1]?.message, 'API error: 503 overloaded');
+    });
+
+    await testAsync('one waiter disconnecting does not cancel the shared call', async () => {
+        const dedup = new RequestDeduplicator();
+        const upstream = makeUpstream({ delayMs: 50 });
+        const leaving = new AbortController();
+        const left = captureError(dedup.run({ fingerprint: 'abc', signal: leaving.signal }, upstream.send));
+        const staying = dedup.run({ fingerprint: 'abc' }, upstream.send);
+        setTimeout(() => leaving.abort(new RequestCancelledError()), 10);
+
+        assertEqual(isRequestCancelledError(await left), true);
+        assertEqual((await staying).result.text, 'answer 1');
+        assertEqual(upstream.aborted, false);
+    });
+
+    await testAsync('the shared call is cancelled once every waiter disconnected', async () => {
+        const dedup = new RequestDeduplicator();
+        const upstream = makeUpstream({ delayMs: 5000 });
+        const clients = [new AbortController(), new AbortController()];
+        const waits = clients.map(c => captureError(dedup.run({ fingerprint: 'abc', signal: c.signal }, upstream.send)));
+        clients.forEach(c => c.abort(new RequestCancelledError()));
+        await Promise.all(waits);
+        await sleep(5);
+        assertEqual(upstream.aborted, true);
+
+        // A new identical request starts fresh instead of joining the cancelled call
+        const next = makeUpstream({ delayMs: 5 });
+        assertEqual((await dedup.run({ fingerprint: 'abc' }, next.send)).result.text, 'answer 1');
+        assertEqual(next.calls, 1);
+    });
+
+    // ================================================================
+    // Idempotency-Key Tests
+    // ================================================================
+    console.log('\n─── Idempotency-Key Tests ───');
+
+    await testAsync('a repeated key replays the stored result', async () => {
+        const dedup = new RequestDeduplicator({ settings: { coalesce: false } });
+        const upstream = makeUpstream({ delayMs: 5 });
+        const first = await dedup.run({ fingerprint: 'abc', idempotencyKey: 'key-1' }, upstream.send);
+        const repeat = await dedup.run({ fingerprint: 'abc', idempotencyKey: 'key-1' }, upstream.send);
+        assertEqual(upstream.calls, 1);
+        assertEqual(first.replayed, false);
+        assertEqual(repeat.replayed, true);
+        assertEqual(repeat.result.text, 'answer 1');
+    });
+
+    await testAsync('a repeat while the first is running joins it', async () => {
+        const dedup = new RequestDeduplicator({ settings: { coalesce: false } });
+        const upstream = makeUpstream();
+        const [, repeat] = await Promise.all([
+            dedup.run({ fingerprint: 'abc', idempotencyKey: 'key-1' }, upstream.send),
+            dedup.run({ fingerprint: 'abc', idempotencyKey: 'key-1' }, upstream.send)
+        ]);
+        assertEqual(upstream.calls, 1);
+        assertEqual(repeat.replayed, true);
+    });
+
+    await testAsync('reusing a key for a different request is rejected', async () => {
+        const dedup = new RequestDeduplicator();
+        const upstream = makeUpstream({ delayMs: 5 });
+        await dedup.run({ fingerprint: 'abc', idempotencyKey: 'key-1' }, upstream.send);
+        const error = await captureError(dedup.run({ fingerprint: 'def', idempotencyKey: 'key-1' }, upstream.send));
+        assertEqual(error?.name, 'IdempotencyKeyReusedError');
+        assertEqual(upstream.calls, 1);
+    });
+
+    await testAsync('keys are per client: another client reusing one is neither replayed nor rejected', async () => {
+        const dedup = new RequestDeduplicator({ settings: { coalesce: false } });
+        const upstream = makeUpstream({ delayMs: 5 });
+        await dedup.run({ fingerprint: 'abc', idempotencyKey: 'key-1', client: 'alice' }, upstream.send);
+
+        const same = await dedup.run({ fingerprint: 'abc', idempotencyKey: 'key-1', client: 'bob' }, upstream.send);
+        assertEqual(same.replayed, false, 'bob does not get alice\'s stored result');
+        assertEqual(same.result.text, 'answer 2');
+        const other = await captureError(dedup.run({ fingerprint: 'def', idempotencyKey: 'key-1', client: 'carol' }, upstream.send));
+        assertEqual(other, null, 'no 409 for another client\'s key');
+        assertEqual(upstream.calls, 3);
+    });
+
+    await testAsync('failed results are not kept and expired keys run again', async () => {
+        const dedup = new RequestDeduplicator({ settings: { idempotencyTtlMs: 20 } });
+        const failing = makeUpstream({ delayMs: 5, error: new Error('API error: 500') });
+        await captureError(dedup.run({ fingerprint: 'abc', idempotencyKey: 'key-1' }, failing.send));
+
+        const upstream = makeUpstream({ delayMs: 5 });
+        await dedup.run({ fingerprint: 'abc', idempotencyKey: 'key-1' }, upstream.send);
+        assertEqual(upstream.calls, 1, 'retry after a failure runs');
+        await sleep(40);
+        const afterExpiry = await dedup.run({ fingerprint: 'abc', idempotencyKey: 'key-1' }, upstream.send);
+        assertEqual(upstream.calls, 2, 'expired key runs again');
+        assertEqual(afterExpiry.replayed, false);
+    });
+
+    test('validateRequestDedupConfig: accepts valid config, rejects bad values', () => {
+        assertEqual(validateRequestDedupConfig({ coalesce: false, idempotencyTtlMs: 60000 }), null);
+        assertEqual(validateRequestDedupConfig({}), null);
+        assertEqual(validateRequestDedupConfig(null), 'requestDedup must be an object');
+        assertEqual(validateRequestDedupConfig({ coalesce: 1 }), 'requestDedup.coalesce must be a boolean');
+        assertEqual(validateRequestDedupConfig({ idempotencyTtlMs: -1 }), 'requestDedup.idempotencyTtlMs must be a positive integer (ms)');
+    });
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
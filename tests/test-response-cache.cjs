@@ -0,0 +1,254 @@
+/**
+ * Test Response Cache - Unit Tests
+ *
+ * Tests the exact-match response cache:
+ * - normalized cache keys
+ * - deterministic-only caching and config validation
+ * - disk persistence, TTL expiry and LRU eviction
+ * - replaying cached messages as SSE events
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║               RESPONSE CACHE TEST SUITE                      ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        buildCacheKey,
+        validateResponseCacheConfig,
+        replayMessageEvents,
+        ResponseCache
+    } = await import('../src/modules/response-cache.js');
+    const { collectAnthropicMessage } = await import('../src/format/codex-responses-converter.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    const storeRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-test-'));
+    let storeCount = 0;
+
+    /**
+     * Cache on its own temp directory, enabled unless settings say otherwise
+     */
+    function makeCache(settings = {}) {
+        const storePath = path.join(storeRoot, `store-${storeCount++}`);
+        return new ResponseCache({ storePath, settings: { enabled: true, ...settings } });
+    }
+
+    function makeRequest(text, extra = {}) {
+        return {
+            model: 'claude-sonnet-4-5',
+            max_tokens: 1024,
+            temperature: 0,
+            messages: [{ role: 'user', content: text }],
+            ...extra
+        };
+    }
+
+    function makeResponse(text, extra = {}) {
+        return {
+            id: 'msg_1',
+            type: 'message',
+            role: 'assistant',
+            model: 'claude-sonnet-4-5',
+            content: [{ type: 'text', text }],
+            stop_reason: 'end_turn',
+            stop_sequence: null,
+            usage: { input_tokens: 10, output_tokens: 5 },
+            ...extra
+        };
+    }
+
+    // ================================================================
+    // Cache Key Tests
+    // ================================================================
+    console.log('\n─── Cache Key Tests ───');
+
+    test('buildCacheKey: equivalent requests share a key', () => {
+        const base = makeRequest('hello', { system: 'be brief', stream: false, metadata: { user_id: 'a' } });
+        const equivalent = {
+            temperature: 0,
+            messages: [{ content: [{ text: 'hello', type: 'text', cache_control: { type: 'ephemeral' } }], role: 'user' }],
+            system: [{ type: 'text', text: 'be brief' }],
+            model: 'claude-sonnet-4-5',
+            max_tokens: 1024,
+            stream: true,
+            metadata: { user_id: 'b' }
+        };
+        assertEqual(buildCacheKey(base), buildCacheKey(equivalent));
+        assertEqual(/^[0-9a-f]{64}$/.test(buildCacheKey(base)), true);
+    });
+
+    test('buildCacheKey: model, prompt, tools and sampling change the key', () => {
+        const key = buildCacheKey(makeRequest('hello'));
+        assertEqual(buildCacheKey(makeRequest('hello!')) !== key, true, 'prompt');
+        assertEqual(buildCacheKey(makeRequest('hello', { model: 'gpt-5.2' })) !== key, true, 'model');
+        assertEqual(buildCacheKey(makeRequest('hello', { temperature: 0.5 })) !== key, true, 'temperature');
+        assertEqual(buildCacheKey(makeRequest('hello', { tools: [{ name: 'read', input_schema: {} }] })) !== key, true, 'tools');
+        assertEqual(buildCacheKey(makeRequest('hello', { _provider: 'copilot' })) !== key, true, 'pinned provider');
+    });
+
+    test('isCacheable: disabled cache and non-deterministic requests are not cached', () => {
+        assertEqual(makeCache({ enabled: false }).isCacheable(makeRequest('hi')), false);
+        const cache = makeCache();
+        assertEqual(cache.isCacheable(makeRequest('hi')), true);
+        assertEqual(cache.isCacheable(makeRequest('hi', { temperature: 1 })), false);
+        assertEqual(cache.isCacheable(makeRequest('hi', { temperature: undefined })), false);
+        assertEqual(makeCache({ deterministicOnly: false }).isCacheable(makeRequest('hi', { temperature: 1 })), true);
+    });
+
+    test('validateResponseCacheConfig: accepts valid config, rejects bad values', () => {
+        assertEqual(validateResponseCacheConfig({ enabled: true, ttlMs: 60000, maxEntries: 10 }), null);
+        assertEqual(validateResponseCacheConfig({}), null);
+        assertEqual(validateResponseCacheConfig([]), 'responseCache must be an object');
+        assertEqual(validateResponseCacheConfig({ enabled: 'yes' }), 'responseCache.enabled must be a boolean');
+        assertEqual(validateResponseCacheConfig({ ttlMs: 0 }), 'responseCache.ttlMs must be a positive integer');
+        assertEqual(validateResponseCacheConfig({ maxBytes: 1.5 }), 'responseCache.maxBytes must be a positive integer');
+    });
+
+    // ================================================================
+    // Store Tests
+    // ================================================================
+    console.log('\n─── Store Tests ───');
+
+    await testAsync('get/set: miss, then hit with the served model', async () => {
+        const cache = makeCache();
+        const request = makeRequest('hello');
+        assertEqual(await cache.get(request), null);
+        assertEqual(await cache.set(request, makeResponse('hi there'), 'gemini-3-flash'), true);
+
+        const cached = await cache.get({ ...request, stream: true });
+        assertEqual(cached.response.content[0].text, 'hi there');
+        assertEqual(cached.servedModel, 'gemini-3-flash');
+        const stats = cache.getStats();
+        assertEqual(stats.entries, 1);
+        assertEqual(stats.hits, 1);
+        assertEqual(stats.misses, 1);
+        assertEqual(stats.hitRate, 0.5);
+    });
+
+    await testAsync('set: incomplete or error responses are not stored', async () => {
+        const cache = makeCache();
+        assertEqual(await cache.set(makeRequest('a'), makeResponse('x', { stop_reason: null })), false);
+        assertEqual(await cache.set(makeRequest('b'), { type: 'error', error: { type: 'api_error' } }), false);
+        assertEqual(cache.getStats().entries, 0);
+    });
+
+    await testAsync('entries persist on disk and survive a restart', async () => {
+        const storePath = path.join(storeRoot, 'persisted');
+        const first = new ResponseCache({ storePath, settings: { enabled: true } });
+        await first.set(makeRequest('persist me'), makeResponse('kept'));
+
+        const second = new ResponseCache({ storePath, settings: { enabled: true } });
+        const cached = await second.get(makeRequest('persist me'));
+        assertEqual(cached?.response.content[0].text, 'kept');
+        assertEqual(fs.readdirSync(storePath).filter(f => f.endsWith('.json')).length, 1);
+    });
+
+    await testAsync('entries expire after ttlMs', async () => {
+        const cache = makeCache({ ttlMs: 20 });
+        await cache.set(makeRequest('short-lived'), makeResponse('soon gone'));
+        await new Promise(resolve => setTimeout(resolve, 40));
+        assertEqual(await cache.get(makeRequest('short-lived')), null);
+        assertEqual(cache.getStats().entries, 0);
+    });
+
+    await testAsync('least recently used entries are evicted beyond maxEntries', async () => {
+        const cache = makeCache({ maxEntries: 2 });
+        await cache.set(makeRequest('one'), makeResponse('1'));
+        await cache.set(makeRequest('two'), makeResponse('2'));
+        await cache.get(makeRequest('one'));
+        await cache.set(makeRequest('three'), makeResponse('3'));
+
+        assertEqual(cache.getStats().entries, 2);
+        assertEqual((await cache.get(makeRequest('one')))?.response.content[0].text, '1');
+        assertEqual(await cache.get(makeRequest('two')), null, 'two was least recently used');
+    });
+
+    await testAsync('purge: by model, by key and everything', async () => {
+        const cache = makeCache();
+        await cache.set(makeRequest('a'), makeResponse('a'));
+        await cache.set(makeRequest('b'), makeResponse('b'));
+        await cache.set(makeRequest('c', { model: 'gpt-5.2' }), makeResponse('c'));
+
+        assertEqual(cache.purge({ model: 'gpt-5.2' }), 1);
+        assertEqual(cache.purge({ key: buildCacheKey(makeRequest('a')) }), 1);
+        assertEqual(cache.purge(), 1);
+        assertEqual(cache.getStats().entries, 0);
+        assertEqual(cache.getStats().bytes, 0);
+    });
+
+    // ================================================================
+    // Replay Tests
+    // ================================================================
+    console.log('\n─── Replay Tests ───');
+
+    await testAsync('replayMessageEvents: round-trips text, thinking and tool_use blocks', async () => {
+        const message = makeResponse('', {
+            content: [
+                { type: 'thinking', thinking: 'let me think', signature: 'sig123' },
+                { type: 'text', text: 'Reading the file.' },
+                { type: 'tool_use', id: 'toolu_1', name: 'read', input: { path: 'a.txt' } }
+            ],
+            stop_reason: 'tool_use'
+        });
+        const events = [...replayMessageEvents(message)];
+        assertEqual(events[0].type, 'message_start');
+        assertEqual(events[0].message.content.length, 0);
+        assertEqual(events[events.length - 1].type, 'message_stop');
+
+        const rebuilt = await collectAnthropicMessage(events);
+        assertEqual(JSON.stringify(rebuilt.content), JSON.stringify(message.content));
+        assertEqual(rebuilt.stop_reason, 'tool_use');
+        assertEqual(rebuilt.usage.output_tokens, 5);
+    });
+
+    fs.rmSync(storeRoot, { recursive: true, force: true });
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
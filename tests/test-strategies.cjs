@@ -519,6 +519,20 @@ async function runTests() {
         assertEqual(usable[1].account.email, 'd@example.com');
     });
 
+    test('BaseStrategy: isAccountUsable applies config.isModelSupported', () => {
+        class TestStrategy extends BaseStrategy {
+            selectAccount() { return { account: null, index: 0 }; }
+        }
+        const strategy = new TestStrategy({
+            isModelSupported: (account, modelId) => account.provider !== 'google' || modelId.startsWith('claude')
+        });
+        const google = { email: 'g@example.com', provider: 'google' };
+        const copilot = { email: 'c@example.com', provider: 'copilot' };
+        assertTrue(strategy.isAccountUsable(google, 'claude-sonnet'), 'Google serves claude');
+        assertFalse(strategy.isAccountUsable(google, 'gpt-5'), 'Google does not serve gpt-5');
+        assertTrue(strategy.isAccountUsable(copilot, 'gpt-5'), 'Copilot serves gpt-5');
+    });
+
     // ==========================================================================
     // STICKY STRATEGY TESTS
     // ==========================================================================
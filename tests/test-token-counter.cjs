@@ -0,0 +1,288 @@
+/**
+ * Test Token Counter - Unit Tests
+ *
+ * Tests the local token estimator used by /v1/messages/count_tokens and for
+ * filling in stream usage when an upstream omits it:
+ * - text estimation per model family
+ * - image dimension parsing and per-family image costs
+ * - request counting (system, messages, tools, images, documents)
+ * - stream usage back-fill
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║              TOKEN COUNTER TEST SUITE                        ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        getTokenizerFamily,
+        countTextTokens,
+        readImageDimensions,
+        countImageTokens,
+        countRequestTokens,
+        withEstimatedUsage
+    } = await import('../src/utils/token-counter.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    function assertTrue(value, message = '') {
+        if (!value) {
+            throw new Error(message || `Expected truthy but got: ${JSON.stringify(value)}`);
+        }
+    }
+
+    function assertBetween(value, min, max, message = '') {
+        if (value < min || value > max) {
+            throw new Error(`${message}\nExpected ${value} to be between ${min} and ${max}`);
+        }
+    }
+
+    // Minimal PNG: signature + IHDR chunk header with width/height
+    function pngHeader(width, height) {
+        const buf = Buffer.alloc(33);
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buf, 0);
+        buf.writeUInt32BE(13, 8);
+        buf.write('IHDR', 12, 'ascii');
+        buf.writeUInt32BE(width, 16);
+        buf.writeUInt32BE(height, 20);
+        return buf;
+    }
+
+    // Minimal JPEG: SOI, an APP0 segment, then SOF0 with height/width
+    function jpegHeader(width, height) {
+        const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x10, ...Buffer.alloc(14)]);
+        const sof = Buffer.alloc(19);
+        sof.writeUInt16BE(0xffc0, 0);
+        sof.writeUInt16BE(17, 2);
+        sof[4] = 8;
+        sof.writeUInt16BE(height, 5);
+        sof.writeUInt16BE(width, 7);
+        return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof]);
+    }
+
+    // ================================================================
+    // Family / Text Tests
+    // ================================================================
+    console.log('\n─── Text Estimation Tests ───');
+
+    test('getTokenizerFamily: detects claude, gemini and falls back to gpt', () => {
+        assertEqual(getTokenizerFamily('claude-sonnet-4-5-thinking'), 'claude');
+        assertEqual(getTokenizerFamily('gemini-3-pro-high'), 'gemini');
+        assertEqual(getTokenizerFamily('gpt-4o'), 'gpt');
+        assertEqual(getTokenizerFamily('meta-llama/llama-3-70b'), 'gpt');
+    });
+
+    test('countTextTokens: empty text is zero', () => {
+        assertEqual(countTextTokens('', 'claude-sonnet-4-5'), 0);
+        assertEqual(countTextTokens(null, 'gpt-4o'), 0);
+    });
+
+    test('countTextTokens: English prose is roughly one token per word', () => {
+        const text = 'The quick brown fox jumps over the lazy dog.';
+        assertBetween(countTextTokens(text, 'claude-sonnet-4-5'), 9, 13);
+        assertBetween(countTextTokens(text, 'gpt-4o'), 9, 13);
+    });
+
+    test('countTextTokens: long words and numbers split into several tokens', () => {
+        assertTrue(countTextTokens('internationalization', 'claude-sonnet-4-5') >= 4);
+        assertEqual(countTextTokens('1234567', 'gpt-4o'), 3);
+    });
+
+    test('countTextTokens: CJK characters cost about a token each', () => {
+        assertBetween(countTextTokens('你好世界', 'claude-sonnet-4-5'), 3, 5);
+    });
+
+    test('countTextTokens: scales roughly linearly with text length', () => {
+        const one = countTextTokens('function add(a, b) { return a + b; }\n', 'claude-sonnet-4-5');
+        const ten = countTextTokens('function add(a, b) { return a + b; }\n'.repeat(10), 'claude-sonnet-4-5');
+        assertEqual(ten, one * 10);
+    });
+
+    // ================================================================
+    // Image Tests
+    // ================================================================
+    console.log('\n─── Image Tests ───');
+
+    test('readImageDimensions: parses PNG and JPEG headers', () => {
+        const png = readImageDimensions(pngHeader(800, 600));
+        assertEqual(png.width, 800);
+        assertEqual(png.height, 600);
+        const jpeg = readImageDimensions(jpegHeader(1024, 768));
+        assertEqual(jpeg.width, 1024);
+        assertEqual(jpeg.height, 768);
+    });
+
+    test('readImageDimensions: returns null for unknown data', () => {
+        assertEqual(readImageDimensions(Buffer.from('not an image at all, just text')), null);
+    });
+
+    test('countImageTokens: applies per-family formulas', () => {
+        // Claude: (w * h) / 750
+        assertEqual(countImageTokens(750, 1000, 'claude'), 1000);
+        // Claude: large images are resized to ~1.15MP
+        assertBetween(countImageTokens(4000, 3000, 'claude'), 1500, 1540);
+        // Gemini: small image is a flat 258, larger images are tiled
+        assertEqual(countImageTokens(300, 300, 'gemini'), 258);
+        assertEqual(countImageTokens(1536, 768, 'gemini'), 516);
+        // GPT: 1024x1024 → scaled to 768x768 → 4 tiles
+        assertEqual(countImageTokens(1024, 1024, 'gpt'), 85 + 170 * 4);
+    });
+
+    // ================================================================
+    // Request Tests
+    // ================================================================
+    console.log('\n─── Request Counting Tests ───');
+
+    test('countRequestTokens: includes system, messages and tools', () => {
+        const base = {
+            model: 'claude-sonnet-4-5',
+            messages: [{ role: 'user', content: 'Hello there' }]
+        };
+        const plain = countRequestTokens(base);
+        const withSystem = countRequestTokens({ ...base, system: [{ type: 'text', text: 'You are helpful.' }] });
+        const withTools = countRequestTokens({
+            ...base,
+            tools: [{ name: 'read_file', description: 'Read a file', input_schema: { type: 'object', properties: { path: { type: 'string' } } } }]
+        });
+        assertTrue(withSystem > plain, 'system prompt should add tokens');
+        assertTrue(withTools > plain + 346, 'tools should add the tool system prompt and definitions');
+    });
+
+    test('countRequestTokens: counts base64 images from their dimensions', () => {
+        const data = pngHeader(750, 1000).toString('base64');
+        const tokens = countRequestTokens({
+            model: 'claude-sonnet-4-5',
+            messages: [{ role: 'user', content: [{ type: 'image', source: { type: 'base64', media_type: 'image/png', data } }] }]
+        });
+        assertBetween(tokens, 1000, 1010);
+    });
+
+    test('countRequestTokens: counts PDF documents per page', () => {
+        const pdf = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Pages /Count 2 >>\n2 0 obj << /Type /Page >>\n3 0 obj << /Type/Page >>\n').toString('base64');
+        const request = {
+            messages: [{ role: 'user', content: [{ type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: pdf } }] }]
+        };
+        assertBetween(countRequestTokens({ ...request, model: 'claude-sonnet-4-5' }), 3000, 3010);
+        assertBetween(countRequestTokens({ ...request, model: 'gemini-2.5-pro' }), 516, 520);
+    });
+
+    test('countRequestTokens: counts tool_use input and tool_result content', () => {
+        const tokens = countRequestTokens({
+            model: 'gpt-4o',
+            messages: [
+                { role: 'user', content: 'List files' },
+                { role: 'assistant', content: [{ type: 'tool_use', id: 't1', name: 'bash', input: { command: 'ls -la' } }] },
+                { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: 'README.md\npackage.json\nsrc' }] }
+            ]
+        });
+        assertBetween(tokens, 20, 45);
+    });
+
+    test('countRequestTokens: only the latest assistant turn counts thinking', () => {
+        const thinking = { type: 'thinking', thinking: 'word '.repeat(100), signature: 'sig' };
+        const withThinking = [
+            { role: 'user', content: 'a' },
+            { role: 'assistant', content: [thinking, { type: 'text', text: 'b' }] },
+            { role: 'user', content: 'c' }
+        ];
+        const withoutThinking = [
+            { role: 'user', content: 'a' },
+            { role: 'assistant', content: [{ type: 'text', text: 'b' }] },
+            { role: 'user', content: 'c' }
+        ];
+        const later = [{ role: 'assistant', content: 'd' }, { role: 'user', content: 'e' }];
+        const model = 'claude-sonnet-4-5';
+
+        assertTrue(
+            countRequestTokens({ model, messages: withThinking }) > countRequestTokens({ model, messages: withoutThinking }),
+            'thinking in the latest assistant turn should count'
+        );
+        assertEqual(
+            countRequestTokens({ model, messages: [...withThinking, ...later] }),
+            countRequestTokens({ model, messages: [...withoutThinking, ...later] }),
+            'thinking in earlier assistant turns should not count'
+        );
+    });
+
+    // ================================================================
+    // Stream Usage Tests
+    // ================================================================
+    console.log('\n─── Stream Usage Tests ───');
+
+    await testAsync('withEstimatedUsage: fills missing input and output tokens', async () => {
+        async function* events() {
+            yield { type: 'message_start', message: { usage: { input_tokens: 0, output_tokens: 0 } } };
+            yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hello world, how are you today?' } };
+            yield { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 0 } };
+            yield { type: 'message_stop' };
+        }
+        const request = { model: 'gpt-4o', messages: [{ role: 'user', content: 'Say hello' }] };
+        const out = [];
+        for await (const event of withEstimatedUsage(events(), request)) {
+            out.push(event);
+        }
+        assertEqual(out[0].message.usage.input_tokens, countRequestTokens(request));
+        assertTrue(out[2].usage.output_tokens > 0, 'output tokens should be estimated');
+        assertEqual(out.length, 4);
+    });
+
+    await testAsync('withEstimatedUsage: keeps usage reported by the upstream', async () => {
+        async function* events() {
+            yield { type: 'message_start', message: { usage: { input_tokens: 42, output_tokens: 0 } } };
+            yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } };
+            yield { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 7 } };
+        }
+        const out = [];
+        for await (const event of withEstimatedUsage(events(), { model: 'claude-sonnet-4-5', messages: [] })) {
+            out.push(event);
+        }
+        assertEqual(out[0].message.usage.input_tokens, 42);
+        assertEqual(out[2].usage.output_tokens, 7);
+    });
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,266 @@
+/**
+ * Test Token Usage - Unit Tests
+ *
+ * Tests token-level usage accounting:
+ * - /api/stats/usage query parsing
+ * - hourly/daily rollups grouped by account, provider, model, family and client
+ * - metering of streaming and non-streaming responses
+ * - disk persistence
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The shared tracker persists under ~/.config; keep it out of the real home directory
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'token-usage-test-'));
+process.env.HOME = tempHome;
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║                 TOKEN USAGE TEST SUITE                       ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        parseUsageQuery,
+        TokenUsageTracker,
+        tokenUsage,
+        meterResponse,
+        meterStream
+    } = await import('../src/modules/token-usage.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    const trackers = [];
+
+    /**
+     * Tracker on its own temp file
+     */
+    function makeTracker() {
+        const tracker = new TokenUsageTracker({ storePath: path.join(tempHome, `usage-${trackers.length}.json`) });
+        trackers.push(tracker);
+        return tracker;
+    }
+
+    const HOUR = 60 * 60 * 1000;
+    const now = Date.now();
+    const thisHour = Math.floor(now / HOUR) * HOUR;
+    const usage = (input, output, extra = {}) => ({ input_tokens: input, output_tokens: output, ...extra });
+
+    /**
+     * Tracker with a few responses across two hours, accounts, models and clients
+     */
+    function makeSeededTracker() {
+        const tracker = makeTracker();
+        tracker.record({ account: 'a@x.com', provider: 'google', model: 'claude-sonnet-4-5', client: 'ci', usage: usage(100, 10), timestamp: thisHour - HOUR });
+        tracker.record({ account: 'a@x.com', provider: 'google', model: 'claude-sonnet-4-5', client: 'ci', usage: usage(200, 20, { cache_read_input_tokens: 50 }), timestamp: thisHour });
+        tracker.record({ account: 'b@x.com', provider: 'google', model: 'gemini-3-flash', client: 'ide', usage: usage(1000, 100), timestamp: thisHour });
+        tracker.record({ account: 'c@x.com', provider: 'copilot', model: 'gpt-5.2', usage: usage(10, 1), timestamp: thisHour });
+        return tracker;
+    }
+
+    // ================================================================
+    // Query Parsing Tests
+    // ================================================================
+    console.log('\n─── Query Parsing Tests ───');
+
+    test('parseUsageQuery: defaults to the last 24 hours, no grouping', () => {
+        const { error, options } = parseUsageQuery({});
+        assertEqual(error, null);
+        assertEqual(options.groupBy.length, 0);
+        assertEqual(Math.abs(options.to - Date.now()) < 1000, true);
+        assertEqual(options.to - options.from, 24 * HOUR);
+    });
+
+    test('parseUsageQuery: accepts ISO dates, epoch ms and a groupBy list', () => {
+        const { error, options } = parseUsageQuery({ from: '2026-01-01T00:00:00Z', to: String(Date.parse('2026-01-02T00:00:00Z')), groupBy: 'day, model,client' });
+        assertEqual(error, null);
+        assertEqual(options.from, Date.parse('2026-01-01T00:00:00Z'));
+        assertEqual(options.to, Date.parse('2026-01-02T00:00:00Z'));
+        assertEqual(options.groupBy.join(','), 'day,model,client');
+    });
+
+    test('parseUsageQuery: rejects bad times and dimensions', () => {
+        assertEqual(parseUsageQuery({ from: 'yesterday' }).error, 'from must be an ISO date or epoch milliseconds');
+        assertEqual(parseUsageQuery({ to: 'soon' }).error, 'to must be an ISO date or epoch milliseconds');
+        assertEqual(parseUsageQuery({ from: '2026-02-01', to: '2026-01-01' }).error, 'from must be before to');
+        assertEqual(parseUsageQuery({ groupBy: 'hour,day' }).error, 'groupBy: use either hour or day, not both');
+        assertEqual(parseUsageQuery({ groupBy: 'region' }).error?.startsWith('groupBy: unknown dimension "region"'), true);
+    });
+
+    // ================================================================
+    // Rollup Tests
+    // ================================================================
+    console.log('\n─── Rollup Tests ───');
+
+    test('query: totals over the range, no rows without groupBy', () => {
+        const result = makeSeededTracker().query({ from: thisHour - HOUR, to: now });
+        assertEqual(result.granularity, 'hour');
+        assertEqual(result.totals.requests, 4);
+        assertEqual(result.totals.input_tokens, 1310);
+        assertEqual(result.totals.output_tokens, 131);
+        assertEqual(result.totals.cache_read_input_tokens, 50);
+        assertEqual(result.rows.length, 0);
+    });
+
+    test('query: the range excludes hours outside it', () => {
+        const result = makeSeededTracker().query({ from: thisHour, to: now });
+        assertEqual(result.totals.requests, 3);
+        assertEqual(result.totals.input_tokens, 1210);
+    });
+
+    test('query: groupBy model and client, sorted by tokens', () => {
+        const { rows } = makeSeededTracker().query({ from: thisHour - HOUR, to: now, groupBy: ['model', 'client'] });
+        assertEqual(rows.length, 3);
+        assertEqual(rows[0].model, 'gemini-3-flash');
+        assertEqual(rows[0].client, 'ide');
+        assertEqual(rows[1].model, 'claude-sonnet-4-5');
+        assertEqual(rows[1].requests, 2);
+        assertEqual(rows[1].input_tokens, 300);
+        assertEqual(rows[2].client, 'anonymous', 'requests without a client key');
+        assertEqual('account' in rows[0], false, 'only the requested dimensions');
+    });
+
+    test('query: groupBy hour and family, in time order', () => {
+        const { rows } = makeSeededTracker().query({ from: thisHour - HOUR, to: now, groupBy: ['hour', 'family'] });
+        assertEqual(rows.map(r => `${r.hour === new Date(thisHour).toISOString() ? 'now' : 'prev'}:${r.family}`).join(','),
+            'prev:claude,now:gemini,now:claude,now:gpt');
+    });
+
+    test('query: groupBy day uses the daily rollups', () => {
+        const result = makeSeededTracker().query({ from: thisHour - HOUR, to: now, groupBy: ['day', 'provider'] });
+        assertEqual(result.granularity, 'day');
+        const copilot = result.rows.find(r => r.provider === 'copilot');
+        assertEqual(copilot.requests, 1);
+        assertEqual(copilot.day, new Date(thisHour).toISOString().slice(0, 10));
+        assertEqual(result.rows.reduce((sum, r) => sum + r.requests, 0) >= 3, true);
+    });
+
+    test('rollups persist on disk and survive a restart', () => {
+        const storePath = path.join(tempHome, 'persisted.json');
+        const first = new TokenUsageTracker({ storePath });
+        first.record({ account: 'a@x.com', provider: 'google', model: 'claude-opus-4-5', usage: usage(7, 3) });
+        first.flushSync();
+
+        const second = new TokenUsageTracker({ storePath });
+        const { totals } = second.query({ from: thisHour, to: Date.now() });
+        assertEqual(totals.input_tokens, 7);
+        assertEqual(totals.output_tokens, 3);
+    });
+
+    // ================================================================
+    // Metering Tests
+    // ================================================================
+    console.log('\n─── Metering Tests ───');
+
+    const account = { email: 'meter@x.com', provider: 'anthropic' };
+    const meteredBy = (client) => tokenUsage.query({ from: thisHour, to: Date.now(), groupBy: ['client'] })
+        .rows.find(r => r.client === client);
+
+    test('meterResponse: records the response usage and returns it unchanged', () => {
+        const response = { type: 'message', usage: usage(40, 4, { cache_creation_input_tokens: 8 }) };
+        assertEqual(meterResponse({ model: 'claude-sonnet-4-5', _client: 'sync' }, account, response), response);
+        const row = meteredBy('sync');
+        assertEqual(row.input_tokens, 40);
+        assertEqual(row.cache_creation_input_tokens, 8);
+    });
+
+    await testAsync('meterStream: passes events through and records the final usage', async () => {
+        async function* upstream() {
+            yield { type: 'message_start', message: { usage: usage(25, 1, { cache_read_input_tokens: 5 }) } };
+            yield { type: 'content_block_delta', delta: { type: 'text_delta', text: 'hi' } };
+            yield { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 12 } };
+            yield { type: 'message_stop' };
+        }
+        const seen = [];
+        for await (const event of meterStream(upstream(), { model: 'claude-sonnet-4-5', _client: 'stream' }, account)) {
+            seen.push(event.type);
+        }
+        assertEqual(seen.length, 4);
+        const row = meteredBy('stream');
+        assertEqual(row.requests, 1);
+        assertEqual(row.input_tokens, 25);
+        assertEqual(row.output_tokens, 12);
+        assertEqual(row.cache_read_input_tokens, 5);
+    });
+
+    await testAsync('meterStream: a cancelled stream records its partial usage', async () => {
+        async function* upstream() {
+            yield { type: 'message_start', message: { usage: usage(25, 1) } };
+            yield { type: 'message_delta', usage: { output_tokens: 7 } };
+            yield { type: 'message_stop' };
+        }
+        const stream = meterStream(upstream(), { model: 'claude-sonnet-4-5', _client: 'abandoned' }, account);
+        await stream.next();
+        await stream.next();
+        await stream.return();
+        const row = meteredBy('abandoned');
+        assertEqual(row.requests, 1);
+        assertEqual(row.input_tokens, 25);
+        assertEqual(row.output_tokens, 7);
+    });
+
+    await testAsync('meterStream: a failed stream records its partial usage, a stream failing before message_start nothing', async () => {
+        async function* failing(started) {
+            if (started) yield { type: 'message_start', message: { usage: usage(40, 1) } };
+            throw new Error('socket hang up');
+        }
+        for (const [client, started] of [['failed', true], ['never-started', false]]) {
+            try {
+                for await (const event of meterStream(failing(started), { model: 'claude-sonnet-4-5', _client: client }, account)) void event;
+            } catch (e) {
+                assertEqual(e.message, 'socket hang up');
+            }
+        }
+        assertEqual(meteredBy('failed').input_tokens, 40);
+        assertEqual(meteredBy('never-started'), undefined);
+    });
+
+    // Write pending saves now rather than on exit, after the directory is gone
+    [...trackers, tokenUsage].forEach(tracker => tracker.flushSync());
+    fs.rmSync(tempHome, { recursive: true, force: true });
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});
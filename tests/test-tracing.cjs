@@ -0,0 +1,302 @@
+/**
+ * Test Tracing - Unit Tests
+ *
+ * Tests OpenTelemetry request tracing:
+ * - W3C traceparent parsing and sampling decisions
+ * - span nesting across async calls and streams, errors and early close
+ * - account selection waits recorded as span events
+ * - OTLP/HTTP JSON payloads and export to a collector
+ * - config validation
+ */
+
+const http = require('http');
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║                    TRACING TEST SUITE                        ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    const {
+        parseTraceparent,
+        formatTraceparent,
+        validateTracingConfig,
+        toOtlpPayload,
+        OtlpHttpExporter,
+        Tracer,
+        tracer
+    } = await import('../src/modules/tracing.js');
+    const { selectAccountForAttempt } = await import('../src/cloudcode/retry-utils.js');
+    const { config } = await import('../src/config.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function testAsync(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    /**
+     * Tracer exporting to an array
+     */
+    function makeTracer() {
+        const spans = [];
+        return { spans, tracer: new Tracer({ exporter: { export: (span) => spans.push(span) } }) };
+    }
+
+    const previousTracing = config.tracing;
+    config.tracing = { enabled: true, sampleRatio: 1 };
+
+    // ================================================================
+    // Context Tests
+    // ================================================================
+    console.log('\n─── Context Tests ───');
+
+    await testAsync('parseTraceparent: valid headers, invalid versions and ids', () => {
+        const context = parseTraceparent('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01');
+        assertEqual(context.traceId, '0af7651916cd43dd8448eb211c80319c');
+        assertEqual(context.spanId, 'b7ad6b7169203331');
+        assertEqual(context.sampled, true);
+        assertEqual(parseTraceparent('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-00').sampled, false);
+        assertEqual(parseTraceparent('01-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01-future').spanId, 'b7ad6b7169203331',
+            'later versions may append fields');
+        assertEqual(parseTraceparent('ff-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01'), null);
+        assertEqual(parseTraceparent('00-00000000000000000000000000000000-b7ad6b7169203331-01'), null);
+        assertEqual(parseTraceparent('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01-extra'), null);
+        assertEqual(parseTraceparent(undefined), null);
+    });
+
+    await testAsync('withSpan: children follow async calls; errors are recorded and rethrown', async () => {
+        const { spans, tracer } = makeTracer();
+        const parent = parseTraceparent('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01');
+        const root = tracer.startSpan('POST /v1/messages', { parent });
+
+        await tracer.runWithSpan(root, async () => {
+            await tracer.withSpan('account.token', { 'commons.account': 'a@x.com' }, async () => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                await tracer.withSpan('inner', {}, async () => {});
+            });
+            try {
+                await tracer.withSpan('attempt', {}, async () => { throw new Error('429 RESOURCE_EXHAUSTED'); });
+            } catch (error) {
+                assertEqual(error.message, '429 RESOURCE_EXHAUSTED');
+            }
+        });
+        root.end();
+
+        const [inner, token, attempt] = spans;
+        assertEqual(spans.map(span => span.name).join(','), 'inner,account.token,attempt,POST /v1/messages');
+        assertEqual(root.traceId, parent.traceId);
+        assertEqual(root.parentSpanId, parent.spanId);
+        assertEqual(token.parentSpanId, root.spanId);
+        assertEqual(inner.parentSpanId, token.spanId);
+        assertEqual(attempt.status.code, 2);
+        assertEqual(attempt.events[0].attributes['exception.message'], '429 RESOURCE_EXHAUSTED');
+        assertEqual(formatTraceparent(root), `00-${parent.traceId}-${root.spanId}-01`);
+    });
+
+    await testAsync('sampling: unsampled callers, sampleRatio and disabled tracing export nothing', async () => {
+        const { spans, tracer } = makeTracer();
+        const unsampled = parseTraceparent('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-00');
+        tracer.startSpan('unsampled', { parent: unsampled }).end();
+
+        config.tracing = { enabled: true, sampleRatio: 0 };
+        await tracer.withSpan('dropped', {}, async () => {});
+        config.tracing = { enabled: false };
+        const span = tracer.startSpan('off');
+        span.setAttribute('ignored', true);
+        span.end();
+        assertEqual(await tracer.withSpan('off', {}, async () => 'result'), 'result');
+        config.tracing = { enabled: true, sampleRatio: 1 };
+
+        assertEqual(spans.length, 0);
+    });
+
+    // ================================================================
+    // Stream Tests
+    // ================================================================
+    console.log('\n─── Stream Tests ───');
+
+    await testAsync('traceStream: the span stays active inside the generator', async () => {
+        const { spans, tracer } = makeTracer();
+        async function* upstream() {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await tracer.withSpan('account.project', {}, async () => {});
+            yield 'message_start';
+            yield 'message_stop';
+        }
+
+        const events = [];
+        for await (const event of tracer.traceStream('attempt', { 'commons.attempt': 0 }, () => upstream())) {
+            events.push(event);
+        }
+
+        const [project, attempt] = spans;
+        assertEqual(events.join(','), 'message_start,message_stop');
+        assertEqual(project.parentSpanId, attempt.spanId);
+        assertEqual(attempt.events.map(event => event.name).join(','), 'first_event');
+        assertEqual(attempt.endTime !== null, true);
+    });
+
+    await testAsync('traceStream: early close ends the span and closes the wrapped stream', async () => {
+        const { spans, tracer } = makeTracer();
+        let closed = false;
+        async function* upstream() {
+            try {
+                yield 1;
+                yield 2;
+            } finally {
+                closed = true;
+            }
+        }
+
+        for await (const event of tracer.traceStream('attempt', {}, () => upstream())) {
+            if (event === 1) break;
+        }
+        assertEqual(closed, true);
+        assertEqual(spans[0].attributes['commons.closed_early'], true);
+    });
+
+    // ================================================================
+    // Selection Tests
+    // ================================================================
+    console.log('\n─── Selection Tests ───');
+
+    await testAsync('selectAccountForAttempt: selection span with the account and its waits', async () => {
+        const account = { email: 'a@x.com', provider: 'copilot' };
+        let selectionSpan = null;
+        const accountManager = {
+            hasProviderForModel: () => true,
+            clearExpiredLimits: () => {},
+            getAvailableAccounts: () => [account],
+            selectAccount: () => {
+                selectionSpan = tracer.activeSpan();
+                return { account, waitMs: 5 };
+            }
+        };
+
+        // An unsampled caller keeps the shared exporter idle
+        const root = tracer.startSpan('POST /v1/messages', {
+            parent: parseTraceparent('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-00')
+        });
+        const selection = await tracer.runWithSpan(root, () =>
+            selectAccountForAttempt({ model: 'gpt-5', accountManager, attempt: 1, maxAttempts: 3 }));
+        root.end();
+
+        assertEqual(selection.account, account);
+        assertEqual(selectionSpan.name, 'select_account');
+        assertEqual(selectionSpan.parentSpanId, root.spanId);
+        assertEqual(selectionSpan.attributes['commons.account'], 'a@x.com');
+        assertEqual(selectionSpan.attributes['commons.provider'], 'copilot');
+        assertEqual(selectionSpan.attributes['commons.attempt'], 1);
+        const [wait] = selectionSpan.events;
+        assertEqual(wait.name, 'wait');
+        assertEqual(wait.attributes['commons.wait_reason'], 'throttle');
+        assertEqual(wait.attributes['commons.wait_ms'], 5);
+        assertEqual(selectionSpan.endTime !== null, true);
+    });
+
+    // ================================================================
+    // Export Tests
+    // ================================================================
+    console.log('\n─── Export Tests ───');
+
+    await testAsync('toOtlpPayload: resource, ids, typed attributes, events and status', () => {
+        const { spans, tracer } = makeTracer();
+        const span = tracer.startSpan('cloudcode.request', {
+            attributes: { 'commons.endpoint': 'https://cloudcode.example', 'http.response.status_code': 503, ratio: 0.5, ok: false }
+        });
+        span.addEvent('wait', { 'commons.wait_ms': 1000 });
+        span.setError('HTTP 503');
+        span.end();
+
+        const payload = toOtlpPayload(spans, 'commons-proxy');
+        const resource = payload.resourceSpans[0];
+        const otlpSpan = resource.scopeSpans[0].spans[0];
+        assertEqual(resource.resource.attributes[0].value.stringValue, 'commons-proxy');
+        assertEqual(otlpSpan.traceId.length, 32);
+        assertEqual(otlpSpan.spanId.length, 16);
+        assertEqual('parentSpanId' in otlpSpan, false, 'root spans have no parent');
+        const attributes = Object.fromEntries(otlpSpan.attributes.map(({ key, value }) => [key, value]));
+        assertEqual(attributes['http.response.status_code'].intValue, '503');
+        assertEqual(attributes.ratio.doubleValue, 0.5);
+        assertEqual(attributes.ok.boolValue, false);
+        assertEqual(otlpSpan.events[0].attributes[0].value.intValue, '1000');
+        assertEqual(otlpSpan.status.code, 2);
+        assertEqual(otlpSpan.startTimeUnixNano.endsWith('000000'), true);
+    });
+
+    await testAsync('OtlpHttpExporter: POSTs batches to the endpoint with the configured headers', async () => {
+        const received = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, url: req.url, body: JSON.parse(body) });
+                res.end('{}');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        try {
+            config.tracing = {
+                enabled: true,
+                endpoint: `http://127.0.0.1:${server.address().port}/v1/traces`,
+                headers: { authorization: 'Bearer collector' },
+                serviceName: 'proxy-test'
+            };
+            const exporter = new OtlpHttpExporter();
+            const exportingTracer = new Tracer({ exporter });
+            exportingTracer.startSpan('a').end();
+            exportingTracer.startSpan('b').end();
+            await exporter.flush();
+
+            assertEqual(received.length, 1);
+            assertEqual(received[0].url, '/v1/traces');
+            assertEqual(received[0].headers.authorization, 'Bearer collector');
+            assertEqual(received[0].headers['content-type'], 'application/json');
+            const resource = received[0].body.resourceSpans[0];
+            assertEqual(resource.resource.attributes[0].value.stringValue, 'proxy-test');
+            assertEqual(resource.scopeSpans[0].spans.map(span => span.name).join(','), 'a,b');
+        } finally {
+            config.tracing = { enabled: true, sampleRatio: 1 };
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    await testAsync('validateTracingConfig: accepts valid config, rejects bad values', () => {
+        assertEqual(validateTracingConfig({ enabled: true, endpoint: 'http://localhost:4318/v1/traces', headers: { 'x-token': 'a' }, sampleRatio: 0.25 }), null);
+        assertEqual(validateTracingConfig([]), 'tracing must be an object');
+        assertEqual(validateTracingConfig({ enabled: 'yes' }), 'tracing.enabled must be a boolean');
+        assertEqual(validateTracingConfig({ endpoint: 'localhost:4318' }), 'tracing.endpoint must be an http(s) URL');
+        assertEqual(validateTracingConfig({ headers: { 'x-token': 1 } }), 'tracing.headers must be an object of strings');
+        assertEqual(validateTracingConfig({ sampleRatio: 2 }), 'tracing.sampleRatio must be a number from 0 to 1');
+    });
+
+    config.tracing = previousTracing;
+
+    // ================================================================
+    // Summary
+    // ================================================================
+    console.log('\n════════════════════════════════════════════════════════════');
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test runner error:', err);
+    process.exit(1);
+});